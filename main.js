@@ -4,129 +4,425 @@
 // @version      2025-05-31
 // @description  Creates a copy/pastable student report in Canvas admin
 // @author       Paul
-// @match        https://*.instructure.com/accounts/*/users/*
-// @match        https://*.instructure.com/users/*
+// @match        *://*/accounts/*
+// @match        *://*/users/*
+// @match        *://*/courses/*/sections/*
+// @match        *://*/
+// @match        *://*/?*
+// @match        *://*/profile*
 // @grant        none
 // @run-at document-idle
 // ==/UserScript==
-/* global ENV */
-
-(function() {
+(function () {
     'use strict';
+
     // Get Canvas domain as a global constant
     const domain = window.location.origin;
+    // Number of students fetched in parallel by the bulk report
+    const BULK_REPORT_CONCURRENCY = 4;
+    // localStorage key for the institution branding used on printed reports
+    const PRINT_BRANDING_STORAGE_KEY = 'canvasStudentReport.printBranding';
+    // localStorage key for whether grade columns are shown in reports
+    const SHOW_GRADES_STORAGE_KEY = 'canvasStudentReport.showGrades';
+    // localStorage keys for user-defined copy templates and the one last chosen
+    const REPORT_TEMPLATES_STORAGE_KEY = 'canvasStudentReport.templates';
+    const SELECTED_TEMPLATE_STORAGE_KEY = 'canvasStudentReport.selectedTemplate';
+    // localStorage key for the report filter, sort and column settings
+    const REPORT_SETTINGS_STORAGE_KEY = 'canvasStudentReport.settings';
+    // localStorage key for Canvas sites outside instructure.com that the script should run on
+    const CANVAS_ORIGINS_STORAGE_KEY = 'canvasStudentReport.canvasOrigins';
+    // localStorage key for program definitions: named sets of required and elective courses
+    const PROGRAMS_STORAGE_KEY = 'canvasStudentReport.programs';
+    // IndexedDB database and object store for saved report snapshots, keyed by [userId, savedAt]
+    const SNAPSHOT_DB_NAME = 'canvasStudentReport';
+    const SNAPSHOT_STORE_NAME = 'snapshots';
+    // How long to let the page settle after a DOM change or navigation before re-checking the report buttons
+    const PAGE_CHANGE_DEBOUNCE_MS = 250;
 
-    function getUserIdFromUrl() {
-        const path = window.location.pathname;
-        const match = path.match(/\/users\/(\d+)/);
-        if (match && match[1]) {
-            return match[1];
-        }
-        return null; // Return null if no user ID is found
-    }
+    // Data behind the report currently shown in each modal, keyed by modal ID, used for exports
+    const reportData = {};
+    // The student the single-student report is about, {id, name}, once its modal has been opened
+    let reportStudent = null;
 
     /**
-     * Parses the Link HTTP header to extract pagination URLs.
-     * @param {string} header The Link header string.
-     * @returns {object} An object where keys are rel values (e.g., 'next', 'current')
-     *                   and values are the corresponding URLs.
+     * Sets the student the single-student report is about.
+     * @param {{id: string, name: string}|null} student The student, or null to forget the last one.
      */
-    function parseLinkHeader(header) {
-        if (!header) {
-            return {};
-        }
-        const links = {};
-        const directives = header.split(',');
-
-        directives.forEach(directive => {
-            const parts = directive.split(';');
-            if (parts.length === 0) return;
-
-            const urlPart = parts[0].trim();
-            const urlMatch = urlPart.match(/<(.*)>/);
-            if (!urlMatch || urlMatch.length < 2) return;
-            const url = urlMatch[1];
-
-            let rel = null;
-            for (let i = 1; i < parts.length; i++) {
-                const paramPart = parts[i].trim();
-                // Match rel="value" case insensitively for "rel" and normalize value to lowercase
-                const paramMatch = paramPart.match(/rel="([^"]+)"/i);
-                if (paramMatch && paramMatch.length >= 2) {
-                    rel = paramMatch[1].toLowerCase();
-                    break;
-                }
-            }
-
-            if (rel && url) {
-                links[rel] = url;
-            }
-        });
-        return links;
+    function setReportStudent(student) {
+        reportStudent = student;
     }
 
     /**
-     * Fetches all pages of data from a paginated API endpoint.
-     * @param {string} initialUrl The URL for the first page of data.
-     * @param {object} headers Request headers.
-     * @returns {Promise<Array>} A promise that resolves to an array containing all items from all pages.
+     * Interface text by language. Strings can contain `{placeholders}`; strings that depend on a count
+     * are objects keyed by Intl.PluralRules category ("one", "other", ...) and take a `count` value.
+     * A language only needs the strings that differ from English; anything missing falls back to `en`.
      */
-    async function fetchAllPages(initialUrl, headers) {
-        let results = [];
-        let currentUrl = initialUrl;
-
-        while (currentUrl) {
-            console.log(`Fetching page: ${currentUrl}`);
-            const response = await fetch(currentUrl, { headers });
-
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData}, url: ${currentUrl}`);
-            }
-
-            const pageData = await response.json();
-            if (Array.isArray(pageData)) {
-                results = results.concat(pageData);
-            } else {
-                console.warn('Received non-array pageData. Assuming it is the complete, non-paginated result or a single item page.', pageData);
-                results.push(pageData); // Or handle as appropriate for the API
-                                        // For Canvas list APIs, pageData is expected to be an array.
-            }
-
-            const linkHeader = response.headers.get('Link');
-            if (linkHeader) {
-                const links = parseLinkHeader(linkHeader);
-                currentUrl = links.next; // Get the URL for the next page
-                if (currentUrl) {
-                    console.log(`Next page URL: ${currentUrl}`);
-                } else {
-                    console.log('No next page found (last page processed).');
-                }
-            } else {
-                console.log('No Link header found, assuming no more pages.');
-                currentUrl = null; // No more pages
-            }
+    const MESSAGES = {
+        en: {
+            'common.notAvailable': 'N/A',
+            'common.close': 'Close',
+            'common.error': 'Error: {message}',
+            'count.records': { one: '{count} record', other: '{count} records' },
+            'count.pages': { one: '{count} page', other: '{count} pages' },
+            'count.courses': { one: '{count} course', other: '{count} courses' },
+            'count.students': { one: '{count} student', other: '{count} students' },
+            'count.days': { one: '{count} day', other: '{count} days' },
+            'duration.hoursMinutes': '{hours}h {minutes}m',
+            'duration.minutes': '{minutes}m',
+            'progress.recordsLoaded': '{records} loaded ({pages})',
+            'progress.pageViews': 'Loading page views ({finished} of {total})',
+            'progress.submissions': 'Checking submissions ({finished} of {total})',
+            'progress.retrying': 'Canvas is busy, retrying in {seconds}s...',
+            'columns.name': 'Course Name',
+            'columns.code': 'Course Code / SIS ID',
+            'columns.term': 'Term',
+            'columns.progress': 'Progress',
+            'columns.completed': 'Completed',
+            'columns.currentScore': 'Current Score',
+            'columns.finalScore': 'Final Score',
+            'columns.lastActivity': 'Last Activity',
+            'columns.activityTime': 'Total Activity',
+            'columns.pageViews': 'Page Views',
+            'columns.outstandingWork': 'Missing / Late',
+            'columns.enrollmentState': 'Enrollment State',
+            'columns.student': 'Student',
+            'columns.sisUserId': 'SIS User ID',
+            'settings.title': 'Report settings',
+            'settings.courses': 'Courses',
+            'settings.includeDeleted': 'Include deleted courses',
+            'settings.includeConcluded': 'Include concluded courses',
+            'settings.includeWithoutRequirements': 'Include courses without completion requirements',
+            'settings.term': 'Term',
+            'settings.allTerms': 'All terms',
+            'settings.runningBetween': 'Running between',
+            'settings.runningAnd': 'and',
+            'settings.activity': 'Activity',
+            'settings.inactiveDaysBefore': 'Flag courses with no activity for',
+            'settings.inactiveDaysAfter': 'days (0 turns this off)',
+            'settings.includePageViews': 'Load page views in single-student reports (one extra request per course; applies the next time the report loads)',
+            'settings.sorting': 'Sorting',
+            'settings.sortBy': 'Sort by',
+            'settings.sortDirection': 'Sort direction',
+            'settings.ascending': 'Ascending',
+            'settings.descending': 'Descending',
+            'settings.columns': 'Columns',
+            'settings.column': 'Column',
+            'settings.show': 'Show',
+            'settings.copy': 'Copy',
+            'settings.showColumn': 'Show {column}',
+            'settings.copyColumn': 'Copy {column}',
+            'settings.whenGradesShown': '(when grades are shown)',
+            'settings.studentDetails': 'Student details',
+            'settings.studentDetailsHelp': 'Shown above a student\'s report and included when it is copied, printed or exported. Only tick what is safe to share with the people who will receive the report.',
+            'settings.languageAndDates': 'Language and dates',
+            'settings.locale': 'Language and region',
+            'settings.localeHelp': 'e.g. en-US; leave blank to follow Canvas ({locale})',
+            'settings.timeZone': 'Time zone',
+            'settings.timeZoneHelp': 'e.g. America/New_York; leave blank to follow Canvas ({timeZone})',
+            'settings.dateFormat': 'Date format',
+            'settings.dateFormatLocale': 'Follow the language and region ({example})',
+            'settings.localeNote': 'Changes how dates and numbers are shown. Interface text is only available in English.',
+            'settings.apply': 'Apply',
+            'settings.reset': 'Reset to Defaults',
+            'details.name': 'Full name',
+            'details.sisUserId': 'SIS user ID',
+            'details.loginId': 'Login ID',
+            'details.email': 'Email',
+            'details.account': 'Account',
+            'details.timeZone': 'Time zone',
+            'details.lastLogin': 'Last login',
+            'report.button': 'Student Report',
+            'report.selfButton': 'Progress Report',
+            'report.student': 'Student',
+            'report.studentsLoadError': 'Error loading students: {message}',
+            'report.title': 'Student Report: {name}',
+            'report.defaultStudentName': 'Student',
+            'report.loadingData': 'Loading report data...',
+            'report.loadingEnrolments': 'Loading enrolments...',
+            'report.userIdMissing': 'Error: User ID not found in the URL.',
+            'report.loadError': 'Error loading enrolments: {message}',
+            'report.showGrades': 'Show grades',
+            'report.tabReport': 'Report',
+            'report.tabDashboard': 'Dashboard',
+            'report.tabTimeline': 'Timeline',
+            'report.tabCompare': 'Compare',
+            'report.summary': { one: '{completed} of {count} course completed', other: '{completed} of {count} courses completed' },
+            'report.averageScore': 'average score across completed courses: {score}',
+            'report.inactiveCourses': 'no activity for over {days} in {courses}',
+            'report.noMatchingEnrollments': 'No enrollments found matching the criteria (e.g., courses without progress tracking or defined requirements).',
+            'report.noEnrollments': 'No enrollments found for this user.',
+            'report.couldNotRetrieve': 'Could not retrieve enrollment data. An error might have occurred.',
+            'report.showModules': 'Show module requirements',
+            'modules.loading': 'Loading modules...',
+            'modules.loadError': 'Error loading modules: {message}',
+            'modules.none': 'No module items with completion requirements found.',
+            'modules.missing': 'Missing',
+            'modules.locked': 'Locked',
+            'modules.done': 'Done',
+            'modules.mustView': 'View',
+            'modules.mustSubmit': 'Submit',
+            'modules.mustContribute': 'Contribute',
+            'modules.mustMarkDone': 'Mark as done',
+            'modules.minScore': 'Score at least {score}',
+            'modules.minPercentage': 'Score at least {percentage}',
+            'dashboard.overall': 'Overall completion',
+            'dashboard.donutCaption': '{completed} of {count}',
+            'dashboard.courseProgress': 'Progress by course',
+            'dashboard.pace': 'Courses completed over time',
+            'dashboard.noCourses': 'No courses with completion requirements.',
+            'dashboard.noCompletions': 'No courses completed yet.',
+            'dashboard.notLoaded': 'The report has not loaded yet.',
+            'programs.heading': 'Programs',
+            'programs.progress': '{met} of {total} requirements met',
+            'programs.complete': 'Complete ({met} of {total} requirements met)',
+            'programs.requiredCourse': '{name}: {status}',
+            'programs.inProgress': 'enrolled, not yet completed',
+            'programs.notEnrolled': 'not enrolled',
+            'programs.electivesNeeded': { one: '{count} more elective to complete', other: '{count} more electives to complete' },
+            'programs.title': 'Programs',
+            'programs.program': 'Program',
+            'programs.new': 'New program',
+            'programs.name': 'Name',
+            'programs.required': 'Required courses (one per line)',
+            'programs.electives': 'Elective courses (one per line)',
+            'programs.electivesRequired': 'Electives needed',
+            'programs.patternHelp': 'Match courses by SIS course ID or course code. * matches anything, e.g. MATH1*.',
+            'programs.save': 'Save Program',
+            'programs.delete': 'Delete Program',
+            'programs.confirmDelete': 'Delete this program?',
+            'programs.export': 'Export JSON',
+            'programs.import': 'Import JSON',
+            'programs.nameRequired': 'Enter a name for the program.',
+            'programs.saved': 'Saved {name}.',
+            'programs.notAList': 'The file should contain a list of programs.',
+            'programs.imported': { one: 'Imported {count} program ({skipped} skipped).', other: 'Imported {count} programs ({skipped} skipped).' },
+            'programs.importError': 'Could not import programs: {message}',
+            'timeline.loading': 'Loading enrolment history...',
+            'timeline.loadError': 'Error loading enrolment history: {message}',
+            'timeline.none': 'No enrollment history found for this user.',
+            'timeline.date': 'Date',
+            'timeline.course': 'Course',
+            'timeline.section': 'Section',
+            'timeline.event': 'Event',
+            'timeline.currentState': 'Current State',
+            'timeline.unknownCourse': 'Course {id}',
+            'timeline.unknownSection': 'Section {id}',
+            'timeline.enrolledAs': 'Enrolled as {role}',
+            'timeline.startDate': 'Enrollment start date',
+            'timeline.endDate': 'Enrollment end date',
+            'timeline.concluded': 'Enrollment concluded',
+            'timeline.deactivated': 'Enrollment deactivated (last update)',
+            'timeline.deleted': 'Enrollment deleted (last update)',
+            'timeline.completedRequirements': 'Completed all module requirements',
+            'snapshots.save': 'Save Snapshot',
+            'snapshots.saved': 'Snapshot Saved',
+            'snapshots.saveFailed': 'Save Failed',
+            'snapshots.savedAnnouncement': 'Snapshot saved.',
+            'snapshots.unavailable': 'Snapshots can\'t be saved in this browser.',
+            'snapshots.compareWith': 'Compare with',
+            'snapshots.option': '{date} {time} ({courses})',
+            'snapshots.delete': 'Delete Snapshot',
+            'snapshots.confirmDelete': 'Delete this snapshot?',
+            'snapshots.none': 'No snapshots saved for this student yet. Use Save Snapshot once the report has loaded, then come back here after the next check-in.',
+            'snapshots.waitForReport': 'The report is still loading.',
+            'snapshots.loadError': 'Error loading snapshots: {message}',
+            'snapshots.noChanges': 'Nothing has changed since {date}.',
+            'snapshots.changeSummary': 'Since {date}: {changes}.',
+            'snapshots.countCompleted': { one: '{count} course newly completed', other: '{count} courses newly completed' },
+            'snapshots.countProgress': { one: '{count} course with progress changes', other: '{count} courses with progress changes' },
+            'snapshots.countAdded': { one: '{count} new enrollment', other: '{count} new enrollments' },
+            'snapshots.countDropped': { one: '{count} enrollment dropped', other: '{count} enrollments dropped' },
+            'snapshots.countState': { one: '{count} state change', other: '{count} state changes' },
+            'snapshots.course': 'Course',
+            'snapshots.change': 'Change',
+            'snapshots.progress': 'Progress',
+            'snapshots.state': 'Enrollment State',
+            'snapshots.added': 'New enrollment',
+            'snapshots.dropped': 'No longer enrolled',
+            'snapshots.completed': 'Completed',
+            'snapshots.progressChanged': 'Progress changed',
+            'snapshots.stateChanged': 'State changed',
+            'snapshots.fromTo': '{from} → {to}',
+            'a11y.comparisonLoaded': 'Comparison loaded. {summary}',
+            'outstanding.title': 'Missing and Late Work',
+            'outstanding.none': 'No missing or late submissions in active courses.',
+            'outstanding.assignment': 'Assignment',
+            'outstanding.course': 'Course',
+            'outstanding.due': 'Due',
+            'outstanding.daysOverdue': 'Days Overdue',
+            'outstanding.status': 'Status',
+            'outstanding.unknownAssignment': 'Assignment {id}',
+            'outstanding.Missing': 'Missing',
+            'outstanding.Late': 'Late',
+            'copy.button': 'Copy Report',
+            'copy.copied': 'Copied!',
+            'copy.failed': 'Copy Failed',
+            'copy.nothing': 'Nothing to Copy',
+            'copy.unavailable': 'Clipboard access is not available or denied in this browser.',
+            'copy.error': 'Failed to copy report: {message}. Your browser might not fully support this feature or permissions could be denied.',
+            'export.csv': 'Download CSV',
+            'export.xlsx': 'Download XLSX',
+            'export.nothing': 'Nothing to Export',
+            'export.noMatchingEnrollments': 'No enrollments matching the criteria',
+            'exportColumns.student': 'Student',
+            'exportColumns.sisUserId': 'SIS User ID',
+            'exportColumns.courseName': 'Course Name',
+            'exportColumns.courseCode': 'Course Code',
+            'exportColumns.sisCourseId': 'SIS Course ID',
+            'exportColumns.requirementsCompleted': 'Requirements Completed',
+            'exportColumns.requirementCount': 'Requirement Count',
+            'exportColumns.completed': 'Completed',
+            'exportColumns.completedAt': 'Completed At (ISO)',
+            'exportColumns.currentScore': 'Current Score',
+            'exportColumns.currentGrade': 'Current Grade',
+            'exportColumns.finalScore': 'Final Score',
+            'exportColumns.finalGrade': 'Final Grade',
+            'exportColumns.lastActivityAt': 'Last Activity At (ISO)',
+            'exportColumns.totalActivityMinutes': 'Total Activity (minutes)',
+            'exportColumns.pageViews': 'Page Views',
+            'exportColumns.missingSubmissions': 'Missing Submissions',
+            'exportColumns.lateSubmissions': 'Late Submissions',
+            'exportColumns.enrollmentState': 'Enrollment State',
+            'exportColumns.loginId': 'Login ID',
+            'exportColumns.email': 'Email',
+            'exportColumns.account': 'Account',
+            'exportColumns.timeZone': 'Time Zone',
+            'exportColumns.lastLogin': 'Last Login (ISO)',
+            'templates.picker': 'Copy template',
+            'templates.title': 'Copy templates',
+            'templates.template': 'Template',
+            'templates.standard': 'Standard',
+            'templates.new': 'New template',
+            'templates.untitled': 'Untitled template',
+            'templates.name': 'Name',
+            'templates.heading': 'Heading',
+            'templates.introduction': 'Introduction',
+            'templates.summary': 'Summary',
+            'templates.closing': 'Closing',
+            'templates.placeholders': 'Placeholders: {list}.',
+            'templates.sections': 'Sections',
+            'templates.includeStudentDetails': 'Student details',
+            'templates.includeSummary': 'Summary',
+            'templates.includeTable': 'Course table',
+            'templates.includeOutstandingWork': 'Missing and late work',
+            'templates.includeDashboard': 'Dashboard charts',
+            'templates.includePrograms': 'Program progress',
+            'templates.columns': 'Columns (none ticked uses the Copy columns from Report settings)',
+            'templates.styling': 'Styling',
+            'templates.fontFamily': 'Font',
+            'templates.fontSize': 'Table font size',
+            'templates.headerBackground': 'Header colour',
+            'templates.stripeBackground': 'Stripe colour',
+            'templates.borderColor': 'Border colour',
+            'templates.save': 'Save Template',
+            'templates.delete': 'Delete Template',
+            'templates.confirmDelete': 'Delete this template?',
+            'templates.placeholder.title': 'the report title',
+            'templates.placeholder.summary': 'the on-screen summary',
+            'templates.placeholder.studentName': 'student name',
+            'templates.placeholder.sisId': 'SIS user ID',
+            'templates.placeholder.loginId': 'login ID',
+            'templates.placeholder.date': 'today\'s date',
+            'templates.placeholder.completed': 'courses completed',
+            'templates.placeholder.total': 'courses with requirements',
+            'templates.placeholder.remaining': 'courses not yet completed',
+            'templates.placeholder.missing': 'missing submissions',
+            'templates.placeholder.late': 'late submissions',
+            'templates.placeholder.studentCount': 'students in the report',
+            'print.button': 'Print / Save as PDF',
+            'print.popupBlocked': 'Could not open the print window. Please allow popups for this site.',
+            'print.heading': 'Student Progress Report',
+            'print.generated': 'Generated',
+            'print.settings': 'Print settings',
+            'print.institutionName': 'Institution name',
+            'print.logoUrl': 'Logo URL',
+            'print.signatoryName': 'Signatory name',
+            'print.signatoryTitle': 'Signatory title',
+            'print.signatureNote': 'Note above signature',
+            'print.save': 'Save Print Settings',
+            'print.saved': 'Saved',
+            'send.button': 'Send to Student',
+            'send.title': 'Send the report as a Canvas message',
+            'send.subject': 'Subject',
+            'send.defaultSubject': 'Progress report: {name}',
+            'send.intro': 'Introduction',
+            'send.defaultIntro': 'Hi {name}, here is your latest progress report.',
+            'send.cc': 'Copy to',
+            'send.loadingObservers': 'Loading observers...',
+            'send.noObservers': 'This student has no observers.',
+            'send.observersError': 'Could not load observers: {message}',
+            'send.otherRecipients': 'Other Canvas user IDs, such as advisors (separated by commas)',
+            'send.invalidRecipients': 'Not a Canvas user ID: {ids}',
+            'send.preview': 'Preview',
+            'send.send': 'Send Message',
+            'send.cancel': 'Cancel',
+            'send.notLoaded': 'The report has not loaded yet.',
+            'send.subjectRequired': 'Enter a subject.',
+            'send.confirm': 'Send this report to {name} as a Canvas message?',
+            'send.confirmCopied': {
+                one: 'Send this report to {name} as a Canvas message, copied to {count} other person?',
+                other: 'Send this report to {name} as a Canvas message, copied to {count} other people?'
+            },
+            'send.sending': 'Sending...',
+            'send.sent': 'Message sent.',
+            'send.failed': 'Could not send the message: {message}',
+            'bulk.button': 'Bulk Student Report',
+            'bulk.title': 'Bulk Student Report',
+            'bulk.reportOn': 'Report on',
+            'bulk.section': 'Students in this section',
+            'bulk.account': 'Students in this account and its sub-accounts',
+            'bulk.sis': 'Pasted SIS user IDs',
+            'bulk.sisPlaceholder': 'One SIS user ID per line',
+            'bulk.run': 'Run Report',
+            'bulk.enterSisIds': 'Enter at least one SIS user ID.',
+            'bulk.loadingStudents': 'Loading students...',
+            'bulk.progress': 'Processed {finished} of {total}...',
+            'bulk.cancelled': 'Report cancelled.',
+            'bulk.loadError': 'Error loading students: {message}',
+            'bulk.userNotFound': 'User not found',
+            'bulk.unnamedUser': 'User {id}',
+            'bulk.summary': '{students}: {courses}',
+            'bulk.inactiveStudents': '{students} with no activity for over {days} in a course',
+            'bulk.failedStudents': '({students} could not be loaded)',
+            'bulk.noStudents': 'No students found.',
+            'bulk.noMatchingEnrollments': 'No enrollments matching the criteria',
+            'sites.prompt': 'This looks like a Canvas site. Enable the Student Report on {site}?',
+            'sites.enable': 'Enable',
+            'sites.dismiss': 'Not now',
+            'a11y.reportLoaded': 'Report loaded. {summary}',
+            'a11y.timelineLoaded': 'Enrolment history loaded.',
+            'a11y.reportViews': 'Report views',
+            'a11y.studentChosen': 'Loading the report for {name}.',
+            'export.downloaded': 'Downloaded {fileName}'
         }
-        return results;
+    };
+
+    /**
+     * Escapes text for use in HTML, as element content or a quoted attribute value.
+     * Everything from Canvas or typed into a settings form goes through this before it reaches innerHTML.
+     * @param {*} value The text; other values are converted to strings.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
-     * Formats an ISO date string to DD/MM/YYYY format.
-     * @param {string} dateString The ISO date string (e.g., "2024-09-27T06:01:07Z").
-     * @returns {string} The formatted date string "DD/MM/YYYY" or "N/A" if invalid.
+     * Checks a URL from Canvas before it is used in a link or image, so a `javascript:` (or other) URL can't run.
+     * @param {string} url The URL, absolute or relative to the Canvas domain.
+     * @returns {string} The absolute URL if it is http or https, otherwise "#".
      */
-    function formatDate(dateString) {
-        if (!dateString) {
-            return 'N/A';
-        }
+    function safeUrl(url) {
         try {
-            const date = new Date(dateString);
-            const day = String(date.getDate()).padStart(2, '0');
-            const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-            const year = date.getFullYear();
-            return `${day}/${month}/${year}`;
-        } catch (error) {
-            return 'N/A'; // Return N/A if date parsing fails
+            const parsed = new URL(url, domain);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : '#';
+        } catch (e) {
+            return '#';
         }
     }
 
@@ -158,6 +454,7 @@
         const originalButtonText = buttonElement ? buttonElement.innerText : '';
         const setButtonFeedback = (text, duration = 2000) => {
             if (buttonElement) {
+                announce(buttonElement.closest('.k-modal'), text);
                 buttonElement.disabled = true;
                 buttonElement.innerText = text;
                 setTimeout(() => {
@@ -169,8 +466,8 @@
 
         if (!navigator.clipboard) {
             console.warn('Clipboard API not available.');
-            setButtonFeedback('Copy Failed');
-            alert('Clipboard access is not available or denied in this browser.');
+            setButtonFeedback(t('copy.failed'));
+            alert(t('copy.unavailable'));
             return false;
         }
 
@@ -185,37 +482,72 @@
             });
             await navigator.clipboard.write([item]);
             console.log('Report copied to clipboard (HTML & plain text).');
-            setButtonFeedback('Copied!');
+            setButtonFeedback(t('copy.copied'));
             return true;
         } catch (err) {
             console.error('Failed to copy report using ClipboardItem: ', err);
-            setButtonFeedback('Copy Failed');
-            alert(`Failed to copy report: ${err.message}. Your browser might not fully support this feature or permissions could be denied.`);
+            setButtonFeedback(t('copy.failed'));
+            alert(t('copy.error', { message: err.message }));
             return false;
         }
     }
 
-    async function fetchAndDisplayEnrollments(userId) {
-        const modalBody = document.querySelector('#student-report-modal .k-modal-body');
-        if (!modalBody) {
-            console.error('Modal body not found.');
-            return;
+    /**
+     * Safely reads a possibly missing value, substituting a default for null, undefined or empty strings.
+     * @param {Function} fn A function returning the value to read.
+     * @param {*} [defaultValue='N/A'] The value to use when the read fails or is empty.
+     * @returns {*} The value or the default.
+     */
+    function getSafe(fn, defaultValue = t('common.notAvailable')) {
+        try {
+            const value = fn();
+            return (value === null || typeof value === 'undefined' || value === '') ? defaultValue : value;
+        } catch (e) {
+            return defaultValue;
         }
+    }
 
-        modalBody.innerHTML = '<p>Loading enrolments...</p>'; // Show loading message
+    /**
+     * Runs an async worker over a list of items with at most `limit` running at once.
+     * @param {Array} items The items to process.
+     * @param {number} limit The maximum number of workers running at the same time.
+     * @param {Function} worker An async function called with each item and its index.
+     * @param {Function} [onProgress] Called with the number of finished items after each one completes.
+     * @returns {Promise<Array>} A promise that resolves to the worker results, in item order.
+     */
+    async function runWithConcurrency(items, limit, worker, onProgress) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let finished = 0;
 
-        if (!userId) {
-            modalBody.innerHTML = '<p>Error: User ID not found in the URL.</p>';
-            console.error('User ID not found in URL.');
-            return;
-        }
+        const runNext = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index], index);
+                finished++;
+                if (onProgress) onProgress(finished);
+            }
+        };
 
-        console.log(`Fetching enrollments for user ID: ${userId}`);
+        const runners = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            runners.push(runNext());
+        }
+        await Promise.all(runners);
+        return results;
+    }
 
+    /**
+     * Fetches all of a user's courses with progress, in every state; filtering happens in summariseCourses.
+     * @param {string} userId The Canvas user ID (or an ID reference such as "sis_user_id:123").
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<Array>} A promise that resolves to the user's courses.
+     */
+    async function fetchUserCourses(userId, options = {}) {
         const baseEndpoint = `${domain}/api/v1/users/${userId}/courses`;
 
         // Define the parameter values
-        const includeValues = ['course_progress', 'sections', 'concluded'];
+        const includeValues = ['course_progress', 'sections', 'concluded', 'total_scores', 'term'];
         const stateValues = ['available', 'completed', 'deleted'];
 
         // Construct URLSearchParams
@@ -229,361 +561,4686 @@
 
         console.log(`Initial API URL for enrollments: ${initialUrl}`);
 
-        try {
-            const headers = {
-                'Content-Type': 'application/json'
-                // Authorization handled by cookies as user will be already logged in.
-            };
-            const allEnrollments = await fetchAllPages(initialUrl, headers);
+        const headers = {
+            'Content-Type': 'application/json'
+            // Authorization handled by cookies as user will be already logged in.
+        };
+        const allEnrollments = await fetchAllPages(initialUrl, headers, options);
 
-            console.log('All enrollments data:', allEnrollments);
+        console.log('All enrollments data:', allEnrollments);
+        return allEnrollments;
+    }
 
-            // Sort enrollments: oldest completed_at first, then newest, then nulls
-            if (allEnrollments && allEnrollments.length > 0) {
-                allEnrollments.sort((a, b) => {
-                    const dateA = a.course_progress ? a.course_progress.completed_at : null;
-                    const dateB = b.course_progress ? b.course_progress.completed_at : null;
+    /**
+     * Checks whether a course tracks progress, i.e. has completion requirements.
+     * @param {object} course A course from fetchUserCourses.
+     * @returns {boolean}
+     */
+    function hasCompletionRequirements(course) {
+        return Boolean(course.course_progress && course.course_progress.requirement_count != null);
+    }
 
-                    if (dateA === null && dateB === null) return 0; // both null, keep original order relative to each other
-                    if (dateA === null) return 1; // A is null, B is not, so B comes first (A goes to end)
-                    if (dateB === null) return -1; // B is null, A is not, so A comes first (B goes to end)
+    /**
+     * Works out the period a course runs for, falling back to its term's dates.
+     * @param {object} course A course from fetchUserCourses (with the `term` include).
+     * @returns {{start: Date|null, end: Date|null}}
+     */
+    function getCourseDates(course) {
+        const start = course.start_at || getSafe(() => course.term.start_at, null);
+        const end = course.end_at || getSafe(() => course.term.end_at, null);
+        return {
+            start: start ? new Date(start) : null,
+            end: end ? new Date(end) : null
+        };
+    }
 
-                    // Both are valid dates, sort ascending (oldest first)
-                    return new Date(dateA) - new Date(dateB);
-                });
-            }
+    /**
+     * Applies the report settings' filters to a user's courses.
+     * @param {Array} courses Courses from fetchUserCourses.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {Array} The courses that pass every filter.
+     */
+    function filterCourses(courses, settings) {
+        const rangeStart = settings.dateFrom ? new Date(`${settings.dateFrom}T00:00:00`) : null;
+        const rangeEnd = settings.dateTo ? new Date(`${settings.dateTo}T23:59:59`) : null;
 
-            // Filter out enrollments where course_progress is null or requirement_count is null
-            const filteredEnrollments = allEnrollments ? allEnrollments.filter(enrollment =>
-                enrollment.course_progress && enrollment.course_progress.requirement_count != null) : [];
+        return courses.filter(course => {
+            if (!settings.includeDeleted && course.workflow_state === 'deleted') return false;
+            if (!settings.includeConcluded && (course.concluded || course.workflow_state === 'completed')) return false;
+            if (!settings.includeWithoutRequirements && !hasCompletionRequirements(course)) return false;
+            if (settings.termId && String(getSafe(() => course.term.id, '')) !== settings.termId) return false;
 
-            // Calculate completedCourses and totalCourses
-            const totalCourses = filteredEnrollments.length;
-            let completedCourses = 0;
-            if (totalCourses > 0) {
-                filteredEnrollments.forEach(enrollment => {
-                    // The filter ensures enrollment.course_progress exists and
-                    // enrollment.course_progress.requirement_count is not null.
-                    const reqCompletedCount = enrollment.course_progress.requirement_completed_count;
-                    const reqCount = enrollment.course_progress.requirement_count;
-
-                    // We also need to ensure requirement_completed_count is not null for a valid comparison.
-                    if (reqCompletedCount != null && reqCompletedCount === reqCount) {
-                        completedCourses++;
-                    }
-                });
-            }
+            // Keep courses whose dates overlap the range; undated courses can't be ruled out, so keep them too
+            const { start, end } = getCourseDates(course);
+            if (rangeStart && end && end < rangeStart) return false;
+            if (rangeEnd && start && start > rangeEnd) return false;
+            return true;
+        });
+    }
 
-            const summaryMessage = `${completedCourses} courses out of ${totalCourses} completed`;
-            const summaryHtml = `<p class="enrollment-summary"><strong>${summaryMessage}</strong></p>`;
+    /**
+     * Sorts courses by a report column. Courses without a value always go last, in their original order.
+     * @param {Array} courses The courses to sort (not modified).
+     * @param {string} columnKey The key of a REPORT_COLUMNS entry.
+     * @param {string} direction Either 'asc' or 'desc'.
+     * @returns {Array} A sorted copy.
+     */
+    function sortCourses(courses, columnKey, direction) {
+        const column = REPORT_COLUMNS.find(col => col.key === columnKey) || REPORT_COLUMNS.find(col => col.key === 'completed');
+        const multiplier = direction === 'desc' ? -1 : 1;
 
-            if (allEnrollments) { // True if fetch was successful and allEnrollments is an array (possibly empty)
-                const getSafe = (fn, defaultValue = 'N/A') => {
-                    try {
-                        const value = fn();
-                        return (value === null || typeof value === 'undefined' || value === '') ? defaultValue : value;
-                    } catch (e) {
-                        return defaultValue;
-                    }
-                };
+        return courses.slice().sort((a, b) => {
+            const valueA = getSafe(() => column.sortValue(a), null);
+            const valueB = getSafe(() => column.sortValue(b), null);
 
-                let finalModalContent = summaryHtml;
-
-                if (filteredEnrollments.length > 0) {
-                    let tablePortionHtml = `
-                    <style>
-                        #student-report-modal .enrollment-summary { margin-bottom: 15px; }
-                        #student-report-modal table {
-                            width: 100%;
-                            border-collapse: collapse;
-                            margin-top: 10px;
-                            font-size: 12px; /* Smaller font for better data fit */
-                        }
-                        #student-report-modal th, #student-report-modal td {
-                            border: 1px solid #ccc; /* Lighter border */
-                            padding: 6px; /* Slightly less padding */
-                            text-align: left;
-                            vertical-align: top; /* Align content to top */
-                            word-break: break-word; /* Break long words/strings */
-                        }
-                        #student-report-modal th {
-                            background-color: #f0f0f0; /* Lighter header background */
-                            font-weight: bold;
-                        }
-                        #student-report-modal tr:nth-child(even) {
-                            background-color: #f9f9f9; /* Zebra striping for rows */
-                        }
-                        #student-report-modal th:first-child,
-                        #student-report-modal td:first-child {
-                            width: 25%; /* Set a specific width for the Course Name column */
-                        }
-                    </style>
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Course Name</th>
-                                    <th>Course Code / SIS ID</th>
-                                    <th>Progress</th>
-                                    <th>Completed</th>
-                                    <th>Enrollment State</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                    `;
-
-                    filteredEnrollments.forEach(enrollment => {
-                        // Filter ensures enrollment.course_progress is truthy.
-                        tablePortionHtml += `
-                            <tr>
-                                <td>${getSafe(() => enrollment.name)}</td>
-                                <td>${getSafe(() => enrollment.course_code)} / ${getSafe(() => enrollment.sis_course_id)}</td>
-                                <td>${getSafe(() => enrollment.course_progress.requirement_completed_count)} / ${getSafe(() => enrollment.course_progress.requirement_count)}</td>
-                                <td>${formatDate(getSafe(() => enrollment.course_progress ? enrollment.course_progress.completed_at : null, null))}</td>
-                                <td>${getSafe(() => enrollment.enrollments && enrollment.enrollments.length > 0 ? enrollment.enrollments[0].enrollment_state : null)}</td>
-                            </tr>
-                        `;
-                    });
-                    tablePortionHtml += `
-                        </tbody>
-                    </table>
-                `;
-                    finalModalContent += tablePortionHtml;
-                    modalBody.innerHTML = finalModalContent;
-                } else {
-                    finalModalContent += (allEnrollments.length > 0) ?
-                        '<p>No enrollments found matching the criteria (e.g., courses without progress tracking or defined requirements).</p>' :
-                        '<p>No enrollments found for this user.</p>';
-                    modalBody.innerHTML = finalModalContent;
-                }
-            } else {
-                modalBody.innerHTML = '<p>Could not retrieve enrollment data. An error might have occurred.</p>';
-            }
-        } catch (error) {
-            console.error('Error fetching enrollments:', error);
-            modalBody.innerHTML = `<p>Error loading enrolments: ${error.message}</p>`;
-        }
+            if (valueA === null && valueB === null) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+
+            const comparison = typeof valueA === 'string' ?
+                valueA.localeCompare(valueB, undefined, { sensitivity: 'base' }) :
+                valueA - valueB;
+            return comparison * multiplier;
+        });
     }
 
     /**
-     * Handles the click event for the "Copy Report" button.
-     * Gathers report content and copies it to the clipboard.
-     * @param {Event} event The click event.
+     * Filters and sorts a user's courses per the report settings and counts completions.
+     * Only courses with completion requirements count towards the totals.
+     * @param {Array} allEnrollments The user's courses, as returned by fetchUserCourses.
+     * @param {object} [settings] Report settings; defaults to the saved ones.
+     * @returns {{filteredEnrollments: Array, completedCourses: number, totalCourses: number}}
      */
-    async function handleCopyReportClick(event) {
-        const buttonElement = event.currentTarget;
-        const modal = document.getElementById('student-report-modal');
-        if (!modal) {
-            console.error('Modal not found for copying.');
-            return;
-        }
+    function summariseCourses(allEnrollments, settings = loadReportSettings()) {
+        const filteredEnrollments = allEnrollments ?
+            sortCourses(filterCourses(allEnrollments, settings), settings.sortColumn, settings.sortDirection) : [];
 
-        const titleElement = modal.querySelector('.k-modal-title');
-        const bodyElement = modal.querySelector('.k-modal-body');
+        // Calculate completedCourses and totalCourses
+        const trackedCourses = filteredEnrollments.filter(hasCompletionRequirements);
+        const totalCourses = trackedCourses.length;
+        const completedCourses = trackedCourses.filter(isCourseCompleted).length;
+        return { filteredEnrollments, completedCourses, totalCourses };
+    }
 
-        if (!titleElement || !bodyElement) {
-            console.error('Modal title or body not found for copying.');
-            return;
-        }
+    /**
+     * Checks whether every completion requirement in a course has been met.
+     * @param {object} course A course with `course_progress`.
+     * @returns {boolean} True if the course is complete.
+     */
+    function isCourseCompleted(course) {
+        if (!course.course_progress || course.course_progress.requirement_count == null) return false;
+        const reqCompletedCount = course.course_progress.requirement_completed_count;
+        const reqCount = course.course_progress.requirement_count;
 
+        // We also need to ensure requirement_completed_count is not null for a valid comparison.
+        return reqCompletedCount != null && reqCompletedCount === reqCount;
+    }
 
-        let htmlToCopy = '';
+    /**
+     * Finds the student enrollment (which carries the grades) among a course's enrollments.
+     * @param {object} course A course from fetchUserCourses.
+     * @returns {object|null} The enrollment, or null if the course has none.
+     */
+    function getStudentEnrollment(course) {
+        if (!course.enrollments || course.enrollments.length === 0) return null;
+        return course.enrollments.find(enrollment => enrollment.type === 'student') || course.enrollments[0];
+    }
 
-        if (titleElement) {
-            htmlToCopy += `<h2>${titleElement.innerText}</h2>\n`;
+    /**
+     * Adds a student's activity to each of their courses as `course.activity`: last activity and total
+     * activity time from their enrollments and, if enabled, page views from course analytics.
+     * Bulk reports leave page views out, since they would cost a request per course for every student.
+     * Analytics can be turned off for a course, so a failed page view lookup leaves that course's count empty,
+     * and if enrollments can't be read the courses are left without `activity`.
+     * @param {string} userId The Canvas user ID.
+     * @param {Array} courses Courses from fetchUserCourses; modified in place.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages, and `includePageViews`
+     *                           to override the report setting.
+     * @returns {Promise<void>}
+     */
+    async function attachCourseActivity(userId, courses, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        let enrollments;
+        try {
+            enrollments = await fetchUserEnrollments(userId, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // Activity is supplementary, so report without it rather than failing
+            console.warn(`Activity unavailable for user ${userId}:`, error);
+            return;
         }
 
-        const summaryElement = bodyElement.querySelector('.enrollment-summary');
-        if (summaryElement) {
-            htmlToCopy += summaryElement.outerHTML + '\n';
-        }
+        courses.forEach(course => {
+            const studentEnrollments = enrollments.filter(enrollment =>
+                String(enrollment.course_id) === String(course.id) && enrollment.type === 'StudentEnrollment');
+            const lastActivityAt = studentEnrollments
+                .map(enrollment => enrollment.last_activity_at)
+                .filter(date => date)
+                .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+            const totalActivityTime = studentEnrollments.length > 0 ?
+                studentEnrollments.reduce((total, enrollment) => total + (enrollment.total_activity_time || 0), 0) : null;
 
-        const tableElement = bodyElement.querySelector('table');
+            course.activity = { lastActivityAt, totalActivityTime, pageViews: null };
+        });
 
-        if (tableElement) {
-            // Clone the table to modify it for copying without affecting the displayed table
-            const clonedTable = tableElement.cloneNode(true);
+        const includePageViews = 'includePageViews' in options ? options.includePageViews : loadReportSettings().includePageViews;
+        if (!includePageViews) return;
 
-            // Copied data removes the "Enrollment State" column (5th column, index 4)
-            const headerRow = clonedTable.querySelector('thead tr');
-            if (headerRow && headerRow.children.length > 4) {
-                headerRow.children[4].remove(); // Remove 5th th
+        const analyticsCourses = courses.filter(course => course.workflow_state !== 'deleted');
+        await runWithConcurrency(analyticsCourses, BULK_REPORT_CONCURRENCY, async course => {
+            try {
+                const activity = await fetchJson(`${domain}/api/v1/courses/${course.id}/analytics/users/${userId}/activity`, headers, { signal: options.signal });
+                course.activity.pageViews = Object.values(activity.page_views || {}).reduce((total, count) => total + count, 0);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Page views unavailable for course ${course.id}:`, error);
             }
+        }, finished => {
+            if (options.onProgress) options.onProgress(t('progress.pageViews', { finished, total: t('count.courses', { count: analyticsCourses.length }) }));
+        });
+    }
 
-            const bodyRows = clonedTable.querySelectorAll('tbody tr');
-            bodyRows.forEach(row => {
-                if (row.children.length > 4) {
-                    row.children[4].remove(); // Remove 5th td from each row
-                }
-            });
+    /**
+     * Checks whether a student has gone quiet in a course they still need to finish.
+     * @param {object} course A course with `activity` attached by attachCourseActivity.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {boolean} True if the course should be flagged.
+     */
+    function isCourseInactive(course, settings) {
+        if (!settings.inactiveDays || !course.activity || isCourseCompleted(course)) return false;
+        const state = getSafe(() => course.enrollments[0].enrollment_state, null);
+        if (state && state !== 'active') return false; // Only current enrollments are expected to show activity
 
-            // Apply inline styles to the cloned table
-            clonedTable.style.width = '100%';
-            clonedTable.style.borderCollapse = 'collapse';
-            clonedTable.style.marginTop = '10px';
-            clonedTable.style.fontSize = '12px';
-            clonedTable.style.border = '1px solid #ccc'; // Add border to the table itself for some clients
-
-            const cells = clonedTable.querySelectorAll('th, td');
-            cells.forEach(cell => {
-                cell.style.border = '1px solid #ccc';
-                cell.style.padding = '6px';
-                cell.style.textAlign = 'left';
-                cell.style.verticalAlign = 'top';
-                cell.style.wordBreak = 'break-word';
-            });
+        const lastActivityAt = course.activity.lastActivityAt;
+        if (!lastActivityAt) return true;
+        return Date.now() - new Date(lastActivityAt).getTime() > settings.inactiveDays * 24 * 60 * 60 * 1000;
+    }
 
-            const thCells = clonedTable.querySelectorAll('th');
-            thCells.forEach(th => {
-                th.style.backgroundColor = '#f0f0f0';
-                th.style.fontWeight = 'bold';
-            });
+    /**
+     * Averages the final scores of completed courses that have one.
+     * @param {Array} courses Courses from summariseCourses.
+     * @returns {number|null} The average percentage, or null if no completed course has a score.
+     */
+    function getAverageCompletedScore(courses) {
+        const scores = courses
+            .filter(isCourseCompleted)
+            .map(course => getSafe(() => getStudentEnrollment(course).computed_final_score, null))
+            .filter(score => score !== null);
+        if (scores.length === 0) return null;
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
 
-            const tbodyRows = clonedTable.querySelectorAll('tbody tr');
-            tbodyRows.forEach((row, index) => {
-                if (index % 2 === 1) {
-                    row.style.backgroundColor = '#f9f9f9';
-                }
-            });
+    /**
+     * Fetches every enrollment a user has had, in any state, including ones that have since ended.
+     * @param {string} userId The Canvas user ID.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<Array>} A promise that resolves to the user's enrollments.
+     */
+    async function fetchUserEnrollments(userId, options = {}) {
+        const queryParams = new URLSearchParams();
+        queryParams.append('per_page', '100');
+        ['active', 'invited', 'creation_pending', 'inactive', 'completed', 'rejected', 'deleted']
+            .forEach(state => queryParams.append('state[]', state));
 
-            // Set width for the first column cells (Course Name after Enrollment State is removed)
-            const firstColumnHeader = clonedTable.querySelector('thead tr th:first-child');
-            if (firstColumnHeader) firstColumnHeader.style.width = '25%';
-            tbodyRows.forEach(row => {
-                const firstCell = row.querySelector('td:first-child');
-                if (firstCell) firstCell.style.width = '25%';
-            });
+        return fetchAllPages(`${domain}/api/v1/users/${userId}/enrollments?${queryParams.toString()}`, {
+            'Content-Type': 'application/json'
+        }, options);
+    }
 
-            htmlToCopy += clonedTable.outerHTML;
-        } else {
-            // If no table, copy other message paragraphs from the body (excluding summary, already added)
-            const messageParagraphs = Array.from(bodyElement.querySelectorAll(':scope > p:not(.enrollment-summary)'));
-            messageParagraphs.forEach(p => {
-                htmlToCopy += p.outerHTML + '\n';
-            });
+    /**
+     * Columns of the on-screen report table, headed by their `columns.<key>` message. `render` returns a cell's HTML, escaped;
+     * `sortValue` returns a string or number to sort by, or null for "no value". Grade columns only show while grades are shown.
+     */
+    const REPORT_COLUMNS = [
+        {
+            key: 'name',
+            render: course => escapeHtml(getSafe(() => course.name)),
+            sortValue: course => course.name || null
+        },
+        {
+            key: 'code',
+            render: course => escapeHtml(`${getSafe(() => course.course_code)} / ${getSafe(() => course.sis_course_id)}`),
+            sortValue: course => course.course_code || null
+        },
+        {
+            key: 'term',
+            render: course => escapeHtml(getSafe(() => course.term.name)),
+            sortValue: course => (getSafe(() => course.term.start_at, null) ? new Date(course.term.start_at).getTime() : null)
+        },
+        {
+            key: 'progress',
+            render: course => escapeHtml(`${getSafe(() => course.course_progress.requirement_completed_count)} / ${getSafe(() => course.course_progress.requirement_count)}`),
+            sortValue: course => (hasCompletionRequirements(course) && course.course_progress.requirement_count > 0 ?
+                (course.course_progress.requirement_completed_count || 0) / course.course_progress.requirement_count : null)
+        },
+        {
+            key: 'completed',
+            render: course => formatDate(getSafe(() => course.course_progress.completed_at, null)),
+            sortValue: course => (getSafe(() => course.course_progress.completed_at, null) ? new Date(course.course_progress.completed_at).getTime() : null)
+        },
+        {
+            key: 'currentScore',
+            grades: true,
+            render: course => escapeHtml(formatScore(getSafe(() => getStudentEnrollment(course).computed_current_score, null), getSafe(() => getStudentEnrollment(course).computed_current_grade, null))),
+            sortValue: course => getSafe(() => getStudentEnrollment(course).computed_current_score, null)
+        },
+        {
+            key: 'finalScore',
+            grades: true,
+            render: course => escapeHtml(formatScore(getSafe(() => getStudentEnrollment(course).computed_final_score, null), getSafe(() => getStudentEnrollment(course).computed_final_grade, null))),
+            sortValue: course => getSafe(() => getStudentEnrollment(course).computed_final_score, null)
+        },
+        {
+            key: 'lastActivity',
+            render: course => formatDate(getSafe(() => course.activity.lastActivityAt, null)),
+            sortValue: course => (getSafe(() => course.activity.lastActivityAt, null) ? new Date(course.activity.lastActivityAt).getTime() : null)
+        },
+        {
+            key: 'activityTime',
+            render: course => formatDuration(getSafe(() => course.activity.totalActivityTime, null)),
+            sortValue: course => getSafe(() => course.activity.totalActivityTime, null)
+        },
+        {
+            key: 'pageViews',
+            render: course => escapeHtml(getSafe(() => course.activity.pageViews)),
+            sortValue: course => getSafe(() => course.activity.pageViews, null)
+        },
+        {
+            key: 'outstandingWork',
+            render: course => (course.outstandingWork ?
+                `${course.outstandingWork.filter(item => item.status === 'Missing').length} / ${course.outstandingWork.filter(item => item.status === 'Late').length}` : t('common.notAvailable')),
+            sortValue: course => (course.outstandingWork ? course.outstandingWork.length : null)
+        },
+        {
+            key: 'enrollmentState',
+            render: course => escapeHtml(getSafe(() => course.enrollments && course.enrollments.length > 0 ? course.enrollments[0].enrollment_state : null)),
+            sortValue: course => getSafe(() => course.enrollments[0].enrollment_state, null)
         }
-        htmlToCopy = htmlToCopy.trim();
+    ];
 
-        if (htmlToCopy) {
-            await copyHtmlToClipboard(htmlToCopy, buttonElement);
-        } else {
-            console.warn('No content formatted for copying.');
-            const originalText = buttonElement.innerText;
-            buttonElement.innerText = 'Nothing to Copy';
-            buttonElement.disabled = true;
-            setTimeout(() => {
-                buttonElement.innerText = originalText;
-                buttonElement.disabled = false;
-            }, 2000);
-        }
+    /**
+     * Returns a report column's header in the current language.
+     * @param {object} column An entry from REPORT_COLUMNS.
+     * @returns {string} The header text.
+     */
+    function getColumnHeader(column) {
+        return t(`columns.${column.key}`);
     }
 
-    function injectReportButtonAndModal() {
-        const rightSide = document.getElementById('right-side');
-
-        if (rightSide) {
-            const existingButtonContainer = rightSide.querySelector('div');
+    /**
+     * Picks the report columns to display, in table order.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {Array} Entries from REPORT_COLUMNS; never empty.
+     */
+    function getVisibleReportColumns(settings) {
+        const showGrades = loadShowGrades();
+        const columns = REPORT_COLUMNS.filter(column =>
+            settings.displayColumns.includes(column.key) && (showGrades || !column.grades));
+        return columns.length > 0 ? columns : [REPORT_COLUMNS[0]];
+    }
 
-            if (existingButtonContainer) {
-                const newButtonDiv = document.createElement('div');
-                newButtonDiv.innerHTML = `
-                    <a href="#" id="student-report-button" class="btn button-sidebar-wide">
-                        <i class="icon-document"></i>
-                        Student Report
-                    </a>
-                `;
-                existingButtonContainer.after(newButtonDiv);
-
-                const studentReportButton = document.getElementById('student-report-button');
-
-                // Get the student's name from the page
-                const studentNameElement = document.querySelector('.short_name');
-                const studentName = studentNameElement ? studentNameElement.innerText : 'Student'; // Fallback if not found
-
-                const modalHtml = `
-                    <div id="student-report-modal" class="k-modal" style="display: none;
-                        position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
-                        z-index: 10000;
-                        max-width: 90%; max-height: 90vh;
-                        overflow-y: auto;
-                    ">
-                        <div class="k-modal-dialog">
-                            <div class="k-modal-content" style="
-                                background-color: #fff; /* White background */
-                                border: 1px solid #ccc; /* Light grey border */
-                                border-radius: 4px; /* Slightly rounded corners */
-                                box-shadow: 0 5px 15px rgba(0,0,0,.5); /* Subtle shadow */
-                                padding: 20px; /* Add some internal padding for content */
-                                box-sizing: border-box; /* Include padding and border in the element's total width and height */
-                            ">
-                                <div class="k-modal-header">
-                                    <h2 class="k-modal-title">Student Report: ${studentName}</h2>
-                                    <button type="button" class="k-modal-close-button close-modal" aria-label="Close" style="
-                                        position: absolute;
-                                        top: 10px;
-                                        right: 15px;
-                                        font-size: 1.5rem;
-                                        background: none;
-                                        border: none;
-                                        cursor: pointer;
-                                    ">&times;</button>
-                                </div>
-                                <div class="k-modal-body">
-                                    <p>Loading report data...</p>
-                                </div>
-                                <div class="k-modal-footer">
-                                    <button type="button" class="btn" id="copy-report-button">Copy Report</button>
-                                    <button type="button" class="btn cancel_button close-modal" style="margin-left: 8px;">Close</button>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="k-modal-overlay"></div>
-                    </div>
-                `;
+    /**
+     * Builds the header cells for report columns, marking those left out of the copy.
+     * @param {Array} columns Columns from getVisibleReportColumns.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {string} The `<th>` elements.
+     */
+    function renderReportColumnHeaders(columns, settings) {
+        return columns.map(column => {
+            const copyExclude = settings.copyColumns.includes(column.key) ? '' : ' data-copy-exclude';
+            return `<th data-column="${column.key}"${copyExclude}>${getColumnHeader(column)}</th>`;
+        }).join('');
+    }
 
-                document.body.insertAdjacentHTML('beforeend', modalHtml);
-
-                const studentReportModal = document.getElementById('student-report-modal');
-                const closeModalButtons = studentReportModal.querySelectorAll('.close-modal, .k-modal-close-button');
-                const modalOverlay = studentReportModal.querySelector('.k-modal-overlay');
-                const copyReportButton = document.getElementById('copy-report-button');
-
-                if (studentReportButton && studentReportModal) {
-                    studentReportButton.addEventListener('click', function(e) {
-                        e.preventDefault();
-                        studentReportModal.style.display = 'block';
-                        studentReportModal.setAttribute('aria-hidden', 'false');
-                        // Fetch and display enrollments when the modal opens
-                        const userId = getUserIdFromUrl();
-                        fetchAndDisplayEnrollments(userId);
-                    });
+    // Chart colours. Charts are inline SVG with their colours set as attributes, so they survive copying and printing
+    const CHART_COLORS = {
+        complete: '#2e7d32',
+        inProgress: '#0374b5',
+        track: '#e0e0e0',
+        axis: '#999',
+        text: '#333'
+    };
 
-                    closeModalButtons.forEach(button => {
-                        button.addEventListener('click', function() {
-                            studentReportModal.style.display = 'none';
-                            studentReportModal.setAttribute('aria-hidden', 'true');
-                        });
-                    });
+    /**
+     * Draws the overall completion donut.
+     * @param {number} completed The number of completed courses.
+     * @param {number} total The number of courses with completion requirements.
+     * @returns {string} The SVG.
+     */
+    function buildCompletionDonutSvg(completed, total) {
+        const radius = 50;
+        const circumference = 2 * Math.PI * radius;
+        const fraction = total > 0 ? completed / total : 0;
+        return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="160" height="160" viewBox="0 0 160 160" role="img" aria-label="${escapeHtml(t('report.summary', { completed, count: total }))}" font-family="Arial, Helvetica, sans-serif">
+            <circle cx="80" cy="80" r="${radius}" fill="none" stroke="${CHART_COLORS.track}" stroke-width="20"/>
+            <circle cx="80" cy="80" r="${radius}" fill="none" stroke="${CHART_COLORS.complete}" stroke-width="20"
+                stroke-dasharray="${(circumference * fraction).toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 80 80)"/>
+            <text x="80" y="80" text-anchor="middle" font-size="22" font-weight="bold" fill="${CHART_COLORS.text}">${escapeHtml(formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 }))}</text>
+            <text x="80" y="100" text-anchor="middle" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(t('dashboard.donutCaption', { completed, count: total }))}</text>
+        </svg>
+    `;
+    }
 
-                    modalOverlay.addEventListener('click', function() {
-                        studentReportModal.style.display = 'none';
-                        studentReportModal.setAttribute('aria-hidden', 'true');
-                    });
-                }
+    /**
+     * Draws a progress bar for each course, green once complete.
+     * @param {Array} courses Courses with completion requirements.
+     * @returns {string} The SVG, or a message if there are no courses.
+     */
+    function buildProgressBarsSvg(courses) {
+        if (courses.length === 0) {
+            return `<p>${t('dashboard.noCourses')}</p>`;
+        }
+        const rowHeight = 28;
+        const labelWidth = 220;
+        const barWidth = 300;
+        const rows = courses.map((course, index) => {
+            const count = course.course_progress.requirement_count;
+            const done = course.course_progress.requirement_completed_count || 0;
+            const fraction = count > 0 ? Math.min(done / count, 1) : 0;
+            const y = index * rowHeight;
+            const name = course.name || '';
+            const label = name.length > 32 ? `${name.slice(0, 31)}…` : name; // The full name is in the tooltip
+            return `
+            <g>
+                <title>${escapeHtml(`${name}: ${done} / ${count}`)}</title>
+                <text x="0" y="${y + 18}" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(label)}</text>
+                <rect x="${labelWidth}" y="${y + 6}" width="${barWidth}" height="16" rx="3" fill="${CHART_COLORS.track}"/>
+                <rect x="${labelWidth}" y="${y + 6}" width="${(barWidth * fraction).toFixed(1)}" height="16" rx="3" fill="${isCourseCompleted(course) ? CHART_COLORS.complete : CHART_COLORS.inProgress}"/>
+                <text x="${labelWidth + barWidth + 8}" y="${y + 18}" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(`${done} / ${count} (${formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 })})`)}</text>
+            </g>
+        `;
+        }).join('');
+        const width = labelWidth + barWidth + 100;
+        const height = courses.length * rowHeight;
+        return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('dashboard.courseProgress'))}" font-family="Arial, Helvetica, sans-serif">
+            ${rows}
+        </svg>
+    `;
+    }
 
-                if (copyReportButton) {
-                    copyReportButton.addEventListener('click', handleCopyReportClick);
-                }
-            } else {
-                console.warn('Existing button container not found within #right-side.');
-            }
-        } else {
-            console.warn('#right-side element not found. Cannot inject button.');
+    /**
+     * Draws the student's pace: courses completed so far against time, from each course's `completed_at`.
+     * @param {Array} courses Courses with completion requirements.
+     * @returns {string} The SVG, or a message if no course has been completed.
+     */
+    function buildPaceChartSvg(courses) {
+        const completions = courses
+            .filter(course => getSafe(() => course.course_progress.completed_at, null))
+            .map(course => ({ name: course.name || '', date: new Date(course.course_progress.completed_at) }))
+            .filter(completion => !isNaN(completion.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+        if (completions.length === 0) {
+            return `<p>${t('dashboard.noCompletions')}</p>`;
         }
+
+        const width = 600;
+        const height = 200;
+        const margin = { top: 10, right: 20, bottom: 30, left: 40 };
+        const start = completions[0].date.getTime();
+        const span = completions[completions.length - 1].date.getTime() - start;
+        // A single completion (or several on one day) sits in the middle
+        const x = date => margin.left + (span > 0 ? (date.getTime() - start) / span : 0.5) * (width - margin.left - margin.right);
+        const y = count => margin.top + (1 - count / completions.length) * (height - margin.top - margin.bottom);
+
+        // Cumulative completions as a step line, with a point for each course
+        let path = `M ${x(completions[0].date).toFixed(1)} ${y(0).toFixed(1)}`;
+        const points = completions.map((completion, index) => {
+            path += ` H ${x(completion.date).toFixed(1)} V ${y(index + 1).toFixed(1)}`;
+            return `
+            <circle cx="${x(completion.date).toFixed(1)}" cy="${y(index + 1).toFixed(1)}" r="4" fill="${CHART_COLORS.complete}">
+                <title>${escapeHtml(`${completion.name}: ${formatDate(completion.date.toISOString())}`)}</title>
+            </circle>
+        `;
+        }).join('');
+
+        return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('dashboard.pace'))}" font-family="Arial, Helvetica, sans-serif">
+            <line x1="${margin.left}" y1="${y(0)}" x2="${width - margin.right}" y2="${y(0)}" stroke="${CHART_COLORS.axis}"/>
+            <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${y(0)}" stroke="${CHART_COLORS.axis}"/>
+            <text x="${margin.left - 6}" y="${y(0) + 4}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">0</text>
+            <text x="${margin.left - 6}" y="${margin.top + 8}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatNumber(completions.length))}</text>
+            <text x="${margin.left}" y="${height - 8}" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatDate(completions[0].date.toISOString()))}</text>
+            <text x="${width - margin.right}" y="${height - 8}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatDate(completions[completions.length - 1].date.toISOString()))}</text>
+            <path d="${path}" fill="none" stroke="${CHART_COLORS.complete}" stroke-width="2"/>
+            ${points}
+        </svg>
+    `;
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', injectReportButtonAndModal);
-    } else {
-        injectReportButtonAndModal();
+    /**
+     * Builds the dashboard: the completion donut, a progress bar per course and the pace chart.
+     * Styles are inline so the dashboard can be copied and printed as it is.
+     * @param {object} summary Output of summariseCourses, so the charts follow the report's filters.
+     * @returns {string} The dashboard HTML.
+     */
+    function buildDashboardHtml(summary) {
+        const trackedCourses = summary.filteredEnrollments.filter(hasCompletionRequirements);
+        const headingStyle = 'font-size: 14px; margin: 16px 0 6px;';
+        return `
+        <div class="report-dashboard">
+            <h3 style="${headingStyle}">${t('dashboard.overall')}</h3>
+            ${buildCompletionDonutSvg(summary.completedCourses, summary.totalCourses)}
+            <h3 style="${headingStyle}">${t('dashboard.courseProgress')}</h3>
+            ${buildProgressBarsSvg(trackedCourses)}
+            <h3 style="${headingStyle}">${t('dashboard.pace')}</h3>
+            ${buildPaceChartSvg(trackedCourses)}
+        </div>
+    `;
+    }
+
+    /**
+     * Shows the dashboard for the loaded report in the student report modal's Dashboard tab.
+     * Called whenever the report is rendered, so it follows the display options.
+     */
+    function renderReportDashboard() {
+        const dashboardPanel = document.querySelector('#student-report-modal .k-modal-dashboard');
+        const report = reportData['student-report-modal'];
+        if (!dashboardPanel) return;
+        dashboardPanel.innerHTML = report && report.allEnrollments ?
+            buildDashboardHtml(summariseCourses(report.allEnrollments)) :
+            `<p>${t('dashboard.notLoaded')}</p>`;
     }
+
+    /**
+     * Fetches a course's modules and items, with completion state for a given student.
+     * Modules with too many items omit the inline `items` array, so those are fetched separately.
+     * @param {string|number} courseId The Canvas course ID.
+     * @param {string} userId The Canvas user ID of the student.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<Array>} A promise that resolves to the modules, each with an `items` array.
+     */
+    async function fetchCourseModules(courseId, userId, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        const queryParams = new URLSearchParams();
+        queryParams.append('per_page', '50');
+        queryParams.append('include[]', 'items');
+        queryParams.append('include[]', 'content_details');
+        queryParams.append('student_id', userId);
+
+        const modules = await fetchAllPages(`${domain}/api/v1/courses/${courseId}/modules?${queryParams.toString()}`, headers, options);
+
+        for (const module of modules) {
+            if (!Array.isArray(module.items)) {
+                const itemParams = new URLSearchParams();
+                itemParams.append('per_page', '50');
+                itemParams.append('include[]', 'content_details');
+                itemParams.append('student_id', userId);
+                module.items = await fetchAllPages(`${domain}/api/v1/courses/${courseId}/modules/${module.id}/items?${itemParams.toString()}`, headers, options);
+            }
+        }
+        return modules;
+    }
+
+    /**
+     * Returns a readable description of a module item's completion requirement.
+     * @param {object} requirement The `completion_requirement` object of a module item.
+     * @returns {string} The description, e.g. "Score at least 8".
+     */
+    function describeRequirement(requirement) {
+        switch (requirement.type) {
+            case 'must_view': return t('modules.mustView');
+            case 'must_submit': return t('modules.mustSubmit');
+            case 'must_contribute': return t('modules.mustContribute');
+            case 'must_mark_done': return t('modules.mustMarkDone');
+            case 'min_score': return t('modules.minScore', { score: requirement.min_score });
+            case 'min_percentage': return t('modules.minPercentage', { percentage: formatNumber(requirement.min_percentage / 100, { style: 'percent', maximumFractionDigits: 1 }) });
+            default: return requirement.type;
+        }
+    }
+
+    /**
+     * Sorts the completion requirements of a course's modules into done, missing and locked.
+     * An item counts as locked when its module is locked for the student or the item itself is.
+     * @param {Array} modules Modules as returned by fetchCourseModules.
+     * @returns {{done: Array, missing: Array, locked: Array}} Requirement entries grouped by status.
+     */
+    function groupModuleRequirements(modules) {
+        const groups = { done: [], missing: [], locked: [] };
+
+        modules.forEach(module => {
+            (module.items || []).forEach(item => {
+                if (!item.completion_requirement) return; // Only items with requirements count towards progress
+
+                const entry = {
+                    moduleName: module.name,
+                    title: item.title,
+                    url: item.html_url,
+                    requirement: describeRequirement(item.completion_requirement)
+                };
+                const itemLocked = item.content_details && item.content_details.locked_for_user;
+
+                if (item.completion_requirement.completed) {
+                    groups.done.push(entry);
+                } else if (module.state === 'locked' || itemLocked) {
+                    groups.locked.push(entry);
+                } else {
+                    groups.missing.push(entry);
+                }
+            });
+        });
+        return groups;
+    }
+
+    /**
+     * Builds the HTML for a course's module drill-down.
+     * @param {{done: Array, missing: Array, locked: Array}} groups Output of groupModuleRequirements.
+     * @returns {string} The drill-down HTML.
+     */
+    function renderModuleDrilldown(groups) {
+        const total = groups.done.length + groups.missing.length + groups.locked.length;
+        if (total === 0) {
+            return `<div class="module-detail"><p>${t('modules.none')}</p></div>`;
+        }
+
+        const renderGroup = (heading, className, entries) => {
+            if (entries.length === 0) return '';
+            const items = entries.map(entry => {
+                const title = entry.url ? `<a href="${escapeHtml(safeUrl(entry.url))}" target="_blank" rel="noopener">${escapeHtml(entry.title)}</a>` : escapeHtml(entry.title);
+                return `<li class="${className}">${title} <em>(${escapeHtml(entry.moduleName)}: ${escapeHtml(entry.requirement)})</em></li>`;
+            }).join('');
+            return `<h4>${heading} (${formatNumber(entries.length)})</h4><ul>${items}</ul>`;
+        };
+
+        return `
+        <div class="module-detail">
+            ${renderGroup(t('modules.missing'), 'requirement-missing', groups.missing)}
+            ${renderGroup(t('modules.locked'), 'requirement-locked', groups.locked)}
+            ${renderGroup(t('modules.done'), 'requirement-done', groups.done)}
+        </div>
+    `;
+    }
+
+    /**
+     * Handles clicks on a course row's expand toggle, loading that course's module requirements
+     * into a detail row the first time and showing/hiding it afterwards.
+     * @param {Event} event The click event (delegated from the report table).
+     * @param {string} userId The Canvas user ID of the student.
+     */
+    async function handleModuleToggleClick(event, userId) {
+        const toggle = event.target.closest('.module-toggle');
+        if (!toggle) return;
+
+        const courseRow = toggle.closest('tr.course-row');
+        const courseId = courseRow.dataset.courseId;
+        let detailRow = courseRow.nextElementSibling;
+
+        if (detailRow && detailRow.classList.contains('module-detail-row')) {
+            const expand = detailRow.style.display === 'none';
+            detailRow.style.display = expand ? '' : 'none';
+            toggle.setAttribute('aria-expanded', String(expand));
+            toggle.innerHTML = expand ? '&#9662;' : '&#9656;';
+            return;
+        }
+
+        detailRow = document.createElement('tr');
+        detailRow.className = 'module-detail-row';
+        detailRow.innerHTML = `<td colspan="${courseRow.children.length}"><p>${t('modules.loading')}</p></td>`;
+        courseRow.after(detailRow);
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.innerHTML = '&#9662;';
+
+        const detailCell = detailRow.firstElementChild;
+        try {
+            const modules = await fetchCourseModules(courseId, userId, { signal: getModalSignal(courseRow.closest('.k-modal').id) });
+            detailCell.innerHTML = renderModuleDrilldown(groupModuleRequirements(modules));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Collapse again so the next click starts a fresh load
+                detailRow.remove();
+                toggle.setAttribute('aria-expanded', 'false');
+                toggle.innerHTML = '&#9656;';
+                return;
+            }
+            console.error(`Error fetching modules for course ${courseId}:`, error);
+            detailCell.innerHTML = `<p>${escapeHtml(t('modules.loadError', { message: error.message }))}</p>`;
+        }
+    }
+
+    /**
+     * Opens the snapshot database, creating its object store the first time.
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openSnapshotDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error(t('snapshots.unavailable')));
+                return;
+            }
+            const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: ['userId', 'savedAt'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a request against the snapshot store in its own transaction, closing the database afterwards.
+     * @param {string} mode Either 'readonly' or 'readwrite'.
+     * @param {Function} makeRequest Given the object store, returns the IDBRequest to run.
+     * @returns {Promise<*>} The request's result, once the transaction has completed.
+     */
+    async function withSnapshotStore(mode, makeRequest) {
+        const db = await openSnapshotDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(SNAPSHOT_STORE_NAME, mode);
+                const request = makeRequest(transaction.objectStore(SNAPSHOT_STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Reduces a course to what a snapshot keeps of it for later comparison.
+     * @param {object} course A course from fetchUserCourses.
+     * @returns {object} The course's ID, name, progress, completion and enrollment state.
+     */
+    function snapshotCourse(course) {
+        return {
+            id: String(course.id),
+            name: course.name || '',
+            requirementCount: getSafe(() => course.course_progress.requirement_count, null),
+            requirementCompletedCount: getSafe(() => course.course_progress.requirement_completed_count, null),
+            completed: isCourseCompleted(course),
+            enrollmentState: getSafe(() => course.enrollments[0].enrollment_state, null)
+        };
+    }
+
+    /**
+     * Saves a snapshot of a student's courses, as loaded for the report.
+     * @param {string} userId The Canvas user ID.
+     * @param {Array} courses The user's courses, as returned by fetchUserCourses.
+     * @returns {Promise<object>} The saved snapshot.
+     */
+    async function saveReportSnapshot(userId, courses) {
+        const snapshot = {
+            userId: String(userId),
+            savedAt: new Date().toISOString(),
+            courses: courses.map(snapshotCourse)
+        };
+        await withSnapshotStore('readwrite', store => store.put(snapshot));
+        return snapshot;
+    }
+
+    /**
+     * Loads the snapshots saved for a student.
+     * @param {string} userId The Canvas user ID.
+     * @returns {Promise<Array>} The snapshots, newest first.
+     */
+    async function loadReportSnapshots(userId) {
+        const range = IDBKeyRange.bound([String(userId), ''], [String(userId), '\uffff']);
+        const snapshots = await withSnapshotStore('readonly', store => store.getAll(range));
+        return snapshots.reverse();
+    }
+
+    /**
+     * Deletes a saved snapshot.
+     * @param {string} userId The Canvas user ID.
+     * @param {string} savedAt The snapshot's `savedAt` timestamp.
+     * @returns {Promise<void>}
+     */
+    async function deleteReportSnapshot(userId, savedAt) {
+        await withSnapshotStore('readwrite', store => store.delete([String(userId), savedAt]));
+    }
+
+    /**
+     * Works out what changed between an earlier snapshot of a student's courses and the current ones.
+     * @param {Array} previousCourses Courses from the earlier snapshot (see snapshotCourse).
+     * @param {Array} currentCourses The current courses, in the same form.
+     * @returns {Array} One entry per course that changed, in current course order with dropped courses last:
+     *   {status: 'added'|'dropped'|'changed', before, after, newlyCompleted, progressChanged, stateChanged}.
+     */
+    function compareReportSnapshots(previousCourses, currentCourses) {
+        const previousById = new Map(previousCourses.map(course => [course.id, course]));
+        const changes = [];
+
+        currentCourses.forEach(after => {
+            const before = previousById.get(after.id);
+            previousById.delete(after.id);
+            if (!before) {
+                changes.push({ status: 'added', before: null, after, newlyCompleted: after.completed, progressChanged: false, stateChanged: false });
+                return;
+            }
+            const change = {
+                status: 'changed',
+                before,
+                after,
+                newlyCompleted: !before.completed && after.completed,
+                progressChanged: before.requirementCompletedCount !== after.requirementCompletedCount ||
+                    before.requirementCount !== after.requirementCount,
+                stateChanged: before.enrollmentState !== after.enrollmentState
+            };
+            if (change.newlyCompleted || change.progressChanged || change.stateChanged) {
+                changes.push(change);
+            }
+        });
+        previousById.forEach(before => {
+            changes.push({ status: 'dropped', before, after: null, newlyCompleted: false, progressChanged: false, stateChanged: false });
+        });
+        return changes;
+    }
+
+    /**
+     * Builds the HTML for a snapshot comparison.
+     * @param {Array} changes Output of compareReportSnapshots.
+     * @param {object} snapshot The snapshot compared against.
+     * @returns {{html: string, summary: string}} The comparison table with its summary line, and the summary as text.
+     */
+    function renderSnapshotComparison(changes, snapshot) {
+        const date = formatDate(snapshot.savedAt);
+        if (changes.length === 0) {
+            const summary = t('snapshots.noChanges', { date });
+            return { html: `<p>${escapeHtml(summary)}</p>`, summary };
+        }
+
+        const formatProgress = course => `${getSafe(() => course.requirementCompletedCount)} / ${getSafe(() => course.requirementCount)}`;
+        const formatState = course => getSafe(() => course.enrollmentState);
+        const fromTo = (change, format, changed) => {
+            if (change.status === 'changed' && changed) {
+                return t('snapshots.fromTo', { from: format(change.before), to: format(change.after) });
+            }
+            return format(change.after || change.before);
+        };
+
+        // Only mention the kinds of change that happened
+        const counts = [
+            ['snapshots.countCompleted', change => change.newlyCompleted],
+            ['snapshots.countProgress', change => change.status === 'changed' && change.progressChanged && !change.newlyCompleted],
+            ['snapshots.countAdded', change => change.status === 'added'],
+            ['snapshots.countDropped', change => change.status === 'dropped'],
+            ['snapshots.countState', change => change.stateChanged]
+        ].map(([key, test]) => ({ key, count: changes.filter(test).length })).filter(({ count }) => count > 0);
+        const summary = t('snapshots.changeSummary', {
+            date,
+            changes: counts.map(({ key, count }) => t(key, { count })).join(', ')
+        });
+
+        const rows = changes.map(change => {
+            const labels = [];
+            if (change.status === 'added') labels.push(t('snapshots.added'));
+            if (change.status === 'dropped') labels.push(t('snapshots.dropped'));
+            if (change.newlyCompleted) labels.push(t('snapshots.completed'));
+            if (change.status === 'changed' && change.progressChanged && !change.newlyCompleted) labels.push(t('snapshots.progressChanged'));
+            if (change.stateChanged) labels.push(t('snapshots.stateChanged'));
+            // Highlight the most notable change
+            const rowClass = change.newlyCompleted ? 'snapshot-completed' :
+                change.status === 'changed' ? 'snapshot-changed' : `snapshot-${change.status}`;
+            return `
+            <tr class="${rowClass}">
+                <td>${escapeHtml((change.after || change.before).name)}</td>
+                <td>${escapeHtml(labels.join(', '))}</td>
+                <td>${escapeHtml(fromTo(change, formatProgress, change.progressChanged))}</td>
+                <td>${escapeHtml(fromTo(change, formatState, change.stateChanged))}</td>
+            </tr>
+        `;
+        }).join('');
+
+        return {
+            html: `
+            <p class="snapshot-summary"><strong>${escapeHtml(summary)}</strong></p>
+            <table class="snapshot-comparison">
+                <thead>
+                    <tr>
+                        <th>${t('snapshots.course')}</th>
+                        <th>${t('snapshots.change')}</th>
+                        <th>${t('snapshots.progress')}</th>
+                        <th>${t('snapshots.state')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `,
+            summary
+        };
+    }
+
+    /**
+     * Fills the student report modal's Compare tab: a picker of the student's saved snapshots
+     * and what has changed between the chosen one and the report currently loaded.
+     * @param {HTMLElement} modal The student report modal.
+     */
+    async function loadSnapshotComparison(modal) {
+        const comparePanel = modal.querySelector('.k-modal-compare');
+        const report = reportData['student-report-modal'];
+        if (!comparePanel) return;
+        if (!report || !report.allEnrollments) {
+            comparePanel.innerHTML = `<p>${t('snapshots.waitForReport')}</p>`;
+            return;
+        }
+
+        const previousSelect = comparePanel.querySelector('.snapshot-select');
+        const previousSelection = previousSelect ? previousSelect.value : null;
+        let snapshots;
+        try {
+            snapshots = await loadReportSnapshots(report.userId);
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            comparePanel.innerHTML = `<p>${escapeHtml(t('snapshots.loadError', { message: error.message }))}</p>`;
+            return;
+        }
+        if (snapshots.length === 0) {
+            comparePanel.innerHTML = `<p>${t('snapshots.none')}</p>`;
+            return;
+        }
+
+        const { locale, timeZone } = getLocaleSettings();
+        const timeFormatter = getIntlFormatter(Intl.DateTimeFormat, locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+        const options = snapshots.map(snapshot => {
+            const label = t('snapshots.option', {
+                date: formatDate(snapshot.savedAt),
+                time: timeFormatter.format(new Date(snapshot.savedAt)),
+                courses: t('count.courses', { count: snapshot.courses.length })
+            });
+            const selected = snapshot.savedAt === previousSelection ? ' selected' : '';
+            return `<option value="${escapeHtml(snapshot.savedAt)}"${selected}>${escapeHtml(label)}</option>`;
+        }).join('');
+
+        comparePanel.innerHTML = getReportTableStyles('student-report-modal') + `
+        <div class="snapshot-controls" style="margin-bottom: 10px;">
+            <label for="snapshot-select">${t('snapshots.compareWith')}</label>
+            <select class="snapshot-select" id="snapshot-select" style="width: auto; margin: 0 8px;">${options}</select>
+            <button type="button" class="btn snapshot-delete">${t('snapshots.delete')}</button>
+        </div>
+        <div class="snapshot-comparison-results"></div>
+    `;
+
+        const select = comparePanel.querySelector('.snapshot-select');
+        const showComparison = () => {
+            const snapshot = snapshots.find(item => item.savedAt === select.value);
+            const { html, summary } = renderSnapshotComparison(
+                compareReportSnapshots(snapshot.courses, report.allEnrollments.map(snapshotCourse)),
+                snapshot
+            );
+            comparePanel.querySelector('.snapshot-comparison-results').innerHTML = html;
+            announce(modal, t('a11y.comparisonLoaded', { summary }));
+        };
+        select.addEventListener('change', showComparison);
+        comparePanel.querySelector('.snapshot-delete').addEventListener('click', async () => {
+            if (!confirm(t('snapshots.confirmDelete'))) return;
+            try {
+                await deleteReportSnapshot(report.userId, select.value);
+            } catch (error) {
+                console.error('Error deleting snapshot:', error);
+            }
+            loadSnapshotComparison(modal);
+        });
+        showComparison();
+    }
+
+    /**
+     * Saves a snapshot of the report currently loaded in the student report modal.
+     * @param {Event} event The click event from the Save Snapshot button.
+     */
+    async function handleSaveSnapshotClick(event) {
+        const buttonElement = event.currentTarget;
+        const modal = buttonElement.closest('.k-modal');
+        const report = reportData['student-report-modal'];
+        const originalText = buttonElement.innerText;
+        let message;
+
+        buttonElement.disabled = true;
+        if (!report || !report.allEnrollments) {
+            message = t('snapshots.waitForReport');
+            buttonElement.innerText = message;
+        } else {
+            try {
+                await saveReportSnapshot(report.userId, report.allEnrollments);
+                console.log(`Saved a snapshot of ${report.allEnrollments.length} courses for user ID: ${report.userId}`);
+                buttonElement.innerText = t('snapshots.saved');
+                message = t('snapshots.savedAnnouncement');
+                const comparePanel = modal.querySelector('.k-modal-compare');
+                if (comparePanel.style.display !== 'none') {
+                    loadSnapshotComparison(modal);
+                }
+            } catch (error) {
+                console.error('Error saving snapshot:', error);
+                buttonElement.innerText = t('snapshots.saveFailed');
+                message = t('common.error', { message: error.message });
+            }
+        }
+        announce(modal, message);
+        setTimeout(() => {
+            buttonElement.innerText = originalText;
+            buttonElement.disabled = false;
+        }, 2000);
+    }
+
+    /**
+     * Clones the on-screen report table and inlines its styles, dropping on-screen-only rows and
+     * excluded columns, so it keeps its look when pasted into email or written into another document.
+     * @param {HTMLTableElement} tableElement The report table shown in the modal.
+     * @param {object} [template] A copy template whose columns and styles to use instead of the defaults.
+     * @returns {HTMLTableElement} The styled copy.
+     */
+    function buildStyledReportTable(tableElement, template = DEFAULT_REPORT_TEMPLATE) {
+        // Clone the table to modify it for copying without affecting the displayed table
+        const clonedTable = tableElement.cloneNode(true);
+        const styles = Object.assign({}, DEFAULT_REPORT_TEMPLATE.styles, template.styles);
+
+        // Module drill-downs are an on-screen aid only, so leave them out of the copy
+        clonedTable.querySelectorAll('.module-detail-row, .module-toggle').forEach(el => el.remove());
+
+        // Copied data removes columns whose header is marked data-copy-exclude (e.g. "Enrollment State"),
+        // unless the template picks its own columns. The bulk report's student columns are always kept.
+        const isExcluded = th => {
+            if (template.columns.length === 0) return th.hasAttribute('data-copy-exclude');
+            const column = th.dataset.column;
+            return Boolean(column) && column !== 'student' && column !== 'sisUserId' && !template.columns.includes(column);
+        };
+        const headerRow = clonedTable.querySelector('thead tr');
+        if (headerRow) {
+            const headerCount = headerRow.children.length;
+            const excludedIndexes = Array.from(headerRow.children)
+                .map((th, index) => (isExcluded(th) ? index : -1))
+                .filter(index => index !== -1)
+                .reverse(); // Remove from the right so earlier indexes stay valid
+
+            const bodyRows = clonedTable.querySelectorAll('tbody tr');
+            [headerRow, ...bodyRows].forEach(row => {
+                // Rows with spanning cells (e.g. messages) don't line up with the header, so leave them
+                if (row.children.length !== headerCount) return;
+                excludedIndexes.forEach(index => row.children[index].remove());
+            });
+        }
+
+        // Apply inline styles to the cloned table
+        clonedTable.style.width = '100%';
+        clonedTable.style.borderCollapse = 'collapse';
+        clonedTable.style.marginTop = '10px';
+        clonedTable.style.fontSize = styles.fontSize;
+        clonedTable.style.fontFamily = styles.fontFamily;
+        clonedTable.style.border = `1px solid ${styles.borderColor}`; // Add border to the table itself for some clients
+
+        const cells = clonedTable.querySelectorAll('th, td');
+        cells.forEach(cell => {
+            cell.style.border = `1px solid ${styles.borderColor}`;
+            cell.style.padding = '6px';
+            cell.style.textAlign = 'left';
+            cell.style.verticalAlign = 'top';
+            cell.style.wordBreak = 'break-word';
+        });
+
+        const thCells = clonedTable.querySelectorAll('th');
+        thCells.forEach(th => {
+            th.style.backgroundColor = styles.headerBackground;
+            th.style.fontWeight = 'bold';
+        });
+
+        const tbodyRows = clonedTable.querySelectorAll('tbody tr');
+        tbodyRows.forEach((row, index) => {
+            if (row.classList.contains('inactive-row')) {
+                row.style.backgroundColor = '#fff3cd';
+            } else if (index % 2 === 1) {
+                row.style.backgroundColor = styles.stripeBackground;
+            }
+        });
+
+        // Set width for the first column cells (Course Name after Enrollment State is removed)
+        const firstColumnHeader = clonedTable.querySelector('thead tr th:first-child');
+        if (firstColumnHeader) firstColumnHeader.style.width = '25%';
+        tbodyRows.forEach(row => {
+            const firstCell = row.querySelector('td:first-child');
+            if (firstCell) firstCell.style.width = '25%';
+        });
+
+        return clonedTable;
+    }
+
+    /**
+     * The built-in copy template, matching the report as shown on screen.
+     * Placeholders in braces are filled in by getTemplatePlaceholderValues when copying.
+     */
+    const DEFAULT_REPORT_TEMPLATE = {
+        id: 'default',
+        name: 'Standard',
+        heading: '{title}',
+        introduction: '',
+        summary: '{summary}',
+        closing: '',
+        includeStudentDetails: true,
+        includeSummary: true,
+        includeTable: true,
+        includeOutstandingWork: true,
+        includeDashboard: false, // Off by default: many email clients drop SVG
+        includePrograms: true,
+        columns: [], // Empty uses the "Copy" columns from the report settings
+        styles: {
+            fontFamily: '',
+            fontSize: '12px',
+            headerBackground: '#f0f0f0',
+            stripeBackground: '#f9f9f9',
+            borderColor: '#ccc'
+        }
+    };
+
+    // Placeholders available in template text, listed in the template editor with their `templates.placeholder.<name>` message
+    const TEMPLATE_PLACEHOLDERS = ['title', 'summary', 'studentName', 'sisId', 'loginId', 'date', 'completed', 'total', 'remaining', 'missing', 'late', 'studentCount'];
+
+    /**
+     * Loads the copy templates: the built-in Standard template followed by any saved ones.
+     * @returns {Array<object>} Templates, with defaults filled in for anything missing.
+     */
+    function loadReportTemplates() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(REPORT_TEMPLATES_STORAGE_KEY)) || [];
+        } catch (e) {
+            console.warn('Could not read report templates from localStorage.', e);
+        }
+        return [DEFAULT_REPORT_TEMPLATE].concat(stored.map(template => Object.assign({}, DEFAULT_REPORT_TEMPLATE, template, {
+            styles: Object.assign({}, DEFAULT_REPORT_TEMPLATE.styles, template.styles)
+        })));
+    }
+
+    /**
+     * Saves the user-defined copy templates. The built-in template is never stored.
+     * @param {Array<object>} templates Templates, as returned by loadReportTemplates.
+     */
+    function saveReportTemplates(templates) {
+        localStorage.setItem(REPORT_TEMPLATES_STORAGE_KEY, JSON.stringify(templates.filter(template => template.id !== DEFAULT_REPORT_TEMPLATE.id)));
+    }
+
+    /**
+     * Finds the template last chosen for copying, falling back to the built-in one.
+     * @returns {object} The template.
+     */
+    function getSelectedReportTemplate() {
+        const selectedId = localStorage.getItem(SELECTED_TEMPLATE_STORAGE_KEY);
+        return loadReportTemplates().find(template => template.id === selectedId) || DEFAULT_REPORT_TEMPLATE;
+    }
+
+    /**
+     * Builds the `<option>` elements for choosing a template.
+     * @param {string} selectedId The ID of the template to select.
+     * @returns {string} The options HTML.
+     */
+    function buildTemplateOptionsHtml(selectedId) {
+        return loadReportTemplates().map(template =>
+            `<option value="${escapeHtml(template.id)}" ${template.id === selectedId ? 'selected' : ''}>${escapeHtml(template.id === DEFAULT_REPORT_TEMPLATE.id ? t('templates.standard') : template.name)}</option>`).join('');
+    }
+
+    /**
+     * Refreshes every template picker on the page after templates are added, renamed or deleted.
+     */
+    function refreshTemplatePickers() {
+        const selectedId = getSelectedReportTemplate().id;
+        document.querySelectorAll('.report-template-select').forEach(select => {
+            select.innerHTML = buildTemplateOptionsHtml(selectedId);
+        });
+    }
+
+    /**
+     * Replaces `{placeholder}` markers in template text. Unknown placeholders are left as they are.
+     * Template text is plain text, so both it and the values are escaped.
+     * @param {string} text The template text.
+     * @param {object} values Placeholder values by name.
+     * @returns {string} The filled-in text as HTML, with line breaks kept.
+     */
+    function fillTemplatePlaceholders(text, values) {
+        return escapeHtml(text)
+            .replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in values)) return match;
+                return escapeHtml(typeof values[name] === 'number' ? formatNumber(values[name]) : values[name]);
+            })
+            .replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Works out the values for template placeholders from a loaded report.
+     * The student's SIS and login IDs come from the details loaded with the report.
+     * @param {HTMLElement} modal The report modal.
+     * @returns {object} Placeholder values by name.
+     */
+    function getTemplatePlaceholderValues(modal) {
+        const report = reportData[modal.id];
+        const entries = report ? report.entries : [];
+        const summaryElement = modal.querySelector('.enrollment-summary');
+
+        let completed = 0;
+        let total = 0;
+        let missing = 0;
+        let late = 0;
+        const settings = loadReportSettings();
+        entries.forEach(entry => {
+            if (!entry.allEnrollments) return;
+            const summary = summariseCourses(entry.allEnrollments, settings);
+            completed += summary.completedCourses;
+            total += summary.totalCourses;
+            entry.allEnrollments.forEach(course => {
+                (course.outstandingWork || []).forEach(item => {
+                    if (item.status === 'Missing') missing++;
+                    if (item.status === 'Late') late++;
+                });
+            });
+        });
+
+        const values = {
+            title: modal.querySelector('.k-modal-title').innerText,
+            summary: summaryElement ? summaryElement.innerText : '',
+            studentName: '',
+            sisId: '',
+            loginId: '',
+            date: formatDate(new Date().toISOString()),
+            completed,
+            total,
+            remaining: total - completed,
+            missing,
+            late,
+            studentCount: entries.length
+        };
+
+        if (report && !report.bulk) {
+            values.studentName = reportStudent ? reportStudent.name : t('report.defaultStudentName');
+            values.sisId = getSafe(() => report.details.sisUserId);
+            values.loginId = getSafe(() => report.details.loginId);
+        }
+        return values;
+    }
+
+    /**
+     * Finds the element holding a report modal's summary, table and messages as direct children.
+     * The bulk report keeps them in a results container below its form; the student report in the body itself.
+     * @param {HTMLElement} modal The report modal.
+     * @returns {HTMLElement} The element to look for `:scope > table` and friends in.
+     */
+    function getReportContentElement(modal) {
+        const bodyElement = modal.querySelector('.k-modal-body');
+        return bodyElement.querySelector('.bulk-report-results') || bodyElement;
+    }
+
+    /**
+     * Builds the HTML to copy for a report modal, laid out by a template.
+     * @param {HTMLElement} modal The report modal.
+     * @param {object} template The template to apply.
+     * @returns {string} The HTML, or an empty string if there is nothing to copy.
+     */
+    function buildTemplatedReportHtml(modal, template) {
+        const reportElement = getReportContentElement(modal);
+        const values = getTemplatePlaceholderValues(modal);
+        const fontFamily = template.styles.fontFamily ? ` style="font-family: ${escapeHtml(template.styles.fontFamily)};"` : '';
+
+        let htmlToCopy = '';
+        if (template.heading) {
+            htmlToCopy += `<h2${fontFamily}>${fillTemplatePlaceholders(template.heading, values)}</h2>\n`;
+        }
+        if (template.introduction) {
+            htmlToCopy += `<p${fontFamily}>${fillTemplatePlaceholders(template.introduction, values)}</p>\n`;
+        }
+        const detailsElement = reportElement.querySelector('.student-details');
+        if (template.includeStudentDetails && detailsElement) {
+            htmlToCopy += detailsElement.outerHTML;
+        }
+        if (template.includeSummary && template.summary && reportElement.querySelector('.enrollment-summary')) {
+            htmlToCopy += `<p class="enrollment-summary"${fontFamily}><strong>${fillTemplatePlaceholders(template.summary, values)}</strong></p>\n`;
+        }
+        const report = reportData[modal.id];
+        if (template.includeDashboard && report && !report.bulk && report.allEnrollments) {
+            htmlToCopy += buildDashboardHtml(summariseCourses(report.allEnrollments));
+        }
+        const programElement = reportElement.querySelector('.program-progress');
+        if (template.includePrograms && programElement) {
+            htmlToCopy += programElement.outerHTML;
+        }
+
+        if (template.includeTable) {
+            const tableElement = reportElement.querySelector(':scope > table');
+            if (tableElement) {
+                htmlToCopy += buildStyledReportTable(tableElement, template).outerHTML;
+            } else {
+                // If no table, copy other message paragraphs from the body (excluding summary, already added)
+                const messageParagraphs = Array.from(reportElement.querySelectorAll(':scope > p:not(.enrollment-summary)'));
+                messageParagraphs.forEach(p => {
+                    htmlToCopy += p.outerHTML + '\n';
+                });
+            }
+        }
+        if (template.includeOutstandingWork) {
+            htmlToCopy += buildStyledOutstandingWork(reportElement, template);
+        }
+        if (template.closing) {
+            htmlToCopy += `\n<p${fontFamily}>${fillTemplatePlaceholders(template.closing, values)}</p>`;
+        }
+        return htmlToCopy.trim();
+    }
+
+    /**
+     * Handles the click event for the "Copy Report" button.
+     * Gathers report content, laid out by the chosen template, and copies it to the clipboard.
+     * @param {Event} event The click event.
+     */
+    async function handleCopyReportClick(event) {
+        const buttonElement = event.currentTarget;
+        const modal = buttonElement.closest('.k-modal');
+        if (!modal) {
+            console.error('Modal not found for copying.');
+            return;
+        }
+
+        if (!modal.querySelector('.k-modal-title') || !modal.querySelector('.k-modal-body')) {
+            console.error('Modal title or body not found for copying.');
+            return;
+        }
+
+        const htmlToCopy = buildTemplatedReportHtml(modal, getSelectedReportTemplate());
+
+        if (htmlToCopy) {
+            await copyHtmlToClipboard(htmlToCopy, buttonElement);
+        } else {
+            console.warn('No content formatted for copying.');
+            const originalText = buttonElement.innerText;
+            buttonElement.innerText = t('copy.nothing');
+            announce(modal, t('copy.nothing'));
+            buttonElement.disabled = true;
+            setTimeout(() => {
+                buttonElement.innerText = originalText;
+                buttonElement.disabled = false;
+            }, 2000);
+        }
+    }
+
+    /**
+     * Builds the collapsible editor for copy templates, shown above the modal footer.
+     * @returns {string} The editor HTML.
+     */
+    function buildReportTemplatesHtml() {
+        const columnCheckboxes = REPORT_COLUMNS.map(column => `
+        <label style="display: inline-block; margin-right: 12px;">
+            <input type="checkbox" name="columns" value="${column.key}"> ${getColumnHeader(column)}
+        </label>
+    `).join('');
+        const placeholderList = TEMPLATE_PLACEHOLDERS
+            .map(name => `<code>{${name}}</code> ${t(`templates.placeholder.${name}`)}`)
+            .join(', ');
+        const textField = (name, label, rows) => `
+        <label style="display: block; margin-bottom: 6px;">${label}
+            <textarea name="${name}" rows="${rows}" style="width: 100%; box-sizing: border-box;"></textarea>
+        </label>
+    `;
+        const styleField = (name, label) => `
+        <label style="display: inline-block; margin-right: 12px;">${label}
+            <input type="text" name="${name}" style="width: 120px;">
+        </label>
+    `;
+
+        return `
+        <details class="report-templates" style="margin: 10px 0;">
+            <summary>${t('templates.title')}</summary>
+            <form class="report-templates-form" style="margin-top: 8px;">
+                <label style="display: block; margin-bottom: 6px;">${t('templates.template')}
+                    <select name="templateId"></select>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('templates.name')}
+                    <input type="text" name="name" style="width: 100%; box-sizing: border-box;">
+                </label>
+                ${textField('heading', t('templates.heading'), 1)}
+                ${textField('introduction', t('templates.introduction'), 3)}
+                ${textField('summary', t('templates.summary'), 2)}
+                ${textField('closing', t('templates.closing'), 3)}
+                <p style="font-size: 0.9em; color: #555;">${t('templates.placeholders', { list: placeholderList })}</p>
+                <fieldset>
+                    <legend>${t('templates.sections')}</legend>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeStudentDetails"> ${t('templates.includeStudentDetails')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeSummary"> ${t('templates.includeSummary')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeTable"> ${t('templates.includeTable')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeOutstandingWork"> ${t('templates.includeOutstandingWork')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeDashboard"> ${t('templates.includeDashboard')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includePrograms"> ${t('templates.includePrograms')}</label>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('templates.columns')}</legend>
+                    ${columnCheckboxes}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('templates.styling')}</legend>
+                    ${styleField('fontFamily', t('templates.fontFamily'))}
+                    ${styleField('fontSize', t('templates.fontSize'))}
+                    ${styleField('headerBackground', t('templates.headerBackground'))}
+                    ${styleField('stripeBackground', t('templates.stripeBackground'))}
+                    ${styleField('borderColor', t('templates.borderColor'))}
+                </fieldset>
+                <button type="submit" class="btn">${t('templates.save')}</button>
+                <button type="button" class="btn delete-report-template" style="margin-left: 8px;">${t('templates.delete')}</button>
+            </form>
+        </details>
+    `;
+    }
+
+    /**
+     * Fills the template editor with a template, or a copy of the built-in one for a new template.
+     * The built-in template can't be changed, so choosing it starts a new template from it.
+     * @param {HTMLFormElement} form The template editor form.
+     * @param {string} templateId The template to edit, or '' for a new one.
+     */
+    function fillReportTemplateForm(form, templateId) {
+        const existing = loadReportTemplates().find(template => template.id === templateId && template.id !== DEFAULT_REPORT_TEMPLATE.id);
+        const template = existing || Object.assign({}, DEFAULT_REPORT_TEMPLATE, { id: '', name: t('templates.new') });
+
+        form.elements.templateId.innerHTML = `<option value="">${t('templates.new')}</option>` +
+            loadReportTemplates().filter(saved => saved.id !== DEFAULT_REPORT_TEMPLATE.id)
+                .map(saved => `<option value="${escapeHtml(saved.id)}" ${saved.id === template.id ? 'selected' : ''}>${escapeHtml(saved.name)}</option>`).join('');
+        ['name', 'heading', 'introduction', 'summary', 'closing'].forEach(name => {
+            form.elements[name].value = template[name];
+        });
+        ['includeStudentDetails', 'includeSummary', 'includeTable', 'includeOutstandingWork', 'includeDashboard', 'includePrograms'].forEach(name => {
+            form.elements[name].checked = template[name];
+        });
+        form.querySelectorAll('input[name="columns"]').forEach(checkbox => {
+            checkbox.checked = template.columns.includes(checkbox.value);
+        });
+        Object.keys(DEFAULT_REPORT_TEMPLATE.styles).forEach(name => {
+            form.elements[name].value = template.styles[name];
+        });
+        form.querySelector('.delete-report-template').disabled = !existing;
+    }
+
+    /**
+     * Wires up a modal's template picker and template editor.
+     * @param {HTMLElement} modal The report modal.
+     */
+    function bindReportTemplates(modal) {
+        const picker = modal.querySelector('.report-template-select');
+        picker.innerHTML = buildTemplateOptionsHtml(getSelectedReportTemplate().id);
+        picker.addEventListener('change', () => {
+            localStorage.setItem(SELECTED_TEMPLATE_STORAGE_KEY, picker.value);
+            refreshTemplatePickers();
+        });
+
+        const form = modal.querySelector('.report-templates-form');
+        fillReportTemplateForm(form, '');
+        form.elements.templateId.addEventListener('change', () => fillReportTemplateForm(form, form.elements.templateId.value));
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const templates = loadReportTemplates();
+            const template = {
+                id: form.elements.templateId.value || `template-${Date.now()}`,
+                name: form.elements.name.value.trim() || t('templates.untitled'),
+                heading: form.elements.heading.value,
+                introduction: form.elements.introduction.value,
+                summary: form.elements.summary.value,
+                closing: form.elements.closing.value,
+                includeStudentDetails: form.elements.includeStudentDetails.checked,
+                includeSummary: form.elements.includeSummary.checked,
+                includeTable: form.elements.includeTable.checked,
+                includeOutstandingWork: form.elements.includeOutstandingWork.checked,
+                includeDashboard: form.elements.includeDashboard.checked,
+                includePrograms: form.elements.includePrograms.checked,
+                columns: Array.from(form.querySelectorAll('input[name="columns"]:checked')).map(checkbox => checkbox.value),
+                styles: {}
+            };
+            Object.keys(DEFAULT_REPORT_TEMPLATE.styles).forEach(name => {
+                template.styles[name] = form.elements[name].value.trim();
+            });
+
+            const index = templates.findIndex(saved => saved.id === template.id);
+            if (index === -1) {
+                templates.push(template);
+            } else {
+                templates[index] = template;
+            }
+            saveReportTemplates(templates);
+            localStorage.setItem(SELECTED_TEMPLATE_STORAGE_KEY, template.id);
+            fillReportTemplateForm(form, template.id);
+            refreshTemplatePickers();
+            console.log(`Saved copy template "${template.name}".`);
+        });
+
+        form.querySelector('.delete-report-template').addEventListener('click', () => {
+            const templateId = form.elements.templateId.value;
+            if (!templateId || !confirm(t('templates.confirmDelete'))) return;
+            saveReportTemplates(loadReportTemplates().filter(template => template.id !== templateId));
+            fillReportTemplateForm(form, '');
+            refreshTemplatePickers();
+        });
+    }
+
+    /**
+     * Fetches a student's submissions in a course, with their assignments.
+     * @param {string|number} courseId The Canvas course ID.
+     * @param {string} userId The Canvas user ID of the student.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<Array>} A promise that resolves to the submissions.
+     */
+    async function fetchCourseSubmissions(courseId, userId, options = {}) {
+        const queryParams = new URLSearchParams();
+        queryParams.append('per_page', '100');
+        queryParams.append('student_ids[]', userId);
+        queryParams.append('include[]', 'assignment');
+
+        return fetchAllPages(`${domain}/api/v1/courses/${courseId}/students/submissions?${queryParams.toString()}`, {
+            'Content-Type': 'application/json'
+        }, options);
+    }
+
+    /**
+     * Checks whether a course is currently running for the student (published, not concluded, enrollment active).
+     * @param {object} course A course from fetchUserCourses.
+     * @returns {boolean}
+     */
+    function isActiveCourse(course) {
+        if (course.workflow_state !== 'available' || course.concluded) return false;
+        const state = getSafe(() => course.enrollments[0].enrollment_state, null);
+        return !state || state === 'active';
+    }
+
+    /**
+     * Adds the student's missing and late submissions to each active course as `course.outstandingWork`.
+     * A course whose submissions can't be read is left without it.
+     * @param {string} userId The Canvas user ID.
+     * @param {Array} courses Courses from fetchUserCourses; modified in place.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<void>}
+     */
+    async function attachOutstandingWork(userId, courses, options = {}) {
+        const activeCourses = courses.filter(isActiveCourse);
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        await runWithConcurrency(activeCourses, BULK_REPORT_CONCURRENCY, async course => {
+            try {
+                const submissions = await fetchCourseSubmissions(course.id, userId, { signal: options.signal });
+                course.outstandingWork = submissions
+                    .filter(submission => !submission.excused && (submission.missing || submission.late))
+                    .map(submission => {
+                        const assignment = submission.assignment || {};
+                        const dueAt = assignment.due_at || submission.cached_due_date || null;
+                        const daysOverdue = submission.missing ?
+                            (dueAt ? Math.max(0, Math.floor((Date.now() - new Date(dueAt).getTime()) / dayMs)) : null) :
+                            Math.ceil((submission.seconds_late || 0) / (24 * 60 * 60));
+                        return {
+                            assignmentName: assignment.name || t('outstanding.unknownAssignment', { id: String(submission.assignment_id) }),
+                            courseName: course.name,
+                            dueAt,
+                            daysOverdue,
+                            status: submission.missing ? 'Missing' : 'Late',
+                            url: assignment.html_url || `${domain}/courses/${course.id}/assignments/${submission.assignment_id}`
+                        };
+                    });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Submissions unavailable for course ${course.id}:`, error);
+            }
+        }, finished => {
+            if (options.onProgress) options.onProgress(t('progress.submissions', { finished, total: t('count.courses', { count: activeCourses.length }) }));
+        });
+    }
+
+    /**
+     * Builds the Missing and Late Work section listing every outstanding submission, soonest due first.
+     * @param {Array} courses Courses with `outstandingWork` attached by attachOutstandingWork.
+     * @returns {string} The section HTML.
+     */
+    function renderOutstandingWork(courses) {
+        const items = courses
+            .reduce((all, course) => all.concat(course.outstandingWork || []), [])
+            .sort((a, b) => new Date(a.dueAt || 0) - new Date(b.dueAt || 0));
+
+        let contentHtml;
+        if (items.length === 0) {
+            contentHtml = `<p>${t('outstanding.none')}</p>`;
+        } else {
+            const rows = items.map(item => `
+            <tr>
+                <td><a href="${escapeHtml(safeUrl(item.url))}" target="_blank" rel="noopener">${escapeHtml(item.assignmentName)}</a></td>
+                <td>${escapeHtml(item.courseName)}</td>
+                <td>${formatDate(item.dueAt)}</td>
+                <td>${item.daysOverdue === null ? t('common.notAvailable') : formatNumber(item.daysOverdue)}</td>
+                <td>${t(`outstanding.${item.status}`)}</td>
+            </tr>
+        `).join('');
+            contentHtml = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>${t('outstanding.assignment')}</th>
+                        <th>${t('outstanding.course')}</th>
+                        <th>${t('outstanding.due')}</th>
+                        <th>${t('outstanding.daysOverdue')}</th>
+                        <th>${t('outstanding.status')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        }
+        return `
+        <div class="outstanding-work">
+            <h3>${t('outstanding.title')}</h3>
+            ${contentHtml}
+        </div>
+    `;
+    }
+
+    /**
+     * Formats the Missing and Late Work section of a report modal for copying or printing.
+     * @param {HTMLElement} bodyElement The modal body.
+     * @param {object} [template] The copy template to style the table with.
+     * @returns {string} The section with inline styles, or an empty string if the report has none.
+     */
+    function buildStyledOutstandingWork(bodyElement, template) {
+        const section = bodyElement.querySelector('.outstanding-work');
+        if (!section) return '';
+
+        let html = `\n<h3>${escapeHtml(section.querySelector('h3').textContent)}</h3>\n`;
+        const table = section.querySelector('table');
+        if (table) {
+            html += buildStyledReportTable(table, template).outerHTML;
+        } else {
+            section.querySelectorAll('p').forEach(p => {
+                html += p.outerHTML + '\n';
+            });
+        }
+        return html;
+    }
+
+    /**
+     * Columns in CSV/XLSX exports. Student columns are only included in bulk reports,
+     * grade columns only while grades are shown.
+     * `key` picks the header text, the `exportColumns.<key>` message; `value` receives the student and
+     * one of their courses (null for students without courses).
+     */
+    const EXPORT_COLUMNS = [
+        { key: 'student', bulkOnly: true, value: student => student.name },
+        { key: 'sisUserId', bulkOnly: true, value: student => student.sisUserId },
+        { key: 'courseName', value: (student, course) => course.name },
+        { key: 'courseCode', value: (student, course) => course.course_code },
+        { key: 'sisCourseId', value: (student, course) => course.sis_course_id },
+        { key: 'requirementsCompleted', value: (student, course) => course.course_progress.requirement_completed_count },
+        { key: 'requirementCount', value: (student, course) => course.course_progress.requirement_count },
+        { key: 'completed', value: (student, course) => (course.course_progress.completed_at ? formatDate(course.course_progress.completed_at) : null) },
+        { key: 'completedAt', value: (student, course) => course.course_progress.completed_at },
+        { key: 'currentScore', grades: true, value: (student, course) => getStudentEnrollment(course).computed_current_score },
+        { key: 'currentGrade', grades: true, value: (student, course) => getStudentEnrollment(course).computed_current_grade },
+        { key: 'finalScore', grades: true, value: (student, course) => getStudentEnrollment(course).computed_final_score },
+        { key: 'finalGrade', grades: true, value: (student, course) => getStudentEnrollment(course).computed_final_grade },
+        { key: 'lastActivityAt', value: (student, course) => course.activity.lastActivityAt },
+        { key: 'totalActivityMinutes', value: (student, course) => (course.activity.totalActivityTime === null ? null : Math.round(course.activity.totalActivityTime / 60)) },
+        { key: 'pageViews', value: (student, course) => course.activity.pageViews },
+        { key: 'missingSubmissions', value: (student, course) => course.outstandingWork.filter(item => item.status === 'Missing').length },
+        { key: 'lateSubmissions', value: (student, course) => course.outstandingWork.filter(item => item.status === 'Late').length },
+        { key: 'enrollmentState', value: (student, course) => (course.enrollments && course.enrollments.length > 0 ? course.enrollments[0].enrollment_state : null) }
+    ];
+
+    /**
+     * Flattens report data into a header row and data rows for export.
+     * @param {object} report An entry from `reportData`.
+     * @returns {{headers: Array<string>, rows: Array<Array>}} Cell values; missing values are empty strings.
+     */
+    function buildExportTable(report) {
+        const showGrades = loadShowGrades();
+        const settings = loadReportSettings();
+        // A single student's report leads with the student details chosen in the settings
+        const detailColumns = report.bulk || !report.details ? [] : STUDENT_DETAIL_FIELDS
+            .filter(field => settings.detailFields.includes(field.key))
+            .map(field => ({ key: field.exportColumn, perStudent: true, value: () => report.details[field.key] }));
+        const columns = detailColumns.concat(EXPORT_COLUMNS.filter(column => (report.bulk || !column.bulkOnly) && (showGrades || !column.grades)));
+        const headers = columns.map(column => t(`exportColumns.${column.key}`));
+        const rows = [];
+
+        report.entries.forEach(({ student, allEnrollments, error }) => {
+            const courses = error ? [] : summariseCourses(allEnrollments, settings).filteredEnrollments;
+            if (error || courses.length === 0) {
+                // Keep the student in the export, with the reason in place of the course name
+                rows.push(columns.map(column => {
+                    if (column.bulkOnly || column.perStudent) return getSafe(() => column.value(student), '');
+                    if (column.key === 'courseName') return error ? t('common.error', { message: error }) : t('export.noMatchingEnrollments');
+                    return '';
+                }));
+                return;
+            }
+            courses.forEach(course => {
+                rows.push(columns.map(column => getSafe(() => column.value(student, course), '')));
+            });
+        });
+        return { headers, rows };
+    }
+
+    /**
+     * Serialises a table as RFC 4180 CSV.
+     * Text that a spreadsheet would read as a formula (starting with =, +, -, @, tab or CR) is prefixed
+     * with an apostrophe, so a course or student name can't run as one when the file is opened.
+     * @param {{headers: Array<string>, rows: Array<Array>}} table Output of buildExportTable.
+     * @returns {string} The CSV text.
+     */
+    function toCsv(table) {
+        const escapeCell = value => {
+            let text = String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [table.headers, ...table.rows]
+            .map(row => row.map(escapeCell).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Escapes text for use in XML content or attribute values.
+     * @param {string} text The text to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''); // Not allowed in XML 1.0
+    }
+
+    /**
+     * Calculates the CRC-32 checksum used by the ZIP format.
+     * @param {Uint8Array} bytes The data to checksum.
+     * @returns {number} The unsigned CRC-32 value.
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packs files into an uncompressed ZIP archive, which is all an XLSX file needs.
+     * @param {Array<{name: string, content: string}>} files The files to store.
+     * @returns {Uint8Array} The ZIP archive bytes.
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const dataBytes = encoder.encode(file.content);
+            const checksum = crc32(dataBytes);
+
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+            localHeader.setUint16(4, 20, true); // Version needed to extract
+            localHeader.setUint16(8, 0, true); // Compression method: stored
+            localHeader.setUint32(14, checksum, true);
+            localHeader.setUint32(18, dataBytes.length, true); // Compressed size
+            localHeader.setUint32(22, dataBytes.length, true); // Uncompressed size
+            localHeader.setUint16(26, nameBytes.length, true);
+
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+            centralHeader.setUint16(4, 20, true); // Version made by
+            centralHeader.setUint16(6, 20, true); // Version needed to extract
+            centralHeader.setUint16(10, 0, true); // Compression method: stored
+            centralHeader.setUint32(16, checksum, true);
+            centralHeader.setUint32(20, dataBytes.length, true);
+            centralHeader.setUint32(24, dataBytes.length, true);
+            centralHeader.setUint16(28, nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+            localParts.push(new Uint8Array(localHeader.buffer), nameBytes, dataBytes);
+            centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+            offset += 30 + nameBytes.length + dataBytes.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054b50, true); // End of central directory signature
+        endRecord.setUint16(8, files.length, true); // Entries on this disk
+        endRecord.setUint16(10, files.length, true); // Total entries
+        endRecord.setUint32(12, centralSize, true);
+        endRecord.setUint32(16, offset, true); // Offset of the central directory
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    /**
+     * Builds a single-sheet XLSX workbook. Numbers are written as numeric cells, everything else as text.
+     * @param {{headers: Array<string>, rows: Array<Array>}} table Output of buildExportTable.
+     * @returns {Uint8Array} The XLSX file bytes.
+     */
+    function toXlsx(table) {
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
+        };
+
+        const sheetRows = [table.headers, ...table.rows].map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+                if (value === '' || value === null || typeof value === 'undefined') return '';
+                if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+                const style = rowIndex === 0 ? ' s="1"' : ''; // Bold header row
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+                    '<sheets><sheet name="Report" sheetId="1" r:id="rId1"/></sheets>' +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: `${xmlHeader}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+                    `<sheetData>${sheetRows}</sheetData>` +
+                    '</worksheet>'
+            }
+        ]);
+    }
+
+    /**
+     * Saves a Blob as a file download.
+     * @param {Blob} blob The file contents.
+     * @param {string} fileName The suggested file name.
+     */
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Handles the click event for the "Download CSV" and "Download XLSX" buttons.
+     * Exports the data behind the report shown in the button's modal.
+     * @param {Event} event The click event.
+     * @param {string} format Either 'csv' or 'xlsx'.
+     */
+    function handleExportClick(event, format) {
+        const buttonElement = event.currentTarget;
+        const modal = buttonElement.closest('.k-modal');
+        const report = modal ? reportData[modal.id] : null;
+
+        if (!report) {
+            console.warn('No report data available for export.');
+            const originalText = buttonElement.innerText;
+            buttonElement.innerText = t('export.nothing');
+            announce(modal, t('export.nothing'));
+            buttonElement.disabled = true;
+            setTimeout(() => {
+                buttonElement.innerText = originalText;
+                buttonElement.disabled = false;
+            }, 2000);
+            return;
+        }
+
+        const table = buildExportTable(report);
+        const dateStamp = new Date().toISOString().slice(0, 10);
+        const fileName = `${report.fileName}-${dateStamp}.${format}`;
+        if (format === 'xlsx') {
+            const blob = new Blob([toXlsx(table)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            downloadBlob(blob, fileName);
+        } else {
+            // The byte order mark makes Excel read the file as UTF-8
+            const blob = new Blob(['\uFEFF' + toCsv(table)], { type: 'text/csv;charset=utf-8' });
+            downloadBlob(blob, fileName);
+        }
+        announce(modal, t('export.downloaded', { fileName }));
+        console.log(`Report exported as ${format.toUpperCase()} (${table.rows.length} rows).`);
+    }
+
+    /**
+     * Builds the footer buttons shared by the report modals.
+     * @param {string} idPrefix Prefix for the button IDs, e.g. "bulk-" for the bulk report.
+     * @returns {string} The buttons' HTML.
+     */
+    function buildReportFooterButtons(idPrefix) {
+        return `
+        <select class="report-template-select" id="copy-${idPrefix}report-template" aria-label="${t('templates.picker')}" style="margin: 0 8px 0 0; width: auto;"></select>
+        <button type="button" class="btn" id="copy-${idPrefix}report-button">${t('copy.button')}</button>
+        <button type="button" class="btn" id="csv-${idPrefix}report-button" style="margin-left: 8px;">${t('export.csv')}</button>
+        <button type="button" class="btn" id="xlsx-${idPrefix}report-button" style="margin-left: 8px;">${t('export.xlsx')}</button>
+    `;
+    }
+
+    /**
+     * Wires up the Copy and Download buttons created by buildReportFooterButtons.
+     * @param {string} idPrefix The prefix passed to buildReportFooterButtons.
+     */
+    function bindReportFooterButtons(idPrefix) {
+        const copyButton = document.getElementById(`copy-${idPrefix}report-button`);
+        const csvButton = document.getElementById(`csv-${idPrefix}report-button`);
+        const xlsxButton = document.getElementById(`xlsx-${idPrefix}report-button`);
+
+        if (copyButton) {
+            copyButton.addEventListener('click', handleCopyReportClick);
+        }
+        if (csvButton) {
+            csvButton.addEventListener('click', event => handleExportClick(event, 'csv'));
+        }
+        if (xlsxButton) {
+            xlsxButton.addEventListener('click', event => handleExportClick(event, 'xlsx'));
+        }
+    }
+
+    /**
+     * Checks a program definition, as stored or imported, and tidies it up.
+     * @param {object} program The definition.
+     * @param {number} [index] Its position in an import, used to give it an ID if it has none.
+     * @returns {object|null} {id, name, required, electives, electivesRequired}, or null if it isn't a program.
+     */
+    function normaliseProgram(program, index = 0) {
+        if (!program || typeof program !== 'object' || typeof program.name !== 'string' || !program.name.trim()) {
+            return null;
+        }
+        const patterns = list => (Array.isArray(list) ? list : []).map(pattern => String(pattern).trim()).filter(Boolean);
+        return {
+            id: program.id ? String(program.id) : `program-${Date.now()}-${index}`,
+            name: program.name.trim(),
+            required: patterns(program.required),
+            electives: patterns(program.electives),
+            electivesRequired: Math.max(0, parseInt(program.electivesRequired, 10) || 0)
+        };
+    }
+
+    /**
+     * Loads the program definitions.
+     * @returns {Array<object>} Programs, as returned by normaliseProgram.
+     */
+    function loadPrograms() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(PROGRAMS_STORAGE_KEY)) || [];
+        } catch (e) {
+            console.warn('Could not read programs from localStorage.', e);
+        }
+        return (Array.isArray(stored) ? stored : []).map(normaliseProgram).filter(Boolean);
+    }
+
+    /**
+     * Saves the program definitions.
+     * @param {Array<object>} programs Programs, as returned by loadPrograms.
+     */
+    function savePrograms(programs) {
+        localStorage.setItem(PROGRAMS_STORAGE_KEY, JSON.stringify(programs));
+    }
+
+    /**
+     * Checks whether a course matches a program course pattern: a SIS course ID or course code,
+     * case-insensitive, where `*` matches any run of characters (e.g. "MATH1*").
+     * @param {object} course A course from fetchUserCourses.
+     * @param {string} pattern The pattern.
+     * @returns {boolean}
+     */
+    function courseMatchesPattern(course, pattern) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        const regex = new RegExp(`^${source}$`, 'i');
+        return [course.sis_course_id, course.course_code].some(value => value && regex.test(value));
+    }
+
+    /**
+     * Works out a student's progress through a program: every required course plus the number of electives needed.
+     * A course only counts once, for the first required pattern it matches, otherwise as an elective.
+     * @param {object} program A program, as returned by loadPrograms.
+     * @param {Array} courses All the student's courses, as returned by fetchUserCourses. Deleted courses are ignored.
+     * @returns {{required: Array<{pattern: string, course: object|null, status: string}>, completedElectives: number,
+     *            met: number, total: number, complete: boolean}} Each required course's status is
+     *          'completed', 'inProgress' or 'notEnrolled'; `met` of `total` counts required courses and electives.
+     */
+    function evaluateProgram(program, courses) {
+        const candidates = courses.filter(course => course.workflow_state !== 'deleted');
+        const used = new Set();
+
+        const required = program.required.map(pattern => {
+            const matches = candidates.filter(course => !used.has(course) && courseMatchesPattern(course, pattern));
+            // Prefer a completed attempt, e.g. when a student has retaken a course
+            const course = matches.find(isCourseCompleted) || matches[0] || null;
+            if (course) used.add(course);
+            const status = !course ? 'notEnrolled' : isCourseCompleted(course) ? 'completed' : 'inProgress';
+            return { pattern, course, status };
+        });
+        const completedElectives = candidates.filter(course => !used.has(course) && isCourseCompleted(course) &&
+            program.electives.some(pattern => courseMatchesPattern(course, pattern))).length;
+
+        const requiredCompleted = required.filter(item => item.status === 'completed').length;
+        return {
+            required,
+            completedElectives,
+            met: requiredCompleted + Math.min(completedElectives, program.electivesRequired),
+            total: program.required.length + program.electivesRequired,
+            complete: requiredCompleted === program.required.length && completedElectives >= program.electivesRequired
+        };
+    }
+
+    /**
+     * Builds the report section showing progress against each program, listing what is still outstanding.
+     * @param {Array} courses All the student's courses, as returned by fetchUserCourses.
+     * @returns {string} The section HTML, or an empty string if no programs are defined.
+     */
+    function renderProgramProgress(courses) {
+        const programs = loadPrograms();
+        if (programs.length === 0) return '';
+
+        const items = programs.map(program => {
+            const result = evaluateProgram(program, courses);
+            // Inline styles, so the section keeps its look when copied or printed
+            const outstanding = result.required.filter(item => item.status !== 'completed').map(item => `
+            <li${item.status === 'notEnrolled' ? ' style="color: #a94442;"' : ''}>${escapeHtml(t('programs.requiredCourse', {
+                name: item.course ? getSafe(() => item.course.name) : item.pattern,
+                status: t(`programs.${item.status}`)
+            }))}</li>
+        `);
+            const electivesNeeded = program.electivesRequired - result.completedElectives;
+            if (electivesNeeded > 0) {
+                outstanding.push(`<li>${escapeHtml(t('programs.electivesNeeded', { count: electivesNeeded }))}</li>`);
+            }
+            return `
+            <li>
+                <strong>${escapeHtml(program.name)}</strong>: ${escapeHtml(t(result.complete ? 'programs.complete' : 'programs.progress', { met: result.met, total: result.total }))}
+                ${outstanding.length > 0 ? `<ul>${outstanding.join('')}</ul>` : ''}
+            </li>
+        `;
+        }).join('');
+        return `
+        <div class="program-progress">
+            <h3 style="font-size: 14px; margin: 0 0 6px;">${t('programs.heading')}</h3>
+            <ul>${items}</ul>
+        </div>
+    `;
+    }
+
+    /**
+     * Builds the collapsible editor for program definitions, with JSON import and export.
+     * @returns {string} The editor HTML.
+     */
+    function buildProgramsHtml() {
+        return `
+        <details class="report-programs" style="margin: 10px 0;">
+            <summary>${t('programs.title')}</summary>
+            <form class="report-programs-form" style="margin-top: 8px;">
+                <label style="display: block; margin-bottom: 6px;">${t('programs.program')}
+                    <select name="programId"></select>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.name')}
+                    <input type="text" name="name" style="width: 100%; box-sizing: border-box;">
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.required')}
+                    <textarea name="required" rows="4" style="width: 100%; box-sizing: border-box;"></textarea>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.electives')}
+                    <textarea name="electives" rows="3" style="width: 100%; box-sizing: border-box;"></textarea>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.electivesRequired')}
+                    <input type="number" name="electivesRequired" min="0" step="1" style="width: 80px;">
+                </label>
+                <p style="font-size: 0.9em; color: #555;">${t('programs.patternHelp')}</p>
+                <p class="programs-status" role="status" style="margin: 0 0 8px;"></p>
+                <button type="submit" class="btn">${t('programs.save')}</button>
+                <button type="button" class="btn delete-program" style="margin-left: 8px;">${t('programs.delete')}</button>
+                <button type="button" class="btn export-programs" style="margin-left: 8px;">${t('programs.export')}</button>
+                <button type="button" class="btn import-programs" style="margin-left: 8px;">${t('programs.import')}</button>
+                <input type="file" name="importFile" accept=".json,application/json" style="display: none;">
+            </form>
+        </details>
+    `;
+    }
+
+    /**
+     * Fills the program editor with a program, or blanks for a new one.
+     * @param {HTMLFormElement} form The program editor form.
+     * @param {string} programId The program to edit, or '' for a new one.
+     */
+    function fillProgramForm(form, programId) {
+        const programs = loadPrograms();
+        const program = programs.find(item => item.id === programId) ||
+            { id: '', name: '', required: [], electives: [], electivesRequired: 0 };
+
+        form.elements.programId.innerHTML = `<option value="">${t('programs.new')}</option>` +
+            programs.map(item => `<option value="${escapeHtml(item.id)}" ${item.id === program.id ? 'selected' : ''}>${escapeHtml(item.name)}</option>`).join('');
+        form.elements.name.value = program.name;
+        form.elements.required.value = program.required.join('\n');
+        form.elements.electives.value = program.electives.join('\n');
+        form.elements.electivesRequired.value = program.electivesRequired;
+        form.querySelector('.delete-program').disabled = !program.id;
+    }
+
+    /**
+     * Wires up the program editor. Saving, deleting or importing programs re-renders the report.
+     * @param {HTMLElement} modal The report modal.
+     * @param {Function} rerender Re-renders the report.
+     */
+    function bindPrograms(modal, rerender) {
+        const form = modal.querySelector('.report-programs-form');
+        const status = form.querySelector('.programs-status');
+        fillProgramForm(form, '');
+        form.elements.programId.addEventListener('change', () => {
+            status.textContent = '';
+            fillProgramForm(form, form.elements.programId.value);
+        });
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const program = normaliseProgram({
+                id: form.elements.programId.value,
+                name: form.elements.name.value,
+                required: form.elements.required.value.split('\n'),
+                electives: form.elements.electives.value.split('\n'),
+                electivesRequired: form.elements.electivesRequired.value
+            });
+            if (!program) {
+                status.textContent = t('programs.nameRequired');
+                form.elements.name.focus();
+                return;
+            }
+
+            const programs = loadPrograms();
+            const index = programs.findIndex(item => item.id === program.id);
+            if (index === -1) {
+                programs.push(program);
+            } else {
+                programs[index] = program;
+            }
+            savePrograms(programs);
+            fillProgramForm(form, program.id);
+            status.textContent = t('programs.saved', { name: program.name });
+            console.log(`Saved program "${program.name}".`);
+            rerender();
+        });
+
+        form.querySelector('.delete-program').addEventListener('click', () => {
+            const programId = form.elements.programId.value;
+            if (!programId || !confirm(t('programs.confirmDelete'))) return;
+            savePrograms(loadPrograms().filter(program => program.id !== programId));
+            fillProgramForm(form, '');
+            status.textContent = '';
+            rerender();
+        });
+
+        form.querySelector('.export-programs').addEventListener('click', () => {
+            downloadBlob(new Blob([JSON.stringify(loadPrograms(), null, 2)], { type: 'application/json' }), 'programs.json');
+        });
+
+        // Imported programs replace saved ones with the same ID and are added otherwise
+        form.querySelector('.import-programs').addEventListener('click', () => form.elements.importFile.click());
+        form.elements.importFile.addEventListener('change', async () => {
+            const file = form.elements.importFile.files[0];
+            form.elements.importFile.value = '';
+            if (!file) return;
+            try {
+                const imported = JSON.parse(await file.text());
+                if (!Array.isArray(imported)) {
+                    throw new Error(t('programs.notAList'));
+                }
+                const valid = imported.map(normaliseProgram).filter(Boolean);
+                const programs = loadPrograms().filter(program => !valid.some(item => item.id === program.id));
+                savePrograms(programs.concat(valid));
+                fillProgramForm(form, '');
+                status.textContent = t('programs.imported', { count: valid.length, skipped: imported.length - valid.length });
+                rerender();
+            } catch (error) {
+                console.error('Error importing programs:', error);
+                status.textContent = t('programs.importError', { message: error.message });
+            }
+        });
+    }
+
+    /**
+     * Builds the stylesheet for a report table shown inside a modal.
+     * @param {string} modalId The ID of the modal the styles are scoped to.
+     * @returns {string} A `<style>` element as an HTML string.
+     */
+    function getReportTableStyles(modalId) {
+        return `
+        <style>
+            #${modalId} .enrollment-summary { margin-bottom: 15px; }
+            #${modalId} table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 10px;
+                font-size: 12px; /* Smaller font for better data fit */
+            }
+            #${modalId} th, #${modalId} td {
+                border: 1px solid #ccc; /* Lighter border */
+                padding: 6px; /* Slightly less padding */
+                text-align: left;
+                vertical-align: top; /* Align content to top */
+                word-break: break-word; /* Break long words/strings */
+            }
+            #${modalId} th {
+                background-color: #f0f0f0; /* Lighter header background */
+                font-weight: bold;
+            }
+            #${modalId} tr:nth-child(even) {
+                background-color: #f9f9f9; /* Zebra striping for rows */
+            }
+            #${modalId} .student-details tr {
+                background-color: transparent; /* Details are a list, not data rows */
+            }
+            #${modalId} th:first-child,
+            #${modalId} td:first-child {
+                width: 25%; /* Set a specific width for the Course Name column */
+            }
+            #${modalId} .module-toggle {
+                background: none;
+                border: none;
+                cursor: pointer;
+                padding: 0 4px 0 0;
+                font-size: 12px;
+            }
+            #${modalId} .module-detail-row > td {
+                width: auto; /* Detail cell spans the whole table */
+                background-color: #fff;
+            }
+            #${modalId} .module-detail h4 {
+                margin: 8px 0 4px;
+                font-size: 12px;
+            }
+            #${modalId} .module-detail ul {
+                margin: 0 0 6px 18px;
+                padding: 0;
+            }
+            #${modalId} .requirement-done { color: #0b7a0b; }
+            #${modalId} .requirement-missing { color: #b00020; }
+            #${modalId} .requirement-locked { color: #666; }
+            #${modalId} tr.inactive-row { background-color: #fff3cd; } /* Flag students who've gone quiet */
+            #${modalId} .outstanding-work h3 { margin: 20px 0 0; font-size: 14px; }
+            #${modalId} tr.snapshot-completed { background-color: #d4edda; }
+            #${modalId} tr.snapshot-changed { background-color: #fff3cd; }
+            #${modalId} tr.snapshot-added { background-color: #d1ecf1; }
+            #${modalId} tr.snapshot-dropped { background-color: #f8d7da; }
+        </style>`;
+    }
+
+    /**
+     * Student details that can be shown above the report, in display order. `exportColumn` names the
+     * field's column in single-student exports (see EXPORT_COLUMNS); `format` turns a raw value into display text.
+     */
+    const STUDENT_DETAIL_FIELDS = [
+        { key: 'name', exportColumn: 'student' },
+        { key: 'sisUserId', exportColumn: 'sisUserId' },
+        { key: 'loginId', exportColumn: 'loginId' },
+        { key: 'email', exportColumn: 'email' },
+        { key: 'account', exportColumn: 'account' },
+        { key: 'timeZone', exportColumn: 'timeZone' },
+        { key: 'lastLogin', exportColumn: 'lastLogin', format: value => formatDate(value) }
+    ];
+
+    /**
+     * Fetches a student's identifying details: their user record, profile and logins, plus the accounts the
+     * logins belong to. Each needs different permissions, so any that can't be read are left out.
+     * @param {string} userId The Canvas user ID.
+     * @param {object} [options] `signal`, as for fetchAllPages.
+     * @returns {Promise<object>} Values for each STUDENT_DETAIL_FIELDS key, null where unavailable.
+     */
+    async function fetchStudentDetails(userId, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const optional = request => request.catch(error => {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Some details unavailable for user ${userId}:`, error);
+            return null;
+        });
+
+        const [user, profile, logins] = await Promise.all([
+            optional(fetchJson(`${domain}/api/v1/users/${userId}?include[]=last_login`, headers, options)),
+            optional(fetchJson(`${domain}/api/v1/users/${userId}/profile`, headers, options)),
+            optional(fetchAllPages(`${domain}/api/v1/users/${userId}/logins?per_page=100`, headers, options))
+        ]);
+        const accountIds = Array.from(new Set((logins || []).map(login => login.account_id).filter(Boolean)));
+        const accounts = await Promise.all(accountIds.map(accountId =>
+            optional(fetchJson(`${domain}/api/v1/accounts/${accountId}`, headers, options))));
+
+        const joinValues = values => Array.from(new Set(values.filter(Boolean))).join(', ') || null;
+        return {
+            name: getSafe(() => profile.name, null) || getSafe(() => user.name, null),
+            sisUserId: getSafe(() => user.sis_user_id, null) || joinValues((logins || []).map(login => login.sis_user_id)),
+            loginId: joinValues((logins || []).map(login => login.unique_id)) || getSafe(() => profile.login_id, null),
+            email: getSafe(() => profile.primary_email, null) || getSafe(() => user.email, null),
+            account: joinValues(accounts.map((account, index) => (account ? account.name : String(accountIds[index])))),
+            timeZone: getSafe(() => profile.time_zone, null) || getSafe(() => user.time_zone, null),
+            lastLogin: getSafe(() => user.last_login, null)
+        };
+    }
+
+    /**
+     * Lists the student details chosen in the report settings, as display text.
+     * @param {object|null} details Output of fetchStudentDetails.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {Array<{label: string, value: string}>} The rows, or none if there are no details.
+     */
+    function getStudentDetailRows(details, settings) {
+        if (!details) return [];
+        return STUDENT_DETAIL_FIELDS.filter(field => settings.detailFields.includes(field.key)).map(field => ({
+            label: t(`details.${field.key}`),
+            value: field.format ? field.format(details[field.key]) : getSafe(() => details[field.key])
+        }));
+    }
+
+    /**
+     * Builds the student details block shown above the report. Styles are inline so it copies as shown.
+     * @param {object|null} details Output of fetchStudentDetails.
+     * @param {object} settings Report settings, as returned by loadReportSettings.
+     * @returns {string} The block HTML, or an empty string if there is nothing to show.
+     */
+    function renderStudentDetails(details, settings) {
+        const rows = getStudentDetailRows(details, settings);
+        if (rows.length === 0) return '';
+        return `
+        <div class="student-details">
+            <table style="width: auto; border-collapse: collapse; margin: 0 0 10px;">
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <th scope="row" style="width: auto; text-align: left; padding: 2px 12px 2px 0; border: none; background: none;">${escapeHtml(row.label)}</th>
+                            <td style="padding: 2px 0; border: none; background: none;">${escapeHtml(row.value)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    }
+
+    async function fetchAndDisplayEnrollments(userId) {
+        const modalBody = document.querySelector('#student-report-modal .k-modal-body');
+        if (!modalBody) {
+            console.error('Modal body not found.');
+            return;
+        }
+
+        const modal = document.getElementById('student-report-modal');
+        modalBody.innerHTML = `<p class="loading-indicator">${t('report.loadingEnrolments')} <span class="loading-progress"></span></p>`; // Show loading message
+        announce(modal, t('report.loadingEnrolments'));
+        delete reportData['student-report-modal'];
+        renderReportDashboard();
+        const signal = beginModalRequests('student-report-modal');
+
+        if (!userId) {
+            modalBody.innerHTML = `<p>${t('report.userIdMissing')}</p>`;
+            announce(modal, t('report.userIdMissing'));
+            console.error('User ID not found in URL.');
+            return;
+        }
+
+        console.log(`Fetching enrollments for user ID: ${userId}`);
+
+        modalBody.setAttribute('aria-busy', 'true');
+        try {
+            const progressElement = modalBody.querySelector('.loading-progress');
+            const onProgress = message => { progressElement.textContent = message; };
+            const [allEnrollments, details] = await Promise.all([
+                fetchUserCourses(userId, { signal, onProgress }),
+                fetchStudentDetails(userId, { signal })
+            ]);
+            if (details.name) {
+                // Prefer the name from the API to the one on the page
+                reportStudent.name = details.name;
+                modal.querySelector('.k-modal-title').textContent = t('report.title', { name: details.name });
+            }
+            await attachCourseActivity(userId, allEnrollments, { signal, onProgress });
+            await attachOutstandingWork(userId, allEnrollments, { signal, onProgress });
+
+            reportData['student-report-modal'] = {
+                fileName: `student-report-${userId}`,
+                bulk: false,
+                userId,
+                allEnrollments,
+                details,
+                entries: [{ student: { id: userId }, allEnrollments, error: null }]
+            };
+            updateTermOptions(modal, allEnrollments);
+            renderStudentReport();
+            if (modal.querySelector('.k-modal-compare').style.display !== 'none') {
+                loadSnapshotComparison(modal); // Opened before the report finished loading
+            }
+            const summaryElement = modalBody.querySelector('.enrollment-summary');
+            announce(modal, t('a11y.reportLoaded', { summary: summaryElement ? summaryElement.textContent : '' }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Loading enrollments cancelled.');
+                return; // The modal was closed; it reloads when reopened
+            }
+            console.error('Error fetching enrollments:', error);
+            modalBody.innerHTML = `<p>${escapeHtml(t('report.loadError', { message: error.message }))}</p>`;
+            announce(modal, t('report.loadError', { message: error.message }));
+        } finally {
+            modalBody.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Renders the summary and course table for the data loaded by fetchAndDisplayEnrollments.
+     * Called again whenever a display option changes, without refetching.
+     */
+    function renderStudentReport() {
+        const modalBody = document.querySelector('#student-report-modal .k-modal-body');
+        const report = reportData['student-report-modal'];
+        if (!modalBody || !report) return;
+
+        const { userId, allEnrollments, details } = report;
+        const settings = loadReportSettings();
+        const { filteredEnrollments, completedCourses, totalCourses } = summariseCourses(allEnrollments, settings);
+        const showGrades = loadShowGrades();
+
+        const summaryParts = [t('report.summary', { completed: completedCourses, count: totalCourses })];
+        if (showGrades) {
+            const averageScore = getAverageCompletedScore(filteredEnrollments);
+            summaryParts.push(t('report.averageScore', { score: formatScore(averageScore) }));
+        }
+        const inactiveCourses = filteredEnrollments.filter(course => isCourseInactive(course, settings)).length;
+        if (inactiveCourses > 0) {
+            summaryParts.push(t('report.inactiveCourses', {
+                days: t('count.days', { count: settings.inactiveDays }),
+                courses: t('count.courses', { count: inactiveCourses })
+            }));
+        }
+        const summaryHtml = `<p class="enrollment-summary"><strong>${escapeHtml(summaryParts.join(' — '))}</strong></p>`;
+
+        if (allEnrollments) { // True if fetch was successful and allEnrollments is an array (possibly empty)
+            let finalModalContent = renderStudentDetails(details, settings) + summaryHtml + renderProgramProgress(allEnrollments);
+
+            if (filteredEnrollments.length > 0) {
+                const columns = getVisibleReportColumns(settings);
+                let tablePortionHtml = getReportTableStyles('student-report-modal') + `
+                <table>
+                    <thead>
+                        <tr>
+                            ${renderReportColumnHeaders(columns, settings)}
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+                filteredEnrollments.forEach(enrollment => {
+                    // The drill-down toggle sits in the first visible column
+                    const cells = columns.map((column, index) => {
+                        const toggle = index === 0 ? `<button type="button" class="module-toggle" aria-expanded="false" title="${t('report.showModules')}">&#9656;</button> ` : '';
+                        return `<td>${toggle}${column.render(enrollment)}</td>`;
+                    }).join('');
+                    tablePortionHtml += `
+                    <tr class="course-row${isCourseInactive(enrollment, settings) ? ' inactive-row' : ''}" data-course-id="${escapeHtml(enrollment.id)}">
+                        ${cells}
+                    </tr>
+                `;
+                });
+                tablePortionHtml += `
+                    </tbody>
+                </table>
+            `;
+                finalModalContent += tablePortionHtml + renderOutstandingWork(allEnrollments);
+                modalBody.innerHTML = finalModalContent;
+
+                const reportTable = modalBody.querySelector(':scope > table');
+                if (reportTable) {
+                    reportTable.addEventListener('click', event => handleModuleToggleClick(event, userId));
+                }
+            } else {
+                finalModalContent += (allEnrollments.length > 0) ?
+                    `<p>${t('report.noMatchingEnrollments')}</p>` :
+                    `<p>${t('report.noEnrollments')}</p>`;
+                modalBody.innerHTML = finalModalContent + (allEnrollments.length > 0 ? renderOutstandingWork(allEnrollments) : '');
+            }
+        } else {
+            modalBody.innerHTML = `<p>${t('report.couldNotRetrieve')}</p>`;
+        }
+        renderReportDashboard();
+    }
+
+    /* global ENV */
+
+    /**
+     * Loads the report settings from localStorage, filling in defaults for anything missing.
+     * @returns {object} The settings.
+     */
+    function loadReportSettings() {
+        const defaults = {
+            includeDeleted: true,
+            includeConcluded: true,
+            includeWithoutRequirements: false,
+            termId: '',
+            dateFrom: '',
+            dateTo: '',
+            sortColumn: 'completed',
+            sortDirection: 'asc',
+            displayColumns: ['name', 'code', 'progress', 'completed', 'currentScore', 'finalScore', 'lastActivity', 'activityTime', 'pageViews', 'outstandingWork', 'enrollmentState'],
+            copyColumns: ['name', 'code', 'progress', 'completed', 'currentScore', 'finalScore', 'outstandingWork'],
+            inactiveDays: 14,
+            includePageViews: true,
+            locale: '', // Blank follows Canvas
+            timeZone: '',
+            dateFormat: 'locale',
+            detailFields: ['name', 'sisUserId', 'loginId'] // The IDs that tell students apart; other personal details are opt-in
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem(REPORT_SETTINGS_STORAGE_KEY));
+            return Object.assign(defaults, stored);
+        } catch (e) {
+            console.warn('Could not read report settings from localStorage.', e);
+            return defaults;
+        }
+    }
+
+    /**
+     * Saves the report settings to localStorage.
+     * @param {object} settings The settings, as returned by loadReportSettings.
+     */
+    function saveReportSettings(settings) {
+        localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Builds the collapsible report settings panel placed above a report modal's body.
+     * @returns {string} The panel HTML.
+     */
+    function buildReportSettingsHtml() {
+        const settings = loadReportSettings();
+        const checked = value => (value ? 'checked' : '');
+        const checkbox = (name, label) => `
+        <label style="display: block;"><input type="checkbox" name="${name}" ${checked(settings[name])}> ${label}</label>
+    `;
+
+        const sortOptions = REPORT_COLUMNS.map(column =>
+            `<option value="${column.key}" ${column.key === settings.sortColumn ? 'selected' : ''}>${getColumnHeader(column)}</option>`).join('');
+        const columnRows = REPORT_COLUMNS.map(column => `
+        <tr>
+            <td>${getColumnHeader(column)}${column.grades ? ` <em>${t('settings.whenGradesShown')}</em>` : ''}</td>
+            <td><input type="checkbox" name="display-${column.key}" aria-label="${t('settings.showColumn', { column: getColumnHeader(column) })}" ${checked(settings.displayColumns.includes(column.key))}></td>
+            <td><input type="checkbox" name="copy-${column.key}" aria-label="${t('settings.copyColumn', { column: getColumnHeader(column) })}" ${checked(settings.copyColumns.includes(column.key))}></td>
+        </tr>
+    `).join('');
+        const canvasEnv = typeof ENV === 'object' && ENV !== null ? ENV : {};
+        const localeExample = getIntlFormatter(Intl.DateTimeFormat, getLocaleSettings().locale, { year: 'numeric', month: 'numeric', day: 'numeric' })
+            .format(new Date(2024, 8, 27));
+        const dateFormatOptions = [`<option value="locale">${t('settings.dateFormatLocale', { example: localeExample })}</option>`]
+            .concat(DATE_FORMATS.map(format => `<option value="${format}" ${format === settings.dateFormat ? 'selected' : ''}>${format}</option>`))
+            .join('');
+
+        return `
+        <details class="report-settings" style="margin-bottom: 10px;">
+            <summary>${t('settings.title')}</summary>
+            <form class="report-settings-form" style="margin-top: 8px; font-size: 12px;">
+                <fieldset>
+                    <legend>${t('settings.courses')}</legend>
+                    ${checkbox('includeDeleted', t('settings.includeDeleted'))}
+                    ${checkbox('includeConcluded', t('settings.includeConcluded'))}
+                    ${checkbox('includeWithoutRequirements', t('settings.includeWithoutRequirements'))}
+                    <label style="display: block;">${t('settings.term')}
+                        <select name="termId" data-selected="${escapeHtml(settings.termId)}">
+                            <option value="">${t('settings.allTerms')}</option>
+                        </select>
+                    </label>
+                    <label>${t('settings.runningBetween')} <input type="date" name="dateFrom" value="${escapeHtml(settings.dateFrom)}"></label>
+                    <label>${t('settings.runningAnd')} <input type="date" name="dateTo" value="${escapeHtml(settings.dateTo)}"></label>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.activity')}</legend>
+                    <label style="display: block;">${t('settings.inactiveDaysBefore')}
+                        <input type="number" name="inactiveDays" min="0" value="${escapeHtml(settings.inactiveDays)}" style="width: 5em;"> ${t('settings.inactiveDaysAfter')}
+                    </label>
+                    ${checkbox('includePageViews', t('settings.includePageViews'))}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.sorting')}</legend>
+                    <label>${t('settings.sortBy')} <select name="sortColumn">${sortOptions}</select></label>
+                    <select name="sortDirection" aria-label="${t('settings.sortDirection')}">
+                        <option value="asc" ${settings.sortDirection === 'asc' ? 'selected' : ''}>${t('settings.ascending')}</option>
+                        <option value="desc" ${settings.sortDirection === 'desc' ? 'selected' : ''}>${t('settings.descending')}</option>
+                    </select>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.columns')}</legend>
+                    <table style="width: auto; margin-top: 0;">
+                        <thead><tr><th>${t('settings.column')}</th><th>${t('settings.show')}</th><th>${t('settings.copy')}</th></tr></thead>
+                        <tbody>${columnRows}</tbody>
+                    </table>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.studentDetails')}</legend>
+                    <p style="margin: 0 0 4px; color: #555;">${t('settings.studentDetailsHelp')}</p>
+                    ${STUDENT_DETAIL_FIELDS.map(field => `
+                        <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="detail-${field.key}" ${checked(settings.detailFields.includes(field.key))}> ${t(`details.${field.key}`)}</label>
+                    `).join('')}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.languageAndDates')}</legend>
+                    <label style="display: block;">${t('settings.locale')}
+                        <input type="text" name="locale" value="${escapeHtml(settings.locale)}" placeholder="${escapeHtml(t('settings.localeHelp', { locale: canvasEnv.LOCALE || navigator.language }))}" style="width: 100%; box-sizing: border-box;">
+                    </label>
+                    <label style="display: block;">${t('settings.timeZone')}
+                        <input type="text" name="timeZone" value="${escapeHtml(settings.timeZone)}" placeholder="${escapeHtml(t('settings.timeZoneHelp', { timeZone: canvasEnv.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone }))}" style="width: 100%; box-sizing: border-box;">
+                    </label>
+                    <label style="display: block;">${t('settings.dateFormat')}
+                        <select name="dateFormat">${dateFormatOptions}</select>
+                    </label>
+                    <p style="margin: 4px 0 0; color: #555;">${t('settings.localeNote')}</p>
+                </fieldset>
+                <button type="submit" class="btn">${t('settings.apply')}</button>
+                <button type="button" class="btn reset-report-settings" style="margin-left: 8px;">${t('settings.reset')}</button>
+            </form>
+        </details>
+    `;
+    }
+
+    /**
+     * Reads the report settings panel's current values.
+     * @param {HTMLFormElement} form The settings form.
+     * @returns {object} The settings.
+     */
+    function readReportSettingsForm(form) {
+        const fields = form.elements;
+        return {
+            includeDeleted: fields.includeDeleted.checked,
+            includeConcluded: fields.includeConcluded.checked,
+            includeWithoutRequirements: fields.includeWithoutRequirements.checked,
+            termId: fields.termId.value,
+            dateFrom: fields.dateFrom.value,
+            dateTo: fields.dateTo.value,
+            sortColumn: fields.sortColumn.value,
+            sortDirection: fields.sortDirection.value,
+            inactiveDays: Math.max(0, parseInt(fields.inactiveDays.value, 10) || 0),
+            includePageViews: fields.includePageViews.checked,
+            locale: fields.locale.value.trim(),
+            timeZone: fields.timeZone.value.trim(),
+            dateFormat: fields.dateFormat.value,
+            displayColumns: REPORT_COLUMNS.filter(column => fields[`display-${column.key}`].checked).map(column => column.key),
+            copyColumns: REPORT_COLUMNS.filter(column => fields[`copy-${column.key}`].checked).map(column => column.key),
+            detailFields: STUDENT_DETAIL_FIELDS.filter(field => fields[`detail-${field.key}`].checked).map(field => field.key)
+        };
+    }
+
+    /**
+     * Fills the settings panel's term list from loaded courses, keeping the saved selection.
+     * @param {HTMLElement} modal The report modal.
+     * @param {Array} courses Every course in the loaded report.
+     */
+    function updateTermOptions(modal, courses) {
+        const termSelect = modal.querySelector('.report-settings-form select[name="termId"]');
+        if (!termSelect) return;
+
+        const terms = new Map();
+        courses.forEach(course => {
+            if (course.term && !terms.has(String(course.term.id))) {
+                terms.set(String(course.term.id), course.term);
+            }
+        });
+
+        const selected = termSelect.dataset.selected;
+        termSelect.innerHTML = `<option value="">${t('settings.allTerms')}</option>` + Array.from(terms.values())
+            .sort((a, b) => new Date(b.start_at || 0) - new Date(a.start_at || 0)) // Most recent first
+            .map(term => `<option value="${escapeHtml(term.id)}" ${String(term.id) === selected ? 'selected' : ''}>${escapeHtml(term.name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Wires up a modal's report settings panel to persist changes and re-render the report.
+     * @param {HTMLElement} modal The report modal.
+     * @param {Function} rerender Re-renders the report from already-loaded data.
+     */
+    function bindReportSettings(modal, rerender) {
+        const form = modal.querySelector('.report-settings-form');
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const settings = readReportSettingsForm(form);
+            saveReportSettings(settings);
+            form.elements.termId.dataset.selected = settings.termId;
+            rerender();
+        });
+
+        form.querySelector('.reset-report-settings').addEventListener('click', () => {
+            localStorage.removeItem(REPORT_SETTINGS_STORAGE_KEY);
+            const panel = form.closest('.report-settings');
+            panel.insertAdjacentHTML('afterend', buildReportSettingsHtml());
+            const newPanel = panel.nextElementSibling;
+            newPanel.open = true;
+            panel.remove();
+            bindReportSettings(modal, rerender);
+            const report = reportData[modal.id];
+            if (report) {
+                updateTermOptions(modal, report.entries.reduce((courses, entry) => courses.concat(entry.allEnrollments || []), []));
+            }
+            rerender();
+        });
+    }
+
+    /**
+     * Reads whether grade columns are shown, from localStorage. Defaults to shown.
+     * @returns {boolean}
+     */
+    function loadShowGrades() {
+        return localStorage.getItem(SHOW_GRADES_STORAGE_KEY) !== 'false';
+    }
+
+    /**
+     * Builds the "Show grades" checkbox placed above a report modal's body.
+     * @param {string} checkboxId The ID to give the checkbox.
+     * @returns {string} The checkbox HTML.
+     */
+    function buildShowGradesToggleHtml(checkboxId) {
+        return `
+        <label class="report-option" style="display: inline-block; margin-bottom: 10px;">
+            <input type="checkbox" id="${checkboxId}" ${loadShowGrades() ? 'checked' : ''}>
+            ${t('report.showGrades')}
+        </label>
+    `;
+    }
+
+    /**
+     * Wires up a "Show grades" checkbox to persist its state and re-render the report.
+     * @param {string} checkboxId The ID of the checkbox.
+     * @param {Function} rerender Re-renders the report from already-loaded data.
+     */
+    function bindShowGradesToggle(checkboxId, rerender) {
+        document.getElementById(checkboxId).addEventListener('change', event => {
+            localStorage.setItem(SHOW_GRADES_STORAGE_KEY, String(event.currentTarget.checked));
+            rerender();
+        });
+    }
+
+    /* global ENV */
+
+    // Date formats offered in the report settings, besides following the locale
+    const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+    // Intl formatters by locale, time zone and options; building them is comparatively slow
+    const intlFormatterCache = new Map();
+    // Locale settings last worked out by getLocaleSettings, and the stored settings they came from
+    let localeSettingsCache = null;
+
+    /**
+     * Works out the locale and time zone to format with: the report settings' overrides if set,
+     * otherwise the user's Canvas locale and time zone, otherwise the browser's.
+     * @returns {{locale: string, timeZone: string|undefined, dateFormat: string}}
+     */
+    function getLocaleSettings() {
+        const storedSettings = localStorage.getItem(REPORT_SETTINGS_STORAGE_KEY);
+        if (localeSettingsCache && localeSettingsCache.storedSettings === storedSettings) {
+            return localeSettingsCache.value;
+        }
+
+        const settings = loadReportSettings();
+        const canvasEnv = typeof ENV === 'object' && ENV !== null ? ENV : {};
+        const isSupported = (locale, timeZone) => {
+            try {
+                new Intl.DateTimeFormat(locale, { timeZone });
+                return true;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        let locale = settings.locale || canvasEnv.LOCALE || navigator.language || 'en';
+        if (!isSupported(locale)) locale = canvasEnv.LOCALE || 'en';
+        let timeZone = settings.timeZone || canvasEnv.TIMEZONE || undefined;
+        if (!isSupported(locale, timeZone)) timeZone = canvasEnv.TIMEZONE || undefined;
+
+        localeSettingsCache = { storedSettings, value: { locale, timeZone, dateFormat: settings.dateFormat } };
+        return localeSettingsCache.value;
+    }
+
+    /**
+     * Returns a cached Intl formatter.
+     * @param {Function} Formatter Intl.DateTimeFormat, Intl.NumberFormat or Intl.PluralRules.
+     * @param {string} locale The locale.
+     * @param {object} [options] Options for the formatter.
+     * @returns {object} The formatter.
+     */
+    function getIntlFormatter(Formatter, locale, options = {}) {
+        const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+        if (!intlFormatterCache.has(key)) {
+            intlFormatterCache.set(key, new Formatter(locale, options));
+        }
+        return intlFormatterCache.get(key);
+    }
+
+    /**
+     * Looks up interface text in the current language and fills in its placeholders.
+     * @param {string} key The message key, e.g. "report.summary".
+     * @param {object} [values] Placeholder values. `count` picks the plural form where the message has them.
+     * @returns {string} The text, or the key itself if no language has the message.
+     */
+    function t(key, values = {}) {
+        const { locale } = getLocaleSettings();
+        const language = locale.split('-')[0];
+        const messages = MESSAGES[locale] || MESSAGES[language] || {};
+        let message = key in messages ? messages[key] : MESSAGES.en[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = getIntlFormatter(Intl.PluralRules, locale).select(values.count);
+            message = message[category] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in values)) return match;
+            return typeof values[name] === 'number' ? formatNumber(values[name]) : values[name];
+        });
+    }
+
+    /**
+     * Formats a number for the current locale.
+     * @param {number} value The number.
+     * @param {object} [options] Intl.NumberFormat options.
+     * @returns {string} The formatted number.
+     */
+    function formatNumber(value, options = {}) {
+        return getIntlFormatter(Intl.NumberFormat, getLocaleSettings().locale, options).format(value);
+    }
+
+    /**
+     * Formats an ISO date string as a date in the user's time zone, following their locale
+     * or the date format chosen in the report settings.
+     * @param {string} dateString The ISO date string (e.g., "2024-09-27T06:01:07Z").
+     * @returns {string} The formatted date, e.g. "27/09/2024" or "9/27/2024", or "N/A" if invalid.
+     */
+    function formatDate(dateString) {
+        if (!dateString) {
+            return t('common.notAvailable');
+        }
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) {
+            return t('common.notAvailable');
+        }
+
+        const { locale, timeZone, dateFormat } = getLocaleSettings();
+        if (!DATE_FORMATS.includes(dateFormat)) {
+            return getIntlFormatter(Intl.DateTimeFormat, locale, { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }).format(date);
+        }
+
+        // Take the date parts in the user's time zone, then lay them out in the chosen order
+        const parts = {};
+        getIntlFormatter(Intl.DateTimeFormat, 'en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(date)
+            .forEach(part => { parts[part.type] = part.value; });
+        return dateFormat.replace('DD', parts.day).replace('MM', parts.month).replace('YYYY', parts.year);
+    }
+
+    /**
+     * Formats a percentage score, with its letter grade if the course uses a grading scheme.
+     * @param {number|null} score The score as a percentage.
+     * @param {string|null} [grade] The letter grade.
+     * @returns {string} E.g. "84.5% (B)", or "N/A" if there is no score.
+     */
+    function formatScore(score, grade) {
+        if (score === null || typeof score === 'undefined') {
+            return t('common.notAvailable');
+        }
+        const percentage = formatNumber(score / 100, { style: 'percent', maximumFractionDigits: 1 });
+        return grade ? `${percentage} (${grade})` : percentage;
+    }
+
+    /**
+     * Formats a duration in seconds as hours and minutes.
+     * @param {number|null} seconds The duration.
+     * @returns {string} E.g. "3h 25m" or "12m", or "N/A" if there is no duration.
+     */
+    function formatDuration(seconds) {
+        if (seconds === null || typeof seconds === 'undefined') {
+            return t('common.notAvailable');
+        }
+        const totalMinutes = Math.round(seconds / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? t('duration.hoursMinutes', { hours, minutes }) : t('duration.minutes', { minutes });
+    }
+
+    // API client: retries for transient failures, throttle pacing and response caching
+    const API_MAX_RETRIES = 4;
+    const API_RETRY_BASE_DELAY_MS = 500;
+    const API_RATE_LIMIT_LOW_WATERMARK = 200; // Canvas buckets start at 700
+    const API_RATE_LIMIT_MAX_DELAY_MS = 5000;
+    const API_CACHE_TTL_MS = 5 * 60 * 1000;
+    const API_CACHE_MAX_ENTRIES = 200; // Enough for reopening a few single-student reports; bulk runs cycle through it
+    // Last X-Rate-Limit-Remaining value Canvas sent, or null before the first response
+    let rateLimitRemaining = null;
+    // Recent GET responses by URL: {page, expires}, oldest first
+    const apiCache = new Map();
+    // AbortControllers for the requests each modal is running, keyed by modal ID
+    const modalAbortControllers = {};
+
+    /**
+     * Parses the Link HTTP header to extract pagination URLs.
+     * @param {string} header The Link header string.
+     * @returns {object} An object where keys are rel values (e.g., 'next', 'current')
+     *                   and values are the corresponding URLs.
+     */
+    function parseLinkHeader(header) {
+        if (!header) {
+            return {};
+        }
+        const links = {};
+        const directives = header.split(',');
+
+        directives.forEach(directive => {
+            const parts = directive.split(';');
+            if (parts.length === 0) return;
+
+            const urlPart = parts[0].trim();
+            const urlMatch = urlPart.match(/<(.*)>/);
+            if (!urlMatch || urlMatch.length < 2) return;
+            const url = urlMatch[1];
+
+            let rel = null;
+            for (let i = 1; i < parts.length; i++) {
+                const paramPart = parts[i].trim();
+                // Match rel="value" case insensitively for "rel" and normalize value to lowercase
+                const paramMatch = paramPart.match(/rel="([^"]+)"/i);
+                if (paramMatch && paramMatch.length >= 2) {
+                    rel = paramMatch[1].toLowerCase();
+                    break;
+                }
+            }
+
+            if (rel && url) {
+                links[rel] = url;
+            }
+        });
+        return links;
+    }
+
+    /**
+     * Waits for a number of milliseconds, stopping early (with an AbortError) if the signal is aborted.
+     * @param {number} ms How long to wait.
+     * @param {AbortSignal} [signal] Cancels the wait.
+     * @returns {Promise<void>}
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('The request was cancelled.', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was cancelled.', 'AbortError'));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Works out how long to wait before retrying a failed request: the server's Retry-After if given,
+     * otherwise exponential backoff with random jitter so parallel requests don't retry in lockstep.
+     * @param {number} attempt The number of attempts made so far (1 for the first retry).
+     * @param {Response} [response] The failed response, if there was one.
+     * @returns {number} The delay in milliseconds.
+     */
+    function getRetryDelay(attempt, response) {
+        const retryAfter = response ? Number(response.headers.get('Retry-After')) : NaN;
+        if (retryAfter > 0) {
+            return retryAfter * 1000;
+        }
+        const backoff = API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        return backoff + Math.random() * backoff;
+    }
+
+    /**
+     * Makes a Canvas API request, pacing requests by Canvas's throttle headers and retrying
+     * throttled (429, or 403 "Rate Limit Exceeded"), 5xx and network failures.
+     * Requests other than GET are only retried when throttled, as Canvas may have acted on them otherwise.
+     * @param {string} url The request URL.
+     * @param {object} [options]
+     * @param {string} [options.method='GET'] The HTTP method.
+     * @param {object} [options.headers] Request headers.
+     * @param {string} [options.body] The request body.
+     * @param {AbortSignal} [options.signal] Cancels the request, including any waits and retries.
+     * @param {Function} [options.onProgress] Called with a status message while waiting to retry.
+     * @returns {Promise<Response>} The successful response.
+     * @throws {Error} If the request fails permanently or runs out of retries.
+     */
+    async function apiRequest(url, { method = 'GET', headers, body, signal, onProgress } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            // Slow down as the rate limit bucket empties, rather than waiting to be throttled
+            if (rateLimitRemaining !== null && rateLimitRemaining < API_RATE_LIMIT_LOW_WATERMARK) {
+                const delay = Math.min(API_RATE_LIMIT_MAX_DELAY_MS, (API_RATE_LIMIT_LOW_WATERMARK - rateLimitRemaining) * 25);
+                console.log(`Rate limit remaining ${rateLimitRemaining}, pausing ${delay}ms.`);
+                await sleep(delay, signal);
+            }
+
+            let response = null;
+            let failure;
+            try {
+                response = await fetch(url, { method, headers, body, signal });
+            } catch (error) {
+                if (error.name === 'AbortError' || method !== 'GET') throw error;
+                failure = error; // Network error, worth retrying
+            }
+
+            if (response) {
+                const remaining = parseFloat(response.headers.get('X-Rate-Limit-Remaining'));
+                if (!Number.isNaN(remaining)) {
+                    rateLimitRemaining = remaining;
+                }
+                if (response.ok) {
+                    return response;
+                }
+
+                const errorData = await response.text();
+                failure = new Error(`HTTP error! status: ${response.status}, message: ${errorData}, url: ${url}`);
+                const throttled = response.status === 429 || (response.status === 403 && /rate limit exceeded/i.test(errorData));
+                if (!throttled && (response.status < 500 || method !== 'GET')) {
+                    throw failure; // Not transient (e.g. 401, 404), so retrying won't help
+                }
+            }
+
+            if (attempt > API_MAX_RETRIES) {
+                throw failure;
+            }
+            const delay = getRetryDelay(attempt, response);
+            console.warn(`Request failed (attempt ${attempt}), retrying in ${Math.round(delay)}ms: ${url}`, failure);
+            if (onProgress) onProgress(t('progress.retrying', { seconds: Math.ceil(delay / 1000) }));
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Reads Canvas's CSRF token from its cookie; API writes made with the session cookie must send it.
+     * @returns {string} The token, or an empty string if there is none.
+     */
+    function getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)_csrf_token=([^;]*)/);
+        return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    /**
+     * Posts JSON to an API endpoint. Responses are not cached.
+     * @param {string} url The endpoint URL.
+     * @param {object} data The request body.
+     * @param {object} [options] `signal`, as for apiRequest.
+     * @returns {Promise<*>} A promise that resolves to the parsed JSON response.
+     */
+    async function postJson(url, data, options = {}) {
+        const response = await apiRequest(url, Object.assign({
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': getCsrfToken()
+            },
+            body: JSON.stringify(data)
+        }, options));
+        return response.json();
+    }
+
+    /**
+     * Fetches one page of JSON through apiRequest, using the request cache for recent identical requests.
+     * @param {string} url The request URL.
+     * @param {object} options Options passed through to apiRequest.
+     * @returns {Promise<{data: *, linkHeader: string|null}>} The parsed body and the Link header.
+     */
+    async function fetchJsonPage(url, options) {
+        const cached = apiCache.get(url);
+        if (cached && cached.expires > Date.now()) {
+            console.log(`Using cached response: ${url}`);
+            return cached.page;
+        }
+
+        const response = await apiRequest(url, options);
+        const page = { data: await response.json(), linkHeader: response.headers.get('Link') };
+        cacheJsonPage(url, page);
+        return page;
+    }
+
+    /**
+     * Adds a page to the request cache, first dropping expired pages and then, once the cache is full,
+     * the oldest ones.
+     * @param {string} url The request URL.
+     * @param {{data: *, linkHeader: string|null}} page The page, as returned by fetchJsonPage.
+     */
+    function cacheJsonPage(url, page) {
+        const now = Date.now();
+        apiCache.forEach((entry, key) => {
+            if (entry.expires <= now) apiCache.delete(key);
+        });
+        apiCache.delete(url); // Re-adding moves it to the end, as the newest
+        apiCache.set(url, { page, expires: now + API_CACHE_TTL_MS });
+        while (apiCache.size > API_CACHE_MAX_ENTRIES) {
+            apiCache.delete(apiCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Fetches a single (non-paginated) API resource.
+     * @param {string} url The resource URL.
+     * @param {object} headers Request headers.
+     * @param {object} [options] `signal` and `onProgress`, as for apiRequest.
+     * @returns {Promise<object>} A promise that resolves to the parsed JSON body.
+     */
+    async function fetchJson(url, headers, options = {}) {
+        const page = await fetchJsonPage(url, Object.assign({ headers }, options));
+        return page.data;
+    }
+
+    /**
+     * Fetches all pages of data from a paginated API endpoint.
+     * @param {string} initialUrl The URL for the first page of data.
+     * @param {object} headers Request headers.
+     * @param {object} [options] `signal` and `onProgress`, as for apiRequest. `onProgress` is
+     *                           also called with a message after each page.
+     * @returns {Promise<Array>} A promise that resolves to an array containing all items from all pages.
+     */
+    async function fetchAllPages(initialUrl, headers, options = {}) {
+        let results = [];
+        let currentUrl = initialUrl;
+        let pageCount = 0;
+
+        while (currentUrl) {
+            console.log(`Fetching page: ${currentUrl}`);
+            const { data: pageData, linkHeader } = await fetchJsonPage(currentUrl, Object.assign({ headers }, options));
+
+            if (Array.isArray(pageData)) {
+                results = results.concat(pageData);
+            } else {
+                console.warn('Received non-array pageData. Assuming it is the complete, non-paginated result or a single item page.', pageData);
+                results.push(pageData); // Or handle as appropriate for the API
+                                        // For Canvas list APIs, pageData is expected to be an array.
+            }
+            pageCount++;
+            if (options.onProgress) {
+                options.onProgress(t('progress.recordsLoaded', {
+                    records: t('count.records', { count: results.length }),
+                    pages: t('count.pages', { count: pageCount })
+                }));
+            }
+
+            if (linkHeader) {
+                const links = parseLinkHeader(linkHeader);
+                currentUrl = links.next; // Get the URL for the next page
+                if (currentUrl) {
+                    console.log(`Next page URL: ${currentUrl}`);
+                } else {
+                    console.log('No next page found (last page processed).');
+                }
+            } else {
+                console.log('No Link header found, assuming no more pages.');
+                currentUrl = null; // No more pages
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Starts a new set of requests for a modal, cancelling any still running from before.
+     * @param {string} modalId The modal's ID.
+     * @returns {AbortSignal} The signal to pass to requests made for the modal.
+     */
+    function beginModalRequests(modalId) {
+        abortModalRequests(modalId);
+        modalAbortControllers[modalId] = new AbortController();
+        return modalAbortControllers[modalId].signal;
+    }
+
+    /**
+     * Returns the signal for a modal's current requests, starting a new set if there is none.
+     * @param {string} modalId The modal's ID.
+     * @returns {AbortSignal}
+     */
+    function getModalSignal(modalId) {
+        const controller = modalAbortControllers[modalId];
+        return controller && !controller.signal.aborted ? controller.signal : beginModalRequests(modalId);
+    }
+
+    /**
+     * Cancels a modal's running requests, e.g. when it is closed.
+     * @param {string} modalId The modal's ID.
+     */
+    function abortModalRequests(modalId) {
+        if (modalAbortControllers[modalId]) {
+            modalAbortControllers[modalId].abort();
+            delete modalAbortControllers[modalId];
+        }
+    }
+
+    // While a modal is open: the element to return focus to, and the page elements made inert behind it, keyed by modal ID
+    const modalReturnFocus = {};
+    const modalInertElements = {};
+    // Elements that can take keyboard focus, for the modal focus trap
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+    /**
+     * Builds the HTML for a report modal, hidden until opened: a dialog over a backdrop that covers the page,
+     * with a visually hidden live region for announcements.
+     * @param {string} modalId The ID to give the modal element.
+     * @param {string} title The modal title, as plain text.
+     * @param {string} bodyHtml The initial content of the modal body.
+     * @param {string} footerButtonsHtml Buttons to show before the footer's Close button.
+     * @returns {string} The modal HTML.
+     */
+    function buildModalHtml(modalId, title, bodyHtml, footerButtonsHtml) {
+        return `
+        <div id="${modalId}" class="k-modal" aria-hidden="true" style="display: none;
+            position: fixed; top: 0; right: 0; bottom: 0; left: 0;
+            z-index: 10000;
+            align-items: center; justify-content: center;
+        ">
+            <div class="k-modal-overlay" style="
+                position: absolute; top: 0; right: 0; bottom: 0; left: 0;
+                background-color: rgba(0,0,0,.5); /* Dim the page behind the dialog */
+            "></div>
+            <div class="k-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="${modalId}-title" tabindex="-1" style="
+                position: relative; /* Above the overlay, and anchors the close button */
+                max-width: 90%; max-height: 90vh;
+                overflow-y: auto;
+            ">
+                <div class="k-modal-content" style="
+                    background-color: #fff; /* White background */
+                    border: 1px solid #ccc; /* Light grey border */
+                    border-radius: 4px; /* Slightly rounded corners */
+                    box-shadow: 0 5px 15px rgba(0,0,0,.5); /* Subtle shadow */
+                    padding: 20px; /* Add some internal padding for content */
+                    box-sizing: border-box; /* Include padding and border in the element's total width and height */
+                ">
+                    <div class="k-modal-header">
+                        <h2 class="k-modal-title" id="${modalId}-title">${escapeHtml(title)}</h2>
+                        <button type="button" class="k-modal-close-button close-modal" aria-label="${t('common.close')}" style="
+                            position: absolute;
+                            top: 10px;
+                            right: 15px;
+                            font-size: 1.5rem;
+                            background: none;
+                            border: none;
+                            cursor: pointer;
+                        "><span aria-hidden="true">&times;</span></button>
+                    </div>
+                    <div class="k-modal-body">
+                        ${bodyHtml}
+                    </div>
+                    <div class="k-modal-footer">
+                        ${footerButtonsHtml}
+                        <button type="button" class="btn cancel_button close-modal" style="margin-left: 8px;">${t('common.close')}</button>
+                    </div>
+                </div>
+                <div class="k-modal-status" role="status" aria-live="polite" style="
+                    position: absolute; width: 1px; height: 1px; overflow: hidden;
+                    clip: rect(0 0 0 0); white-space: nowrap; /* Visually hidden, still read out */
+                "></div>
+            </div>
+        </div>
+    `;
+    }
+
+    /**
+     * Reads a message out to screen reader users through a modal's live region.
+     * @param {HTMLElement|null} modal The modal the message belongs to.
+     * @param {string} message The message.
+     */
+    function announce(modal, message) {
+        const status = modal ? modal.querySelector('.k-modal-status') : null;
+        if (!status) return;
+        // Clear first so the same message is read out again if it repeats
+        status.textContent = '';
+        setTimeout(() => {
+            status.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Checks whether an element inside a modal is currently shown, going by the inline `display` styles
+     * and collapsed `<details>` the modals use to hide their panels.
+     * @param {HTMLElement} element The element.
+     * @param {HTMLElement} container The modal, where the check stops.
+     * @returns {boolean}
+     */
+    function isShownInModal(element, container) {
+        for (let el = element; el && el !== container; el = el.parentElement) {
+            if (el.hidden || el.style.display === 'none') return false;
+            const parent = el.parentElement;
+            if (parent && parent.tagName === 'DETAILS' && !parent.open && el.tagName !== 'SUMMARY') return false;
+        }
+        return true;
+    }
+
+    /**
+     * Keeps keyboard focus inside an open modal and closes it on Escape.
+     * @param {KeyboardEvent} event The keydown event.
+     * @param {HTMLElement} modal The modal.
+     */
+    function handleModalKeydown(event, modal) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeModal(modal);
+            return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const dialog = modal.querySelector('.k-modal-dialog');
+        const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => isShownInModal(el, modal));
+        if (focusable.length === 0) {
+            event.preventDefault();
+            dialog.focus();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (event.shiftKey && (active === first || active === dialog || !dialog.contains(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Shows a modal built by buildModalHtml, moving focus into it and making the page behind it inert.
+     * @param {HTMLElement} modal The modal element.
+     * @param {HTMLElement} [trigger] The element to return focus to on close; defaults to the focused element.
+     */
+    function openModal(modal, trigger) {
+        modalReturnFocus[modal.id] = trigger || document.activeElement;
+        modalInertElements[modal.id] = Array.from(document.body.children).filter(el =>
+            el !== modal && !el.hasAttribute('inert') && el.tagName !== 'SCRIPT');
+        modalInertElements[modal.id].forEach(el => {
+            el.setAttribute('inert', '');
+            el.setAttribute('aria-hidden', 'true');
+        });
+
+        modal.style.display = 'flex';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.querySelector('.k-modal-dialog').focus();
+    }
+
+    /**
+     * Hides a modal, cancels its requests and gives focus back to whatever opened it.
+     * @param {HTMLElement} modal The modal element.
+     */
+    function closeModal(modal) {
+        if (modal.style.display === 'none') return;
+        modal.style.display = 'none';
+        modal.setAttribute('aria-hidden', 'true');
+        // Stop any loading still in progress so it can't write into the closed modal
+        abortModalRequests(modal.id);
+
+        (modalInertElements[modal.id] || []).forEach(el => {
+            el.removeAttribute('inert');
+            el.removeAttribute('aria-hidden');
+        });
+        delete modalInertElements[modal.id];
+
+        const returnFocus = modalReturnFocus[modal.id];
+        delete modalReturnFocus[modal.id];
+        if (returnFocus && document.contains(returnFocus)) {
+            returnFocus.focus();
+        }
+    }
+
+    /**
+     * Wires up a modal's close buttons, backdrop and keyboard handling.
+     * @param {HTMLElement} modal The modal element.
+     */
+    function bindModalCloseHandlers(modal) {
+        modal.querySelectorAll('.close-modal, .k-modal-close-button').forEach(button => {
+            button.addEventListener('click', () => closeModal(modal));
+        });
+
+        const modalOverlay = modal.querySelector('.k-modal-overlay');
+        if (modalOverlay) {
+            modalOverlay.addEventListener('click', () => closeModal(modal));
+        }
+        modal.addEventListener('keydown', event => handleModalKeydown(event, modal));
+    }
+
+    /**
+     * Turns a user's enrollments into dated events, oldest first.
+     * Canvas keeps no state history, so a deactivation or deletion is dated by the enrollment's last update.
+     * @param {Array} enrollments Enrollments from fetchUserEnrollments.
+     * @param {Array} courses Courses from fetchUserCourses, used for course and section names.
+     * @returns {Array<{date: string, courseName: string, sectionName: string, event: string, state: string}>}
+     */
+    function buildEnrollmentTimeline(enrollments, courses) {
+        const coursesById = new Map(courses.map(course => [String(course.id), course]));
+        const events = [];
+
+        enrollments.forEach(enrollment => {
+            const course = coursesById.get(String(enrollment.course_id));
+            const section = course && course.sections ?
+                course.sections.find(sec => String(sec.id) === String(enrollment.course_section_id)) : null;
+            const base = {
+                courseName: course ? course.name : t('timeline.unknownCourse', { id: String(enrollment.course_id) }),
+                sectionName: section ? section.name : t('timeline.unknownSection', { id: String(enrollment.course_section_id) }),
+                state: enrollment.enrollment_state
+            };
+            const role = enrollment.role || enrollment.type;
+            const addEvent = (date, event) => {
+                if (date) events.push(Object.assign({ date, event }, base));
+            };
+
+            addEvent(enrollment.created_at, t('timeline.enrolledAs', { role }));
+            addEvent(enrollment.start_at, t('timeline.startDate'));
+            addEvent(enrollment.end_at, t('timeline.endDate'));
+            addEvent(enrollment.completed_at, t('timeline.concluded'));
+            if (enrollment.enrollment_state === 'inactive') {
+                addEvent(enrollment.updated_at, t('timeline.deactivated'));
+            } else if (enrollment.enrollment_state === 'deleted') {
+                addEvent(enrollment.updated_at, t('timeline.deleted'));
+            }
+        });
+
+        courses.forEach(course => {
+            const completedAt = getSafe(() => course.course_progress.completed_at, null);
+            if (completedAt) {
+                events.push({
+                    date: completedAt,
+                    courseName: course.name,
+                    sectionName: '',
+                    event: t('timeline.completedRequirements'),
+                    state: ''
+                });
+            }
+        });
+
+        return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Builds the HTML for the enrollment timeline.
+     * @param {Array} events Output of buildEnrollmentTimeline.
+     * @returns {string} The timeline table, or a message if there are no events.
+     */
+    function renderEnrollmentTimeline(events) {
+        if (events.length === 0) {
+            return `<p>${t('timeline.none')}</p>`;
+        }
+        const rows = events.map(event => `
+        <tr>
+            <td>${formatDate(event.date)}</td>
+            <td>${escapeHtml(event.courseName)}</td>
+            <td>${escapeHtml(getSafe(() => event.sectionName))}</td>
+            <td>${escapeHtml(event.event)}</td>
+            <td>${escapeHtml(getSafe(() => event.state))}</td>
+        </tr>
+    `).join('');
+        return `
+        <table class="enrollment-timeline">
+            <thead>
+                <tr>
+                    <th>${t('timeline.date')}</th>
+                    <th>${t('timeline.course')}</th>
+                    <th>${t('timeline.section')}</th>
+                    <th>${t('timeline.event')}</th>
+                    <th>${t('timeline.currentState')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    }
+
+    /**
+     * Loads and shows the enrollment timeline in the student report modal's Timeline tab.
+     * Reuses the courses already loaded for the report where possible.
+     * @param {string} userId The Canvas user ID.
+     */
+    async function loadEnrollmentTimeline(userId) {
+        const timelinePanel = document.querySelector('#student-report-modal .k-modal-timeline');
+        if (!timelinePanel) return;
+
+        timelinePanel.dataset.loaded = 'true';
+        timelinePanel.innerHTML = `<p>${t('timeline.loading')}</p>`;
+        try {
+            const report = reportData['student-report-modal'];
+            const signal = getModalSignal('student-report-modal');
+            const [enrollments, courses] = await Promise.all([
+                fetchUserEnrollments(userId, { signal }),
+                report ? Promise.resolve(report.allEnrollments) : fetchUserCourses(userId, { signal })
+            ]);
+            timelinePanel.innerHTML = getReportTableStyles('student-report-modal') +
+                renderEnrollmentTimeline(buildEnrollmentTimeline(enrollments, courses));
+            announce(timelinePanel.closest('.k-modal'), t('a11y.timelineLoaded'));
+        } catch (error) {
+            delete timelinePanel.dataset.loaded; // Try again next time the tab is opened
+            if (error.name === 'AbortError') return;
+            console.error('Error fetching enrollment history:', error);
+            timelinePanel.innerHTML = `<p>${escapeHtml(t('timeline.loadError', { message: error.message }))}</p>`;
+            announce(timelinePanel.closest('.k-modal'), t('timeline.loadError', { message: error.message }));
+        }
+    }
+
+    /**
+     * Loads the institution branding for printed reports from localStorage.
+     * @returns {{institutionName: string, logoUrl: string, signatoryName: string, signatoryTitle: string, signatureNote: string}}
+     */
+    function loadPrintBranding() {
+        const defaults = { institutionName: '', logoUrl: '', signatoryName: '', signatoryTitle: '', signatureNote: '' };
+        try {
+            const stored = JSON.parse(localStorage.getItem(PRINT_BRANDING_STORAGE_KEY));
+            return Object.assign(defaults, stored);
+        } catch (e) {
+            console.warn('Could not read print branding from localStorage.', e);
+            return defaults;
+        }
+    }
+
+    /**
+     * Saves the institution branding for printed reports to localStorage.
+     * @param {object} branding The branding fields, as returned by loadPrintBranding.
+     */
+    function savePrintBranding(branding) {
+        localStorage.setItem(PRINT_BRANDING_STORAGE_KEY, JSON.stringify(branding));
+    }
+
+    /**
+     * Builds a standalone, print-styled HTML document for a student report.
+     * Table headers repeat on every printed page and rows are kept from splitting across pages.
+     * @param {object} options
+     * @param {object} options.branding Institution branding, as returned by loadPrintBranding.
+     * @param {string} options.studentName The student's name, for the document title.
+     * @param {Array<{label: string, value: string}>} options.detailRows Student details, from getStudentDetailRows.
+     * @param {string} options.summaryHtml The report summary line.
+     * @param {string} options.bodyHtml The report table (or message if there is no table).
+     * @returns {string} The complete HTML document.
+     */
+    function buildPrintDocument({ branding, studentName, detailRows, summaryHtml, bodyHtml }) {
+        const logoHtml = branding.logoUrl ? `<img class="print-logo" src="${escapeHtml(safeUrl(branding.logoUrl))}" alt="">` : '';
+        const signatureHtml = (branding.signatoryName || branding.signatureNote) ? `
+        <div class="signature-block">
+            ${branding.signatureNote ? `<p>${escapeHtml(branding.signatureNote)}</p>` : ''}
+            <div class="signature-line"></div>
+            <p><strong>${escapeHtml(branding.signatoryName)}</strong><br>${escapeHtml(branding.signatoryTitle)}</p>
+        </div>
+    ` : '';
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('report.title', { name: studentName }))}</title>
+<style>
+@page { size: A4; margin: 18mm 15mm; }
+body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #000; margin: 0; }
+.print-header { display: flex; align-items: center; border-bottom: 2px solid #333; padding-bottom: 8px; margin-bottom: 16px; }
+.print-logo { max-height: 60px; max-width: 200px; margin-right: 16px; }
+.print-header h1 { font-size: 18pt; margin: 0; }
+.print-header p { margin: 2px 0 0; font-size: 12pt; }
+.student-details { border-collapse: collapse; margin-bottom: 12px; }
+.student-details th, .student-details td { border: none; padding: 2px 12px 2px 0; text-align: left; }
+table.report-table thead { display: table-header-group; } /* Repeat the header row on every page */
+table.report-table tr { page-break-inside: avoid; break-inside: avoid; }
+.report-dashboard svg { display: block; page-break-inside: avoid; break-inside: avoid; }
+.signature-block { margin-top: 40px; page-break-inside: avoid; break-inside: avoid; }
+.signature-line { border-top: 1px solid #000; width: 70mm; margin-top: 48px; }
+@media screen { body { margin: 20px auto; max-width: 210mm; } }
+</style>
+</head>
+<body>
+<div class="print-header">
+    ${logoHtml}
+    <div>
+        ${branding.institutionName ? `<h1>${escapeHtml(branding.institutionName)}</h1>` : ''}
+        <p>${t('print.heading')}</p>
+    </div>
+</div>
+<table class="student-details">
+    ${detailRows.map(row => `<tr><th>${escapeHtml(row.label)}</th><td>${escapeHtml(row.value)}</td></tr>`).join('')}
+    <tr><th>${t('print.generated')}</th><td>${formatDate(new Date().toISOString())}</td></tr>
+</table>
+${summaryHtml}
+${bodyHtml}
+${signatureHtml}
+</body>
+</html>`;
+    }
+
+    /**
+     * Handles the click event for the "Print / Save as PDF" button.
+     * Opens the report as a print-styled document in a new window and starts printing.
+     * @param {Event} event The click event.
+     */
+    function handlePrintReportClick(event) {
+        const modal = event.currentTarget.closest('.k-modal');
+        const bodyElement = modal ? modal.querySelector('.k-modal-body') : null;
+        if (!bodyElement) {
+            console.error('Modal body not found for printing.');
+            return;
+        }
+
+        // Open the window straight away, while still handling the click, so it isn't blocked as a popup
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert(t('print.popupBlocked'));
+            return;
+        }
+
+        const reportElement = getReportContentElement(modal);
+        const summaryElement = reportElement.querySelector('.enrollment-summary');
+        const tableElement = reportElement.querySelector(':scope > table');
+        const report = reportData['student-report-modal'];
+        let bodyHtml = report && report.allEnrollments ? buildDashboardHtml(summariseCourses(report.allEnrollments)) : '';
+        const programElement = reportElement.querySelector('.program-progress');
+        if (programElement) {
+            bodyHtml += programElement.outerHTML;
+        }
+        if (tableElement) {
+            const styledTable = buildStyledReportTable(tableElement);
+            styledTable.classList.add('report-table');
+            bodyHtml += styledTable.outerHTML;
+        } else {
+            reportElement.querySelectorAll(':scope > p:not(.enrollment-summary)').forEach(p => {
+                bodyHtml += p.outerHTML;
+            });
+        }
+        bodyHtml += buildStyledOutstandingWork(reportElement);
+
+        printWindow.document.open();
+        printWindow.document.write(buildPrintDocument({
+            branding: loadPrintBranding(),
+            studentName: reportStudent.name,
+            detailRows: getStudentDetailRows(report && report.details, loadReportSettings()),
+            summaryHtml: summaryElement ? summaryElement.outerHTML : '',
+            bodyHtml
+        }));
+        printWindow.document.close();
+
+        // Wait for the logo (if any) to load so it appears in the printout
+        const startPrint = () => {
+            printWindow.focus();
+            printWindow.print();
+        };
+        const logo = printWindow.document.querySelector('.print-logo');
+        if (logo && !logo.complete) {
+            logo.addEventListener('load', startPrint);
+            logo.addEventListener('error', startPrint);
+        } else {
+            startPrint();
+        }
+    }
+
+    /**
+     * Builds the collapsible form for editing print branding, shown above the modal footer.
+     * @returns {string} The form HTML.
+     */
+    function buildPrintSettingsHtml() {
+        const branding = loadPrintBranding();
+        const field = (name, label) => `
+        <label style="display: block; margin-bottom: 6px;">${label}
+            <input type="text" name="${name}" value="${escapeHtml(branding[name])}" style="width: 100%; box-sizing: border-box;">
+        </label>
+    `;
+        return `
+        <details class="print-settings" style="margin: 10px 0;">
+            <summary>${t('print.settings')}</summary>
+            <form class="print-settings-form" style="margin-top: 8px;">
+                ${field('institutionName', t('print.institutionName'))}
+                ${field('logoUrl', t('print.logoUrl'))}
+                ${field('signatoryName', t('print.signatoryName'))}
+                ${field('signatoryTitle', t('print.signatoryTitle'))}
+                <label style="display: block; margin-bottom: 6px;">${t('print.signatureNote')}
+                    <textarea name="signatureNote" rows="2" style="width: 100%; box-sizing: border-box;">${escapeHtml(branding.signatureNote)}</textarea>
+                </label>
+                <button type="submit" class="btn">${t('print.save')}</button>
+            </form>
+        </details>
+    `;
+    }
+
+    /**
+     * Handles submission of the print settings form.
+     * @param {Event} event The submit event.
+     */
+    function handlePrintSettingsSubmit(event) {
+        event.preventDefault();
+        const form = event.currentTarget;
+        const branding = loadPrintBranding();
+        Object.keys(branding).forEach(key => {
+            if (form.elements[key]) {
+                branding[key] = form.elements[key].value.trim();
+            }
+        });
+        savePrintBranding(branding);
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        const originalText = submitButton.innerText;
+        submitButton.innerText = t('print.saved');
+        submitButton.disabled = true;
+        setTimeout(() => {
+            submitButton.innerText = originalText;
+            submitButton.disabled = false;
+        }, 2000);
+    }
+
+    /**
+     * Lays out report HTML as plain text for a Canvas message, which doesn't render HTML:
+     * headings and paragraphs as paragraphs, table rows as "cell | cell" lines and list items as "- item".
+     * @param {string} htmlString The report HTML, as built by buildTemplatedReportHtml.
+     * @returns {string} The message text.
+     */
+    function getMessageTextFromHtml(htmlString) {
+        const doc = new DOMParser().parseFromString(htmlString, 'text/html');
+        const toText = element => element.textContent.replace(/\s+/g, ' ').trim();
+        const lines = [];
+        const walk = parent => {
+            Array.from(parent.children).forEach(element => {
+                if (element.tagName === 'TR') {
+                    lines.push(Array.from(element.cells).map(toText).join(' | '));
+                } else if (element.tagName === 'LI') {
+                    lines.push(`- ${toText(element)}`);
+                } else if (/^(H\d|P)$/.test(element.tagName)) {
+                    lines.push(toText(element), '');
+                } else if (element.tagName !== 'STYLE') {
+                    walk(element);
+                    if (/^(TABLE|UL|OL)$/.test(element.tagName)) lines.push('');
+                }
+            });
+        };
+        walk(doc.body);
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Builds the panel for sending the report to the student as a Canvas message, hidden until opened.
+     * @returns {string} The panel HTML.
+     */
+    function buildSendReportHtml() {
+        return `
+        <form class="send-report-form" style="display: none; margin: 10px 0; padding: 10px; border: 1px solid #ccc; border-radius: 4px;">
+            <h3 style="margin-top: 0; font-size: 14px;">${t('send.title')}</h3>
+            <label style="display: block; margin-bottom: 6px;">${t('send.subject')}
+                <input type="text" name="subject" required style="width: 100%; box-sizing: border-box;">
+            </label>
+            <label style="display: block; margin-bottom: 6px;">${t('send.intro')}
+                <textarea name="intro" rows="3" style="width: 100%; box-sizing: border-box;"></textarea>
+            </label>
+            <fieldset style="margin-bottom: 6px;">
+                <legend>${t('send.cc')}</legend>
+                <div class="send-report-observers"></div>
+                <label style="display: block; margin-top: 6px;">${t('send.otherRecipients')}
+                    <input type="text" name="otherRecipients" style="width: 100%; box-sizing: border-box;">
+                </label>
+            </fieldset>
+            <p style="margin: 6px 0 2px; font-weight: bold;">${t('send.preview')}</p>
+            <pre class="send-report-preview" style="white-space: pre-wrap; max-height: 200px; overflow-y: auto; margin: 0 0 8px; padding: 6px; background-color: #f9f9f9; border: 1px solid #ccc; font-family: inherit;"></pre>
+            <p class="send-report-status" style="margin: 0 0 8px;"></p>
+            <button type="submit" class="btn btn-primary">${t('send.send')}</button>
+            <button type="button" class="btn send-report-cancel" style="margin-left: 8px;">${t('send.cancel')}</button>
+        </form>
+    `;
+    }
+
+    /**
+     * Shows the current message text in the send panel's preview: the introduction, then the report.
+     * @param {HTMLFormElement} form The send panel form.
+     * @returns {string} The message text.
+     */
+    function updateSendReportPreview(form) {
+        const intro = form.elements.intro.value.trim();
+        const text = [intro, form.dataset.reportText].filter(Boolean).join('\n\n');
+        form.querySelector('.send-report-preview').textContent = text;
+        return text;
+    }
+
+    /**
+     * Opens the send panel for the student currently in the report: fills in a default subject and
+     * introduction (keeping any edits made for the same student), lists their observers to copy in,
+     * and previews the report laid out by the chosen copy template.
+     * @param {HTMLElement} modal The student report modal.
+     */
+    async function openSendReportPanel(modal) {
+        const form = modal.querySelector('.send-report-form');
+        const report = reportData['student-report-modal'];
+        const status = form.querySelector('.send-report-status');
+        form.style.display = '';
+        status.textContent = '';
+
+        if (!report || !report.allEnrollments) {
+            status.textContent = t('send.notLoaded');
+            form.querySelector('button[type="submit"]').disabled = true;
+            return;
+        }
+        form.querySelector('button[type="submit"]').disabled = false;
+
+        // `userId` is the student the draft is for; `observersUserId` whose observers are listed, kept apart
+        // so a failed observer lookup is retried without losing the draft
+        if (form.dataset.userId !== report.userId) {
+            form.dataset.userId = report.userId;
+            form.elements.subject.value = t('send.defaultSubject', { name: reportStudent.name });
+            form.elements.intro.value = t('send.defaultIntro', { name: reportStudent.name });
+            form.elements.otherRecipients.value = '';
+        }
+
+        if (form.dataset.observersUserId !== report.userId) {
+            form.dataset.observersUserId = report.userId;
+            const observersElement = form.querySelector('.send-report-observers');
+            observersElement.textContent = t('send.loadingObservers');
+            try {
+                const observers = await fetchAllPages(`${domain}/api/v1/users/${report.userId}/observers?per_page=100`, { 'Content-Type': 'application/json' }, { signal: getModalSignal('student-report-modal') });
+                observersElement.innerHTML = observers.length === 0 ? escapeHtml(t('send.noObservers')) : observers.map(observer => `
+                <label style="display: block;">
+                    <input type="checkbox" name="observer" value="${escapeHtml(observer.id)}"> ${escapeHtml(observer.name)}
+                </label>
+            `).join('');
+            } catch (error) {
+                // Load the observers again the next time the panel opens
+                delete form.dataset.observersUserId;
+                if (error.name === 'AbortError') return;
+                console.error('Error loading observers:', error);
+                observersElement.textContent = t('send.observersError', { message: error.message });
+            }
+        }
+
+        form.dataset.reportText = getMessageTextFromHtml(buildTemplatedReportHtml(modal, getSelectedReportTemplate()));
+        updateSendReportPreview(form);
+        form.elements.subject.focus();
+    }
+
+    /**
+     * Handles submission of the send panel: checks the recipients, confirms, then sends the report
+     * to the student, and anyone copied in, as one Canvas conversation.
+     * @param {Event} event The submit event.
+     */
+    async function handleSendReportSubmit(event) {
+        event.preventDefault();
+        const form = event.currentTarget;
+        const modal = form.closest('.k-modal');
+        const status = form.querySelector('.send-report-status');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const showStatus = message => {
+            status.textContent = message;
+            announce(modal, message);
+        };
+
+        // The student comes from the loaded report, and must be the one the panel was opened for
+        const report = reportData['student-report-modal'];
+        const studentId = report && report.allEnrollments ? report.userId : null;
+        if (!studentId || studentId !== form.dataset.userId) {
+            showStatus(t('send.notLoaded'));
+            return;
+        }
+
+        const subject = form.elements.subject.value.trim();
+        if (!subject) {
+            showStatus(t('send.subjectRequired'));
+            form.elements.subject.focus();
+            return;
+        }
+        const otherRecipients = form.elements.otherRecipients.value.split(/[\s,]+/).filter(Boolean);
+        const invalidRecipients = otherRecipients.filter(id => !/^\d+$/.test(id));
+        if (invalidRecipients.length > 0) {
+            showStatus(t('send.invalidRecipients', { ids: invalidRecipients.join(', ') }));
+            form.elements.otherRecipients.focus();
+            return;
+        }
+        const observers = Array.from(form.querySelectorAll('input[name="observer"]:checked')).map(input => input.value);
+        const recipients = Array.from(new Set([studentId, ...observers, ...otherRecipients]));
+        const copied = recipients.length - 1;
+        if (!confirm(t(copied > 0 ? 'send.confirmCopied' : 'send.confirm', { name: reportStudent.name, count: copied }))) return;
+
+        submitButton.disabled = true;
+        showStatus(t('send.sending'));
+        try {
+            await postJson(`${domain}/api/v1/conversations`, {
+                recipients,
+                subject,
+                body: updateSendReportPreview(form),
+                group_conversation: true // One conversation with everyone copied in, rather than one each
+            });
+            console.log(`Sent the report to ${recipients.length} recipient(s): ${recipients.join(', ')}`);
+            showStatus(t('send.sent'));
+        } catch (error) {
+            console.error('Error sending the report:', error);
+            showStatus(t('send.failed', { message: error.message }));
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Works out whether the current page can start a bulk report, and for what.
+     * @returns {{type: string, id: string}|null} A section or account scope, or null on other pages.
+     */
+    function getBulkScopeFromUrl() {
+        const path = window.location.pathname;
+        const sectionMatch = path.match(/^\/courses\/\d+\/sections\/(\d+)/);
+        if (sectionMatch) {
+            return { type: 'section', id: sectionMatch[1] };
+        }
+        const accountMatch = path.match(/^\/accounts\/(\d+)(\/users)?\/?$/);
+        if (accountMatch) {
+            return { type: 'account', id: accountMatch[1] };
+        }
+        return null;
+    }
+
+    /**
+     * Collects the students a bulk report should cover.
+     * @param {string} source One of 'section', 'account' or 'sis'.
+     * @param {{type: string, id: string}|null} scope The section or account from the current page.
+     * @param {Array<string>} sisIds SIS user IDs, used when source is 'sis'.
+     * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+     * @returns {Promise<Array<{id: string, name: string, sisUserId: string|null, error?: string}>>}
+     */
+    async function fetchBulkStudents(source, scope, sisIds, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (source === 'section') {
+            const enrollments = await fetchAllPages(`${domain}/api/v1/sections/${scope.id}/enrollments?type[]=StudentEnrollment&per_page=100`, headers, options);
+            const students = new Map(); // A student can hold several enrollments in one section
+            enrollments.forEach(enrollment => {
+                if (students.has(enrollment.user_id)) return;
+                const user = enrollment.user || {};
+                students.set(enrollment.user_id, {
+                    id: String(enrollment.user_id),
+                    name: user.sortable_name || user.name || t('bulk.unnamedUser', { id: String(enrollment.user_id) }),
+                    sisUserId: user.sis_user_id || enrollment.sis_user_id || null
+                });
+            });
+            return Array.from(students.values());
+        }
+
+        if (source === 'account') {
+            const users = await fetchAllPages(`${domain}/api/v1/accounts/${scope.id}/users?enrollment_type=student&per_page=100`, headers, options);
+            return users.map(user => ({
+                id: String(user.id),
+                name: user.sortable_name || user.name,
+                sisUserId: user.sis_user_id || null
+            }));
+        }
+
+        // Pasted SIS IDs are looked up a few at a time; an unknown ID shouldn't stop the whole batch
+        return runWithConcurrency(sisIds, BULK_REPORT_CONCURRENCY, async sisId => {
+            try {
+                const user = await fetchJson(`${domain}/api/v1/users/sis_user_id:${encodeURIComponent(sisId)}`, headers, options);
+                return { id: String(user.id), name: user.sortable_name || user.name, sisUserId: user.sis_user_id || sisId };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.error(`Could not find user with SIS ID ${sisId}:`, error);
+                return { id: null, name: sisId, sisUserId: sisId, error: t('bulk.userNotFound') };
+            }
+        });
+    }
+
+    /**
+     * Builds the combined summary and table for a bulk report.
+     * @param {Array} results One entry per student: `{student, allEnrollments, error}`.
+     * @returns {string} The report HTML.
+     */
+    function renderBulkReport(results) {
+        const settings = loadReportSettings();
+        const summaries = results.map(result => (result.error ? null : summariseCourses(result.allEnrollments, settings)));
+
+        let completedCourses = 0;
+        let totalCourses = 0;
+        let failedStudents = 0;
+        summaries.forEach(summary => {
+            if (!summary) {
+                failedStudents++;
+                return;
+            }
+            completedCourses += summary.completedCourses;
+            totalCourses += summary.totalCourses;
+        });
+
+        const showGrades = loadShowGrades();
+        const summaryParts = [t('bulk.summary', {
+            students: t('count.students', { count: results.length }),
+            courses: t('report.summary', { completed: completedCourses, count: totalCourses })
+        })];
+        if (showGrades) {
+            const allCourses = summaries.reduce((courses, summary) => (summary ? courses.concat(summary.filteredEnrollments) : courses), []);
+            const averageScore = getAverageCompletedScore(allCourses);
+            summaryParts.push(t('report.averageScore', { score: formatScore(averageScore) }));
+        }
+        const inactiveStudents = summaries.filter(summary =>
+            summary && summary.filteredEnrollments.some(course => isCourseInactive(course, settings))).length;
+        if (inactiveStudents > 0) {
+            summaryParts.push(t('bulk.inactiveStudents', {
+                students: t('count.students', { count: inactiveStudents }),
+                days: t('count.days', { count: settings.inactiveDays })
+            }));
+        }
+        let summaryMessage = summaryParts.join(' — ');
+        if (failedStudents > 0) {
+            summaryMessage += ` ${t('bulk.failedStudents', { students: t('count.students', { count: failedStudents }) })}`;
+        }
+
+        let html = `<p class="enrollment-summary"><strong>${escapeHtml(summaryMessage)}</strong></p>`;
+        if (results.length === 0) {
+            return html + `<p>${t('bulk.noStudents')}</p>`;
+        }
+
+        const columns = getVisibleReportColumns(settings);
+        html += getReportTableStyles('bulk-report-modal') + `
+        <table>
+            <thead>
+                <tr>
+                    <th data-column="student">${t('columns.student')}</th>
+                    <th data-column="sisUserId">${t('columns.sisUserId')}</th>
+                    ${renderReportColumnHeaders(columns, settings)}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+        results.forEach(({ student, error }, index) => {
+            const summary = summaries[index];
+            const studentCells = `
+            <td>${escapeHtml(getSafe(() => student.name))}</td>
+            <td>${escapeHtml(getSafe(() => student.sisUserId))}</td>
+        `;
+
+            if (error || summary.filteredEnrollments.length === 0) {
+                const message = error ? t('common.error', { message: error }) : t('bulk.noMatchingEnrollments');
+                html += `<tr>${studentCells}<td colspan="${columns.length}">${escapeHtml(message)}</td></tr>`;
+                return;
+            }
+
+            summary.filteredEnrollments.forEach(enrollment => {
+                html += `
+                <tr${isCourseInactive(enrollment, settings) ? ' class="inactive-row"' : ''}>
+                    ${studentCells}
+                    ${columns.map(column => `<td>${column.render(enrollment)}</td>`).join('')}
+                </tr>
+            `;
+            });
+        });
+
+        html += `
+            </tbody>
+        </table>
+    `;
+        return html;
+    }
+
+    /**
+     * Collects enrollments and progress for every student in the chosen source and renders
+     * one combined report into the bulk report modal.
+     * @param {{type: string, id: string}|null} scope The section or account from the current page.
+     */
+    async function runBulkReport(scope) {
+        const modal = document.getElementById('bulk-report-modal');
+        const resultsElement = modal.querySelector('.bulk-report-results');
+        const runButton = modal.querySelector('#run-bulk-report-button');
+        const source = modal.querySelector('#bulk-report-source').value;
+        const sisIds = modal.querySelector('#bulk-report-sis-ids').value
+            .split(/[\s,]+/)
+            .map(id => id.trim())
+            .filter(id => id);
+
+        if (source === 'sis' && sisIds.length === 0) {
+            resultsElement.innerHTML = `<p>${t('bulk.enterSisIds')}</p>`;
+            announce(modal, t('bulk.enterSisIds'));
+            return;
+        }
+
+        runButton.disabled = true;
+        resultsElement.innerHTML = `<p class="loading-indicator">${t('bulk.loadingStudents')} <span class="loading-progress"></span></p>`;
+        resultsElement.setAttribute('aria-busy', 'true');
+        announce(modal, t('bulk.loadingStudents'));
+        delete reportData['bulk-report-modal'];
+        const signal = beginModalRequests('bulk-report-modal');
+
+        try {
+            const loadingProgress = resultsElement.querySelector('.loading-progress');
+            const students = await fetchBulkStudents(source, scope, sisIds, {
+                signal,
+                onProgress: message => { loadingProgress.textContent = message; }
+            });
+            console.log(`Running bulk report for ${students.length} students.`);
+            const studentTotal = t('count.students', { count: students.length });
+            resultsElement.innerHTML = `<p class="bulk-report-progress">${t('bulk.progress', { finished: 0, total: studentTotal })}</p>`;
+            const progressElement = resultsElement.querySelector('.bulk-report-progress');
+
+            const results = await runWithConcurrency(students, BULK_REPORT_CONCURRENCY, async student => {
+                if (student.error) {
+                    return { student, allEnrollments: null, error: student.error };
+                }
+                try {
+                    const allEnrollments = await fetchUserCourses(student.id, { signal });
+                    await attachCourseActivity(student.id, allEnrollments, { signal, includePageViews: false });
+                    return { student, allEnrollments, error: null };
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    console.error(`Error fetching enrollments for user ${student.id}:`, error);
+                    return { student, allEnrollments: null, error: error.message };
+                }
+            }, finished => {
+                progressElement.textContent = t('bulk.progress', { finished, total: studentTotal });
+            });
+
+            reportData['bulk-report-modal'] = {
+                fileName: source === 'sis' ? 'bulk-student-report' : `bulk-student-report-${scope.type}-${scope.id}`,
+                bulk: true,
+                entries: results
+            };
+            updateTermOptions(modal, results.reduce((courses, result) => courses.concat(result.allEnrollments || []), []));
+            resultsElement.innerHTML = renderBulkReport(results);
+            announce(modal, t('a11y.reportLoaded', { summary: resultsElement.querySelector('.enrollment-summary').textContent }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                resultsElement.innerHTML = `<p>${t('bulk.cancelled')}</p>`;
+                announce(modal, t('bulk.cancelled'));
+                return;
+            }
+            console.error('Error running bulk report:', error);
+            resultsElement.innerHTML = `<p>${escapeHtml(t('bulk.loadError', { message: error.message }))}</p>`;
+            announce(modal, t('bulk.loadError', { message: error.message }));
+        } finally {
+            resultsElement.removeAttribute('aria-busy');
+            runButton.disabled = false;
+        }
+    }
+
+    /**
+     * Adds the bulk report button and modal for a section or account, unless they're already on the page.
+     * @param {{type: string, id: string}} scope The section or account, from getBulkScopeFromUrl.
+     */
+    function injectBulkReportButtonAndModal(scope) {
+        if (!document.getElementById('bulk-report-modal')) {
+            buildBulkReportModal(scope);
+        }
+        const bulkReportModal = document.getElementById('bulk-report-modal');
+        injectPageButton('bulk-report-button', t('bulk.button'), button => openModal(bulkReportModal, button));
+    }
+
+    /**
+     * Builds the bulk report modal and wires up its controls.
+     * @param {{type: string, id: string}} scope As for injectBulkReportButtonAndModal.
+     */
+    function buildBulkReportModal(scope) {
+        const scopeOption = scope.type === 'section' ?
+            `<option value="section">${t('bulk.section')}</option>` :
+            `<option value="account">${t('bulk.account')}</option>`;
+
+        const modalHtml = buildModalHtml(
+            'bulk-report-modal',
+            t('bulk.title'),
+            `
+            <div class="bulk-report-form">
+                <label for="bulk-report-source">${t('bulk.reportOn')}</label>
+                <select id="bulk-report-source">
+                    ${scopeOption}
+                    <option value="sis">${t('bulk.sis')}</option>
+                </select>
+                <textarea id="bulk-report-sis-ids" rows="5" placeholder="${t('bulk.sisPlaceholder')}" style="display: none; width: 100%; box-sizing: border-box;"></textarea>
+                <button type="button" class="btn btn-primary" id="run-bulk-report-button">${t('bulk.run')}</button>
+            </div>
+            <div class="bulk-report-results"></div>
+        `,
+            buildReportFooterButtons('bulk-')
+        );
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const bulkReportModal = document.getElementById('bulk-report-modal');
+        const sourceSelect = document.getElementById('bulk-report-source');
+        const sisIdsInput = document.getElementById('bulk-report-sis-ids');
+
+        bindModalCloseHandlers(bulkReportModal);
+
+        sourceSelect.addEventListener('change', function() {
+            sisIdsInput.style.display = sourceSelect.value === 'sis' ? 'block' : 'none';
+        });
+        document.getElementById('run-bulk-report-button').addEventListener('click', () => runBulkReport(scope));
+        bindReportFooterButtons('bulk-');
+        bulkReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildReportTemplatesHtml());
+        bindReportTemplates(bulkReportModal);
+
+        const rerenderBulkReport = () => {
+            const report = reportData['bulk-report-modal'];
+            if (report) {
+                bulkReportModal.querySelector('.bulk-report-results').innerHTML = renderBulkReport(report.entries);
+            }
+        };
+        bulkReportModal.querySelector('.k-modal-body').insertAdjacentHTML('beforebegin', buildShowGradesToggleHtml('bulk-show-grades-toggle') + buildReportSettingsHtml());
+        bindShowGradesToggle('bulk-show-grades-toggle', rerenderBulkReport);
+        bindReportSettings(bulkReportModal, rerenderBulkReport);
+    }
+
+    /* global ENV */
+
+    function getUserIdFromUrl() {
+        const path = window.location.pathname;
+        const match = path.match(/\/users\/(\d+)/);
+        if (match && match[1]) {
+            return match[1];
+        }
+        return null; // Return null if no user ID is found
+    }
+
+    /**
+     * Checks whether this is the viewer's own dashboard or profile and they are a student or an observer,
+     * who can report on themselves or the students they observe.
+     * @returns {boolean}
+     */
+    function isSelfServicePage() {
+        if (!/^\/(profile(\/settings)?\/?)?$/.test(window.location.pathname)) return false;
+        const roles = getSafe(() => ENV.current_user_roles, []);
+        return Array.isArray(roles) && (roles.includes('student') || roles.includes('observer'));
+    }
+
+    /**
+     * Works out which report, if any, the current page gets.
+     * @returns {{mode: string, key: string, userId?: string, scope?: object}|null} 'user', 'bulk' or 'self',
+     *          with a key that changes whenever the report's subject does; null on other pages.
+     */
+    function getPageContext() {
+        const userId = getUserIdFromUrl();
+        if (userId) {
+            return { mode: 'user', key: `user:${userId}`, userId };
+        }
+        const bulkScope = getBulkScopeFromUrl();
+        if (bulkScope) {
+            return { mode: 'bulk', key: `${bulkScope.type}:${bulkScope.id}`, scope: bulkScope };
+        }
+        if (isSelfServicePage()) {
+            return { mode: 'self', key: 'self' };
+        }
+        return null;
+    }
+
+    /* global ENV */
+
+    /**
+     * Switches the student report modal between its Report, Dashboard, Timeline and Compare tabs,
+     * loading the timeline the first time it is shown.
+     * @param {HTMLElement} modal The student report modal.
+     * @param {string} tabName One of 'report', 'dashboard', 'timeline' or 'compare'.
+     */
+    function setActiveReportTab(modal, tabName) {
+        modal.querySelectorAll('.report-tab').forEach(tab => {
+            const active = tab.dataset.tab === tabName;
+            tab.setAttribute('aria-selected', String(active));
+            tab.tabIndex = active ? 0 : -1; // Only the selected tab is in the Tab order; arrow keys move between tabs
+            tab.classList.toggle('btn-primary', active);
+        });
+
+        const showReport = tabName === 'report';
+        modal.querySelectorAll('.report-option, .report-settings, .k-modal-body').forEach(el => {
+            el.style.display = showReport ? '' : 'none';
+        });
+        modal.querySelector('.k-modal-dashboard').style.display = tabName === 'dashboard' ? '' : 'none';
+        const timelinePanel = modal.querySelector('.k-modal-timeline');
+        timelinePanel.style.display = tabName === 'timeline' ? '' : 'none';
+        modal.querySelector('.k-modal-compare').style.display = tabName === 'compare' ? '' : 'none';
+
+        if (tabName === 'timeline' && !timelinePanel.dataset.loaded && reportStudent) {
+            loadEnrollmentTimeline(reportStudent.id);
+        }
+        if (tabName === 'compare') {
+            loadSnapshotComparison(modal); // Snapshots are local, so always show the latest
+        }
+    }
+
+    /**
+     * Sets the student the single-student report is about and loads their report.
+     * @param {HTMLElement} modal The student report modal.
+     * @param {{id: string, name: string}} student The student.
+     */
+    function showReportForStudent(modal, student) {
+        setReportStudent(student);
+        modal.querySelector('.k-modal-title').textContent = t('report.title', { name: student.name });
+        // The timeline belongs to the previous student, so reload it the next time it is opened
+        delete modal.querySelector('.k-modal-timeline').dataset.loaded;
+        setActiveReportTab(modal, 'report');
+        fetchAndDisplayEnrollments(student.id);
+    }
+
+    /**
+     * Works out who a student or observer can report on from their own dashboard or profile, then loads
+     * the first report. Observers get a picker of the students they observe; students see their own report.
+     * @param {HTMLElement} modal The student report modal.
+     */
+    async function loadSelfServiceStudents(modal) {
+        const modalBody = modal.querySelector('.k-modal-body');
+        const picker = modal.querySelector('.report-student-picker');
+        const select = picker.querySelector('select');
+        modalBody.innerHTML = `<p>${t('report.loadingData')}</p>`;
+
+        const headers = { 'Content-Type': 'application/json' };
+        const signal = beginModalRequests('student-report-modal');
+        let students;
+        try {
+            const [self, observees] = await Promise.all([
+                fetchJson(`${domain}/api/v1/users/self`, headers, { signal }),
+                // Users who observe nobody get an empty list; treat any failure the same way
+                fetchAllPages(`${domain}/api/v1/users/self/observees?per_page=100`, headers, { signal }).catch(error => {
+                    if (error.name === 'AbortError') throw error;
+                    console.warn('Could not load observed students:', error);
+                    return [];
+                })
+            ]);
+            // Someone who is a student as well as an observer can still see their own report
+            const roles = getSafe(() => ENV.current_user_roles, []);
+            const includeSelf = observees.length === 0 || (Array.isArray(roles) && roles.includes('student'));
+            students = (includeSelf ? [self] : []).concat(observees.filter(user => String(user.id) !== String(self.id))).map(user => ({
+                id: String(user.id),
+                name: user.name || user.short_name || t('report.defaultStudentName')
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading the students to report on:', error);
+            modalBody.innerHTML = `<p>${escapeHtml(t('report.studentsLoadError', { message: error.message }))}</p>`;
+            announce(modal, t('report.studentsLoadError', { message: error.message }));
+            return;
+        }
+
+        // Keep the last choice if it's still on the list. Observers always see the picker, so it's clear whose report it is
+        const current = students.find(student => reportStudent && student.id === reportStudent.id) || students[0];
+        select.innerHTML = students.map(student =>
+            `<option value="${escapeHtml(student.id)}"${student === current ? ' selected' : ''}>${escapeHtml(student.name)}</option>`
+        ).join('');
+        picker.style.display = students.length > 1 || students[0].id !== String(getSafe(() => ENV.current_user_id, '')) ? '' : 'none';
+        select.onchange = () => {
+            const student = students.find(item => item.id === select.value);
+            announce(modal, t('a11y.studentChosen', { name: student.name }));
+            showReportForStudent(modal, student);
+        };
+        showReportForStudent(modal, current);
+    }
+
+    /**
+     * Adds the single-student report button and modal, unless they're already on the page.
+     * @param {string} mode 'user' on an admin user page, reporting on that user; 'self' on the viewer's own
+     *                      dashboard or profile, reporting on themselves or the students they observe.
+     */
+    function injectReportButtonAndModal(mode) {
+        if (!document.getElementById('student-report-modal')) {
+            buildStudentReportModal(mode);
+        }
+        const studentReportModal = document.getElementById('student-report-modal');
+        injectPageButton('student-report-button', t(mode === 'self' ? 'report.selfButton' : 'report.button'), button => {
+            openModal(studentReportModal, button);
+            // Fetch and display enrollments when the modal opens, starting on the Report tab
+            if (mode === 'self') {
+                loadSelfServiceStudents(studentReportModal);
+            } else {
+                showReportForStudent(studentReportModal, { id: getUserIdFromUrl(), name: reportStudent ? reportStudent.name : t('report.defaultStudentName') });
+            }
+        });
+    }
+
+    /**
+     * Builds the single-student report modal and wires up its controls.
+     * @param {string} mode As for injectReportButtonAndModal.
+     */
+    function buildStudentReportModal(mode) {
+        // The student's name comes from the API once the modal opens
+        const modalHtml = buildModalHtml(
+            'student-report-modal',
+            t('report.title', { name: t('report.defaultStudentName') }),
+            `<p>${t('report.loadingData')}</p>`,
+            buildReportFooterButtons('') +
+                `<button type="button" class="btn" id="print-report-button" style="margin-left: 8px;">${t('print.button')}</button>` +
+                `<button type="button" class="btn" id="save-snapshot-button" style="margin-left: 8px;">${t('snapshots.save')}</button>` +
+                // Staff send the report to the student; students and observers would only be messaging themselves
+                (mode === 'user' ? `<button type="button" class="btn" id="send-report-button" style="margin-left: 8px;">${t('send.button')}</button>` : '')
+        );
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const studentReportModal = document.getElementById('student-report-modal');
+        studentReportModal.querySelector('.k-modal-body').insertAdjacentHTML('beforebegin', buildShowGradesToggleHtml('show-grades-toggle') + buildReportSettingsHtml());
+        bindShowGradesToggle('show-grades-toggle', renderStudentReport);
+        bindReportSettings(studentReportModal, renderStudentReport);
+        studentReportModal.querySelector('.report-option').insertAdjacentHTML('beforebegin', `
+        <div class="report-tabs" role="tablist" aria-label="${t('a11y.reportViews')}" style="margin-bottom: 10px;">
+            <button type="button" class="btn btn-primary report-tab" role="tab" id="student-report-tab-report" data-tab="report" aria-selected="true" aria-controls="student-report-modal-body">${t('report.tabReport')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-dashboard" data-tab="dashboard" aria-selected="false" aria-controls="student-report-modal-dashboard" tabindex="-1">${t('report.tabDashboard')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-timeline" data-tab="timeline" aria-selected="false" aria-controls="student-report-modal-timeline" tabindex="-1">${t('report.tabTimeline')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-compare" data-tab="compare" aria-selected="false" aria-controls="student-report-modal-compare" tabindex="-1">${t('report.tabCompare')}</button>
+        </div>
+    `);
+        const studentReportBody = studentReportModal.querySelector('.k-modal-body');
+        studentReportBody.id = 'student-report-modal-body';
+        studentReportBody.setAttribute('role', 'tabpanel');
+        studentReportBody.setAttribute('aria-labelledby', 'student-report-tab-report');
+        studentReportBody.insertAdjacentHTML('afterend', `
+        <div class="k-modal-dashboard" id="student-report-modal-dashboard" role="tabpanel" aria-labelledby="student-report-tab-dashboard" style="display: none;"></div>
+        <div class="k-modal-timeline" id="student-report-modal-timeline" role="tabpanel" aria-labelledby="student-report-tab-timeline" style="display: none;"></div>
+        <div class="k-modal-compare" id="student-report-modal-compare" role="tabpanel" aria-labelledby="student-report-tab-compare" style="display: none;"></div>
+    `);
+        studentReportModal.querySelector('.report-tabs').insertAdjacentHTML('beforebegin', `
+        <div class="report-student-picker" style="display: none; margin-bottom: 10px;">
+            <label for="report-student-select">${t('report.student')}</label>
+            <select id="report-student-select" style="width: auto; margin-left: 8px;"></select>
+        </div>
+    `);
+        const reportTabs = Array.from(studentReportModal.querySelectorAll('.report-tab'));
+        reportTabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => setActiveReportTab(studentReportModal, tab.dataset.tab));
+            tab.addEventListener('keydown', event => {
+                const targets = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: reportTabs.length - 1 };
+                if (!(event.key in targets)) return;
+                event.preventDefault();
+                const target = reportTabs[(targets[event.key] + reportTabs.length) % reportTabs.length];
+                setActiveReportTab(studentReportModal, target.dataset.tab);
+                target.focus();
+            });
+        });
+        studentReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildReportTemplatesHtml() + buildPrintSettingsHtml() +
+            (mode === 'user' ? buildProgramsHtml() : '')); // Programs are defined by staff
+        bindReportTemplates(studentReportModal);
+        if (mode === 'user') {
+            bindPrograms(studentReportModal, renderStudentReport);
+        }
+        studentReportModal.querySelector('.print-settings-form').addEventListener('submit', handlePrintSettingsSubmit);
+        document.getElementById('print-report-button').addEventListener('click', handlePrintReportClick);
+        document.getElementById('save-snapshot-button').addEventListener('click', handleSaveSnapshotClick);
+        if (mode === 'user') {
+            studentReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildSendReportHtml());
+            const sendReportForm = studentReportModal.querySelector('.send-report-form');
+            sendReportForm.addEventListener('submit', handleSendReportSubmit);
+            sendReportForm.elements.intro.addEventListener('input', () => updateSendReportPreview(sendReportForm));
+            sendReportForm.querySelector('.send-report-cancel').addEventListener('click', () => {
+                sendReportForm.style.display = 'none';
+                document.getElementById('send-report-button').focus();
+            });
+            document.getElementById('send-report-button').addEventListener('click', () => openSendReportPanel(studentReportModal));
+        }
+
+        bindModalCloseHandlers(studentReportModal);
+        bindReportFooterButtons('');
+    }
+
+    /**
+     * Points the single-student report at another user, after navigating between user pages without a reload.
+     * An open report reloads for the new user; a closed one loads when next opened.
+     * @param {string} userId The Canvas user ID.
+     */
+    function rescopeStudentReport(userId) {
+        const modal = document.getElementById('student-report-modal');
+        setReportStudent(null);
+        delete reportData[modal.id];
+        const sendReportForm = modal.querySelector('.send-report-form');
+        if (sendReportForm) {
+            sendReportForm.style.display = 'none';
+        }
+        if (modal.style.display !== 'none') {
+            showReportForStudent(modal, { id: userId, name: t('report.defaultStudentName') });
+        }
+    }
+
+    /* global ENV */
+
+    /**
+     * Loads the Canvas sites registered to run the script, besides instructure.com. localStorage is kept
+     * per site, so this only ever holds the current site, once it has been enabled from offerToEnableOrigin.
+     * @returns {Array<string>} Origins.
+     */
+    function loadCanvasOrigins() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CANVAS_ORIGINS_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            console.warn('Could not read Canvas sites from localStorage.', e);
+            return [];
+        }
+    }
+
+    /**
+     * Saves the Canvas sites registered to run the script.
+     * @param {Array<string>} origins Origins; duplicates are removed.
+     */
+    function saveCanvasOrigins(origins) {
+        localStorage.setItem(CANVAS_ORIGINS_STORAGE_KEY, JSON.stringify(Array.from(new Set(origins))));
+    }
+
+    /**
+     * Checks whether the current page belongs to Canvas, from the `ENV` global every Canvas page defines.
+     * @returns {boolean}
+     */
+    function isCanvasPage() {
+        return typeof ENV === 'object' && ENV !== null &&
+            ('current_user_id' in ENV || 'DOMAIN_ROOT_ACCOUNT_ID' in ENV);
+    }
+
+    /**
+     * Checks whether the script is enabled for this site: any instructure.com host, or a registered origin.
+     * @returns {boolean}
+     */
+    function isEnabledOrigin() {
+        return /\.instructure\.com$/i.test(window.location.hostname) || loadCanvasOrigins().includes(domain);
+    }
+
+    /**
+     * Offers to enable the script on a Canvas site that hasn't been registered yet.
+     * "Not now" hides the offer for the rest of the browser session.
+     */
+    function offerToEnableOrigin() {
+        const dismissKey = `${CANVAS_ORIGINS_STORAGE_KEY}.dismissed`;
+        if (sessionStorage.getItem(dismissKey) || document.getElementById('student-report-enable-site')) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+        <div id="student-report-enable-site" style="
+            position: fixed; bottom: 20px; right: 20px; z-index: 10000;
+            background-color: #fff; border: 1px solid #ccc; border-radius: 4px;
+            box-shadow: 0 5px 15px rgba(0,0,0,.3); padding: 12px 16px; max-width: 320px;
+        ">
+            <p style="margin: 0 0 8px;">${escapeHtml(t('sites.prompt', { site: domain }))}</p>
+            <button type="button" class="btn btn-primary enable-site">${t('sites.enable')}</button>
+            <button type="button" class="btn dismiss-site" style="margin-left: 8px;">${t('sites.dismiss')}</button>
+        </div>
+    `);
+
+        const prompt = document.getElementById('student-report-enable-site');
+        prompt.querySelector('.enable-site').addEventListener('click', () => {
+            saveCanvasOrigins(loadCanvasOrigins().concat(domain));
+            prompt.remove();
+            document.documentElement.setAttribute('data-student-report', '');
+            startInjecting();
+        });
+        prompt.querySelector('.dismiss-site').addEventListener('click', () => {
+            sessionStorage.setItem(dismissKey, 'true');
+            prompt.remove();
+        });
+    }
+
+    /**
+     * Where report buttons go, most preferred first: the dashboard header's actions, below the first
+     * button container in Canvas's `#right-side` sidebar (admin pages), the top of a sidebar without buttons
+     * (profile pages), then layouts Canvas has used for the sidebar and page header. `wrap` puts the button
+     * in its own block, as sidebar buttons are.
+     */
+    const PAGE_BUTTON_ANCHORS = [
+        { selector: '.ic-Dashboard-header__actions', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' },
+        { selector: '#right-side div', position: 'afterend', className: 'btn button-sidebar-wide', wrap: true },
+        { selector: '#right-side', position: 'afterbegin', className: 'btn button-sidebar-wide', wrap: true },
+        { selector: '#right-side-wrapper', position: 'afterbegin', className: 'btn button-sidebar-wide', wrap: true },
+        { selector: '.header-bar-right', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' },
+        { selector: '.page-toolbar-end', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' }
+    ];
+
+    /**
+     * Adds a report button to the page, at the first of PAGE_BUTTON_ANCHORS the page has, or as a floating
+     * launcher in the corner of the window if it has none. Safe to call repeatedly: an existing button is
+     * kept, unless it's floating and somewhere better has since appeared.
+     * @param {string} buttonId The ID to give the button.
+     * @param {string} label The button text.
+     * @param {function(HTMLElement): void} onClick Called with the button when it's clicked.
+     * @returns {HTMLElement} The button.
+     */
+    function injectPageButton(buttonId, label, onClick) {
+        const anchor = PAGE_BUTTON_ANCHORS.find(candidate => document.querySelector(candidate.selector));
+        const existingButton = document.getElementById(buttonId);
+        if (existingButton) {
+            if (!existingButton.dataset.floating || !anchor) return existingButton;
+            existingButton.remove();
+        }
+
+        const buttonHtml = style => `
+        <a href="#" id="${buttonId}" class="${anchor ? anchor.className : 'btn btn-primary'}" role="button" aria-haspopup="dialog"${anchor ? '' : ' data-floating="true"'} style="${style || ''}">
+            <i class="icon-document" aria-hidden="true"></i>
+            ${label}
+        </a>
+    `;
+        if (anchor) {
+            const html = buttonHtml(anchor.style);
+            document.querySelector(anchor.selector).insertAdjacentHTML(anchor.position, anchor.wrap ? `<div class="report-button-container">${html}</div>` : html);
+        } else {
+            console.info('No place for the report button was found on the page; showing it as a floating button instead.');
+            document.body.insertAdjacentHTML('beforeend', buttonHtml('position: fixed; bottom: 20px; right: 20px; z-index: 9999; box-shadow: 0 2px 8px rgba(0,0,0,.3);'));
+        }
+
+        const button = document.getElementById(buttonId);
+        button.addEventListener('click', event => {
+            event.preventDefault();
+            onClick(button);
+        });
+        return button;
+    }
+
+    /**
+     * Removes the report buttons and modals, e.g. after navigating to a page they don't belong on.
+     */
+    function removeInjectedReports() {
+        ['student-report-modal', 'bulk-report-modal'].forEach(modalId => {
+            const modal = document.getElementById(modalId);
+            if (!modal) return;
+            closeModal(modal);
+            modal.remove();
+            delete reportData[modalId];
+        });
+        ['student-report-button', 'bulk-report-button'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                (button.closest('.report-button-container') || button).remove();
+            }
+        });
+        setReportStudent(null);
+    }
+
+    // The page the report buttons and modals were last injected for, from getPageContext
+    let injectedPage = null;
+
+    /**
+     * Injects the single-student report on user pages, the bulk report on section and account pages,
+     * or the self-service report on a student's or observer's dashboard and profile. Safe to call repeatedly:
+     * it puts back a button Canvas has re-rendered away, and re-scopes or removes the reports after navigation.
+     */
+    function injectForCurrentPage() {
+        const page = getPageContext();
+        if (injectedPage && (!page || page.key !== injectedPage.key)) {
+            if (page && page.mode === 'user' && injectedPage.mode === 'user') {
+                rescopeStudentReport(page.userId);
+            } else {
+                removeInjectedReports();
+            }
+        }
+        injectedPage = page;
+
+        if (!page) return;
+        if (page.mode === 'bulk') {
+            injectBulkReportButtonAndModal(page.scope);
+        } else {
+            injectReportButtonAndModal(page.mode);
+        }
+    }
+
+    /**
+     * Injects the reports now and again whenever the page changes: Canvas renders much of its UI after load,
+     * re-renders parts of it, and moves between some pages with the History API instead of reloading.
+     */
+    function startInjecting() {
+        let injectTimer = null;
+        const scheduleInjection = () => {
+            if (injectTimer !== null) return;
+            injectTimer = setTimeout(() => {
+                injectTimer = null;
+                injectForCurrentPage();
+            }, PAGE_CHANGE_DEBOUNCE_MS);
+        };
+
+        new MutationObserver(scheduleInjection).observe(document.body, { childList: true, subtree: true });
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = history[method];
+            history[method] = function(...args) {
+                const result = original.apply(this, args);
+                scheduleInjection();
+                return result;
+            };
+        });
+        window.addEventListener('popstate', scheduleInjection);
+
+        injectForCurrentPage();
+    }
+
+    /**
+     * Runs on page load. The script matches every site, so it only activates on confirmed Canvas pages,
+     * and on sites outside instructure.com only once they've been enabled.
+     */
+    function init() {
+        if (!isCanvasPage()) return;
+        // A second copy of the script (or a second call) would inject everything twice
+        if (document.documentElement.hasAttribute('data-student-report')) {
+            console.warn('The student report script is already running on this page.');
+            return;
+        }
+
+        if (isEnabledOrigin()) {
+            document.documentElement.setAttribute('data-student-report', '');
+            startInjecting();
+        } else if (getPageContext()) {
+            offerToEnableOrigin();
+        }
+    }
+
+    // Entry point of the userscript bundle: see rollup.config.js
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
 })();
@@ -0,0 +1,19 @@
+import { readFileSync } from 'node:fs';
+
+// Bundles the modules in src/ into main.js, the file userscript managers install.
+// The userscript header has to come first in the file, so it is added as a banner.
+export default {
+    input: 'src/index.js',
+    output: {
+        file: 'main.js',
+        format: 'iife',
+        banner: readFileSync(new URL('./src/userscript-header.txt', import.meta.url), 'utf8').trim(),
+        indent: '    '
+    },
+    onwarn(warning, warn) {
+        // Modules that render the report and the modals that show it refer to each other;
+        // only functions cross the cycles, so the order the modules are evaluated in doesn't matter
+        if (warning.code === 'CIRCULAR_DEPENDENCY') return;
+        warn(warning);
+    }
+};
@@ -0,0 +1,311 @@
+import { t } from './i18n.js';
+
+// API client: retries for transient failures, throttle pacing and response caching
+const API_MAX_RETRIES = 4;
+const API_RETRY_BASE_DELAY_MS = 500;
+const API_RATE_LIMIT_LOW_WATERMARK = 200; // Canvas buckets start at 700
+const API_RATE_LIMIT_MAX_DELAY_MS = 5000;
+const API_CACHE_TTL_MS = 5 * 60 * 1000;
+const API_CACHE_MAX_ENTRIES = 200; // Enough for reopening a few single-student reports; bulk runs cycle through it
+// Last X-Rate-Limit-Remaining value Canvas sent, or null before the first response
+let rateLimitRemaining = null;
+// Recent GET responses by URL: {page, expires}, oldest first
+const apiCache = new Map();
+// AbortControllers for the requests each modal is running, keyed by modal ID
+const modalAbortControllers = {};
+
+/**
+ * Parses the Link HTTP header to extract pagination URLs.
+ * @param {string} header The Link header string.
+ * @returns {object} An object where keys are rel values (e.g., 'next', 'current')
+ *                   and values are the corresponding URLs.
+ */
+export function parseLinkHeader(header) {
+    if (!header) {
+        return {};
+    }
+    const links = {};
+    const directives = header.split(',');
+
+    directives.forEach(directive => {
+        const parts = directive.split(';');
+        if (parts.length === 0) return;
+
+        const urlPart = parts[0].trim();
+        const urlMatch = urlPart.match(/<(.*)>/);
+        if (!urlMatch || urlMatch.length < 2) return;
+        const url = urlMatch[1];
+
+        let rel = null;
+        for (let i = 1; i < parts.length; i++) {
+            const paramPart = parts[i].trim();
+            // Match rel="value" case insensitively for "rel" and normalize value to lowercase
+            const paramMatch = paramPart.match(/rel="([^"]+)"/i);
+            if (paramMatch && paramMatch.length >= 2) {
+                rel = paramMatch[1].toLowerCase();
+                break;
+            }
+        }
+
+        if (rel && url) {
+            links[rel] = url;
+        }
+    });
+    return links;
+}
+
+/**
+ * Waits for a number of milliseconds, stopping early (with an AbortError) if the signal is aborted.
+ * @param {number} ms How long to wait.
+ * @param {AbortSignal} [signal] Cancels the wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Works out how long to wait before retrying a failed request: the server's Retry-After if given,
+ * otherwise exponential backoff with random jitter so parallel requests don't retry in lockstep.
+ * @param {number} attempt The number of attempts made so far (1 for the first retry).
+ * @param {Response} [response] The failed response, if there was one.
+ * @returns {number} The delay in milliseconds.
+ */
+export function getRetryDelay(attempt, response) {
+    const retryAfter = response ? Number(response.headers.get('Retry-After')) : NaN;
+    if (retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    const backoff = API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    return backoff + Math.random() * backoff;
+}
+
+/**
+ * Makes a Canvas API request, pacing requests by Canvas's throttle headers and retrying
+ * throttled (429, or 403 "Rate Limit Exceeded"), 5xx and network failures.
+ * Requests other than GET are only retried when throttled, as Canvas may have acted on them otherwise.
+ * @param {string} url The request URL.
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] The HTTP method.
+ * @param {object} [options.headers] Request headers.
+ * @param {string} [options.body] The request body.
+ * @param {AbortSignal} [options.signal] Cancels the request, including any waits and retries.
+ * @param {Function} [options.onProgress] Called with a status message while waiting to retry.
+ * @returns {Promise<Response>} The successful response.
+ * @throws {Error} If the request fails permanently or runs out of retries.
+ */
+async function apiRequest(url, { method = 'GET', headers, body, signal, onProgress } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        // Slow down as the rate limit bucket empties, rather than waiting to be throttled
+        if (rateLimitRemaining !== null && rateLimitRemaining < API_RATE_LIMIT_LOW_WATERMARK) {
+            const delay = Math.min(API_RATE_LIMIT_MAX_DELAY_MS, (API_RATE_LIMIT_LOW_WATERMARK - rateLimitRemaining) * 25);
+            console.log(`Rate limit remaining ${rateLimitRemaining}, pausing ${delay}ms.`);
+            await sleep(delay, signal);
+        }
+
+        let response = null;
+        let failure;
+        try {
+            response = await fetch(url, { method, headers, body, signal });
+        } catch (error) {
+            if (error.name === 'AbortError' || method !== 'GET') throw error;
+            failure = error; // Network error, worth retrying
+        }
+
+        if (response) {
+            const remaining = parseFloat(response.headers.get('X-Rate-Limit-Remaining'));
+            if (!Number.isNaN(remaining)) {
+                rateLimitRemaining = remaining;
+            }
+            if (response.ok) {
+                return response;
+            }
+
+            const errorData = await response.text();
+            failure = new Error(`HTTP error! status: ${response.status}, message: ${errorData}, url: ${url}`);
+            const throttled = response.status === 429 || (response.status === 403 && /rate limit exceeded/i.test(errorData));
+            if (!throttled && (response.status < 500 || method !== 'GET')) {
+                throw failure; // Not transient (e.g. 401, 404), so retrying won't help
+            }
+        }
+
+        if (attempt > API_MAX_RETRIES) {
+            throw failure;
+        }
+        const delay = getRetryDelay(attempt, response);
+        console.warn(`Request failed (attempt ${attempt}), retrying in ${Math.round(delay)}ms: ${url}`, failure);
+        if (onProgress) onProgress(t('progress.retrying', { seconds: Math.ceil(delay / 1000) }));
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Reads Canvas's CSRF token from its cookie; API writes made with the session cookie must send it.
+ * @returns {string} The token, or an empty string if there is none.
+ */
+function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)_csrf_token=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+/**
+ * Posts JSON to an API endpoint. Responses are not cached.
+ * @param {string} url The endpoint URL.
+ * @param {object} data The request body.
+ * @param {object} [options] `signal`, as for apiRequest.
+ * @returns {Promise<*>} A promise that resolves to the parsed JSON response.
+ */
+export async function postJson(url, data, options = {}) {
+    const response = await apiRequest(url, Object.assign({
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': getCsrfToken()
+        },
+        body: JSON.stringify(data)
+    }, options));
+    return response.json();
+}
+
+/**
+ * Fetches one page of JSON through apiRequest, using the request cache for recent identical requests.
+ * @param {string} url The request URL.
+ * @param {object} options Options passed through to apiRequest.
+ * @returns {Promise<{data: *, linkHeader: string|null}>} The parsed body and the Link header.
+ */
+async function fetchJsonPage(url, options) {
+    const cached = apiCache.get(url);
+    if (cached && cached.expires > Date.now()) {
+        console.log(`Using cached response: ${url}`);
+        return cached.page;
+    }
+
+    const response = await apiRequest(url, options);
+    const page = { data: await response.json(), linkHeader: response.headers.get('Link') };
+    cacheJsonPage(url, page);
+    return page;
+}
+
+/**
+ * Adds a page to the request cache, first dropping expired pages and then, once the cache is full,
+ * the oldest ones.
+ * @param {string} url The request URL.
+ * @param {{data: *, linkHeader: string|null}} page The page, as returned by fetchJsonPage.
+ */
+function cacheJsonPage(url, page) {
+    const now = Date.now();
+    apiCache.forEach((entry, key) => {
+        if (entry.expires <= now) apiCache.delete(key);
+    });
+    apiCache.delete(url); // Re-adding moves it to the end, as the newest
+    apiCache.set(url, { page, expires: now + API_CACHE_TTL_MS });
+    while (apiCache.size > API_CACHE_MAX_ENTRIES) {
+        apiCache.delete(apiCache.keys().next().value);
+    }
+}
+
+/**
+ * Fetches a single (non-paginated) API resource.
+ * @param {string} url The resource URL.
+ * @param {object} headers Request headers.
+ * @param {object} [options] `signal` and `onProgress`, as for apiRequest.
+ * @returns {Promise<object>} A promise that resolves to the parsed JSON body.
+ */
+export async function fetchJson(url, headers, options = {}) {
+    const page = await fetchJsonPage(url, Object.assign({ headers }, options));
+    return page.data;
+}
+
+/**
+ * Fetches all pages of data from a paginated API endpoint.
+ * @param {string} initialUrl The URL for the first page of data.
+ * @param {object} headers Request headers.
+ * @param {object} [options] `signal` and `onProgress`, as for apiRequest. `onProgress` is
+ *                           also called with a message after each page.
+ * @returns {Promise<Array>} A promise that resolves to an array containing all items from all pages.
+ */
+export async function fetchAllPages(initialUrl, headers, options = {}) {
+    let results = [];
+    let currentUrl = initialUrl;
+    let pageCount = 0;
+
+    while (currentUrl) {
+        console.log(`Fetching page: ${currentUrl}`);
+        const { data: pageData, linkHeader } = await fetchJsonPage(currentUrl, Object.assign({ headers }, options));
+
+        if (Array.isArray(pageData)) {
+            results = results.concat(pageData);
+        } else {
+            console.warn('Received non-array pageData. Assuming it is the complete, non-paginated result or a single item page.', pageData);
+            results.push(pageData); // Or handle as appropriate for the API
+                                    // For Canvas list APIs, pageData is expected to be an array.
+        }
+        pageCount++;
+        if (options.onProgress) {
+            options.onProgress(t('progress.recordsLoaded', {
+                records: t('count.records', { count: results.length }),
+                pages: t('count.pages', { count: pageCount })
+            }));
+        }
+
+        if (linkHeader) {
+            const links = parseLinkHeader(linkHeader);
+            currentUrl = links.next; // Get the URL for the next page
+            if (currentUrl) {
+                console.log(`Next page URL: ${currentUrl}`);
+            } else {
+                console.log('No next page found (last page processed).');
+            }
+        } else {
+            console.log('No Link header found, assuming no more pages.');
+            currentUrl = null; // No more pages
+        }
+    }
+    return results;
+}
+
+/**
+ * Starts a new set of requests for a modal, cancelling any still running from before.
+ * @param {string} modalId The modal's ID.
+ * @returns {AbortSignal} The signal to pass to requests made for the modal.
+ */
+export function beginModalRequests(modalId) {
+    abortModalRequests(modalId);
+    modalAbortControllers[modalId] = new AbortController();
+    return modalAbortControllers[modalId].signal;
+}
+
+/**
+ * Returns the signal for a modal's current requests, starting a new set if there is none.
+ * @param {string} modalId The modal's ID.
+ * @returns {AbortSignal}
+ */
+export function getModalSignal(modalId) {
+    const controller = modalAbortControllers[modalId];
+    return controller && !controller.signal.aborted ? controller.signal : beginModalRequests(modalId);
+}
+
+/**
+ * Cancels a modal's running requests, e.g. when it is closed.
+ * @param {string} modalId The modal's ID.
+ */
+export function abortModalRequests(modalId) {
+    if (modalAbortControllers[modalId]) {
+        modalAbortControllers[modalId].abort();
+        delete modalAbortControllers[modalId];
+    }
+}
@@ -0,0 +1,316 @@
+import { BULK_REPORT_CONCURRENCY, domain } from './constants.js';
+import { beginModalRequests, fetchAllPages, fetchJson } from './api.js';
+import { reportData } from './state.js';
+import { announce, bindModalCloseHandlers, buildModalHtml, openModal } from './modal.js';
+import { formatScore, t } from './i18n.js';
+import { escapeHtml, getSafe, runWithConcurrency } from './utils.js';
+import { attachCourseActivity, fetchUserCourses, getAverageCompletedScore, isCourseInactive, summariseCourses } from './courses.js';
+import { getVisibleReportColumns, renderReportColumnHeaders } from './columns.js';
+import { bindReportSettings, bindShowGradesToggle, buildReportSettingsHtml, buildShowGradesToggleHtml, loadReportSettings, loadShowGrades, updateTermOptions } from './settings.js';
+import { getReportTableStyles } from './report.js';
+import { bindReportTemplates, buildReportTemplatesHtml } from './templates.js';
+import { bindReportFooterButtons, buildReportFooterButtons } from './export.js';
+import { injectPageButton } from './inject.js';
+
+/**
+ * Works out whether the current page can start a bulk report, and for what.
+ * @returns {{type: string, id: string}|null} A section or account scope, or null on other pages.
+ */
+export function getBulkScopeFromUrl() {
+    const path = window.location.pathname;
+    const sectionMatch = path.match(/^\/courses\/\d+\/sections\/(\d+)/);
+    if (sectionMatch) {
+        return { type: 'section', id: sectionMatch[1] };
+    }
+    const accountMatch = path.match(/^\/accounts\/(\d+)(\/users)?\/?$/);
+    if (accountMatch) {
+        return { type: 'account', id: accountMatch[1] };
+    }
+    return null;
+}
+
+/**
+ * Collects the students a bulk report should cover.
+ * @param {string} source One of 'section', 'account' or 'sis'.
+ * @param {{type: string, id: string}|null} scope The section or account from the current page.
+ * @param {Array<string>} sisIds SIS user IDs, used when source is 'sis'.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<Array<{id: string, name: string, sisUserId: string|null, error?: string}>>}
+ */
+async function fetchBulkStudents(source, scope, sisIds, options = {}) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (source === 'section') {
+        const enrollments = await fetchAllPages(`${domain}/api/v1/sections/${scope.id}/enrollments?type[]=StudentEnrollment&per_page=100`, headers, options);
+        const students = new Map(); // A student can hold several enrollments in one section
+        enrollments.forEach(enrollment => {
+            if (students.has(enrollment.user_id)) return;
+            const user = enrollment.user || {};
+            students.set(enrollment.user_id, {
+                id: String(enrollment.user_id),
+                name: user.sortable_name || user.name || t('bulk.unnamedUser', { id: String(enrollment.user_id) }),
+                sisUserId: user.sis_user_id || enrollment.sis_user_id || null
+            });
+        });
+        return Array.from(students.values());
+    }
+
+    if (source === 'account') {
+        const users = await fetchAllPages(`${domain}/api/v1/accounts/${scope.id}/users?enrollment_type=student&per_page=100`, headers, options);
+        return users.map(user => ({
+            id: String(user.id),
+            name: user.sortable_name || user.name,
+            sisUserId: user.sis_user_id || null
+        }));
+    }
+
+    // Pasted SIS IDs are looked up a few at a time; an unknown ID shouldn't stop the whole batch
+    return runWithConcurrency(sisIds, BULK_REPORT_CONCURRENCY, async sisId => {
+        try {
+            const user = await fetchJson(`${domain}/api/v1/users/sis_user_id:${encodeURIComponent(sisId)}`, headers, options);
+            return { id: String(user.id), name: user.sortable_name || user.name, sisUserId: user.sis_user_id || sisId };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Could not find user with SIS ID ${sisId}:`, error);
+            return { id: null, name: sisId, sisUserId: sisId, error: t('bulk.userNotFound') };
+        }
+    });
+}
+
+/**
+ * Builds the combined summary and table for a bulk report.
+ * @param {Array} results One entry per student: `{student, allEnrollments, error}`.
+ * @returns {string} The report HTML.
+ */
+function renderBulkReport(results) {
+    const settings = loadReportSettings();
+    const summaries = results.map(result => (result.error ? null : summariseCourses(result.allEnrollments, settings)));
+
+    let completedCourses = 0;
+    let totalCourses = 0;
+    let failedStudents = 0;
+    summaries.forEach(summary => {
+        if (!summary) {
+            failedStudents++;
+            return;
+        }
+        completedCourses += summary.completedCourses;
+        totalCourses += summary.totalCourses;
+    });
+
+    const showGrades = loadShowGrades();
+    const summaryParts = [t('bulk.summary', {
+        students: t('count.students', { count: results.length }),
+        courses: t('report.summary', { completed: completedCourses, count: totalCourses })
+    })];
+    if (showGrades) {
+        const allCourses = summaries.reduce((courses, summary) => (summary ? courses.concat(summary.filteredEnrollments) : courses), []);
+        const averageScore = getAverageCompletedScore(allCourses);
+        summaryParts.push(t('report.averageScore', { score: formatScore(averageScore) }));
+    }
+    const inactiveStudents = summaries.filter(summary =>
+        summary && summary.filteredEnrollments.some(course => isCourseInactive(course, settings))).length;
+    if (inactiveStudents > 0) {
+        summaryParts.push(t('bulk.inactiveStudents', {
+            students: t('count.students', { count: inactiveStudents }),
+            days: t('count.days', { count: settings.inactiveDays })
+        }));
+    }
+    let summaryMessage = summaryParts.join(' — ');
+    if (failedStudents > 0) {
+        summaryMessage += ` ${t('bulk.failedStudents', { students: t('count.students', { count: failedStudents }) })}`;
+    }
+
+    let html = `<p class="enrollment-summary"><strong>${escapeHtml(summaryMessage)}</strong></p>`;
+    if (results.length === 0) {
+        return html + `<p>${t('bulk.noStudents')}</p>`;
+    }
+
+    const columns = getVisibleReportColumns(settings);
+    html += getReportTableStyles('bulk-report-modal') + `
+        <table>
+            <thead>
+                <tr>
+                    <th data-column="student">${t('columns.student')}</th>
+                    <th data-column="sisUserId">${t('columns.sisUserId')}</th>
+                    ${renderReportColumnHeaders(columns, settings)}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    results.forEach(({ student, error }, index) => {
+        const summary = summaries[index];
+        const studentCells = `
+            <td>${escapeHtml(getSafe(() => student.name))}</td>
+            <td>${escapeHtml(getSafe(() => student.sisUserId))}</td>
+        `;
+
+        if (error || summary.filteredEnrollments.length === 0) {
+            const message = error ? t('common.error', { message: error }) : t('bulk.noMatchingEnrollments');
+            html += `<tr>${studentCells}<td colspan="${columns.length}">${escapeHtml(message)}</td></tr>`;
+            return;
+        }
+
+        summary.filteredEnrollments.forEach(enrollment => {
+            html += `
+                <tr${isCourseInactive(enrollment, settings) ? ' class="inactive-row"' : ''}>
+                    ${studentCells}
+                    ${columns.map(column => `<td>${column.render(enrollment)}</td>`).join('')}
+                </tr>
+            `;
+        });
+    });
+
+    html += `
+            </tbody>
+        </table>
+    `;
+    return html;
+}
+
+/**
+ * Collects enrollments and progress for every student in the chosen source and renders
+ * one combined report into the bulk report modal.
+ * @param {{type: string, id: string}|null} scope The section or account from the current page.
+ */
+async function runBulkReport(scope) {
+    const modal = document.getElementById('bulk-report-modal');
+    const resultsElement = modal.querySelector('.bulk-report-results');
+    const runButton = modal.querySelector('#run-bulk-report-button');
+    const source = modal.querySelector('#bulk-report-source').value;
+    const sisIds = modal.querySelector('#bulk-report-sis-ids').value
+        .split(/[\s,]+/)
+        .map(id => id.trim())
+        .filter(id => id);
+
+    if (source === 'sis' && sisIds.length === 0) {
+        resultsElement.innerHTML = `<p>${t('bulk.enterSisIds')}</p>`;
+        announce(modal, t('bulk.enterSisIds'));
+        return;
+    }
+
+    runButton.disabled = true;
+    resultsElement.innerHTML = `<p class="loading-indicator">${t('bulk.loadingStudents')} <span class="loading-progress"></span></p>`;
+    resultsElement.setAttribute('aria-busy', 'true');
+    announce(modal, t('bulk.loadingStudents'));
+    delete reportData['bulk-report-modal'];
+    const signal = beginModalRequests('bulk-report-modal');
+
+    try {
+        const loadingProgress = resultsElement.querySelector('.loading-progress');
+        const students = await fetchBulkStudents(source, scope, sisIds, {
+            signal,
+            onProgress: message => { loadingProgress.textContent = message; }
+        });
+        console.log(`Running bulk report for ${students.length} students.`);
+        const studentTotal = t('count.students', { count: students.length });
+        resultsElement.innerHTML = `<p class="bulk-report-progress">${t('bulk.progress', { finished: 0, total: studentTotal })}</p>`;
+        const progressElement = resultsElement.querySelector('.bulk-report-progress');
+
+        const results = await runWithConcurrency(students, BULK_REPORT_CONCURRENCY, async student => {
+            if (student.error) {
+                return { student, allEnrollments: null, error: student.error };
+            }
+            try {
+                const allEnrollments = await fetchUserCourses(student.id, { signal });
+                await attachCourseActivity(student.id, allEnrollments, { signal, includePageViews: false });
+                return { student, allEnrollments, error: null };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.error(`Error fetching enrollments for user ${student.id}:`, error);
+                return { student, allEnrollments: null, error: error.message };
+            }
+        }, finished => {
+            progressElement.textContent = t('bulk.progress', { finished, total: studentTotal });
+        });
+
+        reportData['bulk-report-modal'] = {
+            fileName: source === 'sis' ? 'bulk-student-report' : `bulk-student-report-${scope.type}-${scope.id}`,
+            bulk: true,
+            entries: results
+        };
+        updateTermOptions(modal, results.reduce((courses, result) => courses.concat(result.allEnrollments || []), []));
+        resultsElement.innerHTML = renderBulkReport(results);
+        announce(modal, t('a11y.reportLoaded', { summary: resultsElement.querySelector('.enrollment-summary').textContent }));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            resultsElement.innerHTML = `<p>${t('bulk.cancelled')}</p>`;
+            announce(modal, t('bulk.cancelled'));
+            return;
+        }
+        console.error('Error running bulk report:', error);
+        resultsElement.innerHTML = `<p>${escapeHtml(t('bulk.loadError', { message: error.message }))}</p>`;
+        announce(modal, t('bulk.loadError', { message: error.message }));
+    } finally {
+        resultsElement.removeAttribute('aria-busy');
+        runButton.disabled = false;
+    }
+}
+
+/**
+ * Adds the bulk report button and modal for a section or account, unless they're already on the page.
+ * @param {{type: string, id: string}} scope The section or account, from getBulkScopeFromUrl.
+ */
+export function injectBulkReportButtonAndModal(scope) {
+    if (!document.getElementById('bulk-report-modal')) {
+        buildBulkReportModal(scope);
+    }
+    const bulkReportModal = document.getElementById('bulk-report-modal');
+    injectPageButton('bulk-report-button', t('bulk.button'), button => openModal(bulkReportModal, button));
+}
+
+/**
+ * Builds the bulk report modal and wires up its controls.
+ * @param {{type: string, id: string}} scope As for injectBulkReportButtonAndModal.
+ */
+function buildBulkReportModal(scope) {
+    const scopeOption = scope.type === 'section' ?
+        `<option value="section">${t('bulk.section')}</option>` :
+        `<option value="account">${t('bulk.account')}</option>`;
+
+    const modalHtml = buildModalHtml(
+        'bulk-report-modal',
+        t('bulk.title'),
+        `
+            <div class="bulk-report-form">
+                <label for="bulk-report-source">${t('bulk.reportOn')}</label>
+                <select id="bulk-report-source">
+                    ${scopeOption}
+                    <option value="sis">${t('bulk.sis')}</option>
+                </select>
+                <textarea id="bulk-report-sis-ids" rows="5" placeholder="${t('bulk.sisPlaceholder')}" style="display: none; width: 100%; box-sizing: border-box;"></textarea>
+                <button type="button" class="btn btn-primary" id="run-bulk-report-button">${t('bulk.run')}</button>
+            </div>
+            <div class="bulk-report-results"></div>
+        `,
+        buildReportFooterButtons('bulk-')
+    );
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+    const bulkReportModal = document.getElementById('bulk-report-modal');
+    const sourceSelect = document.getElementById('bulk-report-source');
+    const sisIdsInput = document.getElementById('bulk-report-sis-ids');
+
+    bindModalCloseHandlers(bulkReportModal);
+
+    sourceSelect.addEventListener('change', function() {
+        sisIdsInput.style.display = sourceSelect.value === 'sis' ? 'block' : 'none';
+    });
+    document.getElementById('run-bulk-report-button').addEventListener('click', () => runBulkReport(scope));
+    bindReportFooterButtons('bulk-');
+    bulkReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildReportTemplatesHtml());
+    bindReportTemplates(bulkReportModal);
+
+    const rerenderBulkReport = () => {
+        const report = reportData['bulk-report-modal'];
+        if (report) {
+            bulkReportModal.querySelector('.bulk-report-results').innerHTML = renderBulkReport(report.entries);
+        }
+    };
+    bulkReportModal.querySelector('.k-modal-body').insertAdjacentHTML('beforebegin', buildShowGradesToggleHtml('bulk-show-grades-toggle') + buildReportSettingsHtml());
+    bindShowGradesToggle('bulk-show-grades-toggle', rerenderBulkReport);
+    bindReportSettings(bulkReportModal, rerenderBulkReport);
+}
@@ -0,0 +1,109 @@
+import { formatDate, formatDuration, formatScore, t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { getStudentEnrollment, hasCompletionRequirements } from './courses.js';
+import { loadShowGrades } from './settings.js';
+
+/**
+ * Columns of the on-screen report table, headed by their `columns.<key>` message. `render` returns a cell's HTML, escaped;
+ * `sortValue` returns a string or number to sort by, or null for "no value". Grade columns only show while grades are shown.
+ */
+export const REPORT_COLUMNS = [
+    {
+        key: 'name',
+        render: course => escapeHtml(getSafe(() => course.name)),
+        sortValue: course => course.name || null
+    },
+    {
+        key: 'code',
+        render: course => escapeHtml(`${getSafe(() => course.course_code)} / ${getSafe(() => course.sis_course_id)}`),
+        sortValue: course => course.course_code || null
+    },
+    {
+        key: 'term',
+        render: course => escapeHtml(getSafe(() => course.term.name)),
+        sortValue: course => (getSafe(() => course.term.start_at, null) ? new Date(course.term.start_at).getTime() : null)
+    },
+    {
+        key: 'progress',
+        render: course => escapeHtml(`${getSafe(() => course.course_progress.requirement_completed_count)} / ${getSafe(() => course.course_progress.requirement_count)}`),
+        sortValue: course => (hasCompletionRequirements(course) && course.course_progress.requirement_count > 0 ?
+            (course.course_progress.requirement_completed_count || 0) / course.course_progress.requirement_count : null)
+    },
+    {
+        key: 'completed',
+        render: course => formatDate(getSafe(() => course.course_progress.completed_at, null)),
+        sortValue: course => (getSafe(() => course.course_progress.completed_at, null) ? new Date(course.course_progress.completed_at).getTime() : null)
+    },
+    {
+        key: 'currentScore',
+        grades: true,
+        render: course => escapeHtml(formatScore(getSafe(() => getStudentEnrollment(course).computed_current_score, null), getSafe(() => getStudentEnrollment(course).computed_current_grade, null))),
+        sortValue: course => getSafe(() => getStudentEnrollment(course).computed_current_score, null)
+    },
+    {
+        key: 'finalScore',
+        grades: true,
+        render: course => escapeHtml(formatScore(getSafe(() => getStudentEnrollment(course).computed_final_score, null), getSafe(() => getStudentEnrollment(course).computed_final_grade, null))),
+        sortValue: course => getSafe(() => getStudentEnrollment(course).computed_final_score, null)
+    },
+    {
+        key: 'lastActivity',
+        render: course => formatDate(getSafe(() => course.activity.lastActivityAt, null)),
+        sortValue: course => (getSafe(() => course.activity.lastActivityAt, null) ? new Date(course.activity.lastActivityAt).getTime() : null)
+    },
+    {
+        key: 'activityTime',
+        render: course => formatDuration(getSafe(() => course.activity.totalActivityTime, null)),
+        sortValue: course => getSafe(() => course.activity.totalActivityTime, null)
+    },
+    {
+        key: 'pageViews',
+        render: course => escapeHtml(getSafe(() => course.activity.pageViews)),
+        sortValue: course => getSafe(() => course.activity.pageViews, null)
+    },
+    {
+        key: 'outstandingWork',
+        render: course => (course.outstandingWork ?
+            `${course.outstandingWork.filter(item => item.status === 'Missing').length} / ${course.outstandingWork.filter(item => item.status === 'Late').length}` : t('common.notAvailable')),
+        sortValue: course => (course.outstandingWork ? course.outstandingWork.length : null)
+    },
+    {
+        key: 'enrollmentState',
+        render: course => escapeHtml(getSafe(() => course.enrollments && course.enrollments.length > 0 ? course.enrollments[0].enrollment_state : null)),
+        sortValue: course => getSafe(() => course.enrollments[0].enrollment_state, null)
+    }
+];
+
+/**
+ * Returns a report column's header in the current language.
+ * @param {object} column An entry from REPORT_COLUMNS.
+ * @returns {string} The header text.
+ */
+export function getColumnHeader(column) {
+    return t(`columns.${column.key}`);
+}
+
+/**
+ * Picks the report columns to display, in table order.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {Array} Entries from REPORT_COLUMNS; never empty.
+ */
+export function getVisibleReportColumns(settings) {
+    const showGrades = loadShowGrades();
+    const columns = REPORT_COLUMNS.filter(column =>
+        settings.displayColumns.includes(column.key) && (showGrades || !column.grades));
+    return columns.length > 0 ? columns : [REPORT_COLUMNS[0]];
+}
+
+/**
+ * Builds the header cells for report columns, marking those left out of the copy.
+ * @param {Array} columns Columns from getVisibleReportColumns.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {string} The `<th>` elements.
+ */
+export function renderReportColumnHeaders(columns, settings) {
+    return columns.map(column => {
+        const copyExclude = settings.copyColumns.includes(column.key) ? '' : ' data-copy-exclude';
+        return `<th data-column="${column.key}"${copyExclude}>${getColumnHeader(column)}</th>`;
+    }).join('');
+}
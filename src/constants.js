@@ -0,0 +1,22 @@
+// Get Canvas domain as a global constant
+export const domain = window.location.origin;
+// Number of students fetched in parallel by the bulk report
+export const BULK_REPORT_CONCURRENCY = 4;
+// localStorage key for the institution branding used on printed reports
+export const PRINT_BRANDING_STORAGE_KEY = 'canvasStudentReport.printBranding';
+// localStorage key for whether grade columns are shown in reports
+export const SHOW_GRADES_STORAGE_KEY = 'canvasStudentReport.showGrades';
+// localStorage keys for user-defined copy templates and the one last chosen
+export const REPORT_TEMPLATES_STORAGE_KEY = 'canvasStudentReport.templates';
+export const SELECTED_TEMPLATE_STORAGE_KEY = 'canvasStudentReport.selectedTemplate';
+// localStorage key for the report filter, sort and column settings
+export const REPORT_SETTINGS_STORAGE_KEY = 'canvasStudentReport.settings';
+// localStorage key for Canvas sites outside instructure.com that the script should run on
+export const CANVAS_ORIGINS_STORAGE_KEY = 'canvasStudentReport.canvasOrigins';
+// localStorage key for program definitions: named sets of required and elective courses
+export const PROGRAMS_STORAGE_KEY = 'canvasStudentReport.programs';
+// IndexedDB database and object store for saved report snapshots, keyed by [userId, savedAt]
+export const SNAPSHOT_DB_NAME = 'canvasStudentReport';
+export const SNAPSHOT_STORE_NAME = 'snapshots';
+// How long to let the page settle after a DOM change or navigation before re-checking the report buttons
+export const PAGE_CHANGE_DEBOUNCE_MS = 250;
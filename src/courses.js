@@ -0,0 +1,258 @@
+import { BULK_REPORT_CONCURRENCY, domain } from './constants.js';
+import { fetchAllPages, fetchJson } from './api.js';
+import { t } from './i18n.js';
+import { getSafe, runWithConcurrency } from './utils.js';
+import { REPORT_COLUMNS } from './columns.js';
+import { loadReportSettings } from './settings.js';
+
+/**
+ * Fetches all of a user's courses with progress, in every state; filtering happens in summariseCourses.
+ * @param {string} userId The Canvas user ID (or an ID reference such as "sis_user_id:123").
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<Array>} A promise that resolves to the user's courses.
+ */
+export async function fetchUserCourses(userId, options = {}) {
+    const baseEndpoint = `${domain}/api/v1/users/${userId}/courses`;
+
+    // Define the parameter values
+    const includeValues = ['course_progress', 'sections', 'concluded', 'total_scores', 'term'];
+    const stateValues = ['available', 'completed', 'deleted'];
+
+    // Construct URLSearchParams
+    const queryParams = new URLSearchParams();
+    queryParams.append('per_page', '50'); // API Pagination
+    includeValues.forEach(value => queryParams.append('include[]', value));
+    stateValues.forEach(value => queryParams.append('state[]', value));
+
+    const paramsString = queryParams.toString();
+    const initialUrl = `${baseEndpoint}?${paramsString}`;
+
+    console.log(`Initial API URL for enrollments: ${initialUrl}`);
+
+    const headers = {
+        'Content-Type': 'application/json'
+        // Authorization handled by cookies as user will be already logged in.
+    };
+    const allEnrollments = await fetchAllPages(initialUrl, headers, options);
+
+    console.log('All enrollments data:', allEnrollments);
+    return allEnrollments;
+}
+
+/**
+ * Checks whether a course tracks progress, i.e. has completion requirements.
+ * @param {object} course A course from fetchUserCourses.
+ * @returns {boolean}
+ */
+export function hasCompletionRequirements(course) {
+    return Boolean(course.course_progress && course.course_progress.requirement_count != null);
+}
+
+/**
+ * Works out the period a course runs for, falling back to its term's dates.
+ * @param {object} course A course from fetchUserCourses (with the `term` include).
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+function getCourseDates(course) {
+    const start = course.start_at || getSafe(() => course.term.start_at, null);
+    const end = course.end_at || getSafe(() => course.term.end_at, null);
+    return {
+        start: start ? new Date(start) : null,
+        end: end ? new Date(end) : null
+    };
+}
+
+/**
+ * Applies the report settings' filters to a user's courses.
+ * @param {Array} courses Courses from fetchUserCourses.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {Array} The courses that pass every filter.
+ */
+export function filterCourses(courses, settings) {
+    const rangeStart = settings.dateFrom ? new Date(`${settings.dateFrom}T00:00:00`) : null;
+    const rangeEnd = settings.dateTo ? new Date(`${settings.dateTo}T23:59:59`) : null;
+
+    return courses.filter(course => {
+        if (!settings.includeDeleted && course.workflow_state === 'deleted') return false;
+        if (!settings.includeConcluded && (course.concluded || course.workflow_state === 'completed')) return false;
+        if (!settings.includeWithoutRequirements && !hasCompletionRequirements(course)) return false;
+        if (settings.termId && String(getSafe(() => course.term.id, '')) !== settings.termId) return false;
+
+        // Keep courses whose dates overlap the range; undated courses can't be ruled out, so keep them too
+        const { start, end } = getCourseDates(course);
+        if (rangeStart && end && end < rangeStart) return false;
+        if (rangeEnd && start && start > rangeEnd) return false;
+        return true;
+    });
+}
+
+/**
+ * Sorts courses by a report column. Courses without a value always go last, in their original order.
+ * @param {Array} courses The courses to sort (not modified).
+ * @param {string} columnKey The key of a REPORT_COLUMNS entry.
+ * @param {string} direction Either 'asc' or 'desc'.
+ * @returns {Array} A sorted copy.
+ */
+export function sortCourses(courses, columnKey, direction) {
+    const column = REPORT_COLUMNS.find(col => col.key === columnKey) || REPORT_COLUMNS.find(col => col.key === 'completed');
+    const multiplier = direction === 'desc' ? -1 : 1;
+
+    return courses.slice().sort((a, b) => {
+        const valueA = getSafe(() => column.sortValue(a), null);
+        const valueB = getSafe(() => column.sortValue(b), null);
+
+        if (valueA === null && valueB === null) return 0;
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+
+        const comparison = typeof valueA === 'string' ?
+            valueA.localeCompare(valueB, undefined, { sensitivity: 'base' }) :
+            valueA - valueB;
+        return comparison * multiplier;
+    });
+}
+
+/**
+ * Filters and sorts a user's courses per the report settings and counts completions.
+ * Only courses with completion requirements count towards the totals.
+ * @param {Array} allEnrollments The user's courses, as returned by fetchUserCourses.
+ * @param {object} [settings] Report settings; defaults to the saved ones.
+ * @returns {{filteredEnrollments: Array, completedCourses: number, totalCourses: number}}
+ */
+export function summariseCourses(allEnrollments, settings = loadReportSettings()) {
+    const filteredEnrollments = allEnrollments ?
+        sortCourses(filterCourses(allEnrollments, settings), settings.sortColumn, settings.sortDirection) : [];
+
+    // Calculate completedCourses and totalCourses
+    const trackedCourses = filteredEnrollments.filter(hasCompletionRequirements);
+    const totalCourses = trackedCourses.length;
+    const completedCourses = trackedCourses.filter(isCourseCompleted).length;
+    return { filteredEnrollments, completedCourses, totalCourses };
+}
+
+/**
+ * Checks whether every completion requirement in a course has been met.
+ * @param {object} course A course with `course_progress`.
+ * @returns {boolean} True if the course is complete.
+ */
+export function isCourseCompleted(course) {
+    if (!course.course_progress || course.course_progress.requirement_count == null) return false;
+    const reqCompletedCount = course.course_progress.requirement_completed_count;
+    const reqCount = course.course_progress.requirement_count;
+
+    // We also need to ensure requirement_completed_count is not null for a valid comparison.
+    return reqCompletedCount != null && reqCompletedCount === reqCount;
+}
+
+/**
+ * Finds the student enrollment (which carries the grades) among a course's enrollments.
+ * @param {object} course A course from fetchUserCourses.
+ * @returns {object|null} The enrollment, or null if the course has none.
+ */
+export function getStudentEnrollment(course) {
+    if (!course.enrollments || course.enrollments.length === 0) return null;
+    return course.enrollments.find(enrollment => enrollment.type === 'student') || course.enrollments[0];
+}
+
+/**
+ * Adds a student's activity to each of their courses as `course.activity`: last activity and total
+ * activity time from their enrollments and, if enabled, page views from course analytics.
+ * Bulk reports leave page views out, since they would cost a request per course for every student.
+ * Analytics can be turned off for a course, so a failed page view lookup leaves that course's count empty,
+ * and if enrollments can't be read the courses are left without `activity`.
+ * @param {string} userId The Canvas user ID.
+ * @param {Array} courses Courses from fetchUserCourses; modified in place.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages, and `includePageViews`
+ *                           to override the report setting.
+ * @returns {Promise<void>}
+ */
+export async function attachCourseActivity(userId, courses, options = {}) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    let enrollments;
+    try {
+        enrollments = await fetchUserEnrollments(userId, options);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Activity is supplementary, so report without it rather than failing
+        console.warn(`Activity unavailable for user ${userId}:`, error);
+        return;
+    }
+
+    courses.forEach(course => {
+        const studentEnrollments = enrollments.filter(enrollment =>
+            String(enrollment.course_id) === String(course.id) && enrollment.type === 'StudentEnrollment');
+        const lastActivityAt = studentEnrollments
+            .map(enrollment => enrollment.last_activity_at)
+            .filter(date => date)
+            .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+        const totalActivityTime = studentEnrollments.length > 0 ?
+            studentEnrollments.reduce((total, enrollment) => total + (enrollment.total_activity_time || 0), 0) : null;
+
+        course.activity = { lastActivityAt, totalActivityTime, pageViews: null };
+    });
+
+    const includePageViews = 'includePageViews' in options ? options.includePageViews : loadReportSettings().includePageViews;
+    if (!includePageViews) return;
+
+    const analyticsCourses = courses.filter(course => course.workflow_state !== 'deleted');
+    await runWithConcurrency(analyticsCourses, BULK_REPORT_CONCURRENCY, async course => {
+        try {
+            const activity = await fetchJson(`${domain}/api/v1/courses/${course.id}/analytics/users/${userId}/activity`, headers, { signal: options.signal });
+            course.activity.pageViews = Object.values(activity.page_views || {}).reduce((total, count) => total + count, 0);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Page views unavailable for course ${course.id}:`, error);
+        }
+    }, finished => {
+        if (options.onProgress) options.onProgress(t('progress.pageViews', { finished, total: t('count.courses', { count: analyticsCourses.length }) }));
+    });
+}
+
+/**
+ * Checks whether a student has gone quiet in a course they still need to finish.
+ * @param {object} course A course with `activity` attached by attachCourseActivity.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {boolean} True if the course should be flagged.
+ */
+export function isCourseInactive(course, settings) {
+    if (!settings.inactiveDays || !course.activity || isCourseCompleted(course)) return false;
+    const state = getSafe(() => course.enrollments[0].enrollment_state, null);
+    if (state && state !== 'active') return false; // Only current enrollments are expected to show activity
+
+    const lastActivityAt = course.activity.lastActivityAt;
+    if (!lastActivityAt) return true;
+    return Date.now() - new Date(lastActivityAt).getTime() > settings.inactiveDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Averages the final scores of completed courses that have one.
+ * @param {Array} courses Courses from summariseCourses.
+ * @returns {number|null} The average percentage, or null if no completed course has a score.
+ */
+export function getAverageCompletedScore(courses) {
+    const scores = courses
+        .filter(isCourseCompleted)
+        .map(course => getSafe(() => getStudentEnrollment(course).computed_final_score, null))
+        .filter(score => score !== null);
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Fetches every enrollment a user has had, in any state, including ones that have since ended.
+ * @param {string} userId The Canvas user ID.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<Array>} A promise that resolves to the user's enrollments.
+ */
+export async function fetchUserEnrollments(userId, options = {}) {
+    const queryParams = new URLSearchParams();
+    queryParams.append('per_page', '100');
+    ['active', 'invited', 'creation_pending', 'inactive', 'completed', 'rejected', 'deleted']
+        .forEach(state => queryParams.append('state[]', state));
+
+    return fetchAllPages(`${domain}/api/v1/users/${userId}/enrollments?${queryParams.toString()}`, {
+        'Content-Type': 'application/json'
+    }, options);
+}
@@ -0,0 +1,155 @@
+import { reportData } from './state.js';
+import { formatDate, formatNumber, t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { hasCompletionRequirements, isCourseCompleted, summariseCourses } from './courses.js';
+
+// Chart colours. Charts are inline SVG with their colours set as attributes, so they survive copying and printing
+const CHART_COLORS = {
+    complete: '#2e7d32',
+    inProgress: '#0374b5',
+    track: '#e0e0e0',
+    axis: '#999',
+    text: '#333'
+};
+
+/**
+ * Draws the overall completion donut.
+ * @param {number} completed The number of completed courses.
+ * @param {number} total The number of courses with completion requirements.
+ * @returns {string} The SVG.
+ */
+function buildCompletionDonutSvg(completed, total) {
+    const radius = 50;
+    const circumference = 2 * Math.PI * radius;
+    const fraction = total > 0 ? completed / total : 0;
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="160" height="160" viewBox="0 0 160 160" role="img" aria-label="${escapeHtml(t('report.summary', { completed, count: total }))}" font-family="Arial, Helvetica, sans-serif">
+            <circle cx="80" cy="80" r="${radius}" fill="none" stroke="${CHART_COLORS.track}" stroke-width="20"/>
+            <circle cx="80" cy="80" r="${radius}" fill="none" stroke="${CHART_COLORS.complete}" stroke-width="20"
+                stroke-dasharray="${(circumference * fraction).toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 80 80)"/>
+            <text x="80" y="80" text-anchor="middle" font-size="22" font-weight="bold" fill="${CHART_COLORS.text}">${escapeHtml(formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 }))}</text>
+            <text x="80" y="100" text-anchor="middle" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(t('dashboard.donutCaption', { completed, count: total }))}</text>
+        </svg>
+    `;
+}
+
+/**
+ * Draws a progress bar for each course, green once complete.
+ * @param {Array} courses Courses with completion requirements.
+ * @returns {string} The SVG, or a message if there are no courses.
+ */
+function buildProgressBarsSvg(courses) {
+    if (courses.length === 0) {
+        return `<p>${t('dashboard.noCourses')}</p>`;
+    }
+    const rowHeight = 28;
+    const labelWidth = 220;
+    const barWidth = 300;
+    const rows = courses.map((course, index) => {
+        const count = course.course_progress.requirement_count;
+        const done = course.course_progress.requirement_completed_count || 0;
+        const fraction = count > 0 ? Math.min(done / count, 1) : 0;
+        const y = index * rowHeight;
+        const name = course.name || '';
+        const label = name.length > 32 ? `${name.slice(0, 31)}…` : name; // The full name is in the tooltip
+        return `
+            <g>
+                <title>${escapeHtml(`${name}: ${done} / ${count}`)}</title>
+                <text x="0" y="${y + 18}" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(label)}</text>
+                <rect x="${labelWidth}" y="${y + 6}" width="${barWidth}" height="16" rx="3" fill="${CHART_COLORS.track}"/>
+                <rect x="${labelWidth}" y="${y + 6}" width="${(barWidth * fraction).toFixed(1)}" height="16" rx="3" fill="${isCourseCompleted(course) ? CHART_COLORS.complete : CHART_COLORS.inProgress}"/>
+                <text x="${labelWidth + barWidth + 8}" y="${y + 18}" font-size="12" fill="${CHART_COLORS.text}">${escapeHtml(`${done} / ${count} (${formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 })})`)}</text>
+            </g>
+        `;
+    }).join('');
+    const width = labelWidth + barWidth + 100;
+    const height = courses.length * rowHeight;
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('dashboard.courseProgress'))}" font-family="Arial, Helvetica, sans-serif">
+            ${rows}
+        </svg>
+    `;
+}
+
+/**
+ * Draws the student's pace: courses completed so far against time, from each course's `completed_at`.
+ * @param {Array} courses Courses with completion requirements.
+ * @returns {string} The SVG, or a message if no course has been completed.
+ */
+function buildPaceChartSvg(courses) {
+    const completions = courses
+        .filter(course => getSafe(() => course.course_progress.completed_at, null))
+        .map(course => ({ name: course.name || '', date: new Date(course.course_progress.completed_at) }))
+        .filter(completion => !isNaN(completion.date.getTime()))
+        .sort((a, b) => a.date - b.date);
+    if (completions.length === 0) {
+        return `<p>${t('dashboard.noCompletions')}</p>`;
+    }
+
+    const width = 600;
+    const height = 200;
+    const margin = { top: 10, right: 20, bottom: 30, left: 40 };
+    const start = completions[0].date.getTime();
+    const span = completions[completions.length - 1].date.getTime() - start;
+    // A single completion (or several on one day) sits in the middle
+    const x = date => margin.left + (span > 0 ? (date.getTime() - start) / span : 0.5) * (width - margin.left - margin.right);
+    const y = count => margin.top + (1 - count / completions.length) * (height - margin.top - margin.bottom);
+
+    // Cumulative completions as a step line, with a point for each course
+    let path = `M ${x(completions[0].date).toFixed(1)} ${y(0).toFixed(1)}`;
+    const points = completions.map((completion, index) => {
+        path += ` H ${x(completion.date).toFixed(1)} V ${y(index + 1).toFixed(1)}`;
+        return `
+            <circle cx="${x(completion.date).toFixed(1)}" cy="${y(index + 1).toFixed(1)}" r="4" fill="${CHART_COLORS.complete}">
+                <title>${escapeHtml(`${completion.name}: ${formatDate(completion.date.toISOString())}`)}</title>
+            </circle>
+        `;
+    }).join('');
+
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('dashboard.pace'))}" font-family="Arial, Helvetica, sans-serif">
+            <line x1="${margin.left}" y1="${y(0)}" x2="${width - margin.right}" y2="${y(0)}" stroke="${CHART_COLORS.axis}"/>
+            <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${y(0)}" stroke="${CHART_COLORS.axis}"/>
+            <text x="${margin.left - 6}" y="${y(0) + 4}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">0</text>
+            <text x="${margin.left - 6}" y="${margin.top + 8}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatNumber(completions.length))}</text>
+            <text x="${margin.left}" y="${height - 8}" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatDate(completions[0].date.toISOString()))}</text>
+            <text x="${width - margin.right}" y="${height - 8}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${escapeHtml(formatDate(completions[completions.length - 1].date.toISOString()))}</text>
+            <path d="${path}" fill="none" stroke="${CHART_COLORS.complete}" stroke-width="2"/>
+            ${points}
+        </svg>
+    `;
+}
+
+/**
+ * Builds the dashboard: the completion donut, a progress bar per course and the pace chart.
+ * Styles are inline so the dashboard can be copied and printed as it is.
+ * @param {object} summary Output of summariseCourses, so the charts follow the report's filters.
+ * @returns {string} The dashboard HTML.
+ */
+export function buildDashboardHtml(summary) {
+    const trackedCourses = summary.filteredEnrollments.filter(hasCompletionRequirements);
+    const headingStyle = 'font-size: 14px; margin: 16px 0 6px;';
+    return `
+        <div class="report-dashboard">
+            <h3 style="${headingStyle}">${t('dashboard.overall')}</h3>
+            ${buildCompletionDonutSvg(summary.completedCourses, summary.totalCourses)}
+            <h3 style="${headingStyle}">${t('dashboard.courseProgress')}</h3>
+            ${buildProgressBarsSvg(trackedCourses)}
+            <h3 style="${headingStyle}">${t('dashboard.pace')}</h3>
+            ${buildPaceChartSvg(trackedCourses)}
+        </div>
+    `;
+}
+
+/**
+ * Shows the dashboard for the loaded report in the student report modal's Dashboard tab.
+ * Called whenever the report is rendered, so it follows the display options.
+ */
+export function renderReportDashboard() {
+    const dashboardPanel = document.querySelector('#student-report-modal .k-modal-dashboard');
+    const report = reportData['student-report-modal'];
+    if (!dashboardPanel) return;
+    dashboardPanel.innerHTML = report && report.allEnrollments ?
+        buildDashboardHtml(summariseCourses(report.allEnrollments)) :
+        `<p>${t('dashboard.notLoaded')}</p>`;
+}
@@ -0,0 +1,343 @@
+import { reportData } from './state.js';
+import { announce } from './modal.js';
+import { formatDate, t } from './i18n.js';
+import { getSafe } from './utils.js';
+import { getStudentEnrollment, summariseCourses } from './courses.js';
+import { loadReportSettings, loadShowGrades } from './settings.js';
+import { STUDENT_DETAIL_FIELDS } from './report.js';
+import { handleCopyReportClick } from './templates.js';
+
+/**
+ * Columns in CSV/XLSX exports. Student columns are only included in bulk reports,
+ * grade columns only while grades are shown.
+ * `key` picks the header text, the `exportColumns.<key>` message; `value` receives the student and
+ * one of their courses (null for students without courses).
+ */
+const EXPORT_COLUMNS = [
+    { key: 'student', bulkOnly: true, value: student => student.name },
+    { key: 'sisUserId', bulkOnly: true, value: student => student.sisUserId },
+    { key: 'courseName', value: (student, course) => course.name },
+    { key: 'courseCode', value: (student, course) => course.course_code },
+    { key: 'sisCourseId', value: (student, course) => course.sis_course_id },
+    { key: 'requirementsCompleted', value: (student, course) => course.course_progress.requirement_completed_count },
+    { key: 'requirementCount', value: (student, course) => course.course_progress.requirement_count },
+    { key: 'completed', value: (student, course) => (course.course_progress.completed_at ? formatDate(course.course_progress.completed_at) : null) },
+    { key: 'completedAt', value: (student, course) => course.course_progress.completed_at },
+    { key: 'currentScore', grades: true, value: (student, course) => getStudentEnrollment(course).computed_current_score },
+    { key: 'currentGrade', grades: true, value: (student, course) => getStudentEnrollment(course).computed_current_grade },
+    { key: 'finalScore', grades: true, value: (student, course) => getStudentEnrollment(course).computed_final_score },
+    { key: 'finalGrade', grades: true, value: (student, course) => getStudentEnrollment(course).computed_final_grade },
+    { key: 'lastActivityAt', value: (student, course) => course.activity.lastActivityAt },
+    { key: 'totalActivityMinutes', value: (student, course) => (course.activity.totalActivityTime === null ? null : Math.round(course.activity.totalActivityTime / 60)) },
+    { key: 'pageViews', value: (student, course) => course.activity.pageViews },
+    { key: 'missingSubmissions', value: (student, course) => course.outstandingWork.filter(item => item.status === 'Missing').length },
+    { key: 'lateSubmissions', value: (student, course) => course.outstandingWork.filter(item => item.status === 'Late').length },
+    { key: 'enrollmentState', value: (student, course) => (course.enrollments && course.enrollments.length > 0 ? course.enrollments[0].enrollment_state : null) }
+];
+
+/**
+ * Flattens report data into a header row and data rows for export.
+ * @param {object} report An entry from `reportData`.
+ * @returns {{headers: Array<string>, rows: Array<Array>}} Cell values; missing values are empty strings.
+ */
+export function buildExportTable(report) {
+    const showGrades = loadShowGrades();
+    const settings = loadReportSettings();
+    // A single student's report leads with the student details chosen in the settings
+    const detailColumns = report.bulk || !report.details ? [] : STUDENT_DETAIL_FIELDS
+        .filter(field => settings.detailFields.includes(field.key))
+        .map(field => ({ key: field.exportColumn, perStudent: true, value: () => report.details[field.key] }));
+    const columns = detailColumns.concat(EXPORT_COLUMNS.filter(column => (report.bulk || !column.bulkOnly) && (showGrades || !column.grades)));
+    const headers = columns.map(column => t(`exportColumns.${column.key}`));
+    const rows = [];
+
+    report.entries.forEach(({ student, allEnrollments, error }) => {
+        const courses = error ? [] : summariseCourses(allEnrollments, settings).filteredEnrollments;
+        if (error || courses.length === 0) {
+            // Keep the student in the export, with the reason in place of the course name
+            rows.push(columns.map(column => {
+                if (column.bulkOnly || column.perStudent) return getSafe(() => column.value(student), '');
+                if (column.key === 'courseName') return error ? t('common.error', { message: error }) : t('export.noMatchingEnrollments');
+                return '';
+            }));
+            return;
+        }
+        courses.forEach(course => {
+            rows.push(columns.map(column => getSafe(() => column.value(student, course), '')));
+        });
+    });
+    return { headers, rows };
+}
+
+/**
+ * Serialises a table as RFC 4180 CSV.
+ * Text that a spreadsheet would read as a formula (starting with =, +, -, @, tab or CR) is prefixed
+ * with an apostrophe, so a course or student name can't run as one when the file is opened.
+ * @param {{headers: Array<string>, rows: Array<Array>}} table Output of buildExportTable.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(table) {
+    const escapeCell = value => {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [table.headers, ...table.rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Escapes text for use in XML content or attribute values.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''); // Not allowed in XML 1.0
+}
+
+/**
+ * Calculates the CRC-32 checksum used by the ZIP format.
+ * @param {Uint8Array} bytes The data to checksum.
+ * @returns {number} The unsigned CRC-32 value.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive, which is all an XLSX file needs.
+ * @param {Array<{name: string, content: string}>} files The files to store.
+ * @returns {Uint8Array} The ZIP archive bytes.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const dataBytes = encoder.encode(file.content);
+        const checksum = crc32(dataBytes);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+        localHeader.setUint16(4, 20, true); // Version needed to extract
+        localHeader.setUint16(8, 0, true); // Compression method: stored
+        localHeader.setUint32(14, checksum, true);
+        localHeader.setUint32(18, dataBytes.length, true); // Compressed size
+        localHeader.setUint32(22, dataBytes.length, true); // Uncompressed size
+        localHeader.setUint16(26, nameBytes.length, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true); // Version needed to extract
+        centralHeader.setUint16(10, 0, true); // Compression method: stored
+        centralHeader.setUint32(16, checksum, true);
+        centralHeader.setUint32(20, dataBytes.length, true);
+        centralHeader.setUint32(24, dataBytes.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+        localParts.push(new Uint8Array(localHeader.buffer), nameBytes, dataBytes);
+        centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + dataBytes.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054b50, true); // End of central directory signature
+    endRecord.setUint16(8, files.length, true); // Entries on this disk
+    endRecord.setUint16(10, files.length, true); // Total entries
+    endRecord.setUint32(12, centralSize, true);
+    endRecord.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Builds a single-sheet XLSX workbook. Numbers are written as numeric cells, everything else as text.
+ * @param {{headers: Array<string>, rows: Array<Array>}} table Output of buildExportTable.
+ * @returns {Uint8Array} The XLSX file bytes.
+ */
+export function toXlsx(table) {
+    const columnName = index => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    };
+
+    const sheetRows = [table.headers, ...table.rows].map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (value === '' || value === null || typeof value === 'undefined') return '';
+            if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+            const style = rowIndex === 0 ? ' s="1"' : ''; // Bold header row
+            return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+                '<sheets><sheet name="Report" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: `${xmlHeader}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+}
+
+/**
+ * Saves a Blob as a file download.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The suggested file name.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Handles the click event for the "Download CSV" and "Download XLSX" buttons.
+ * Exports the data behind the report shown in the button's modal.
+ * @param {Event} event The click event.
+ * @param {string} format Either 'csv' or 'xlsx'.
+ */
+function handleExportClick(event, format) {
+    const buttonElement = event.currentTarget;
+    const modal = buttonElement.closest('.k-modal');
+    const report = modal ? reportData[modal.id] : null;
+
+    if (!report) {
+        console.warn('No report data available for export.');
+        const originalText = buttonElement.innerText;
+        buttonElement.innerText = t('export.nothing');
+        announce(modal, t('export.nothing'));
+        buttonElement.disabled = true;
+        setTimeout(() => {
+            buttonElement.innerText = originalText;
+            buttonElement.disabled = false;
+        }, 2000);
+        return;
+    }
+
+    const table = buildExportTable(report);
+    const dateStamp = new Date().toISOString().slice(0, 10);
+    const fileName = `${report.fileName}-${dateStamp}.${format}`;
+    if (format === 'xlsx') {
+        const blob = new Blob([toXlsx(table)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        downloadBlob(blob, fileName);
+    } else {
+        // The byte order mark makes Excel read the file as UTF-8
+        const blob = new Blob(['\uFEFF' + toCsv(table)], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, fileName);
+    }
+    announce(modal, t('export.downloaded', { fileName }));
+    console.log(`Report exported as ${format.toUpperCase()} (${table.rows.length} rows).`);
+}
+
+/**
+ * Builds the footer buttons shared by the report modals.
+ * @param {string} idPrefix Prefix for the button IDs, e.g. "bulk-" for the bulk report.
+ * @returns {string} The buttons' HTML.
+ */
+export function buildReportFooterButtons(idPrefix) {
+    return `
+        <select class="report-template-select" id="copy-${idPrefix}report-template" aria-label="${t('templates.picker')}" style="margin: 0 8px 0 0; width: auto;"></select>
+        <button type="button" class="btn" id="copy-${idPrefix}report-button">${t('copy.button')}</button>
+        <button type="button" class="btn" id="csv-${idPrefix}report-button" style="margin-left: 8px;">${t('export.csv')}</button>
+        <button type="button" class="btn" id="xlsx-${idPrefix}report-button" style="margin-left: 8px;">${t('export.xlsx')}</button>
+    `;
+}
+
+/**
+ * Wires up the Copy and Download buttons created by buildReportFooterButtons.
+ * @param {string} idPrefix The prefix passed to buildReportFooterButtons.
+ */
+export function bindReportFooterButtons(idPrefix) {
+    const copyButton = document.getElementById(`copy-${idPrefix}report-button`);
+    const csvButton = document.getElementById(`csv-${idPrefix}report-button`);
+    const xlsxButton = document.getElementById(`xlsx-${idPrefix}report-button`);
+
+    if (copyButton) {
+        copyButton.addEventListener('click', handleCopyReportClick);
+    }
+    if (csvButton) {
+        csvButton.addEventListener('click', event => handleExportClick(event, 'csv'));
+    }
+    if (xlsxButton) {
+        xlsxButton.addEventListener('click', event => handleExportClick(event, 'xlsx'));
+    }
+}
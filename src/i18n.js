@@ -0,0 +1,151 @@
+/* global ENV */
+import { REPORT_SETTINGS_STORAGE_KEY } from './constants.js';
+import { MESSAGES } from './messages.js';
+import { loadReportSettings } from './settings.js';
+
+// Date formats offered in the report settings, besides following the locale
+export const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+// Intl formatters by locale, time zone and options; building them is comparatively slow
+const intlFormatterCache = new Map();
+// Locale settings last worked out by getLocaleSettings, and the stored settings they came from
+let localeSettingsCache = null;
+
+/**
+ * Works out the locale and time zone to format with: the report settings' overrides if set,
+ * otherwise the user's Canvas locale and time zone, otherwise the browser's.
+ * @returns {{locale: string, timeZone: string|undefined, dateFormat: string}}
+ */
+export function getLocaleSettings() {
+    const storedSettings = localStorage.getItem(REPORT_SETTINGS_STORAGE_KEY);
+    if (localeSettingsCache && localeSettingsCache.storedSettings === storedSettings) {
+        return localeSettingsCache.value;
+    }
+
+    const settings = loadReportSettings();
+    const canvasEnv = typeof ENV === 'object' && ENV !== null ? ENV : {};
+    const isSupported = (locale, timeZone) => {
+        try {
+            new Intl.DateTimeFormat(locale, { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    let locale = settings.locale || canvasEnv.LOCALE || navigator.language || 'en';
+    if (!isSupported(locale)) locale = canvasEnv.LOCALE || 'en';
+    let timeZone = settings.timeZone || canvasEnv.TIMEZONE || undefined;
+    if (!isSupported(locale, timeZone)) timeZone = canvasEnv.TIMEZONE || undefined;
+
+    localeSettingsCache = { storedSettings, value: { locale, timeZone, dateFormat: settings.dateFormat } };
+    return localeSettingsCache.value;
+}
+
+/**
+ * Returns a cached Intl formatter.
+ * @param {Function} Formatter Intl.DateTimeFormat, Intl.NumberFormat or Intl.PluralRules.
+ * @param {string} locale The locale.
+ * @param {object} [options] Options for the formatter.
+ * @returns {object} The formatter.
+ */
+export function getIntlFormatter(Formatter, locale, options = {}) {
+    const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+    if (!intlFormatterCache.has(key)) {
+        intlFormatterCache.set(key, new Formatter(locale, options));
+    }
+    return intlFormatterCache.get(key);
+}
+
+/**
+ * Looks up interface text in the current language and fills in its placeholders.
+ * @param {string} key The message key, e.g. "report.summary".
+ * @param {object} [values] Placeholder values. `count` picks the plural form where the message has them.
+ * @returns {string} The text, or the key itself if no language has the message.
+ */
+export function t(key, values = {}) {
+    const { locale } = getLocaleSettings();
+    const language = locale.split('-')[0];
+    const messages = MESSAGES[locale] || MESSAGES[language] || {};
+    let message = key in messages ? messages[key] : MESSAGES.en[key];
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const category = getIntlFormatter(Intl.PluralRules, locale).select(values.count);
+        message = message[category] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in values)) return match;
+        return typeof values[name] === 'number' ? formatNumber(values[name]) : values[name];
+    });
+}
+
+/**
+ * Formats a number for the current locale.
+ * @param {number} value The number.
+ * @param {object} [options] Intl.NumberFormat options.
+ * @returns {string} The formatted number.
+ */
+export function formatNumber(value, options = {}) {
+    return getIntlFormatter(Intl.NumberFormat, getLocaleSettings().locale, options).format(value);
+}
+
+/**
+ * Formats an ISO date string as a date in the user's time zone, following their locale
+ * or the date format chosen in the report settings.
+ * @param {string} dateString The ISO date string (e.g., "2024-09-27T06:01:07Z").
+ * @returns {string} The formatted date, e.g. "27/09/2024" or "9/27/2024", or "N/A" if invalid.
+ */
+export function formatDate(dateString) {
+    if (!dateString) {
+        return t('common.notAvailable');
+    }
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) {
+        return t('common.notAvailable');
+    }
+
+    const { locale, timeZone, dateFormat } = getLocaleSettings();
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        return getIntlFormatter(Intl.DateTimeFormat, locale, { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }).format(date);
+    }
+
+    // Take the date parts in the user's time zone, then lay them out in the chosen order
+    const parts = {};
+    getIntlFormatter(Intl.DateTimeFormat, 'en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(date)
+        .forEach(part => { parts[part.type] = part.value; });
+    return dateFormat.replace('DD', parts.day).replace('MM', parts.month).replace('YYYY', parts.year);
+}
+
+/**
+ * Formats a percentage score, with its letter grade if the course uses a grading scheme.
+ * @param {number|null} score The score as a percentage.
+ * @param {string|null} [grade] The letter grade.
+ * @returns {string} E.g. "84.5% (B)", or "N/A" if there is no score.
+ */
+export function formatScore(score, grade) {
+    if (score === null || typeof score === 'undefined') {
+        return t('common.notAvailable');
+    }
+    const percentage = formatNumber(score / 100, { style: 'percent', maximumFractionDigits: 1 });
+    return grade ? `${percentage} (${grade})` : percentage;
+}
+
+/**
+ * Formats a duration in seconds as hours and minutes.
+ * @param {number|null} seconds The duration.
+ * @returns {string} E.g. "3h 25m" or "12m", or "N/A" if there is no duration.
+ */
+export function formatDuration(seconds) {
+    if (seconds === null || typeof seconds === 'undefined') {
+        return t('common.notAvailable');
+    }
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? t('duration.hoursMinutes', { hours, minutes }) : t('duration.minutes', { minutes });
+}
@@ -0,0 +1,8 @@
+// Entry point of the userscript bundle: see rollup.config.js
+import { init } from './inject.js';
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1,156 @@
+import { PAGE_CHANGE_DEBOUNCE_MS } from './constants.js';
+import { reportData, setReportStudent } from './state.js';
+import { closeModal } from './modal.js';
+import { injectReportButtonAndModal, rescopeStudentReport } from './student-report.js';
+import { injectBulkReportButtonAndModal } from './bulk.js';
+import { getPageContext } from './page-context.js';
+import { isCanvasPage, isEnabledOrigin, offerToEnableOrigin } from './sites.js';
+
+/**
+ * Where report buttons go, most preferred first: the dashboard header's actions, below the first
+ * button container in Canvas's `#right-side` sidebar (admin pages), the top of a sidebar without buttons
+ * (profile pages), then layouts Canvas has used for the sidebar and page header. `wrap` puts the button
+ * in its own block, as sidebar buttons are.
+ */
+const PAGE_BUTTON_ANCHORS = [
+    { selector: '.ic-Dashboard-header__actions', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' },
+    { selector: '#right-side div', position: 'afterend', className: 'btn button-sidebar-wide', wrap: true },
+    { selector: '#right-side', position: 'afterbegin', className: 'btn button-sidebar-wide', wrap: true },
+    { selector: '#right-side-wrapper', position: 'afterbegin', className: 'btn button-sidebar-wide', wrap: true },
+    { selector: '.header-bar-right', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' },
+    { selector: '.page-toolbar-end', position: 'afterbegin', className: 'btn', style: 'margin-right: 8px;' }
+];
+
+/**
+ * Adds a report button to the page, at the first of PAGE_BUTTON_ANCHORS the page has, or as a floating
+ * launcher in the corner of the window if it has none. Safe to call repeatedly: an existing button is
+ * kept, unless it's floating and somewhere better has since appeared.
+ * @param {string} buttonId The ID to give the button.
+ * @param {string} label The button text.
+ * @param {function(HTMLElement): void} onClick Called with the button when it's clicked.
+ * @returns {HTMLElement} The button.
+ */
+export function injectPageButton(buttonId, label, onClick) {
+    const anchor = PAGE_BUTTON_ANCHORS.find(candidate => document.querySelector(candidate.selector));
+    const existingButton = document.getElementById(buttonId);
+    if (existingButton) {
+        if (!existingButton.dataset.floating || !anchor) return existingButton;
+        existingButton.remove();
+    }
+
+    const buttonHtml = style => `
+        <a href="#" id="${buttonId}" class="${anchor ? anchor.className : 'btn btn-primary'}" role="button" aria-haspopup="dialog"${anchor ? '' : ' data-floating="true"'} style="${style || ''}">
+            <i class="icon-document" aria-hidden="true"></i>
+            ${label}
+        </a>
+    `;
+    if (anchor) {
+        const html = buttonHtml(anchor.style);
+        document.querySelector(anchor.selector).insertAdjacentHTML(anchor.position, anchor.wrap ? `<div class="report-button-container">${html}</div>` : html);
+    } else {
+        console.info('No place for the report button was found on the page; showing it as a floating button instead.');
+        document.body.insertAdjacentHTML('beforeend', buttonHtml('position: fixed; bottom: 20px; right: 20px; z-index: 9999; box-shadow: 0 2px 8px rgba(0,0,0,.3);'));
+    }
+
+    const button = document.getElementById(buttonId);
+    button.addEventListener('click', event => {
+        event.preventDefault();
+        onClick(button);
+    });
+    return button;
+}
+
+/**
+ * Removes the report buttons and modals, e.g. after navigating to a page they don't belong on.
+ */
+function removeInjectedReports() {
+    ['student-report-modal', 'bulk-report-modal'].forEach(modalId => {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+        closeModal(modal);
+        modal.remove();
+        delete reportData[modalId];
+    });
+    ['student-report-button', 'bulk-report-button'].forEach(buttonId => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            (button.closest('.report-button-container') || button).remove();
+        }
+    });
+    setReportStudent(null);
+}
+
+// The page the report buttons and modals were last injected for, from getPageContext
+let injectedPage = null;
+
+/**
+ * Injects the single-student report on user pages, the bulk report on section and account pages,
+ * or the self-service report on a student's or observer's dashboard and profile. Safe to call repeatedly:
+ * it puts back a button Canvas has re-rendered away, and re-scopes or removes the reports after navigation.
+ */
+function injectForCurrentPage() {
+    const page = getPageContext();
+    if (injectedPage && (!page || page.key !== injectedPage.key)) {
+        if (page && page.mode === 'user' && injectedPage.mode === 'user') {
+            rescopeStudentReport(page.userId);
+        } else {
+            removeInjectedReports();
+        }
+    }
+    injectedPage = page;
+
+    if (!page) return;
+    if (page.mode === 'bulk') {
+        injectBulkReportButtonAndModal(page.scope);
+    } else {
+        injectReportButtonAndModal(page.mode);
+    }
+}
+
+/**
+ * Injects the reports now and again whenever the page changes: Canvas renders much of its UI after load,
+ * re-renders parts of it, and moves between some pages with the History API instead of reloading.
+ */
+export function startInjecting() {
+    let injectTimer = null;
+    const scheduleInjection = () => {
+        if (injectTimer !== null) return;
+        injectTimer = setTimeout(() => {
+            injectTimer = null;
+            injectForCurrentPage();
+        }, PAGE_CHANGE_DEBOUNCE_MS);
+    };
+
+    new MutationObserver(scheduleInjection).observe(document.body, { childList: true, subtree: true });
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+        history[method] = function(...args) {
+            const result = original.apply(this, args);
+            scheduleInjection();
+            return result;
+        };
+    });
+    window.addEventListener('popstate', scheduleInjection);
+
+    injectForCurrentPage();
+}
+
+/**
+ * Runs on page load. The script matches every site, so it only activates on confirmed Canvas pages,
+ * and on sites outside instructure.com only once they've been enabled.
+ */
+export function init() {
+    if (!isCanvasPage()) return;
+    // A second copy of the script (or a second call) would inject everything twice
+    if (document.documentElement.hasAttribute('data-student-report')) {
+        console.warn('The student report script is already running on this page.');
+        return;
+    }
+
+    if (isEnabledOrigin()) {
+        document.documentElement.setAttribute('data-student-report', '');
+        startInjecting();
+    } else if (getPageContext()) {
+        offerToEnableOrigin();
+    }
+}
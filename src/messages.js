@@ -0,0 +1,344 @@
+/**
+ * Interface text by language. Strings can contain `{placeholders}`; strings that depend on a count
+ * are objects keyed by Intl.PluralRules category ("one", "other", ...) and take a `count` value.
+ * A language only needs the strings that differ from English; anything missing falls back to `en`.
+ */
+export const MESSAGES = {
+    en: {
+        'common.notAvailable': 'N/A',
+        'common.close': 'Close',
+        'common.error': 'Error: {message}',
+        'count.records': { one: '{count} record', other: '{count} records' },
+        'count.pages': { one: '{count} page', other: '{count} pages' },
+        'count.courses': { one: '{count} course', other: '{count} courses' },
+        'count.students': { one: '{count} student', other: '{count} students' },
+        'count.days': { one: '{count} day', other: '{count} days' },
+        'duration.hoursMinutes': '{hours}h {minutes}m',
+        'duration.minutes': '{minutes}m',
+        'progress.recordsLoaded': '{records} loaded ({pages})',
+        'progress.pageViews': 'Loading page views ({finished} of {total})',
+        'progress.submissions': 'Checking submissions ({finished} of {total})',
+        'progress.retrying': 'Canvas is busy, retrying in {seconds}s...',
+        'columns.name': 'Course Name',
+        'columns.code': 'Course Code / SIS ID',
+        'columns.term': 'Term',
+        'columns.progress': 'Progress',
+        'columns.completed': 'Completed',
+        'columns.currentScore': 'Current Score',
+        'columns.finalScore': 'Final Score',
+        'columns.lastActivity': 'Last Activity',
+        'columns.activityTime': 'Total Activity',
+        'columns.pageViews': 'Page Views',
+        'columns.outstandingWork': 'Missing / Late',
+        'columns.enrollmentState': 'Enrollment State',
+        'columns.student': 'Student',
+        'columns.sisUserId': 'SIS User ID',
+        'settings.title': 'Report settings',
+        'settings.courses': 'Courses',
+        'settings.includeDeleted': 'Include deleted courses',
+        'settings.includeConcluded': 'Include concluded courses',
+        'settings.includeWithoutRequirements': 'Include courses without completion requirements',
+        'settings.term': 'Term',
+        'settings.allTerms': 'All terms',
+        'settings.runningBetween': 'Running between',
+        'settings.runningAnd': 'and',
+        'settings.activity': 'Activity',
+        'settings.inactiveDaysBefore': 'Flag courses with no activity for',
+        'settings.inactiveDaysAfter': 'days (0 turns this off)',
+        'settings.includePageViews': 'Load page views in single-student reports (one extra request per course; applies the next time the report loads)',
+        'settings.sorting': 'Sorting',
+        'settings.sortBy': 'Sort by',
+        'settings.sortDirection': 'Sort direction',
+        'settings.ascending': 'Ascending',
+        'settings.descending': 'Descending',
+        'settings.columns': 'Columns',
+        'settings.column': 'Column',
+        'settings.show': 'Show',
+        'settings.copy': 'Copy',
+        'settings.showColumn': 'Show {column}',
+        'settings.copyColumn': 'Copy {column}',
+        'settings.whenGradesShown': '(when grades are shown)',
+        'settings.studentDetails': 'Student details',
+        'settings.studentDetailsHelp': 'Shown above a student\'s report and included when it is copied, printed or exported. Only tick what is safe to share with the people who will receive the report.',
+        'settings.languageAndDates': 'Language and dates',
+        'settings.locale': 'Language and region',
+        'settings.localeHelp': 'e.g. en-US; leave blank to follow Canvas ({locale})',
+        'settings.timeZone': 'Time zone',
+        'settings.timeZoneHelp': 'e.g. America/New_York; leave blank to follow Canvas ({timeZone})',
+        'settings.dateFormat': 'Date format',
+        'settings.dateFormatLocale': 'Follow the language and region ({example})',
+        'settings.localeNote': 'Changes how dates and numbers are shown. Interface text is only available in English.',
+        'settings.apply': 'Apply',
+        'settings.reset': 'Reset to Defaults',
+        'details.name': 'Full name',
+        'details.sisUserId': 'SIS user ID',
+        'details.loginId': 'Login ID',
+        'details.email': 'Email',
+        'details.account': 'Account',
+        'details.timeZone': 'Time zone',
+        'details.lastLogin': 'Last login',
+        'report.button': 'Student Report',
+        'report.selfButton': 'Progress Report',
+        'report.student': 'Student',
+        'report.studentsLoadError': 'Error loading students: {message}',
+        'report.title': 'Student Report: {name}',
+        'report.defaultStudentName': 'Student',
+        'report.loadingData': 'Loading report data...',
+        'report.loadingEnrolments': 'Loading enrolments...',
+        'report.userIdMissing': 'Error: User ID not found in the URL.',
+        'report.loadError': 'Error loading enrolments: {message}',
+        'report.showGrades': 'Show grades',
+        'report.tabReport': 'Report',
+        'report.tabDashboard': 'Dashboard',
+        'report.tabTimeline': 'Timeline',
+        'report.tabCompare': 'Compare',
+        'report.summary': { one: '{completed} of {count} course completed', other: '{completed} of {count} courses completed' },
+        'report.averageScore': 'average score across completed courses: {score}',
+        'report.inactiveCourses': 'no activity for over {days} in {courses}',
+        'report.noMatchingEnrollments': 'No enrollments found matching the criteria (e.g., courses without progress tracking or defined requirements).',
+        'report.noEnrollments': 'No enrollments found for this user.',
+        'report.couldNotRetrieve': 'Could not retrieve enrollment data. An error might have occurred.',
+        'report.showModules': 'Show module requirements',
+        'modules.loading': 'Loading modules...',
+        'modules.loadError': 'Error loading modules: {message}',
+        'modules.none': 'No module items with completion requirements found.',
+        'modules.missing': 'Missing',
+        'modules.locked': 'Locked',
+        'modules.done': 'Done',
+        'modules.mustView': 'View',
+        'modules.mustSubmit': 'Submit',
+        'modules.mustContribute': 'Contribute',
+        'modules.mustMarkDone': 'Mark as done',
+        'modules.minScore': 'Score at least {score}',
+        'modules.minPercentage': 'Score at least {percentage}',
+        'dashboard.overall': 'Overall completion',
+        'dashboard.donutCaption': '{completed} of {count}',
+        'dashboard.courseProgress': 'Progress by course',
+        'dashboard.pace': 'Courses completed over time',
+        'dashboard.noCourses': 'No courses with completion requirements.',
+        'dashboard.noCompletions': 'No courses completed yet.',
+        'dashboard.notLoaded': 'The report has not loaded yet.',
+        'programs.heading': 'Programs',
+        'programs.progress': '{met} of {total} requirements met',
+        'programs.complete': 'Complete ({met} of {total} requirements met)',
+        'programs.requiredCourse': '{name}: {status}',
+        'programs.inProgress': 'enrolled, not yet completed',
+        'programs.notEnrolled': 'not enrolled',
+        'programs.electivesNeeded': { one: '{count} more elective to complete', other: '{count} more electives to complete' },
+        'programs.title': 'Programs',
+        'programs.program': 'Program',
+        'programs.new': 'New program',
+        'programs.name': 'Name',
+        'programs.required': 'Required courses (one per line)',
+        'programs.electives': 'Elective courses (one per line)',
+        'programs.electivesRequired': 'Electives needed',
+        'programs.patternHelp': 'Match courses by SIS course ID or course code. * matches anything, e.g. MATH1*.',
+        'programs.save': 'Save Program',
+        'programs.delete': 'Delete Program',
+        'programs.confirmDelete': 'Delete this program?',
+        'programs.export': 'Export JSON',
+        'programs.import': 'Import JSON',
+        'programs.nameRequired': 'Enter a name for the program.',
+        'programs.saved': 'Saved {name}.',
+        'programs.notAList': 'The file should contain a list of programs.',
+        'programs.imported': { one: 'Imported {count} program ({skipped} skipped).', other: 'Imported {count} programs ({skipped} skipped).' },
+        'programs.importError': 'Could not import programs: {message}',
+        'timeline.loading': 'Loading enrolment history...',
+        'timeline.loadError': 'Error loading enrolment history: {message}',
+        'timeline.none': 'No enrollment history found for this user.',
+        'timeline.date': 'Date',
+        'timeline.course': 'Course',
+        'timeline.section': 'Section',
+        'timeline.event': 'Event',
+        'timeline.currentState': 'Current State',
+        'timeline.unknownCourse': 'Course {id}',
+        'timeline.unknownSection': 'Section {id}',
+        'timeline.enrolledAs': 'Enrolled as {role}',
+        'timeline.startDate': 'Enrollment start date',
+        'timeline.endDate': 'Enrollment end date',
+        'timeline.concluded': 'Enrollment concluded',
+        'timeline.deactivated': 'Enrollment deactivated (last update)',
+        'timeline.deleted': 'Enrollment deleted (last update)',
+        'timeline.completedRequirements': 'Completed all module requirements',
+        'snapshots.save': 'Save Snapshot',
+        'snapshots.saved': 'Snapshot Saved',
+        'snapshots.saveFailed': 'Save Failed',
+        'snapshots.savedAnnouncement': 'Snapshot saved.',
+        'snapshots.unavailable': 'Snapshots can\'t be saved in this browser.',
+        'snapshots.compareWith': 'Compare with',
+        'snapshots.option': '{date} {time} ({courses})',
+        'snapshots.delete': 'Delete Snapshot',
+        'snapshots.confirmDelete': 'Delete this snapshot?',
+        'snapshots.none': 'No snapshots saved for this student yet. Use Save Snapshot once the report has loaded, then come back here after the next check-in.',
+        'snapshots.waitForReport': 'The report is still loading.',
+        'snapshots.loadError': 'Error loading snapshots: {message}',
+        'snapshots.noChanges': 'Nothing has changed since {date}.',
+        'snapshots.changeSummary': 'Since {date}: {changes}.',
+        'snapshots.countCompleted': { one: '{count} course newly completed', other: '{count} courses newly completed' },
+        'snapshots.countProgress': { one: '{count} course with progress changes', other: '{count} courses with progress changes' },
+        'snapshots.countAdded': { one: '{count} new enrollment', other: '{count} new enrollments' },
+        'snapshots.countDropped': { one: '{count} enrollment dropped', other: '{count} enrollments dropped' },
+        'snapshots.countState': { one: '{count} state change', other: '{count} state changes' },
+        'snapshots.course': 'Course',
+        'snapshots.change': 'Change',
+        'snapshots.progress': 'Progress',
+        'snapshots.state': 'Enrollment State',
+        'snapshots.added': 'New enrollment',
+        'snapshots.dropped': 'No longer enrolled',
+        'snapshots.completed': 'Completed',
+        'snapshots.progressChanged': 'Progress changed',
+        'snapshots.stateChanged': 'State changed',
+        'snapshots.fromTo': '{from} → {to}',
+        'a11y.comparisonLoaded': 'Comparison loaded. {summary}',
+        'outstanding.title': 'Missing and Late Work',
+        'outstanding.none': 'No missing or late submissions in active courses.',
+        'outstanding.assignment': 'Assignment',
+        'outstanding.course': 'Course',
+        'outstanding.due': 'Due',
+        'outstanding.daysOverdue': 'Days Overdue',
+        'outstanding.status': 'Status',
+        'outstanding.unknownAssignment': 'Assignment {id}',
+        'outstanding.Missing': 'Missing',
+        'outstanding.Late': 'Late',
+        'copy.button': 'Copy Report',
+        'copy.copied': 'Copied!',
+        'copy.failed': 'Copy Failed',
+        'copy.nothing': 'Nothing to Copy',
+        'copy.unavailable': 'Clipboard access is not available or denied in this browser.',
+        'copy.error': 'Failed to copy report: {message}. Your browser might not fully support this feature or permissions could be denied.',
+        'export.csv': 'Download CSV',
+        'export.xlsx': 'Download XLSX',
+        'export.nothing': 'Nothing to Export',
+        'export.noMatchingEnrollments': 'No enrollments matching the criteria',
+        'exportColumns.student': 'Student',
+        'exportColumns.sisUserId': 'SIS User ID',
+        'exportColumns.courseName': 'Course Name',
+        'exportColumns.courseCode': 'Course Code',
+        'exportColumns.sisCourseId': 'SIS Course ID',
+        'exportColumns.requirementsCompleted': 'Requirements Completed',
+        'exportColumns.requirementCount': 'Requirement Count',
+        'exportColumns.completed': 'Completed',
+        'exportColumns.completedAt': 'Completed At (ISO)',
+        'exportColumns.currentScore': 'Current Score',
+        'exportColumns.currentGrade': 'Current Grade',
+        'exportColumns.finalScore': 'Final Score',
+        'exportColumns.finalGrade': 'Final Grade',
+        'exportColumns.lastActivityAt': 'Last Activity At (ISO)',
+        'exportColumns.totalActivityMinutes': 'Total Activity (minutes)',
+        'exportColumns.pageViews': 'Page Views',
+        'exportColumns.missingSubmissions': 'Missing Submissions',
+        'exportColumns.lateSubmissions': 'Late Submissions',
+        'exportColumns.enrollmentState': 'Enrollment State',
+        'exportColumns.loginId': 'Login ID',
+        'exportColumns.email': 'Email',
+        'exportColumns.account': 'Account',
+        'exportColumns.timeZone': 'Time Zone',
+        'exportColumns.lastLogin': 'Last Login (ISO)',
+        'templates.picker': 'Copy template',
+        'templates.title': 'Copy templates',
+        'templates.template': 'Template',
+        'templates.standard': 'Standard',
+        'templates.new': 'New template',
+        'templates.untitled': 'Untitled template',
+        'templates.name': 'Name',
+        'templates.heading': 'Heading',
+        'templates.introduction': 'Introduction',
+        'templates.summary': 'Summary',
+        'templates.closing': 'Closing',
+        'templates.placeholders': 'Placeholders: {list}.',
+        'templates.sections': 'Sections',
+        'templates.includeStudentDetails': 'Student details',
+        'templates.includeSummary': 'Summary',
+        'templates.includeTable': 'Course table',
+        'templates.includeOutstandingWork': 'Missing and late work',
+        'templates.includeDashboard': 'Dashboard charts',
+        'templates.includePrograms': 'Program progress',
+        'templates.columns': 'Columns (none ticked uses the Copy columns from Report settings)',
+        'templates.styling': 'Styling',
+        'templates.fontFamily': 'Font',
+        'templates.fontSize': 'Table font size',
+        'templates.headerBackground': 'Header colour',
+        'templates.stripeBackground': 'Stripe colour',
+        'templates.borderColor': 'Border colour',
+        'templates.save': 'Save Template',
+        'templates.delete': 'Delete Template',
+        'templates.confirmDelete': 'Delete this template?',
+        'templates.placeholder.title': 'the report title',
+        'templates.placeholder.summary': 'the on-screen summary',
+        'templates.placeholder.studentName': 'student name',
+        'templates.placeholder.sisId': 'SIS user ID',
+        'templates.placeholder.loginId': 'login ID',
+        'templates.placeholder.date': 'today\'s date',
+        'templates.placeholder.completed': 'courses completed',
+        'templates.placeholder.total': 'courses with requirements',
+        'templates.placeholder.remaining': 'courses not yet completed',
+        'templates.placeholder.missing': 'missing submissions',
+        'templates.placeholder.late': 'late submissions',
+        'templates.placeholder.studentCount': 'students in the report',
+        'print.button': 'Print / Save as PDF',
+        'print.popupBlocked': 'Could not open the print window. Please allow popups for this site.',
+        'print.heading': 'Student Progress Report',
+        'print.generated': 'Generated',
+        'print.settings': 'Print settings',
+        'print.institutionName': 'Institution name',
+        'print.logoUrl': 'Logo URL',
+        'print.signatoryName': 'Signatory name',
+        'print.signatoryTitle': 'Signatory title',
+        'print.signatureNote': 'Note above signature',
+        'print.save': 'Save Print Settings',
+        'print.saved': 'Saved',
+        'send.button': 'Send to Student',
+        'send.title': 'Send the report as a Canvas message',
+        'send.subject': 'Subject',
+        'send.defaultSubject': 'Progress report: {name}',
+        'send.intro': 'Introduction',
+        'send.defaultIntro': 'Hi {name}, here is your latest progress report.',
+        'send.cc': 'Copy to',
+        'send.loadingObservers': 'Loading observers...',
+        'send.noObservers': 'This student has no observers.',
+        'send.observersError': 'Could not load observers: {message}',
+        'send.otherRecipients': 'Other Canvas user IDs, such as advisors (separated by commas)',
+        'send.invalidRecipients': 'Not a Canvas user ID: {ids}',
+        'send.preview': 'Preview',
+        'send.send': 'Send Message',
+        'send.cancel': 'Cancel',
+        'send.notLoaded': 'The report has not loaded yet.',
+        'send.subjectRequired': 'Enter a subject.',
+        'send.confirm': 'Send this report to {name} as a Canvas message?',
+        'send.confirmCopied': {
+            one: 'Send this report to {name} as a Canvas message, copied to {count} other person?',
+            other: 'Send this report to {name} as a Canvas message, copied to {count} other people?'
+        },
+        'send.sending': 'Sending...',
+        'send.sent': 'Message sent.',
+        'send.failed': 'Could not send the message: {message}',
+        'bulk.button': 'Bulk Student Report',
+        'bulk.title': 'Bulk Student Report',
+        'bulk.reportOn': 'Report on',
+        'bulk.section': 'Students in this section',
+        'bulk.account': 'Students in this account and its sub-accounts',
+        'bulk.sis': 'Pasted SIS user IDs',
+        'bulk.sisPlaceholder': 'One SIS user ID per line',
+        'bulk.run': 'Run Report',
+        'bulk.enterSisIds': 'Enter at least one SIS user ID.',
+        'bulk.loadingStudents': 'Loading students...',
+        'bulk.progress': 'Processed {finished} of {total}...',
+        'bulk.cancelled': 'Report cancelled.',
+        'bulk.loadError': 'Error loading students: {message}',
+        'bulk.userNotFound': 'User not found',
+        'bulk.unnamedUser': 'User {id}',
+        'bulk.summary': '{students}: {courses}',
+        'bulk.inactiveStudents': '{students} with no activity for over {days} in a course',
+        'bulk.failedStudents': '({students} could not be loaded)',
+        'bulk.noStudents': 'No students found.',
+        'bulk.noMatchingEnrollments': 'No enrollments matching the criteria',
+        'sites.prompt': 'This looks like a Canvas site. Enable the Student Report on {site}?',
+        'sites.enable': 'Enable',
+        'sites.dismiss': 'Not now',
+        'a11y.reportLoaded': 'Report loaded. {summary}',
+        'a11y.timelineLoaded': 'Enrolment history loaded.',
+        'a11y.reportViews': 'Report views',
+        'a11y.studentChosen': 'Loading the report for {name}.',
+        'export.downloaded': 'Downloaded {fileName}'
+    }
+};
@@ -0,0 +1,193 @@
+import { abortModalRequests } from './api.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// While a modal is open: the element to return focus to, and the page elements made inert behind it, keyed by modal ID
+const modalReturnFocus = {};
+const modalInertElements = {};
+// Elements that can take keyboard focus, for the modal focus trap
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Builds the HTML for a report modal, hidden until opened: a dialog over a backdrop that covers the page,
+ * with a visually hidden live region for announcements.
+ * @param {string} modalId The ID to give the modal element.
+ * @param {string} title The modal title, as plain text.
+ * @param {string} bodyHtml The initial content of the modal body.
+ * @param {string} footerButtonsHtml Buttons to show before the footer's Close button.
+ * @returns {string} The modal HTML.
+ */
+export function buildModalHtml(modalId, title, bodyHtml, footerButtonsHtml) {
+    return `
+        <div id="${modalId}" class="k-modal" aria-hidden="true" style="display: none;
+            position: fixed; top: 0; right: 0; bottom: 0; left: 0;
+            z-index: 10000;
+            align-items: center; justify-content: center;
+        ">
+            <div class="k-modal-overlay" style="
+                position: absolute; top: 0; right: 0; bottom: 0; left: 0;
+                background-color: rgba(0,0,0,.5); /* Dim the page behind the dialog */
+            "></div>
+            <div class="k-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="${modalId}-title" tabindex="-1" style="
+                position: relative; /* Above the overlay, and anchors the close button */
+                max-width: 90%; max-height: 90vh;
+                overflow-y: auto;
+            ">
+                <div class="k-modal-content" style="
+                    background-color: #fff; /* White background */
+                    border: 1px solid #ccc; /* Light grey border */
+                    border-radius: 4px; /* Slightly rounded corners */
+                    box-shadow: 0 5px 15px rgba(0,0,0,.5); /* Subtle shadow */
+                    padding: 20px; /* Add some internal padding for content */
+                    box-sizing: border-box; /* Include padding and border in the element's total width and height */
+                ">
+                    <div class="k-modal-header">
+                        <h2 class="k-modal-title" id="${modalId}-title">${escapeHtml(title)}</h2>
+                        <button type="button" class="k-modal-close-button close-modal" aria-label="${t('common.close')}" style="
+                            position: absolute;
+                            top: 10px;
+                            right: 15px;
+                            font-size: 1.5rem;
+                            background: none;
+                            border: none;
+                            cursor: pointer;
+                        "><span aria-hidden="true">&times;</span></button>
+                    </div>
+                    <div class="k-modal-body">
+                        ${bodyHtml}
+                    </div>
+                    <div class="k-modal-footer">
+                        ${footerButtonsHtml}
+                        <button type="button" class="btn cancel_button close-modal" style="margin-left: 8px;">${t('common.close')}</button>
+                    </div>
+                </div>
+                <div class="k-modal-status" role="status" aria-live="polite" style="
+                    position: absolute; width: 1px; height: 1px; overflow: hidden;
+                    clip: rect(0 0 0 0); white-space: nowrap; /* Visually hidden, still read out */
+                "></div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Reads a message out to screen reader users through a modal's live region.
+ * @param {HTMLElement|null} modal The modal the message belongs to.
+ * @param {string} message The message.
+ */
+export function announce(modal, message) {
+    const status = modal ? modal.querySelector('.k-modal-status') : null;
+    if (!status) return;
+    // Clear first so the same message is read out again if it repeats
+    status.textContent = '';
+    setTimeout(() => {
+        status.textContent = message;
+    }, 100);
+}
+
+/**
+ * Checks whether an element inside a modal is currently shown, going by the inline `display` styles
+ * and collapsed `<details>` the modals use to hide their panels.
+ * @param {HTMLElement} element The element.
+ * @param {HTMLElement} container The modal, where the check stops.
+ * @returns {boolean}
+ */
+function isShownInModal(element, container) {
+    for (let el = element; el && el !== container; el = el.parentElement) {
+        if (el.hidden || el.style.display === 'none') return false;
+        const parent = el.parentElement;
+        if (parent && parent.tagName === 'DETAILS' && !parent.open && el.tagName !== 'SUMMARY') return false;
+    }
+    return true;
+}
+
+/**
+ * Keeps keyboard focus inside an open modal and closes it on Escape.
+ * @param {KeyboardEvent} event The keydown event.
+ * @param {HTMLElement} modal The modal.
+ */
+function handleModalKeydown(event, modal) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeModal(modal);
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const dialog = modal.querySelector('.k-modal-dialog');
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => isShownInModal(el, modal));
+    if (focusable.length === 0) {
+        event.preventDefault();
+        dialog.focus();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || active === dialog || !dialog.contains(active))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Shows a modal built by buildModalHtml, moving focus into it and making the page behind it inert.
+ * @param {HTMLElement} modal The modal element.
+ * @param {HTMLElement} [trigger] The element to return focus to on close; defaults to the focused element.
+ */
+export function openModal(modal, trigger) {
+    modalReturnFocus[modal.id] = trigger || document.activeElement;
+    modalInertElements[modal.id] = Array.from(document.body.children).filter(el =>
+        el !== modal && !el.hasAttribute('inert') && el.tagName !== 'SCRIPT');
+    modalInertElements[modal.id].forEach(el => {
+        el.setAttribute('inert', '');
+        el.setAttribute('aria-hidden', 'true');
+    });
+
+    modal.style.display = 'flex';
+    modal.setAttribute('aria-hidden', 'false');
+    modal.querySelector('.k-modal-dialog').focus();
+}
+
+/**
+ * Hides a modal, cancels its requests and gives focus back to whatever opened it.
+ * @param {HTMLElement} modal The modal element.
+ */
+export function closeModal(modal) {
+    if (modal.style.display === 'none') return;
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+    // Stop any loading still in progress so it can't write into the closed modal
+    abortModalRequests(modal.id);
+
+    (modalInertElements[modal.id] || []).forEach(el => {
+        el.removeAttribute('inert');
+        el.removeAttribute('aria-hidden');
+    });
+    delete modalInertElements[modal.id];
+
+    const returnFocus = modalReturnFocus[modal.id];
+    delete modalReturnFocus[modal.id];
+    if (returnFocus && document.contains(returnFocus)) {
+        returnFocus.focus();
+    }
+}
+
+/**
+ * Wires up a modal's close buttons, backdrop and keyboard handling.
+ * @param {HTMLElement} modal The modal element.
+ */
+export function bindModalCloseHandlers(modal) {
+    modal.querySelectorAll('.close-modal, .k-modal-close-button').forEach(button => {
+        button.addEventListener('click', () => closeModal(modal));
+    });
+
+    const modalOverlay = modal.querySelector('.k-modal-overlay');
+    if (modalOverlay) {
+        modalOverlay.addEventListener('click', () => closeModal(modal));
+    }
+    modal.addEventListener('keydown', event => handleModalKeydown(event, modal));
+}
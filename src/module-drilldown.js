@@ -0,0 +1,162 @@
+import { domain } from './constants.js';
+import { fetchAllPages, getModalSignal } from './api.js';
+import { formatNumber, t } from './i18n.js';
+import { escapeHtml, safeUrl } from './utils.js';
+
+/**
+ * Fetches a course's modules and items, with completion state for a given student.
+ * Modules with too many items omit the inline `items` array, so those are fetched separately.
+ * @param {string|number} courseId The Canvas course ID.
+ * @param {string} userId The Canvas user ID of the student.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<Array>} A promise that resolves to the modules, each with an `items` array.
+ */
+async function fetchCourseModules(courseId, userId, options = {}) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    const queryParams = new URLSearchParams();
+    queryParams.append('per_page', '50');
+    queryParams.append('include[]', 'items');
+    queryParams.append('include[]', 'content_details');
+    queryParams.append('student_id', userId);
+
+    const modules = await fetchAllPages(`${domain}/api/v1/courses/${courseId}/modules?${queryParams.toString()}`, headers, options);
+
+    for (const module of modules) {
+        if (!Array.isArray(module.items)) {
+            const itemParams = new URLSearchParams();
+            itemParams.append('per_page', '50');
+            itemParams.append('include[]', 'content_details');
+            itemParams.append('student_id', userId);
+            module.items = await fetchAllPages(`${domain}/api/v1/courses/${courseId}/modules/${module.id}/items?${itemParams.toString()}`, headers, options);
+        }
+    }
+    return modules;
+}
+
+/**
+ * Returns a readable description of a module item's completion requirement.
+ * @param {object} requirement The `completion_requirement` object of a module item.
+ * @returns {string} The description, e.g. "Score at least 8".
+ */
+function describeRequirement(requirement) {
+    switch (requirement.type) {
+        case 'must_view': return t('modules.mustView');
+        case 'must_submit': return t('modules.mustSubmit');
+        case 'must_contribute': return t('modules.mustContribute');
+        case 'must_mark_done': return t('modules.mustMarkDone');
+        case 'min_score': return t('modules.minScore', { score: requirement.min_score });
+        case 'min_percentage': return t('modules.minPercentage', { percentage: formatNumber(requirement.min_percentage / 100, { style: 'percent', maximumFractionDigits: 1 }) });
+        default: return requirement.type;
+    }
+}
+
+/**
+ * Sorts the completion requirements of a course's modules into done, missing and locked.
+ * An item counts as locked when its module is locked for the student or the item itself is.
+ * @param {Array} modules Modules as returned by fetchCourseModules.
+ * @returns {{done: Array, missing: Array, locked: Array}} Requirement entries grouped by status.
+ */
+export function groupModuleRequirements(modules) {
+    const groups = { done: [], missing: [], locked: [] };
+
+    modules.forEach(module => {
+        (module.items || []).forEach(item => {
+            if (!item.completion_requirement) return; // Only items with requirements count towards progress
+
+            const entry = {
+                moduleName: module.name,
+                title: item.title,
+                url: item.html_url,
+                requirement: describeRequirement(item.completion_requirement)
+            };
+            const itemLocked = item.content_details && item.content_details.locked_for_user;
+
+            if (item.completion_requirement.completed) {
+                groups.done.push(entry);
+            } else if (module.state === 'locked' || itemLocked) {
+                groups.locked.push(entry);
+            } else {
+                groups.missing.push(entry);
+            }
+        });
+    });
+    return groups;
+}
+
+/**
+ * Builds the HTML for a course's module drill-down.
+ * @param {{done: Array, missing: Array, locked: Array}} groups Output of groupModuleRequirements.
+ * @returns {string} The drill-down HTML.
+ */
+function renderModuleDrilldown(groups) {
+    const total = groups.done.length + groups.missing.length + groups.locked.length;
+    if (total === 0) {
+        return `<div class="module-detail"><p>${t('modules.none')}</p></div>`;
+    }
+
+    const renderGroup = (heading, className, entries) => {
+        if (entries.length === 0) return '';
+        const items = entries.map(entry => {
+            const title = entry.url ? `<a href="${escapeHtml(safeUrl(entry.url))}" target="_blank" rel="noopener">${escapeHtml(entry.title)}</a>` : escapeHtml(entry.title);
+            return `<li class="${className}">${title} <em>(${escapeHtml(entry.moduleName)}: ${escapeHtml(entry.requirement)})</em></li>`;
+        }).join('');
+        return `<h4>${heading} (${formatNumber(entries.length)})</h4><ul>${items}</ul>`;
+    };
+
+    return `
+        <div class="module-detail">
+            ${renderGroup(t('modules.missing'), 'requirement-missing', groups.missing)}
+            ${renderGroup(t('modules.locked'), 'requirement-locked', groups.locked)}
+            ${renderGroup(t('modules.done'), 'requirement-done', groups.done)}
+        </div>
+    `;
+}
+
+/**
+ * Handles clicks on a course row's expand toggle, loading that course's module requirements
+ * into a detail row the first time and showing/hiding it afterwards.
+ * @param {Event} event The click event (delegated from the report table).
+ * @param {string} userId The Canvas user ID of the student.
+ */
+export async function handleModuleToggleClick(event, userId) {
+    const toggle = event.target.closest('.module-toggle');
+    if (!toggle) return;
+
+    const courseRow = toggle.closest('tr.course-row');
+    const courseId = courseRow.dataset.courseId;
+    let detailRow = courseRow.nextElementSibling;
+
+    if (detailRow && detailRow.classList.contains('module-detail-row')) {
+        const expand = detailRow.style.display === 'none';
+        detailRow.style.display = expand ? '' : 'none';
+        toggle.setAttribute('aria-expanded', String(expand));
+        toggle.innerHTML = expand ? '&#9662;' : '&#9656;';
+        return;
+    }
+
+    detailRow = document.createElement('tr');
+    detailRow.className = 'module-detail-row';
+    detailRow.innerHTML = `<td colspan="${courseRow.children.length}"><p>${t('modules.loading')}</p></td>`;
+    courseRow.after(detailRow);
+    toggle.setAttribute('aria-expanded', 'true');
+    toggle.innerHTML = '&#9662;';
+
+    const detailCell = detailRow.firstElementChild;
+    try {
+        const modules = await fetchCourseModules(courseId, userId, { signal: getModalSignal(courseRow.closest('.k-modal').id) });
+        detailCell.innerHTML = renderModuleDrilldown(groupModuleRequirements(modules));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            // Collapse again so the next click starts a fresh load
+            detailRow.remove();
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.innerHTML = '&#9656;';
+            return;
+        }
+        console.error(`Error fetching modules for course ${courseId}:`, error);
+        detailCell.innerHTML = `<p>${escapeHtml(t('modules.loadError', { message: error.message }))}</p>`;
+    }
+}
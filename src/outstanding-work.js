@@ -0,0 +1,143 @@
+import { BULK_REPORT_CONCURRENCY, domain } from './constants.js';
+import { fetchAllPages } from './api.js';
+import { formatDate, formatNumber, t } from './i18n.js';
+import { escapeHtml, getSafe, runWithConcurrency, safeUrl } from './utils.js';
+import { buildStyledReportTable } from './templates.js';
+
+/**
+ * Fetches a student's submissions in a course, with their assignments.
+ * @param {string|number} courseId The Canvas course ID.
+ * @param {string} userId The Canvas user ID of the student.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<Array>} A promise that resolves to the submissions.
+ */
+async function fetchCourseSubmissions(courseId, userId, options = {}) {
+    const queryParams = new URLSearchParams();
+    queryParams.append('per_page', '100');
+    queryParams.append('student_ids[]', userId);
+    queryParams.append('include[]', 'assignment');
+
+    return fetchAllPages(`${domain}/api/v1/courses/${courseId}/students/submissions?${queryParams.toString()}`, {
+        'Content-Type': 'application/json'
+    }, options);
+}
+
+/**
+ * Checks whether a course is currently running for the student (published, not concluded, enrollment active).
+ * @param {object} course A course from fetchUserCourses.
+ * @returns {boolean}
+ */
+function isActiveCourse(course) {
+    if (course.workflow_state !== 'available' || course.concluded) return false;
+    const state = getSafe(() => course.enrollments[0].enrollment_state, null);
+    return !state || state === 'active';
+}
+
+/**
+ * Adds the student's missing and late submissions to each active course as `course.outstandingWork`.
+ * A course whose submissions can't be read is left without it.
+ * @param {string} userId The Canvas user ID.
+ * @param {Array} courses Courses from fetchUserCourses; modified in place.
+ * @param {object} [options] `signal` and `onProgress`, as for fetchAllPages.
+ * @returns {Promise<void>}
+ */
+export async function attachOutstandingWork(userId, courses, options = {}) {
+    const activeCourses = courses.filter(isActiveCourse);
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    await runWithConcurrency(activeCourses, BULK_REPORT_CONCURRENCY, async course => {
+        try {
+            const submissions = await fetchCourseSubmissions(course.id, userId, { signal: options.signal });
+            course.outstandingWork = submissions
+                .filter(submission => !submission.excused && (submission.missing || submission.late))
+                .map(submission => {
+                    const assignment = submission.assignment || {};
+                    const dueAt = assignment.due_at || submission.cached_due_date || null;
+                    const daysOverdue = submission.missing ?
+                        (dueAt ? Math.max(0, Math.floor((Date.now() - new Date(dueAt).getTime()) / dayMs)) : null) :
+                        Math.ceil((submission.seconds_late || 0) / (24 * 60 * 60));
+                    return {
+                        assignmentName: assignment.name || t('outstanding.unknownAssignment', { id: String(submission.assignment_id) }),
+                        courseName: course.name,
+                        dueAt,
+                        daysOverdue,
+                        status: submission.missing ? 'Missing' : 'Late',
+                        url: assignment.html_url || `${domain}/courses/${course.id}/assignments/${submission.assignment_id}`
+                    };
+                });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Submissions unavailable for course ${course.id}:`, error);
+        }
+    }, finished => {
+        if (options.onProgress) options.onProgress(t('progress.submissions', { finished, total: t('count.courses', { count: activeCourses.length }) }));
+    });
+}
+
+/**
+ * Builds the Missing and Late Work section listing every outstanding submission, soonest due first.
+ * @param {Array} courses Courses with `outstandingWork` attached by attachOutstandingWork.
+ * @returns {string} The section HTML.
+ */
+export function renderOutstandingWork(courses) {
+    const items = courses
+        .reduce((all, course) => all.concat(course.outstandingWork || []), [])
+        .sort((a, b) => new Date(a.dueAt || 0) - new Date(b.dueAt || 0));
+
+    let contentHtml;
+    if (items.length === 0) {
+        contentHtml = `<p>${t('outstanding.none')}</p>`;
+    } else {
+        const rows = items.map(item => `
+            <tr>
+                <td><a href="${escapeHtml(safeUrl(item.url))}" target="_blank" rel="noopener">${escapeHtml(item.assignmentName)}</a></td>
+                <td>${escapeHtml(item.courseName)}</td>
+                <td>${formatDate(item.dueAt)}</td>
+                <td>${item.daysOverdue === null ? t('common.notAvailable') : formatNumber(item.daysOverdue)}</td>
+                <td>${t(`outstanding.${item.status}`)}</td>
+            </tr>
+        `).join('');
+        contentHtml = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>${t('outstanding.assignment')}</th>
+                        <th>${t('outstanding.course')}</th>
+                        <th>${t('outstanding.due')}</th>
+                        <th>${t('outstanding.daysOverdue')}</th>
+                        <th>${t('outstanding.status')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    return `
+        <div class="outstanding-work">
+            <h3>${t('outstanding.title')}</h3>
+            ${contentHtml}
+        </div>
+    `;
+}
+
+/**
+ * Formats the Missing and Late Work section of a report modal for copying or printing.
+ * @param {HTMLElement} bodyElement The modal body.
+ * @param {object} [template] The copy template to style the table with.
+ * @returns {string} The section with inline styles, or an empty string if the report has none.
+ */
+export function buildStyledOutstandingWork(bodyElement, template) {
+    const section = bodyElement.querySelector('.outstanding-work');
+    if (!section) return '';
+
+    let html = `\n<h3>${escapeHtml(section.querySelector('h3').textContent)}</h3>\n`;
+    const table = section.querySelector('table');
+    if (table) {
+        html += buildStyledReportTable(table, template).outerHTML;
+    } else {
+        section.querySelectorAll('p').forEach(p => {
+            html += p.outerHTML + '\n';
+        });
+    }
+    return html;
+}
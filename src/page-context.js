@@ -0,0 +1,43 @@
+/* global ENV */
+import { getSafe } from './utils.js';
+import { getBulkScopeFromUrl } from './bulk.js';
+
+export function getUserIdFromUrl() {
+    const path = window.location.pathname;
+    const match = path.match(/\/users\/(\d+)/);
+    if (match && match[1]) {
+        return match[1];
+    }
+    return null; // Return null if no user ID is found
+}
+
+/**
+ * Checks whether this is the viewer's own dashboard or profile and they are a student or an observer,
+ * who can report on themselves or the students they observe.
+ * @returns {boolean}
+ */
+function isSelfServicePage() {
+    if (!/^\/(profile(\/settings)?\/?)?$/.test(window.location.pathname)) return false;
+    const roles = getSafe(() => ENV.current_user_roles, []);
+    return Array.isArray(roles) && (roles.includes('student') || roles.includes('observer'));
+}
+
+/**
+ * Works out which report, if any, the current page gets.
+ * @returns {{mode: string, key: string, userId?: string, scope?: object}|null} 'user', 'bulk' or 'self',
+ *          with a key that changes whenever the report's subject does; null on other pages.
+ */
+export function getPageContext() {
+    const userId = getUserIdFromUrl();
+    if (userId) {
+        return { mode: 'user', key: `user:${userId}`, userId };
+    }
+    const bulkScope = getBulkScopeFromUrl();
+    if (bulkScope) {
+        return { mode: 'bulk', key: `${bulkScope.type}:${bulkScope.id}`, scope: bulkScope };
+    }
+    if (isSelfServicePage()) {
+        return { mode: 'self', key: 'self' };
+    }
+    return null;
+}
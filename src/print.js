@@ -0,0 +1,212 @@
+import { PRINT_BRANDING_STORAGE_KEY } from './constants.js';
+import { reportData, reportStudent } from './state.js';
+import { formatDate, t } from './i18n.js';
+import { escapeHtml, safeUrl } from './utils.js';
+import { summariseCourses } from './courses.js';
+import { loadReportSettings } from './settings.js';
+import { getStudentDetailRows } from './report.js';
+import { buildDashboardHtml } from './dashboard.js';
+import { buildStyledOutstandingWork } from './outstanding-work.js';
+import { buildStyledReportTable, getReportContentElement } from './templates.js';
+
+/**
+ * Loads the institution branding for printed reports from localStorage.
+ * @returns {{institutionName: string, logoUrl: string, signatoryName: string, signatoryTitle: string, signatureNote: string}}
+ */
+function loadPrintBranding() {
+    const defaults = { institutionName: '', logoUrl: '', signatoryName: '', signatoryTitle: '', signatureNote: '' };
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRINT_BRANDING_STORAGE_KEY));
+        return Object.assign(defaults, stored);
+    } catch (e) {
+        console.warn('Could not read print branding from localStorage.', e);
+        return defaults;
+    }
+}
+
+/**
+ * Saves the institution branding for printed reports to localStorage.
+ * @param {object} branding The branding fields, as returned by loadPrintBranding.
+ */
+function savePrintBranding(branding) {
+    localStorage.setItem(PRINT_BRANDING_STORAGE_KEY, JSON.stringify(branding));
+}
+
+/**
+ * Builds a standalone, print-styled HTML document for a student report.
+ * Table headers repeat on every printed page and rows are kept from splitting across pages.
+ * @param {object} options
+ * @param {object} options.branding Institution branding, as returned by loadPrintBranding.
+ * @param {string} options.studentName The student's name, for the document title.
+ * @param {Array<{label: string, value: string}>} options.detailRows Student details, from getStudentDetailRows.
+ * @param {string} options.summaryHtml The report summary line.
+ * @param {string} options.bodyHtml The report table (or message if there is no table).
+ * @returns {string} The complete HTML document.
+ */
+export function buildPrintDocument({ branding, studentName, detailRows, summaryHtml, bodyHtml }) {
+    const logoHtml = branding.logoUrl ? `<img class="print-logo" src="${escapeHtml(safeUrl(branding.logoUrl))}" alt="">` : '';
+    const signatureHtml = (branding.signatoryName || branding.signatureNote) ? `
+        <div class="signature-block">
+            ${branding.signatureNote ? `<p>${escapeHtml(branding.signatureNote)}</p>` : ''}
+            <div class="signature-line"></div>
+            <p><strong>${escapeHtml(branding.signatoryName)}</strong><br>${escapeHtml(branding.signatoryTitle)}</p>
+        </div>
+    ` : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('report.title', { name: studentName }))}</title>
+<style>
+@page { size: A4; margin: 18mm 15mm; }
+body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #000; margin: 0; }
+.print-header { display: flex; align-items: center; border-bottom: 2px solid #333; padding-bottom: 8px; margin-bottom: 16px; }
+.print-logo { max-height: 60px; max-width: 200px; margin-right: 16px; }
+.print-header h1 { font-size: 18pt; margin: 0; }
+.print-header p { margin: 2px 0 0; font-size: 12pt; }
+.student-details { border-collapse: collapse; margin-bottom: 12px; }
+.student-details th, .student-details td { border: none; padding: 2px 12px 2px 0; text-align: left; }
+table.report-table thead { display: table-header-group; } /* Repeat the header row on every page */
+table.report-table tr { page-break-inside: avoid; break-inside: avoid; }
+.report-dashboard svg { display: block; page-break-inside: avoid; break-inside: avoid; }
+.signature-block { margin-top: 40px; page-break-inside: avoid; break-inside: avoid; }
+.signature-line { border-top: 1px solid #000; width: 70mm; margin-top: 48px; }
+@media screen { body { margin: 20px auto; max-width: 210mm; } }
+</style>
+</head>
+<body>
+<div class="print-header">
+    ${logoHtml}
+    <div>
+        ${branding.institutionName ? `<h1>${escapeHtml(branding.institutionName)}</h1>` : ''}
+        <p>${t('print.heading')}</p>
+    </div>
+</div>
+<table class="student-details">
+    ${detailRows.map(row => `<tr><th>${escapeHtml(row.label)}</th><td>${escapeHtml(row.value)}</td></tr>`).join('')}
+    <tr><th>${t('print.generated')}</th><td>${formatDate(new Date().toISOString())}</td></tr>
+</table>
+${summaryHtml}
+${bodyHtml}
+${signatureHtml}
+</body>
+</html>`;
+}
+
+/**
+ * Handles the click event for the "Print / Save as PDF" button.
+ * Opens the report as a print-styled document in a new window and starts printing.
+ * @param {Event} event The click event.
+ */
+export function handlePrintReportClick(event) {
+    const modal = event.currentTarget.closest('.k-modal');
+    const bodyElement = modal ? modal.querySelector('.k-modal-body') : null;
+    if (!bodyElement) {
+        console.error('Modal body not found for printing.');
+        return;
+    }
+
+    // Open the window straight away, while still handling the click, so it isn't blocked as a popup
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        alert(t('print.popupBlocked'));
+        return;
+    }
+
+    const reportElement = getReportContentElement(modal);
+    const summaryElement = reportElement.querySelector('.enrollment-summary');
+    const tableElement = reportElement.querySelector(':scope > table');
+    const report = reportData['student-report-modal'];
+    let bodyHtml = report && report.allEnrollments ? buildDashboardHtml(summariseCourses(report.allEnrollments)) : '';
+    const programElement = reportElement.querySelector('.program-progress');
+    if (programElement) {
+        bodyHtml += programElement.outerHTML;
+    }
+    if (tableElement) {
+        const styledTable = buildStyledReportTable(tableElement);
+        styledTable.classList.add('report-table');
+        bodyHtml += styledTable.outerHTML;
+    } else {
+        reportElement.querySelectorAll(':scope > p:not(.enrollment-summary)').forEach(p => {
+            bodyHtml += p.outerHTML;
+        });
+    }
+    bodyHtml += buildStyledOutstandingWork(reportElement);
+
+    printWindow.document.open();
+    printWindow.document.write(buildPrintDocument({
+        branding: loadPrintBranding(),
+        studentName: reportStudent.name,
+        detailRows: getStudentDetailRows(report && report.details, loadReportSettings()),
+        summaryHtml: summaryElement ? summaryElement.outerHTML : '',
+        bodyHtml
+    }));
+    printWindow.document.close();
+
+    // Wait for the logo (if any) to load so it appears in the printout
+    const startPrint = () => {
+        printWindow.focus();
+        printWindow.print();
+    };
+    const logo = printWindow.document.querySelector('.print-logo');
+    if (logo && !logo.complete) {
+        logo.addEventListener('load', startPrint);
+        logo.addEventListener('error', startPrint);
+    } else {
+        startPrint();
+    }
+}
+
+/**
+ * Builds the collapsible form for editing print branding, shown above the modal footer.
+ * @returns {string} The form HTML.
+ */
+export function buildPrintSettingsHtml() {
+    const branding = loadPrintBranding();
+    const field = (name, label) => `
+        <label style="display: block; margin-bottom: 6px;">${label}
+            <input type="text" name="${name}" value="${escapeHtml(branding[name])}" style="width: 100%; box-sizing: border-box;">
+        </label>
+    `;
+    return `
+        <details class="print-settings" style="margin: 10px 0;">
+            <summary>${t('print.settings')}</summary>
+            <form class="print-settings-form" style="margin-top: 8px;">
+                ${field('institutionName', t('print.institutionName'))}
+                ${field('logoUrl', t('print.logoUrl'))}
+                ${field('signatoryName', t('print.signatoryName'))}
+                ${field('signatoryTitle', t('print.signatoryTitle'))}
+                <label style="display: block; margin-bottom: 6px;">${t('print.signatureNote')}
+                    <textarea name="signatureNote" rows="2" style="width: 100%; box-sizing: border-box;">${escapeHtml(branding.signatureNote)}</textarea>
+                </label>
+                <button type="submit" class="btn">${t('print.save')}</button>
+            </form>
+        </details>
+    `;
+}
+
+/**
+ * Handles submission of the print settings form.
+ * @param {Event} event The submit event.
+ */
+export function handlePrintSettingsSubmit(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const branding = loadPrintBranding();
+    Object.keys(branding).forEach(key => {
+        if (form.elements[key]) {
+            branding[key] = form.elements[key].value.trim();
+        }
+    });
+    savePrintBranding(branding);
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalText = submitButton.innerText;
+    submitButton.innerText = t('print.saved');
+    submitButton.disabled = true;
+    setTimeout(() => {
+        submitButton.innerText = originalText;
+        submitButton.disabled = false;
+    }, 2000);
+}
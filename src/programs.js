@@ -0,0 +1,266 @@
+import { PROGRAMS_STORAGE_KEY } from './constants.js';
+import { t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { isCourseCompleted } from './courses.js';
+import { downloadBlob } from './export.js';
+
+/**
+ * Checks a program definition, as stored or imported, and tidies it up.
+ * @param {object} program The definition.
+ * @param {number} [index] Its position in an import, used to give it an ID if it has none.
+ * @returns {object|null} {id, name, required, electives, electivesRequired}, or null if it isn't a program.
+ */
+function normaliseProgram(program, index = 0) {
+    if (!program || typeof program !== 'object' || typeof program.name !== 'string' || !program.name.trim()) {
+        return null;
+    }
+    const patterns = list => (Array.isArray(list) ? list : []).map(pattern => String(pattern).trim()).filter(Boolean);
+    return {
+        id: program.id ? String(program.id) : `program-${Date.now()}-${index}`,
+        name: program.name.trim(),
+        required: patterns(program.required),
+        electives: patterns(program.electives),
+        electivesRequired: Math.max(0, parseInt(program.electivesRequired, 10) || 0)
+    };
+}
+
+/**
+ * Loads the program definitions.
+ * @returns {Array<object>} Programs, as returned by normaliseProgram.
+ */
+function loadPrograms() {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(PROGRAMS_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.warn('Could not read programs from localStorage.', e);
+    }
+    return (Array.isArray(stored) ? stored : []).map(normaliseProgram).filter(Boolean);
+}
+
+/**
+ * Saves the program definitions.
+ * @param {Array<object>} programs Programs, as returned by loadPrograms.
+ */
+function savePrograms(programs) {
+    localStorage.setItem(PROGRAMS_STORAGE_KEY, JSON.stringify(programs));
+}
+
+/**
+ * Checks whether a course matches a program course pattern: a SIS course ID or course code,
+ * case-insensitive, where `*` matches any run of characters (e.g. "MATH1*").
+ * @param {object} course A course from fetchUserCourses.
+ * @param {string} pattern The pattern.
+ * @returns {boolean}
+ */
+function courseMatchesPattern(course, pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return [course.sis_course_id, course.course_code].some(value => value && regex.test(value));
+}
+
+/**
+ * Works out a student's progress through a program: every required course plus the number of electives needed.
+ * A course only counts once, for the first required pattern it matches, otherwise as an elective.
+ * @param {object} program A program, as returned by loadPrograms.
+ * @param {Array} courses All the student's courses, as returned by fetchUserCourses. Deleted courses are ignored.
+ * @returns {{required: Array<{pattern: string, course: object|null, status: string}>, completedElectives: number,
+ *            met: number, total: number, complete: boolean}} Each required course's status is
+ *          'completed', 'inProgress' or 'notEnrolled'; `met` of `total` counts required courses and electives.
+ */
+function evaluateProgram(program, courses) {
+    const candidates = courses.filter(course => course.workflow_state !== 'deleted');
+    const used = new Set();
+
+    const required = program.required.map(pattern => {
+        const matches = candidates.filter(course => !used.has(course) && courseMatchesPattern(course, pattern));
+        // Prefer a completed attempt, e.g. when a student has retaken a course
+        const course = matches.find(isCourseCompleted) || matches[0] || null;
+        if (course) used.add(course);
+        const status = !course ? 'notEnrolled' : isCourseCompleted(course) ? 'completed' : 'inProgress';
+        return { pattern, course, status };
+    });
+    const completedElectives = candidates.filter(course => !used.has(course) && isCourseCompleted(course) &&
+        program.electives.some(pattern => courseMatchesPattern(course, pattern))).length;
+
+    const requiredCompleted = required.filter(item => item.status === 'completed').length;
+    return {
+        required,
+        completedElectives,
+        met: requiredCompleted + Math.min(completedElectives, program.electivesRequired),
+        total: program.required.length + program.electivesRequired,
+        complete: requiredCompleted === program.required.length && completedElectives >= program.electivesRequired
+    };
+}
+
+/**
+ * Builds the report section showing progress against each program, listing what is still outstanding.
+ * @param {Array} courses All the student's courses, as returned by fetchUserCourses.
+ * @returns {string} The section HTML, or an empty string if no programs are defined.
+ */
+export function renderProgramProgress(courses) {
+    const programs = loadPrograms();
+    if (programs.length === 0) return '';
+
+    const items = programs.map(program => {
+        const result = evaluateProgram(program, courses);
+        // Inline styles, so the section keeps its look when copied or printed
+        const outstanding = result.required.filter(item => item.status !== 'completed').map(item => `
+            <li${item.status === 'notEnrolled' ? ' style="color: #a94442;"' : ''}>${escapeHtml(t('programs.requiredCourse', {
+                name: item.course ? getSafe(() => item.course.name) : item.pattern,
+                status: t(`programs.${item.status}`)
+            }))}</li>
+        `);
+        const electivesNeeded = program.electivesRequired - result.completedElectives;
+        if (electivesNeeded > 0) {
+            outstanding.push(`<li>${escapeHtml(t('programs.electivesNeeded', { count: electivesNeeded }))}</li>`);
+        }
+        return `
+            <li>
+                <strong>${escapeHtml(program.name)}</strong>: ${escapeHtml(t(result.complete ? 'programs.complete' : 'programs.progress', { met: result.met, total: result.total }))}
+                ${outstanding.length > 0 ? `<ul>${outstanding.join('')}</ul>` : ''}
+            </li>
+        `;
+    }).join('');
+    return `
+        <div class="program-progress">
+            <h3 style="font-size: 14px; margin: 0 0 6px;">${t('programs.heading')}</h3>
+            <ul>${items}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Builds the collapsible editor for program definitions, with JSON import and export.
+ * @returns {string} The editor HTML.
+ */
+export function buildProgramsHtml() {
+    return `
+        <details class="report-programs" style="margin: 10px 0;">
+            <summary>${t('programs.title')}</summary>
+            <form class="report-programs-form" style="margin-top: 8px;">
+                <label style="display: block; margin-bottom: 6px;">${t('programs.program')}
+                    <select name="programId"></select>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.name')}
+                    <input type="text" name="name" style="width: 100%; box-sizing: border-box;">
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.required')}
+                    <textarea name="required" rows="4" style="width: 100%; box-sizing: border-box;"></textarea>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.electives')}
+                    <textarea name="electives" rows="3" style="width: 100%; box-sizing: border-box;"></textarea>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('programs.electivesRequired')}
+                    <input type="number" name="electivesRequired" min="0" step="1" style="width: 80px;">
+                </label>
+                <p style="font-size: 0.9em; color: #555;">${t('programs.patternHelp')}</p>
+                <p class="programs-status" role="status" style="margin: 0 0 8px;"></p>
+                <button type="submit" class="btn">${t('programs.save')}</button>
+                <button type="button" class="btn delete-program" style="margin-left: 8px;">${t('programs.delete')}</button>
+                <button type="button" class="btn export-programs" style="margin-left: 8px;">${t('programs.export')}</button>
+                <button type="button" class="btn import-programs" style="margin-left: 8px;">${t('programs.import')}</button>
+                <input type="file" name="importFile" accept=".json,application/json" style="display: none;">
+            </form>
+        </details>
+    `;
+}
+
+/**
+ * Fills the program editor with a program, or blanks for a new one.
+ * @param {HTMLFormElement} form The program editor form.
+ * @param {string} programId The program to edit, or '' for a new one.
+ */
+function fillProgramForm(form, programId) {
+    const programs = loadPrograms();
+    const program = programs.find(item => item.id === programId) ||
+        { id: '', name: '', required: [], electives: [], electivesRequired: 0 };
+
+    form.elements.programId.innerHTML = `<option value="">${t('programs.new')}</option>` +
+        programs.map(item => `<option value="${escapeHtml(item.id)}" ${item.id === program.id ? 'selected' : ''}>${escapeHtml(item.name)}</option>`).join('');
+    form.elements.name.value = program.name;
+    form.elements.required.value = program.required.join('\n');
+    form.elements.electives.value = program.electives.join('\n');
+    form.elements.electivesRequired.value = program.electivesRequired;
+    form.querySelector('.delete-program').disabled = !program.id;
+}
+
+/**
+ * Wires up the program editor. Saving, deleting or importing programs re-renders the report.
+ * @param {HTMLElement} modal The report modal.
+ * @param {Function} rerender Re-renders the report.
+ */
+export function bindPrograms(modal, rerender) {
+    const form = modal.querySelector('.report-programs-form');
+    const status = form.querySelector('.programs-status');
+    fillProgramForm(form, '');
+    form.elements.programId.addEventListener('change', () => {
+        status.textContent = '';
+        fillProgramForm(form, form.elements.programId.value);
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const program = normaliseProgram({
+            id: form.elements.programId.value,
+            name: form.elements.name.value,
+            required: form.elements.required.value.split('\n'),
+            electives: form.elements.electives.value.split('\n'),
+            electivesRequired: form.elements.electivesRequired.value
+        });
+        if (!program) {
+            status.textContent = t('programs.nameRequired');
+            form.elements.name.focus();
+            return;
+        }
+
+        const programs = loadPrograms();
+        const index = programs.findIndex(item => item.id === program.id);
+        if (index === -1) {
+            programs.push(program);
+        } else {
+            programs[index] = program;
+        }
+        savePrograms(programs);
+        fillProgramForm(form, program.id);
+        status.textContent = t('programs.saved', { name: program.name });
+        console.log(`Saved program "${program.name}".`);
+        rerender();
+    });
+
+    form.querySelector('.delete-program').addEventListener('click', () => {
+        const programId = form.elements.programId.value;
+        if (!programId || !confirm(t('programs.confirmDelete'))) return;
+        savePrograms(loadPrograms().filter(program => program.id !== programId));
+        fillProgramForm(form, '');
+        status.textContent = '';
+        rerender();
+    });
+
+    form.querySelector('.export-programs').addEventListener('click', () => {
+        downloadBlob(new Blob([JSON.stringify(loadPrograms(), null, 2)], { type: 'application/json' }), 'programs.json');
+    });
+
+    // Imported programs replace saved ones with the same ID and are added otherwise
+    form.querySelector('.import-programs').addEventListener('click', () => form.elements.importFile.click());
+    form.elements.importFile.addEventListener('change', async () => {
+        const file = form.elements.importFile.files[0];
+        form.elements.importFile.value = '';
+        if (!file) return;
+        try {
+            const imported = JSON.parse(await file.text());
+            if (!Array.isArray(imported)) {
+                throw new Error(t('programs.notAList'));
+            }
+            const valid = imported.map(normaliseProgram).filter(Boolean);
+            const programs = loadPrograms().filter(program => !valid.some(item => item.id === program.id));
+            savePrograms(programs.concat(valid));
+            fillProgramForm(form, '');
+            status.textContent = t('programs.imported', { count: valid.length, skipped: imported.length - valid.length });
+            rerender();
+        } catch (error) {
+            console.error('Error importing programs:', error);
+            status.textContent = t('programs.importError', { message: error.message });
+        }
+    });
+}
@@ -0,0 +1,315 @@
+import { domain } from './constants.js';
+import { beginModalRequests, fetchAllPages, fetchJson } from './api.js';
+import { reportData, reportStudent } from './state.js';
+import { announce } from './modal.js';
+import { formatDate, formatScore, t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { attachCourseActivity, fetchUserCourses, getAverageCompletedScore, isCourseInactive, summariseCourses } from './courses.js';
+import { getVisibleReportColumns, renderReportColumnHeaders } from './columns.js';
+import { loadReportSettings, loadShowGrades, updateTermOptions } from './settings.js';
+import { renderReportDashboard } from './dashboard.js';
+import { handleModuleToggleClick } from './module-drilldown.js';
+import { loadSnapshotComparison } from './snapshots.js';
+import { attachOutstandingWork, renderOutstandingWork } from './outstanding-work.js';
+import { renderProgramProgress } from './programs.js';
+
+/**
+ * Builds the stylesheet for a report table shown inside a modal.
+ * @param {string} modalId The ID of the modal the styles are scoped to.
+ * @returns {string} A `<style>` element as an HTML string.
+ */
+export function getReportTableStyles(modalId) {
+    return `
+        <style>
+            #${modalId} .enrollment-summary { margin-bottom: 15px; }
+            #${modalId} table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 10px;
+                font-size: 12px; /* Smaller font for better data fit */
+            }
+            #${modalId} th, #${modalId} td {
+                border: 1px solid #ccc; /* Lighter border */
+                padding: 6px; /* Slightly less padding */
+                text-align: left;
+                vertical-align: top; /* Align content to top */
+                word-break: break-word; /* Break long words/strings */
+            }
+            #${modalId} th {
+                background-color: #f0f0f0; /* Lighter header background */
+                font-weight: bold;
+            }
+            #${modalId} tr:nth-child(even) {
+                background-color: #f9f9f9; /* Zebra striping for rows */
+            }
+            #${modalId} .student-details tr {
+                background-color: transparent; /* Details are a list, not data rows */
+            }
+            #${modalId} th:first-child,
+            #${modalId} td:first-child {
+                width: 25%; /* Set a specific width for the Course Name column */
+            }
+            #${modalId} .module-toggle {
+                background: none;
+                border: none;
+                cursor: pointer;
+                padding: 0 4px 0 0;
+                font-size: 12px;
+            }
+            #${modalId} .module-detail-row > td {
+                width: auto; /* Detail cell spans the whole table */
+                background-color: #fff;
+            }
+            #${modalId} .module-detail h4 {
+                margin: 8px 0 4px;
+                font-size: 12px;
+            }
+            #${modalId} .module-detail ul {
+                margin: 0 0 6px 18px;
+                padding: 0;
+            }
+            #${modalId} .requirement-done { color: #0b7a0b; }
+            #${modalId} .requirement-missing { color: #b00020; }
+            #${modalId} .requirement-locked { color: #666; }
+            #${modalId} tr.inactive-row { background-color: #fff3cd; } /* Flag students who've gone quiet */
+            #${modalId} .outstanding-work h3 { margin: 20px 0 0; font-size: 14px; }
+            #${modalId} tr.snapshot-completed { background-color: #d4edda; }
+            #${modalId} tr.snapshot-changed { background-color: #fff3cd; }
+            #${modalId} tr.snapshot-added { background-color: #d1ecf1; }
+            #${modalId} tr.snapshot-dropped { background-color: #f8d7da; }
+        </style>`;
+}
+
+/**
+ * Student details that can be shown above the report, in display order. `exportColumn` names the
+ * field's column in single-student exports (see EXPORT_COLUMNS); `format` turns a raw value into display text.
+ */
+export const STUDENT_DETAIL_FIELDS = [
+    { key: 'name', exportColumn: 'student' },
+    { key: 'sisUserId', exportColumn: 'sisUserId' },
+    { key: 'loginId', exportColumn: 'loginId' },
+    { key: 'email', exportColumn: 'email' },
+    { key: 'account', exportColumn: 'account' },
+    { key: 'timeZone', exportColumn: 'timeZone' },
+    { key: 'lastLogin', exportColumn: 'lastLogin', format: value => formatDate(value) }
+];
+
+/**
+ * Fetches a student's identifying details: their user record, profile and logins, plus the accounts the
+ * logins belong to. Each needs different permissions, so any that can't be read are left out.
+ * @param {string} userId The Canvas user ID.
+ * @param {object} [options] `signal`, as for fetchAllPages.
+ * @returns {Promise<object>} Values for each STUDENT_DETAIL_FIELDS key, null where unavailable.
+ */
+async function fetchStudentDetails(userId, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    const optional = request => request.catch(error => {
+        if (error.name === 'AbortError') throw error;
+        console.warn(`Some details unavailable for user ${userId}:`, error);
+        return null;
+    });
+
+    const [user, profile, logins] = await Promise.all([
+        optional(fetchJson(`${domain}/api/v1/users/${userId}?include[]=last_login`, headers, options)),
+        optional(fetchJson(`${domain}/api/v1/users/${userId}/profile`, headers, options)),
+        optional(fetchAllPages(`${domain}/api/v1/users/${userId}/logins?per_page=100`, headers, options))
+    ]);
+    const accountIds = Array.from(new Set((logins || []).map(login => login.account_id).filter(Boolean)));
+    const accounts = await Promise.all(accountIds.map(accountId =>
+        optional(fetchJson(`${domain}/api/v1/accounts/${accountId}`, headers, options))));
+
+    const joinValues = values => Array.from(new Set(values.filter(Boolean))).join(', ') || null;
+    return {
+        name: getSafe(() => profile.name, null) || getSafe(() => user.name, null),
+        sisUserId: getSafe(() => user.sis_user_id, null) || joinValues((logins || []).map(login => login.sis_user_id)),
+        loginId: joinValues((logins || []).map(login => login.unique_id)) || getSafe(() => profile.login_id, null),
+        email: getSafe(() => profile.primary_email, null) || getSafe(() => user.email, null),
+        account: joinValues(accounts.map((account, index) => (account ? account.name : String(accountIds[index])))),
+        timeZone: getSafe(() => profile.time_zone, null) || getSafe(() => user.time_zone, null),
+        lastLogin: getSafe(() => user.last_login, null)
+    };
+}
+
+/**
+ * Lists the student details chosen in the report settings, as display text.
+ * @param {object|null} details Output of fetchStudentDetails.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {Array<{label: string, value: string}>} The rows, or none if there are no details.
+ */
+export function getStudentDetailRows(details, settings) {
+    if (!details) return [];
+    return STUDENT_DETAIL_FIELDS.filter(field => settings.detailFields.includes(field.key)).map(field => ({
+        label: t(`details.${field.key}`),
+        value: field.format ? field.format(details[field.key]) : getSafe(() => details[field.key])
+    }));
+}
+
+/**
+ * Builds the student details block shown above the report. Styles are inline so it copies as shown.
+ * @param {object|null} details Output of fetchStudentDetails.
+ * @param {object} settings Report settings, as returned by loadReportSettings.
+ * @returns {string} The block HTML, or an empty string if there is nothing to show.
+ */
+function renderStudentDetails(details, settings) {
+    const rows = getStudentDetailRows(details, settings);
+    if (rows.length === 0) return '';
+    return `
+        <div class="student-details">
+            <table style="width: auto; border-collapse: collapse; margin: 0 0 10px;">
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <th scope="row" style="width: auto; text-align: left; padding: 2px 12px 2px 0; border: none; background: none;">${escapeHtml(row.label)}</th>
+                            <td style="padding: 2px 0; border: none; background: none;">${escapeHtml(row.value)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+export async function fetchAndDisplayEnrollments(userId) {
+    const modalBody = document.querySelector('#student-report-modal .k-modal-body');
+    if (!modalBody) {
+        console.error('Modal body not found.');
+        return;
+    }
+
+    const modal = document.getElementById('student-report-modal');
+    modalBody.innerHTML = `<p class="loading-indicator">${t('report.loadingEnrolments')} <span class="loading-progress"></span></p>`; // Show loading message
+    announce(modal, t('report.loadingEnrolments'));
+    delete reportData['student-report-modal'];
+    renderReportDashboard();
+    const signal = beginModalRequests('student-report-modal');
+
+    if (!userId) {
+        modalBody.innerHTML = `<p>${t('report.userIdMissing')}</p>`;
+        announce(modal, t('report.userIdMissing'));
+        console.error('User ID not found in URL.');
+        return;
+    }
+
+    console.log(`Fetching enrollments for user ID: ${userId}`);
+
+    modalBody.setAttribute('aria-busy', 'true');
+    try {
+        const progressElement = modalBody.querySelector('.loading-progress');
+        const onProgress = message => { progressElement.textContent = message; };
+        const [allEnrollments, details] = await Promise.all([
+            fetchUserCourses(userId, { signal, onProgress }),
+            fetchStudentDetails(userId, { signal })
+        ]);
+        if (details.name) {
+            // Prefer the name from the API to the one on the page
+            reportStudent.name = details.name;
+            modal.querySelector('.k-modal-title').textContent = t('report.title', { name: details.name });
+        }
+        await attachCourseActivity(userId, allEnrollments, { signal, onProgress });
+        await attachOutstandingWork(userId, allEnrollments, { signal, onProgress });
+
+        reportData['student-report-modal'] = {
+            fileName: `student-report-${userId}`,
+            bulk: false,
+            userId,
+            allEnrollments,
+            details,
+            entries: [{ student: { id: userId }, allEnrollments, error: null }]
+        };
+        updateTermOptions(modal, allEnrollments);
+        renderStudentReport();
+        if (modal.querySelector('.k-modal-compare').style.display !== 'none') {
+            loadSnapshotComparison(modal); // Opened before the report finished loading
+        }
+        const summaryElement = modalBody.querySelector('.enrollment-summary');
+        announce(modal, t('a11y.reportLoaded', { summary: summaryElement ? summaryElement.textContent : '' }));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Loading enrollments cancelled.');
+            return; // The modal was closed; it reloads when reopened
+        }
+        console.error('Error fetching enrollments:', error);
+        modalBody.innerHTML = `<p>${escapeHtml(t('report.loadError', { message: error.message }))}</p>`;
+        announce(modal, t('report.loadError', { message: error.message }));
+    } finally {
+        modalBody.removeAttribute('aria-busy');
+    }
+}
+
+/**
+ * Renders the summary and course table for the data loaded by fetchAndDisplayEnrollments.
+ * Called again whenever a display option changes, without refetching.
+ */
+export function renderStudentReport() {
+    const modalBody = document.querySelector('#student-report-modal .k-modal-body');
+    const report = reportData['student-report-modal'];
+    if (!modalBody || !report) return;
+
+    const { userId, allEnrollments, details } = report;
+    const settings = loadReportSettings();
+    const { filteredEnrollments, completedCourses, totalCourses } = summariseCourses(allEnrollments, settings);
+    const showGrades = loadShowGrades();
+
+    const summaryParts = [t('report.summary', { completed: completedCourses, count: totalCourses })];
+    if (showGrades) {
+        const averageScore = getAverageCompletedScore(filteredEnrollments);
+        summaryParts.push(t('report.averageScore', { score: formatScore(averageScore) }));
+    }
+    const inactiveCourses = filteredEnrollments.filter(course => isCourseInactive(course, settings)).length;
+    if (inactiveCourses > 0) {
+        summaryParts.push(t('report.inactiveCourses', {
+            days: t('count.days', { count: settings.inactiveDays }),
+            courses: t('count.courses', { count: inactiveCourses })
+        }));
+    }
+    const summaryHtml = `<p class="enrollment-summary"><strong>${escapeHtml(summaryParts.join(' — '))}</strong></p>`;
+
+    if (allEnrollments) { // True if fetch was successful and allEnrollments is an array (possibly empty)
+        let finalModalContent = renderStudentDetails(details, settings) + summaryHtml + renderProgramProgress(allEnrollments);
+
+        if (filteredEnrollments.length > 0) {
+            const columns = getVisibleReportColumns(settings);
+            let tablePortionHtml = getReportTableStyles('student-report-modal') + `
+                <table>
+                    <thead>
+                        <tr>
+                            ${renderReportColumnHeaders(columns, settings)}
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+            filteredEnrollments.forEach(enrollment => {
+                // The drill-down toggle sits in the first visible column
+                const cells = columns.map((column, index) => {
+                    const toggle = index === 0 ? `<button type="button" class="module-toggle" aria-expanded="false" title="${t('report.showModules')}">&#9656;</button> ` : '';
+                    return `<td>${toggle}${column.render(enrollment)}</td>`;
+                }).join('');
+                tablePortionHtml += `
+                    <tr class="course-row${isCourseInactive(enrollment, settings) ? ' inactive-row' : ''}" data-course-id="${escapeHtml(enrollment.id)}">
+                        ${cells}
+                    </tr>
+                `;
+            });
+            tablePortionHtml += `
+                    </tbody>
+                </table>
+            `;
+            finalModalContent += tablePortionHtml + renderOutstandingWork(allEnrollments);
+            modalBody.innerHTML = finalModalContent;
+
+            const reportTable = modalBody.querySelector(':scope > table');
+            if (reportTable) {
+                reportTable.addEventListener('click', event => handleModuleToggleClick(event, userId));
+            }
+        } else {
+            finalModalContent += (allEnrollments.length > 0) ?
+                `<p>${t('report.noMatchingEnrollments')}</p>` :
+                `<p>${t('report.noEnrollments')}</p>`;
+            modalBody.innerHTML = finalModalContent + (allEnrollments.length > 0 ? renderOutstandingWork(allEnrollments) : '');
+        }
+    } else {
+        modalBody.innerHTML = `<p>${t('report.couldNotRetrieve')}</p>`;
+    }
+    renderReportDashboard();
+}
@@ -0,0 +1,192 @@
+import { domain } from './constants.js';
+import { fetchAllPages, getModalSignal, postJson } from './api.js';
+import { reportData, reportStudent } from './state.js';
+import { announce } from './modal.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './utils.js';
+import { buildTemplatedReportHtml, getSelectedReportTemplate } from './templates.js';
+
+/**
+ * Lays out report HTML as plain text for a Canvas message, which doesn't render HTML:
+ * headings and paragraphs as paragraphs, table rows as "cell | cell" lines and list items as "- item".
+ * @param {string} htmlString The report HTML, as built by buildTemplatedReportHtml.
+ * @returns {string} The message text.
+ */
+function getMessageTextFromHtml(htmlString) {
+    const doc = new DOMParser().parseFromString(htmlString, 'text/html');
+    const toText = element => element.textContent.replace(/\s+/g, ' ').trim();
+    const lines = [];
+    const walk = parent => {
+        Array.from(parent.children).forEach(element => {
+            if (element.tagName === 'TR') {
+                lines.push(Array.from(element.cells).map(toText).join(' | '));
+            } else if (element.tagName === 'LI') {
+                lines.push(`- ${toText(element)}`);
+            } else if (/^(H\d|P)$/.test(element.tagName)) {
+                lines.push(toText(element), '');
+            } else if (element.tagName !== 'STYLE') {
+                walk(element);
+                if (/^(TABLE|UL|OL)$/.test(element.tagName)) lines.push('');
+            }
+        });
+    };
+    walk(doc.body);
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Builds the panel for sending the report to the student as a Canvas message, hidden until opened.
+ * @returns {string} The panel HTML.
+ */
+export function buildSendReportHtml() {
+    return `
+        <form class="send-report-form" style="display: none; margin: 10px 0; padding: 10px; border: 1px solid #ccc; border-radius: 4px;">
+            <h3 style="margin-top: 0; font-size: 14px;">${t('send.title')}</h3>
+            <label style="display: block; margin-bottom: 6px;">${t('send.subject')}
+                <input type="text" name="subject" required style="width: 100%; box-sizing: border-box;">
+            </label>
+            <label style="display: block; margin-bottom: 6px;">${t('send.intro')}
+                <textarea name="intro" rows="3" style="width: 100%; box-sizing: border-box;"></textarea>
+            </label>
+            <fieldset style="margin-bottom: 6px;">
+                <legend>${t('send.cc')}</legend>
+                <div class="send-report-observers"></div>
+                <label style="display: block; margin-top: 6px;">${t('send.otherRecipients')}
+                    <input type="text" name="otherRecipients" style="width: 100%; box-sizing: border-box;">
+                </label>
+            </fieldset>
+            <p style="margin: 6px 0 2px; font-weight: bold;">${t('send.preview')}</p>
+            <pre class="send-report-preview" style="white-space: pre-wrap; max-height: 200px; overflow-y: auto; margin: 0 0 8px; padding: 6px; background-color: #f9f9f9; border: 1px solid #ccc; font-family: inherit;"></pre>
+            <p class="send-report-status" style="margin: 0 0 8px;"></p>
+            <button type="submit" class="btn btn-primary">${t('send.send')}</button>
+            <button type="button" class="btn send-report-cancel" style="margin-left: 8px;">${t('send.cancel')}</button>
+        </form>
+    `;
+}
+
+/**
+ * Shows the current message text in the send panel's preview: the introduction, then the report.
+ * @param {HTMLFormElement} form The send panel form.
+ * @returns {string} The message text.
+ */
+export function updateSendReportPreview(form) {
+    const intro = form.elements.intro.value.trim();
+    const text = [intro, form.dataset.reportText].filter(Boolean).join('\n\n');
+    form.querySelector('.send-report-preview').textContent = text;
+    return text;
+}
+
+/**
+ * Opens the send panel for the student currently in the report: fills in a default subject and
+ * introduction (keeping any edits made for the same student), lists their observers to copy in,
+ * and previews the report laid out by the chosen copy template.
+ * @param {HTMLElement} modal The student report modal.
+ */
+export async function openSendReportPanel(modal) {
+    const form = modal.querySelector('.send-report-form');
+    const report = reportData['student-report-modal'];
+    const status = form.querySelector('.send-report-status');
+    form.style.display = '';
+    status.textContent = '';
+
+    if (!report || !report.allEnrollments) {
+        status.textContent = t('send.notLoaded');
+        form.querySelector('button[type="submit"]').disabled = true;
+        return;
+    }
+    form.querySelector('button[type="submit"]').disabled = false;
+
+    // `userId` is the student the draft is for; `observersUserId` whose observers are listed, kept apart
+    // so a failed observer lookup is retried without losing the draft
+    if (form.dataset.userId !== report.userId) {
+        form.dataset.userId = report.userId;
+        form.elements.subject.value = t('send.defaultSubject', { name: reportStudent.name });
+        form.elements.intro.value = t('send.defaultIntro', { name: reportStudent.name });
+        form.elements.otherRecipients.value = '';
+    }
+
+    if (form.dataset.observersUserId !== report.userId) {
+        form.dataset.observersUserId = report.userId;
+        const observersElement = form.querySelector('.send-report-observers');
+        observersElement.textContent = t('send.loadingObservers');
+        try {
+            const observers = await fetchAllPages(`${domain}/api/v1/users/${report.userId}/observers?per_page=100`, { 'Content-Type': 'application/json' }, { signal: getModalSignal('student-report-modal') });
+            observersElement.innerHTML = observers.length === 0 ? escapeHtml(t('send.noObservers')) : observers.map(observer => `
+                <label style="display: block;">
+                    <input type="checkbox" name="observer" value="${escapeHtml(observer.id)}"> ${escapeHtml(observer.name)}
+                </label>
+            `).join('');
+        } catch (error) {
+            // Load the observers again the next time the panel opens
+            delete form.dataset.observersUserId;
+            if (error.name === 'AbortError') return;
+            console.error('Error loading observers:', error);
+            observersElement.textContent = t('send.observersError', { message: error.message });
+        }
+    }
+
+    form.dataset.reportText = getMessageTextFromHtml(buildTemplatedReportHtml(modal, getSelectedReportTemplate()));
+    updateSendReportPreview(form);
+    form.elements.subject.focus();
+}
+
+/**
+ * Handles submission of the send panel: checks the recipients, confirms, then sends the report
+ * to the student, and anyone copied in, as one Canvas conversation.
+ * @param {Event} event The submit event.
+ */
+export async function handleSendReportSubmit(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const modal = form.closest('.k-modal');
+    const status = form.querySelector('.send-report-status');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const showStatus = message => {
+        status.textContent = message;
+        announce(modal, message);
+    };
+
+    // The student comes from the loaded report, and must be the one the panel was opened for
+    const report = reportData['student-report-modal'];
+    const studentId = report && report.allEnrollments ? report.userId : null;
+    if (!studentId || studentId !== form.dataset.userId) {
+        showStatus(t('send.notLoaded'));
+        return;
+    }
+
+    const subject = form.elements.subject.value.trim();
+    if (!subject) {
+        showStatus(t('send.subjectRequired'));
+        form.elements.subject.focus();
+        return;
+    }
+    const otherRecipients = form.elements.otherRecipients.value.split(/[\s,]+/).filter(Boolean);
+    const invalidRecipients = otherRecipients.filter(id => !/^\d+$/.test(id));
+    if (invalidRecipients.length > 0) {
+        showStatus(t('send.invalidRecipients', { ids: invalidRecipients.join(', ') }));
+        form.elements.otherRecipients.focus();
+        return;
+    }
+    const observers = Array.from(form.querySelectorAll('input[name="observer"]:checked')).map(input => input.value);
+    const recipients = Array.from(new Set([studentId, ...observers, ...otherRecipients]));
+    const copied = recipients.length - 1;
+    if (!confirm(t(copied > 0 ? 'send.confirmCopied' : 'send.confirm', { name: reportStudent.name, count: copied }))) return;
+
+    submitButton.disabled = true;
+    showStatus(t('send.sending'));
+    try {
+        await postJson(`${domain}/api/v1/conversations`, {
+            recipients,
+            subject,
+            body: updateSendReportPreview(form),
+            group_conversation: true // One conversation with everyone copied in, rather than one each
+        });
+        console.log(`Sent the report to ${recipients.length} recipient(s): ${recipients.join(', ')}`);
+        showStatus(t('send.sent'));
+    } catch (error) {
+        console.error('Error sending the report:', error);
+        showStatus(t('send.failed', { message: error.message }));
+    } finally {
+        submitButton.disabled = false;
+    }
+}
@@ -0,0 +1,256 @@
+/* global ENV */
+import { REPORT_SETTINGS_STORAGE_KEY, SHOW_GRADES_STORAGE_KEY } from './constants.js';
+import { reportData } from './state.js';
+import { DATE_FORMATS, getIntlFormatter, getLocaleSettings, t } from './i18n.js';
+import { escapeHtml } from './utils.js';
+import { getColumnHeader, REPORT_COLUMNS } from './columns.js';
+import { STUDENT_DETAIL_FIELDS } from './report.js';
+
+/**
+ * Loads the report settings from localStorage, filling in defaults for anything missing.
+ * @returns {object} The settings.
+ */
+export function loadReportSettings() {
+    const defaults = {
+        includeDeleted: true,
+        includeConcluded: true,
+        includeWithoutRequirements: false,
+        termId: '',
+        dateFrom: '',
+        dateTo: '',
+        sortColumn: 'completed',
+        sortDirection: 'asc',
+        displayColumns: ['name', 'code', 'progress', 'completed', 'currentScore', 'finalScore', 'lastActivity', 'activityTime', 'pageViews', 'outstandingWork', 'enrollmentState'],
+        copyColumns: ['name', 'code', 'progress', 'completed', 'currentScore', 'finalScore', 'outstandingWork'],
+        inactiveDays: 14,
+        includePageViews: true,
+        locale: '', // Blank follows Canvas
+        timeZone: '',
+        dateFormat: 'locale',
+        detailFields: ['name', 'sisUserId', 'loginId'] // The IDs that tell students apart; other personal details are opt-in
+    };
+    try {
+        const stored = JSON.parse(localStorage.getItem(REPORT_SETTINGS_STORAGE_KEY));
+        return Object.assign(defaults, stored);
+    } catch (e) {
+        console.warn('Could not read report settings from localStorage.', e);
+        return defaults;
+    }
+}
+
+/**
+ * Saves the report settings to localStorage.
+ * @param {object} settings The settings, as returned by loadReportSettings.
+ */
+function saveReportSettings(settings) {
+    localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Builds the collapsible report settings panel placed above a report modal's body.
+ * @returns {string} The panel HTML.
+ */
+export function buildReportSettingsHtml() {
+    const settings = loadReportSettings();
+    const checked = value => (value ? 'checked' : '');
+    const checkbox = (name, label) => `
+        <label style="display: block;"><input type="checkbox" name="${name}" ${checked(settings[name])}> ${label}</label>
+    `;
+
+    const sortOptions = REPORT_COLUMNS.map(column =>
+        `<option value="${column.key}" ${column.key === settings.sortColumn ? 'selected' : ''}>${getColumnHeader(column)}</option>`).join('');
+    const columnRows = REPORT_COLUMNS.map(column => `
+        <tr>
+            <td>${getColumnHeader(column)}${column.grades ? ` <em>${t('settings.whenGradesShown')}</em>` : ''}</td>
+            <td><input type="checkbox" name="display-${column.key}" aria-label="${t('settings.showColumn', { column: getColumnHeader(column) })}" ${checked(settings.displayColumns.includes(column.key))}></td>
+            <td><input type="checkbox" name="copy-${column.key}" aria-label="${t('settings.copyColumn', { column: getColumnHeader(column) })}" ${checked(settings.copyColumns.includes(column.key))}></td>
+        </tr>
+    `).join('');
+    const canvasEnv = typeof ENV === 'object' && ENV !== null ? ENV : {};
+    const localeExample = getIntlFormatter(Intl.DateTimeFormat, getLocaleSettings().locale, { year: 'numeric', month: 'numeric', day: 'numeric' })
+        .format(new Date(2024, 8, 27));
+    const dateFormatOptions = [`<option value="locale">${t('settings.dateFormatLocale', { example: localeExample })}</option>`]
+        .concat(DATE_FORMATS.map(format => `<option value="${format}" ${format === settings.dateFormat ? 'selected' : ''}>${format}</option>`))
+        .join('');
+
+    return `
+        <details class="report-settings" style="margin-bottom: 10px;">
+            <summary>${t('settings.title')}</summary>
+            <form class="report-settings-form" style="margin-top: 8px; font-size: 12px;">
+                <fieldset>
+                    <legend>${t('settings.courses')}</legend>
+                    ${checkbox('includeDeleted', t('settings.includeDeleted'))}
+                    ${checkbox('includeConcluded', t('settings.includeConcluded'))}
+                    ${checkbox('includeWithoutRequirements', t('settings.includeWithoutRequirements'))}
+                    <label style="display: block;">${t('settings.term')}
+                        <select name="termId" data-selected="${escapeHtml(settings.termId)}">
+                            <option value="">${t('settings.allTerms')}</option>
+                        </select>
+                    </label>
+                    <label>${t('settings.runningBetween')} <input type="date" name="dateFrom" value="${escapeHtml(settings.dateFrom)}"></label>
+                    <label>${t('settings.runningAnd')} <input type="date" name="dateTo" value="${escapeHtml(settings.dateTo)}"></label>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.activity')}</legend>
+                    <label style="display: block;">${t('settings.inactiveDaysBefore')}
+                        <input type="number" name="inactiveDays" min="0" value="${escapeHtml(settings.inactiveDays)}" style="width: 5em;"> ${t('settings.inactiveDaysAfter')}
+                    </label>
+                    ${checkbox('includePageViews', t('settings.includePageViews'))}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.sorting')}</legend>
+                    <label>${t('settings.sortBy')} <select name="sortColumn">${sortOptions}</select></label>
+                    <select name="sortDirection" aria-label="${t('settings.sortDirection')}">
+                        <option value="asc" ${settings.sortDirection === 'asc' ? 'selected' : ''}>${t('settings.ascending')}</option>
+                        <option value="desc" ${settings.sortDirection === 'desc' ? 'selected' : ''}>${t('settings.descending')}</option>
+                    </select>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.columns')}</legend>
+                    <table style="width: auto; margin-top: 0;">
+                        <thead><tr><th>${t('settings.column')}</th><th>${t('settings.show')}</th><th>${t('settings.copy')}</th></tr></thead>
+                        <tbody>${columnRows}</tbody>
+                    </table>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.studentDetails')}</legend>
+                    <p style="margin: 0 0 4px; color: #555;">${t('settings.studentDetailsHelp')}</p>
+                    ${STUDENT_DETAIL_FIELDS.map(field => `
+                        <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="detail-${field.key}" ${checked(settings.detailFields.includes(field.key))}> ${t(`details.${field.key}`)}</label>
+                    `).join('')}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('settings.languageAndDates')}</legend>
+                    <label style="display: block;">${t('settings.locale')}
+                        <input type="text" name="locale" value="${escapeHtml(settings.locale)}" placeholder="${escapeHtml(t('settings.localeHelp', { locale: canvasEnv.LOCALE || navigator.language }))}" style="width: 100%; box-sizing: border-box;">
+                    </label>
+                    <label style="display: block;">${t('settings.timeZone')}
+                        <input type="text" name="timeZone" value="${escapeHtml(settings.timeZone)}" placeholder="${escapeHtml(t('settings.timeZoneHelp', { timeZone: canvasEnv.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone }))}" style="width: 100%; box-sizing: border-box;">
+                    </label>
+                    <label style="display: block;">${t('settings.dateFormat')}
+                        <select name="dateFormat">${dateFormatOptions}</select>
+                    </label>
+                    <p style="margin: 4px 0 0; color: #555;">${t('settings.localeNote')}</p>
+                </fieldset>
+                <button type="submit" class="btn">${t('settings.apply')}</button>
+                <button type="button" class="btn reset-report-settings" style="margin-left: 8px;">${t('settings.reset')}</button>
+            </form>
+        </details>
+    `;
+}
+
+/**
+ * Reads the report settings panel's current values.
+ * @param {HTMLFormElement} form The settings form.
+ * @returns {object} The settings.
+ */
+function readReportSettingsForm(form) {
+    const fields = form.elements;
+    return {
+        includeDeleted: fields.includeDeleted.checked,
+        includeConcluded: fields.includeConcluded.checked,
+        includeWithoutRequirements: fields.includeWithoutRequirements.checked,
+        termId: fields.termId.value,
+        dateFrom: fields.dateFrom.value,
+        dateTo: fields.dateTo.value,
+        sortColumn: fields.sortColumn.value,
+        sortDirection: fields.sortDirection.value,
+        inactiveDays: Math.max(0, parseInt(fields.inactiveDays.value, 10) || 0),
+        includePageViews: fields.includePageViews.checked,
+        locale: fields.locale.value.trim(),
+        timeZone: fields.timeZone.value.trim(),
+        dateFormat: fields.dateFormat.value,
+        displayColumns: REPORT_COLUMNS.filter(column => fields[`display-${column.key}`].checked).map(column => column.key),
+        copyColumns: REPORT_COLUMNS.filter(column => fields[`copy-${column.key}`].checked).map(column => column.key),
+        detailFields: STUDENT_DETAIL_FIELDS.filter(field => fields[`detail-${field.key}`].checked).map(field => field.key)
+    };
+}
+
+/**
+ * Fills the settings panel's term list from loaded courses, keeping the saved selection.
+ * @param {HTMLElement} modal The report modal.
+ * @param {Array} courses Every course in the loaded report.
+ */
+export function updateTermOptions(modal, courses) {
+    const termSelect = modal.querySelector('.report-settings-form select[name="termId"]');
+    if (!termSelect) return;
+
+    const terms = new Map();
+    courses.forEach(course => {
+        if (course.term && !terms.has(String(course.term.id))) {
+            terms.set(String(course.term.id), course.term);
+        }
+    });
+
+    const selected = termSelect.dataset.selected;
+    termSelect.innerHTML = `<option value="">${t('settings.allTerms')}</option>` + Array.from(terms.values())
+        .sort((a, b) => new Date(b.start_at || 0) - new Date(a.start_at || 0)) // Most recent first
+        .map(term => `<option value="${escapeHtml(term.id)}" ${String(term.id) === selected ? 'selected' : ''}>${escapeHtml(term.name)}</option>`)
+        .join('');
+}
+
+/**
+ * Wires up a modal's report settings panel to persist changes and re-render the report.
+ * @param {HTMLElement} modal The report modal.
+ * @param {Function} rerender Re-renders the report from already-loaded data.
+ */
+export function bindReportSettings(modal, rerender) {
+    const form = modal.querySelector('.report-settings-form');
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const settings = readReportSettingsForm(form);
+        saveReportSettings(settings);
+        form.elements.termId.dataset.selected = settings.termId;
+        rerender();
+    });
+
+    form.querySelector('.reset-report-settings').addEventListener('click', () => {
+        localStorage.removeItem(REPORT_SETTINGS_STORAGE_KEY);
+        const panel = form.closest('.report-settings');
+        panel.insertAdjacentHTML('afterend', buildReportSettingsHtml());
+        const newPanel = panel.nextElementSibling;
+        newPanel.open = true;
+        panel.remove();
+        bindReportSettings(modal, rerender);
+        const report = reportData[modal.id];
+        if (report) {
+            updateTermOptions(modal, report.entries.reduce((courses, entry) => courses.concat(entry.allEnrollments || []), []));
+        }
+        rerender();
+    });
+}
+
+/**
+ * Reads whether grade columns are shown, from localStorage. Defaults to shown.
+ * @returns {boolean}
+ */
+export function loadShowGrades() {
+    return localStorage.getItem(SHOW_GRADES_STORAGE_KEY) !== 'false';
+}
+
+/**
+ * Builds the "Show grades" checkbox placed above a report modal's body.
+ * @param {string} checkboxId The ID to give the checkbox.
+ * @returns {string} The checkbox HTML.
+ */
+export function buildShowGradesToggleHtml(checkboxId) {
+    return `
+        <label class="report-option" style="display: inline-block; margin-bottom: 10px;">
+            <input type="checkbox" id="${checkboxId}" ${loadShowGrades() ? 'checked' : ''}>
+            ${t('report.showGrades')}
+        </label>
+    `;
+}
+
+/**
+ * Wires up a "Show grades" checkbox to persist its state and re-render the report.
+ * @param {string} checkboxId The ID of the checkbox.
+ * @param {Function} rerender Re-renders the report from already-loaded data.
+ */
+export function bindShowGradesToggle(checkboxId, rerender) {
+    document.getElementById(checkboxId).addEventListener('change', event => {
+        localStorage.setItem(SHOW_GRADES_STORAGE_KEY, String(event.currentTarget.checked));
+        rerender();
+    });
+}
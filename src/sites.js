@@ -0,0 +1,78 @@
+/* global ENV */
+import { CANVAS_ORIGINS_STORAGE_KEY, domain } from './constants.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './utils.js';
+import { startInjecting } from './inject.js';
+
+/**
+ * Loads the Canvas sites registered to run the script, besides instructure.com. localStorage is kept
+ * per site, so this only ever holds the current site, once it has been enabled from offerToEnableOrigin.
+ * @returns {Array<string>} Origins.
+ */
+function loadCanvasOrigins() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CANVAS_ORIGINS_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.warn('Could not read Canvas sites from localStorage.', e);
+        return [];
+    }
+}
+
+/**
+ * Saves the Canvas sites registered to run the script.
+ * @param {Array<string>} origins Origins; duplicates are removed.
+ */
+function saveCanvasOrigins(origins) {
+    localStorage.setItem(CANVAS_ORIGINS_STORAGE_KEY, JSON.stringify(Array.from(new Set(origins))));
+}
+
+/**
+ * Checks whether the current page belongs to Canvas, from the `ENV` global every Canvas page defines.
+ * @returns {boolean}
+ */
+export function isCanvasPage() {
+    return typeof ENV === 'object' && ENV !== null &&
+        ('current_user_id' in ENV || 'DOMAIN_ROOT_ACCOUNT_ID' in ENV);
+}
+
+/**
+ * Checks whether the script is enabled for this site: any instructure.com host, or a registered origin.
+ * @returns {boolean}
+ */
+export function isEnabledOrigin() {
+    return /\.instructure\.com$/i.test(window.location.hostname) || loadCanvasOrigins().includes(domain);
+}
+
+/**
+ * Offers to enable the script on a Canvas site that hasn't been registered yet.
+ * "Not now" hides the offer for the rest of the browser session.
+ */
+export function offerToEnableOrigin() {
+    const dismissKey = `${CANVAS_ORIGINS_STORAGE_KEY}.dismissed`;
+    if (sessionStorage.getItem(dismissKey) || document.getElementById('student-report-enable-site')) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="student-report-enable-site" style="
+            position: fixed; bottom: 20px; right: 20px; z-index: 10000;
+            background-color: #fff; border: 1px solid #ccc; border-radius: 4px;
+            box-shadow: 0 5px 15px rgba(0,0,0,.3); padding: 12px 16px; max-width: 320px;
+        ">
+            <p style="margin: 0 0 8px;">${escapeHtml(t('sites.prompt', { site: domain }))}</p>
+            <button type="button" class="btn btn-primary enable-site">${t('sites.enable')}</button>
+            <button type="button" class="btn dismiss-site" style="margin-left: 8px;">${t('sites.dismiss')}</button>
+        </div>
+    `);
+
+    const prompt = document.getElementById('student-report-enable-site');
+    prompt.querySelector('.enable-site').addEventListener('click', () => {
+        saveCanvasOrigins(loadCanvasOrigins().concat(domain));
+        prompt.remove();
+        document.documentElement.setAttribute('data-student-report', '');
+        startInjecting();
+    });
+    prompt.querySelector('.dismiss-site').addEventListener('click', () => {
+        sessionStorage.setItem(dismissKey, 'true');
+        prompt.remove();
+    });
+}
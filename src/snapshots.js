@@ -0,0 +1,322 @@
+import { SNAPSHOT_DB_NAME, SNAPSHOT_STORE_NAME } from './constants.js';
+import { reportData } from './state.js';
+import { announce } from './modal.js';
+import { formatDate, getIntlFormatter, getLocaleSettings, t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { isCourseCompleted } from './courses.js';
+import { getReportTableStyles } from './report.js';
+
+/**
+ * Opens the snapshot database, creating its object store the first time.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSnapshotDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error(t('snapshots.unavailable')));
+            return;
+        }
+        const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: ['userId', 'savedAt'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a request against the snapshot store in its own transaction, closing the database afterwards.
+ * @param {string} mode Either 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest Given the object store, returns the IDBRequest to run.
+ * @returns {Promise<*>} The request's result, once the transaction has completed.
+ */
+async function withSnapshotStore(mode, makeRequest) {
+    const db = await openSnapshotDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SNAPSHOT_STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(SNAPSHOT_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Reduces a course to what a snapshot keeps of it for later comparison.
+ * @param {object} course A course from fetchUserCourses.
+ * @returns {object} The course's ID, name, progress, completion and enrollment state.
+ */
+function snapshotCourse(course) {
+    return {
+        id: String(course.id),
+        name: course.name || '',
+        requirementCount: getSafe(() => course.course_progress.requirement_count, null),
+        requirementCompletedCount: getSafe(() => course.course_progress.requirement_completed_count, null),
+        completed: isCourseCompleted(course),
+        enrollmentState: getSafe(() => course.enrollments[0].enrollment_state, null)
+    };
+}
+
+/**
+ * Saves a snapshot of a student's courses, as loaded for the report.
+ * @param {string} userId The Canvas user ID.
+ * @param {Array} courses The user's courses, as returned by fetchUserCourses.
+ * @returns {Promise<object>} The saved snapshot.
+ */
+async function saveReportSnapshot(userId, courses) {
+    const snapshot = {
+        userId: String(userId),
+        savedAt: new Date().toISOString(),
+        courses: courses.map(snapshotCourse)
+    };
+    await withSnapshotStore('readwrite', store => store.put(snapshot));
+    return snapshot;
+}
+
+/**
+ * Loads the snapshots saved for a student.
+ * @param {string} userId The Canvas user ID.
+ * @returns {Promise<Array>} The snapshots, newest first.
+ */
+async function loadReportSnapshots(userId) {
+    const range = IDBKeyRange.bound([String(userId), ''], [String(userId), '\uffff']);
+    const snapshots = await withSnapshotStore('readonly', store => store.getAll(range));
+    return snapshots.reverse();
+}
+
+/**
+ * Deletes a saved snapshot.
+ * @param {string} userId The Canvas user ID.
+ * @param {string} savedAt The snapshot's `savedAt` timestamp.
+ * @returns {Promise<void>}
+ */
+async function deleteReportSnapshot(userId, savedAt) {
+    await withSnapshotStore('readwrite', store => store.delete([String(userId), savedAt]));
+}
+
+/**
+ * Works out what changed between an earlier snapshot of a student's courses and the current ones.
+ * @param {Array} previousCourses Courses from the earlier snapshot (see snapshotCourse).
+ * @param {Array} currentCourses The current courses, in the same form.
+ * @returns {Array} One entry per course that changed, in current course order with dropped courses last:
+ *   {status: 'added'|'dropped'|'changed', before, after, newlyCompleted, progressChanged, stateChanged}.
+ */
+export function compareReportSnapshots(previousCourses, currentCourses) {
+    const previousById = new Map(previousCourses.map(course => [course.id, course]));
+    const changes = [];
+
+    currentCourses.forEach(after => {
+        const before = previousById.get(after.id);
+        previousById.delete(after.id);
+        if (!before) {
+            changes.push({ status: 'added', before: null, after, newlyCompleted: after.completed, progressChanged: false, stateChanged: false });
+            return;
+        }
+        const change = {
+            status: 'changed',
+            before,
+            after,
+            newlyCompleted: !before.completed && after.completed,
+            progressChanged: before.requirementCompletedCount !== after.requirementCompletedCount ||
+                before.requirementCount !== after.requirementCount,
+            stateChanged: before.enrollmentState !== after.enrollmentState
+        };
+        if (change.newlyCompleted || change.progressChanged || change.stateChanged) {
+            changes.push(change);
+        }
+    });
+    previousById.forEach(before => {
+        changes.push({ status: 'dropped', before, after: null, newlyCompleted: false, progressChanged: false, stateChanged: false });
+    });
+    return changes;
+}
+
+/**
+ * Builds the HTML for a snapshot comparison.
+ * @param {Array} changes Output of compareReportSnapshots.
+ * @param {object} snapshot The snapshot compared against.
+ * @returns {{html: string, summary: string}} The comparison table with its summary line, and the summary as text.
+ */
+function renderSnapshotComparison(changes, snapshot) {
+    const date = formatDate(snapshot.savedAt);
+    if (changes.length === 0) {
+        const summary = t('snapshots.noChanges', { date });
+        return { html: `<p>${escapeHtml(summary)}</p>`, summary };
+    }
+
+    const formatProgress = course => `${getSafe(() => course.requirementCompletedCount)} / ${getSafe(() => course.requirementCount)}`;
+    const formatState = course => getSafe(() => course.enrollmentState);
+    const fromTo = (change, format, changed) => {
+        if (change.status === 'changed' && changed) {
+            return t('snapshots.fromTo', { from: format(change.before), to: format(change.after) });
+        }
+        return format(change.after || change.before);
+    };
+
+    // Only mention the kinds of change that happened
+    const counts = [
+        ['snapshots.countCompleted', change => change.newlyCompleted],
+        ['snapshots.countProgress', change => change.status === 'changed' && change.progressChanged && !change.newlyCompleted],
+        ['snapshots.countAdded', change => change.status === 'added'],
+        ['snapshots.countDropped', change => change.status === 'dropped'],
+        ['snapshots.countState', change => change.stateChanged]
+    ].map(([key, test]) => ({ key, count: changes.filter(test).length })).filter(({ count }) => count > 0);
+    const summary = t('snapshots.changeSummary', {
+        date,
+        changes: counts.map(({ key, count }) => t(key, { count })).join(', ')
+    });
+
+    const rows = changes.map(change => {
+        const labels = [];
+        if (change.status === 'added') labels.push(t('snapshots.added'));
+        if (change.status === 'dropped') labels.push(t('snapshots.dropped'));
+        if (change.newlyCompleted) labels.push(t('snapshots.completed'));
+        if (change.status === 'changed' && change.progressChanged && !change.newlyCompleted) labels.push(t('snapshots.progressChanged'));
+        if (change.stateChanged) labels.push(t('snapshots.stateChanged'));
+        // Highlight the most notable change
+        const rowClass = change.newlyCompleted ? 'snapshot-completed' :
+            change.status === 'changed' ? 'snapshot-changed' : `snapshot-${change.status}`;
+        return `
+            <tr class="${rowClass}">
+                <td>${escapeHtml((change.after || change.before).name)}</td>
+                <td>${escapeHtml(labels.join(', '))}</td>
+                <td>${escapeHtml(fromTo(change, formatProgress, change.progressChanged))}</td>
+                <td>${escapeHtml(fromTo(change, formatState, change.stateChanged))}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return {
+        html: `
+            <p class="snapshot-summary"><strong>${escapeHtml(summary)}</strong></p>
+            <table class="snapshot-comparison">
+                <thead>
+                    <tr>
+                        <th>${t('snapshots.course')}</th>
+                        <th>${t('snapshots.change')}</th>
+                        <th>${t('snapshots.progress')}</th>
+                        <th>${t('snapshots.state')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `,
+        summary
+    };
+}
+
+/**
+ * Fills the student report modal's Compare tab: a picker of the student's saved snapshots
+ * and what has changed between the chosen one and the report currently loaded.
+ * @param {HTMLElement} modal The student report modal.
+ */
+export async function loadSnapshotComparison(modal) {
+    const comparePanel = modal.querySelector('.k-modal-compare');
+    const report = reportData['student-report-modal'];
+    if (!comparePanel) return;
+    if (!report || !report.allEnrollments) {
+        comparePanel.innerHTML = `<p>${t('snapshots.waitForReport')}</p>`;
+        return;
+    }
+
+    const previousSelect = comparePanel.querySelector('.snapshot-select');
+    const previousSelection = previousSelect ? previousSelect.value : null;
+    let snapshots;
+    try {
+        snapshots = await loadReportSnapshots(report.userId);
+    } catch (error) {
+        console.error('Error loading snapshots:', error);
+        comparePanel.innerHTML = `<p>${escapeHtml(t('snapshots.loadError', { message: error.message }))}</p>`;
+        return;
+    }
+    if (snapshots.length === 0) {
+        comparePanel.innerHTML = `<p>${t('snapshots.none')}</p>`;
+        return;
+    }
+
+    const { locale, timeZone } = getLocaleSettings();
+    const timeFormatter = getIntlFormatter(Intl.DateTimeFormat, locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+    const options = snapshots.map(snapshot => {
+        const label = t('snapshots.option', {
+            date: formatDate(snapshot.savedAt),
+            time: timeFormatter.format(new Date(snapshot.savedAt)),
+            courses: t('count.courses', { count: snapshot.courses.length })
+        });
+        const selected = snapshot.savedAt === previousSelection ? ' selected' : '';
+        return `<option value="${escapeHtml(snapshot.savedAt)}"${selected}>${escapeHtml(label)}</option>`;
+    }).join('');
+
+    comparePanel.innerHTML = getReportTableStyles('student-report-modal') + `
+        <div class="snapshot-controls" style="margin-bottom: 10px;">
+            <label for="snapshot-select">${t('snapshots.compareWith')}</label>
+            <select class="snapshot-select" id="snapshot-select" style="width: auto; margin: 0 8px;">${options}</select>
+            <button type="button" class="btn snapshot-delete">${t('snapshots.delete')}</button>
+        </div>
+        <div class="snapshot-comparison-results"></div>
+    `;
+
+    const select = comparePanel.querySelector('.snapshot-select');
+    const showComparison = () => {
+        const snapshot = snapshots.find(item => item.savedAt === select.value);
+        const { html, summary } = renderSnapshotComparison(
+            compareReportSnapshots(snapshot.courses, report.allEnrollments.map(snapshotCourse)),
+            snapshot
+        );
+        comparePanel.querySelector('.snapshot-comparison-results').innerHTML = html;
+        announce(modal, t('a11y.comparisonLoaded', { summary }));
+    };
+    select.addEventListener('change', showComparison);
+    comparePanel.querySelector('.snapshot-delete').addEventListener('click', async () => {
+        if (!confirm(t('snapshots.confirmDelete'))) return;
+        try {
+            await deleteReportSnapshot(report.userId, select.value);
+        } catch (error) {
+            console.error('Error deleting snapshot:', error);
+        }
+        loadSnapshotComparison(modal);
+    });
+    showComparison();
+}
+
+/**
+ * Saves a snapshot of the report currently loaded in the student report modal.
+ * @param {Event} event The click event from the Save Snapshot button.
+ */
+export async function handleSaveSnapshotClick(event) {
+    const buttonElement = event.currentTarget;
+    const modal = buttonElement.closest('.k-modal');
+    const report = reportData['student-report-modal'];
+    const originalText = buttonElement.innerText;
+    let message;
+
+    buttonElement.disabled = true;
+    if (!report || !report.allEnrollments) {
+        message = t('snapshots.waitForReport');
+        buttonElement.innerText = message;
+    } else {
+        try {
+            await saveReportSnapshot(report.userId, report.allEnrollments);
+            console.log(`Saved a snapshot of ${report.allEnrollments.length} courses for user ID: ${report.userId}`);
+            buttonElement.innerText = t('snapshots.saved');
+            message = t('snapshots.savedAnnouncement');
+            const comparePanel = modal.querySelector('.k-modal-compare');
+            if (comparePanel.style.display !== 'none') {
+                loadSnapshotComparison(modal);
+            }
+        } catch (error) {
+            console.error('Error saving snapshot:', error);
+            buttonElement.innerText = t('snapshots.saveFailed');
+            message = t('common.error', { message: error.message });
+        }
+    }
+    announce(modal, message);
+    setTimeout(() => {
+        buttonElement.innerText = originalText;
+        buttonElement.disabled = false;
+    }, 2000);
+}
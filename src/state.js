@@ -0,0 +1,12 @@
+// Data behind the report currently shown in each modal, keyed by modal ID, used for exports
+export const reportData = {};
+// The student the single-student report is about, {id, name}, once its modal has been opened
+export let reportStudent = null;
+
+/**
+ * Sets the student the single-student report is about.
+ * @param {{id: string, name: string}|null} student The student, or null to forget the last one.
+ */
+export function setReportStudent(student) {
+    reportStudent = student;
+}
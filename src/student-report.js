@@ -0,0 +1,237 @@
+/* global ENV */
+import { domain } from './constants.js';
+import { beginModalRequests, fetchAllPages, fetchJson } from './api.js';
+import { reportData, reportStudent, setReportStudent } from './state.js';
+import { announce, bindModalCloseHandlers, buildModalHtml, openModal } from './modal.js';
+import { t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { bindReportSettings, bindShowGradesToggle, buildReportSettingsHtml, buildShowGradesToggleHtml } from './settings.js';
+import { fetchAndDisplayEnrollments, renderStudentReport } from './report.js';
+import { loadEnrollmentTimeline } from './timeline.js';
+import { handleSaveSnapshotClick, loadSnapshotComparison } from './snapshots.js';
+import { bindReportTemplates, buildReportTemplatesHtml } from './templates.js';
+import { bindPrograms, buildProgramsHtml } from './programs.js';
+import { buildPrintSettingsHtml, handlePrintReportClick, handlePrintSettingsSubmit } from './print.js';
+import { buildSendReportHtml, handleSendReportSubmit, openSendReportPanel, updateSendReportPreview } from './send.js';
+import { bindReportFooterButtons, buildReportFooterButtons } from './export.js';
+import { getUserIdFromUrl } from './page-context.js';
+import { injectPageButton } from './inject.js';
+
+/**
+ * Switches the student report modal between its Report, Dashboard, Timeline and Compare tabs,
+ * loading the timeline the first time it is shown.
+ * @param {HTMLElement} modal The student report modal.
+ * @param {string} tabName One of 'report', 'dashboard', 'timeline' or 'compare'.
+ */
+function setActiveReportTab(modal, tabName) {
+    modal.querySelectorAll('.report-tab').forEach(tab => {
+        const active = tab.dataset.tab === tabName;
+        tab.setAttribute('aria-selected', String(active));
+        tab.tabIndex = active ? 0 : -1; // Only the selected tab is in the Tab order; arrow keys move between tabs
+        tab.classList.toggle('btn-primary', active);
+    });
+
+    const showReport = tabName === 'report';
+    modal.querySelectorAll('.report-option, .report-settings, .k-modal-body').forEach(el => {
+        el.style.display = showReport ? '' : 'none';
+    });
+    modal.querySelector('.k-modal-dashboard').style.display = tabName === 'dashboard' ? '' : 'none';
+    const timelinePanel = modal.querySelector('.k-modal-timeline');
+    timelinePanel.style.display = tabName === 'timeline' ? '' : 'none';
+    modal.querySelector('.k-modal-compare').style.display = tabName === 'compare' ? '' : 'none';
+
+    if (tabName === 'timeline' && !timelinePanel.dataset.loaded && reportStudent) {
+        loadEnrollmentTimeline(reportStudent.id);
+    }
+    if (tabName === 'compare') {
+        loadSnapshotComparison(modal); // Snapshots are local, so always show the latest
+    }
+}
+
+/**
+ * Sets the student the single-student report is about and loads their report.
+ * @param {HTMLElement} modal The student report modal.
+ * @param {{id: string, name: string}} student The student.
+ */
+function showReportForStudent(modal, student) {
+    setReportStudent(student);
+    modal.querySelector('.k-modal-title').textContent = t('report.title', { name: student.name });
+    // The timeline belongs to the previous student, so reload it the next time it is opened
+    delete modal.querySelector('.k-modal-timeline').dataset.loaded;
+    setActiveReportTab(modal, 'report');
+    fetchAndDisplayEnrollments(student.id);
+}
+
+/**
+ * Works out who a student or observer can report on from their own dashboard or profile, then loads
+ * the first report. Observers get a picker of the students they observe; students see their own report.
+ * @param {HTMLElement} modal The student report modal.
+ */
+async function loadSelfServiceStudents(modal) {
+    const modalBody = modal.querySelector('.k-modal-body');
+    const picker = modal.querySelector('.report-student-picker');
+    const select = picker.querySelector('select');
+    modalBody.innerHTML = `<p>${t('report.loadingData')}</p>`;
+
+    const headers = { 'Content-Type': 'application/json' };
+    const signal = beginModalRequests('student-report-modal');
+    let students;
+    try {
+        const [self, observees] = await Promise.all([
+            fetchJson(`${domain}/api/v1/users/self`, headers, { signal }),
+            // Users who observe nobody get an empty list; treat any failure the same way
+            fetchAllPages(`${domain}/api/v1/users/self/observees?per_page=100`, headers, { signal }).catch(error => {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Could not load observed students:', error);
+                return [];
+            })
+        ]);
+        // Someone who is a student as well as an observer can still see their own report
+        const roles = getSafe(() => ENV.current_user_roles, []);
+        const includeSelf = observees.length === 0 || (Array.isArray(roles) && roles.includes('student'));
+        students = (includeSelf ? [self] : []).concat(observees.filter(user => String(user.id) !== String(self.id))).map(user => ({
+            id: String(user.id),
+            name: user.name || user.short_name || t('report.defaultStudentName')
+        }));
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading the students to report on:', error);
+        modalBody.innerHTML = `<p>${escapeHtml(t('report.studentsLoadError', { message: error.message }))}</p>`;
+        announce(modal, t('report.studentsLoadError', { message: error.message }));
+        return;
+    }
+
+    // Keep the last choice if it's still on the list. Observers always see the picker, so it's clear whose report it is
+    const current = students.find(student => reportStudent && student.id === reportStudent.id) || students[0];
+    select.innerHTML = students.map(student =>
+        `<option value="${escapeHtml(student.id)}"${student === current ? ' selected' : ''}>${escapeHtml(student.name)}</option>`
+    ).join('');
+    picker.style.display = students.length > 1 || students[0].id !== String(getSafe(() => ENV.current_user_id, '')) ? '' : 'none';
+    select.onchange = () => {
+        const student = students.find(item => item.id === select.value);
+        announce(modal, t('a11y.studentChosen', { name: student.name }));
+        showReportForStudent(modal, student);
+    };
+    showReportForStudent(modal, current);
+}
+
+/**
+ * Adds the single-student report button and modal, unless they're already on the page.
+ * @param {string} mode 'user' on an admin user page, reporting on that user; 'self' on the viewer's own
+ *                      dashboard or profile, reporting on themselves or the students they observe.
+ */
+export function injectReportButtonAndModal(mode) {
+    if (!document.getElementById('student-report-modal')) {
+        buildStudentReportModal(mode);
+    }
+    const studentReportModal = document.getElementById('student-report-modal');
+    injectPageButton('student-report-button', t(mode === 'self' ? 'report.selfButton' : 'report.button'), button => {
+        openModal(studentReportModal, button);
+        // Fetch and display enrollments when the modal opens, starting on the Report tab
+        if (mode === 'self') {
+            loadSelfServiceStudents(studentReportModal);
+        } else {
+            showReportForStudent(studentReportModal, { id: getUserIdFromUrl(), name: reportStudent ? reportStudent.name : t('report.defaultStudentName') });
+        }
+    });
+}
+
+/**
+ * Builds the single-student report modal and wires up its controls.
+ * @param {string} mode As for injectReportButtonAndModal.
+ */
+function buildStudentReportModal(mode) {
+    // The student's name comes from the API once the modal opens
+    const modalHtml = buildModalHtml(
+        'student-report-modal',
+        t('report.title', { name: t('report.defaultStudentName') }),
+        `<p>${t('report.loadingData')}</p>`,
+        buildReportFooterButtons('') +
+            `<button type="button" class="btn" id="print-report-button" style="margin-left: 8px;">${t('print.button')}</button>` +
+            `<button type="button" class="btn" id="save-snapshot-button" style="margin-left: 8px;">${t('snapshots.save')}</button>` +
+            // Staff send the report to the student; students and observers would only be messaging themselves
+            (mode === 'user' ? `<button type="button" class="btn" id="send-report-button" style="margin-left: 8px;">${t('send.button')}</button>` : '')
+    );
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+    const studentReportModal = document.getElementById('student-report-modal');
+    studentReportModal.querySelector('.k-modal-body').insertAdjacentHTML('beforebegin', buildShowGradesToggleHtml('show-grades-toggle') + buildReportSettingsHtml());
+    bindShowGradesToggle('show-grades-toggle', renderStudentReport);
+    bindReportSettings(studentReportModal, renderStudentReport);
+    studentReportModal.querySelector('.report-option').insertAdjacentHTML('beforebegin', `
+        <div class="report-tabs" role="tablist" aria-label="${t('a11y.reportViews')}" style="margin-bottom: 10px;">
+            <button type="button" class="btn btn-primary report-tab" role="tab" id="student-report-tab-report" data-tab="report" aria-selected="true" aria-controls="student-report-modal-body">${t('report.tabReport')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-dashboard" data-tab="dashboard" aria-selected="false" aria-controls="student-report-modal-dashboard" tabindex="-1">${t('report.tabDashboard')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-timeline" data-tab="timeline" aria-selected="false" aria-controls="student-report-modal-timeline" tabindex="-1">${t('report.tabTimeline')}</button>
+            <button type="button" class="btn report-tab" role="tab" id="student-report-tab-compare" data-tab="compare" aria-selected="false" aria-controls="student-report-modal-compare" tabindex="-1">${t('report.tabCompare')}</button>
+        </div>
+    `);
+    const studentReportBody = studentReportModal.querySelector('.k-modal-body');
+    studentReportBody.id = 'student-report-modal-body';
+    studentReportBody.setAttribute('role', 'tabpanel');
+    studentReportBody.setAttribute('aria-labelledby', 'student-report-tab-report');
+    studentReportBody.insertAdjacentHTML('afterend', `
+        <div class="k-modal-dashboard" id="student-report-modal-dashboard" role="tabpanel" aria-labelledby="student-report-tab-dashboard" style="display: none;"></div>
+        <div class="k-modal-timeline" id="student-report-modal-timeline" role="tabpanel" aria-labelledby="student-report-tab-timeline" style="display: none;"></div>
+        <div class="k-modal-compare" id="student-report-modal-compare" role="tabpanel" aria-labelledby="student-report-tab-compare" style="display: none;"></div>
+    `);
+    studentReportModal.querySelector('.report-tabs').insertAdjacentHTML('beforebegin', `
+        <div class="report-student-picker" style="display: none; margin-bottom: 10px;">
+            <label for="report-student-select">${t('report.student')}</label>
+            <select id="report-student-select" style="width: auto; margin-left: 8px;"></select>
+        </div>
+    `);
+    const reportTabs = Array.from(studentReportModal.querySelectorAll('.report-tab'));
+    reportTabs.forEach((tab, index) => {
+        tab.addEventListener('click', () => setActiveReportTab(studentReportModal, tab.dataset.tab));
+        tab.addEventListener('keydown', event => {
+            const targets = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: reportTabs.length - 1 };
+            if (!(event.key in targets)) return;
+            event.preventDefault();
+            const target = reportTabs[(targets[event.key] + reportTabs.length) % reportTabs.length];
+            setActiveReportTab(studentReportModal, target.dataset.tab);
+            target.focus();
+        });
+    });
+    studentReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildReportTemplatesHtml() + buildPrintSettingsHtml() +
+        (mode === 'user' ? buildProgramsHtml() : '')); // Programs are defined by staff
+    bindReportTemplates(studentReportModal);
+    if (mode === 'user') {
+        bindPrograms(studentReportModal, renderStudentReport);
+    }
+    studentReportModal.querySelector('.print-settings-form').addEventListener('submit', handlePrintSettingsSubmit);
+    document.getElementById('print-report-button').addEventListener('click', handlePrintReportClick);
+    document.getElementById('save-snapshot-button').addEventListener('click', handleSaveSnapshotClick);
+    if (mode === 'user') {
+        studentReportModal.querySelector('.k-modal-footer').insertAdjacentHTML('beforebegin', buildSendReportHtml());
+        const sendReportForm = studentReportModal.querySelector('.send-report-form');
+        sendReportForm.addEventListener('submit', handleSendReportSubmit);
+        sendReportForm.elements.intro.addEventListener('input', () => updateSendReportPreview(sendReportForm));
+        sendReportForm.querySelector('.send-report-cancel').addEventListener('click', () => {
+            sendReportForm.style.display = 'none';
+            document.getElementById('send-report-button').focus();
+        });
+        document.getElementById('send-report-button').addEventListener('click', () => openSendReportPanel(studentReportModal));
+    }
+
+    bindModalCloseHandlers(studentReportModal);
+    bindReportFooterButtons('');
+}
+
+/**
+ * Points the single-student report at another user, after navigating between user pages without a reload.
+ * An open report reloads for the new user; a closed one loads when next opened.
+ * @param {string} userId The Canvas user ID.
+ */
+export function rescopeStudentReport(userId) {
+    const modal = document.getElementById('student-report-modal');
+    setReportStudent(null);
+    delete reportData[modal.id];
+    const sendReportForm = modal.querySelector('.send-report-form');
+    if (sendReportForm) {
+        sendReportForm.style.display = 'none';
+    }
+    if (modal.style.display !== 'none') {
+        showReportForStudent(modal, { id: userId, name: t('report.defaultStudentName') });
+    }
+}
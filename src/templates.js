@@ -0,0 +1,499 @@
+import { REPORT_TEMPLATES_STORAGE_KEY, SELECTED_TEMPLATE_STORAGE_KEY } from './constants.js';
+import { reportData, reportStudent } from './state.js';
+import { announce } from './modal.js';
+import { formatDate, formatNumber, t } from './i18n.js';
+import { copyHtmlToClipboard, escapeHtml, getSafe } from './utils.js';
+import { summariseCourses } from './courses.js';
+import { getColumnHeader, REPORT_COLUMNS } from './columns.js';
+import { loadReportSettings } from './settings.js';
+import { buildDashboardHtml } from './dashboard.js';
+import { buildStyledOutstandingWork } from './outstanding-work.js';
+
+/**
+ * Clones the on-screen report table and inlines its styles, dropping on-screen-only rows and
+ * excluded columns, so it keeps its look when pasted into email or written into another document.
+ * @param {HTMLTableElement} tableElement The report table shown in the modal.
+ * @param {object} [template] A copy template whose columns and styles to use instead of the defaults.
+ * @returns {HTMLTableElement} The styled copy.
+ */
+export function buildStyledReportTable(tableElement, template = DEFAULT_REPORT_TEMPLATE) {
+    // Clone the table to modify it for copying without affecting the displayed table
+    const clonedTable = tableElement.cloneNode(true);
+    const styles = Object.assign({}, DEFAULT_REPORT_TEMPLATE.styles, template.styles);
+
+    // Module drill-downs are an on-screen aid only, so leave them out of the copy
+    clonedTable.querySelectorAll('.module-detail-row, .module-toggle').forEach(el => el.remove());
+
+    // Copied data removes columns whose header is marked data-copy-exclude (e.g. "Enrollment State"),
+    // unless the template picks its own columns. The bulk report's student columns are always kept.
+    const isExcluded = th => {
+        if (template.columns.length === 0) return th.hasAttribute('data-copy-exclude');
+        const column = th.dataset.column;
+        return Boolean(column) && column !== 'student' && column !== 'sisUserId' && !template.columns.includes(column);
+    };
+    const headerRow = clonedTable.querySelector('thead tr');
+    if (headerRow) {
+        const headerCount = headerRow.children.length;
+        const excludedIndexes = Array.from(headerRow.children)
+            .map((th, index) => (isExcluded(th) ? index : -1))
+            .filter(index => index !== -1)
+            .reverse(); // Remove from the right so earlier indexes stay valid
+
+        const bodyRows = clonedTable.querySelectorAll('tbody tr');
+        [headerRow, ...bodyRows].forEach(row => {
+            // Rows with spanning cells (e.g. messages) don't line up with the header, so leave them
+            if (row.children.length !== headerCount) return;
+            excludedIndexes.forEach(index => row.children[index].remove());
+        });
+    }
+
+    // Apply inline styles to the cloned table
+    clonedTable.style.width = '100%';
+    clonedTable.style.borderCollapse = 'collapse';
+    clonedTable.style.marginTop = '10px';
+    clonedTable.style.fontSize = styles.fontSize;
+    clonedTable.style.fontFamily = styles.fontFamily;
+    clonedTable.style.border = `1px solid ${styles.borderColor}`; // Add border to the table itself for some clients
+
+    const cells = clonedTable.querySelectorAll('th, td');
+    cells.forEach(cell => {
+        cell.style.border = `1px solid ${styles.borderColor}`;
+        cell.style.padding = '6px';
+        cell.style.textAlign = 'left';
+        cell.style.verticalAlign = 'top';
+        cell.style.wordBreak = 'break-word';
+    });
+
+    const thCells = clonedTable.querySelectorAll('th');
+    thCells.forEach(th => {
+        th.style.backgroundColor = styles.headerBackground;
+        th.style.fontWeight = 'bold';
+    });
+
+    const tbodyRows = clonedTable.querySelectorAll('tbody tr');
+    tbodyRows.forEach((row, index) => {
+        if (row.classList.contains('inactive-row')) {
+            row.style.backgroundColor = '#fff3cd';
+        } else if (index % 2 === 1) {
+            row.style.backgroundColor = styles.stripeBackground;
+        }
+    });
+
+    // Set width for the first column cells (Course Name after Enrollment State is removed)
+    const firstColumnHeader = clonedTable.querySelector('thead tr th:first-child');
+    if (firstColumnHeader) firstColumnHeader.style.width = '25%';
+    tbodyRows.forEach(row => {
+        const firstCell = row.querySelector('td:first-child');
+        if (firstCell) firstCell.style.width = '25%';
+    });
+
+    return clonedTable;
+}
+
+/**
+ * The built-in copy template, matching the report as shown on screen.
+ * Placeholders in braces are filled in by getTemplatePlaceholderValues when copying.
+ */
+const DEFAULT_REPORT_TEMPLATE = {
+    id: 'default',
+    name: 'Standard',
+    heading: '{title}',
+    introduction: '',
+    summary: '{summary}',
+    closing: '',
+    includeStudentDetails: true,
+    includeSummary: true,
+    includeTable: true,
+    includeOutstandingWork: true,
+    includeDashboard: false, // Off by default: many email clients drop SVG
+    includePrograms: true,
+    columns: [], // Empty uses the "Copy" columns from the report settings
+    styles: {
+        fontFamily: '',
+        fontSize: '12px',
+        headerBackground: '#f0f0f0',
+        stripeBackground: '#f9f9f9',
+        borderColor: '#ccc'
+    }
+};
+
+// Placeholders available in template text, listed in the template editor with their `templates.placeholder.<name>` message
+const TEMPLATE_PLACEHOLDERS = ['title', 'summary', 'studentName', 'sisId', 'loginId', 'date', 'completed', 'total', 'remaining', 'missing', 'late', 'studentCount'];
+
+/**
+ * Loads the copy templates: the built-in Standard template followed by any saved ones.
+ * @returns {Array<object>} Templates, with defaults filled in for anything missing.
+ */
+function loadReportTemplates() {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(REPORT_TEMPLATES_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.warn('Could not read report templates from localStorage.', e);
+    }
+    return [DEFAULT_REPORT_TEMPLATE].concat(stored.map(template => Object.assign({}, DEFAULT_REPORT_TEMPLATE, template, {
+        styles: Object.assign({}, DEFAULT_REPORT_TEMPLATE.styles, template.styles)
+    })));
+}
+
+/**
+ * Saves the user-defined copy templates. The built-in template is never stored.
+ * @param {Array<object>} templates Templates, as returned by loadReportTemplates.
+ */
+function saveReportTemplates(templates) {
+    localStorage.setItem(REPORT_TEMPLATES_STORAGE_KEY, JSON.stringify(templates.filter(template => template.id !== DEFAULT_REPORT_TEMPLATE.id)));
+}
+
+/**
+ * Finds the template last chosen for copying, falling back to the built-in one.
+ * @returns {object} The template.
+ */
+export function getSelectedReportTemplate() {
+    const selectedId = localStorage.getItem(SELECTED_TEMPLATE_STORAGE_KEY);
+    return loadReportTemplates().find(template => template.id === selectedId) || DEFAULT_REPORT_TEMPLATE;
+}
+
+/**
+ * Builds the `<option>` elements for choosing a template.
+ * @param {string} selectedId The ID of the template to select.
+ * @returns {string} The options HTML.
+ */
+function buildTemplateOptionsHtml(selectedId) {
+    return loadReportTemplates().map(template =>
+        `<option value="${escapeHtml(template.id)}" ${template.id === selectedId ? 'selected' : ''}>${escapeHtml(template.id === DEFAULT_REPORT_TEMPLATE.id ? t('templates.standard') : template.name)}</option>`).join('');
+}
+
+/**
+ * Refreshes every template picker on the page after templates are added, renamed or deleted.
+ */
+function refreshTemplatePickers() {
+    const selectedId = getSelectedReportTemplate().id;
+    document.querySelectorAll('.report-template-select').forEach(select => {
+        select.innerHTML = buildTemplateOptionsHtml(selectedId);
+    });
+}
+
+/**
+ * Replaces `{placeholder}` markers in template text. Unknown placeholders are left as they are.
+ * Template text is plain text, so both it and the values are escaped.
+ * @param {string} text The template text.
+ * @param {object} values Placeholder values by name.
+ * @returns {string} The filled-in text as HTML, with line breaks kept.
+ */
+export function fillTemplatePlaceholders(text, values) {
+    return escapeHtml(text)
+        .replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in values)) return match;
+            return escapeHtml(typeof values[name] === 'number' ? formatNumber(values[name]) : values[name]);
+        })
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * Works out the values for template placeholders from a loaded report.
+ * The student's SIS and login IDs come from the details loaded with the report.
+ * @param {HTMLElement} modal The report modal.
+ * @returns {object} Placeholder values by name.
+ */
+function getTemplatePlaceholderValues(modal) {
+    const report = reportData[modal.id];
+    const entries = report ? report.entries : [];
+    const summaryElement = modal.querySelector('.enrollment-summary');
+
+    let completed = 0;
+    let total = 0;
+    let missing = 0;
+    let late = 0;
+    const settings = loadReportSettings();
+    entries.forEach(entry => {
+        if (!entry.allEnrollments) return;
+        const summary = summariseCourses(entry.allEnrollments, settings);
+        completed += summary.completedCourses;
+        total += summary.totalCourses;
+        entry.allEnrollments.forEach(course => {
+            (course.outstandingWork || []).forEach(item => {
+                if (item.status === 'Missing') missing++;
+                if (item.status === 'Late') late++;
+            });
+        });
+    });
+
+    const values = {
+        title: modal.querySelector('.k-modal-title').innerText,
+        summary: summaryElement ? summaryElement.innerText : '',
+        studentName: '',
+        sisId: '',
+        loginId: '',
+        date: formatDate(new Date().toISOString()),
+        completed,
+        total,
+        remaining: total - completed,
+        missing,
+        late,
+        studentCount: entries.length
+    };
+
+    if (report && !report.bulk) {
+        values.studentName = reportStudent ? reportStudent.name : t('report.defaultStudentName');
+        values.sisId = getSafe(() => report.details.sisUserId);
+        values.loginId = getSafe(() => report.details.loginId);
+    }
+    return values;
+}
+
+/**
+ * Finds the element holding a report modal's summary, table and messages as direct children.
+ * The bulk report keeps them in a results container below its form; the student report in the body itself.
+ * @param {HTMLElement} modal The report modal.
+ * @returns {HTMLElement} The element to look for `:scope > table` and friends in.
+ */
+export function getReportContentElement(modal) {
+    const bodyElement = modal.querySelector('.k-modal-body');
+    return bodyElement.querySelector('.bulk-report-results') || bodyElement;
+}
+
+/**
+ * Builds the HTML to copy for a report modal, laid out by a template.
+ * @param {HTMLElement} modal The report modal.
+ * @param {object} template The template to apply.
+ * @returns {string} The HTML, or an empty string if there is nothing to copy.
+ */
+export function buildTemplatedReportHtml(modal, template) {
+    const reportElement = getReportContentElement(modal);
+    const values = getTemplatePlaceholderValues(modal);
+    const fontFamily = template.styles.fontFamily ? ` style="font-family: ${escapeHtml(template.styles.fontFamily)};"` : '';
+
+    let htmlToCopy = '';
+    if (template.heading) {
+        htmlToCopy += `<h2${fontFamily}>${fillTemplatePlaceholders(template.heading, values)}</h2>\n`;
+    }
+    if (template.introduction) {
+        htmlToCopy += `<p${fontFamily}>${fillTemplatePlaceholders(template.introduction, values)}</p>\n`;
+    }
+    const detailsElement = reportElement.querySelector('.student-details');
+    if (template.includeStudentDetails && detailsElement) {
+        htmlToCopy += detailsElement.outerHTML;
+    }
+    if (template.includeSummary && template.summary && reportElement.querySelector('.enrollment-summary')) {
+        htmlToCopy += `<p class="enrollment-summary"${fontFamily}><strong>${fillTemplatePlaceholders(template.summary, values)}</strong></p>\n`;
+    }
+    const report = reportData[modal.id];
+    if (template.includeDashboard && report && !report.bulk && report.allEnrollments) {
+        htmlToCopy += buildDashboardHtml(summariseCourses(report.allEnrollments));
+    }
+    const programElement = reportElement.querySelector('.program-progress');
+    if (template.includePrograms && programElement) {
+        htmlToCopy += programElement.outerHTML;
+    }
+
+    if (template.includeTable) {
+        const tableElement = reportElement.querySelector(':scope > table');
+        if (tableElement) {
+            htmlToCopy += buildStyledReportTable(tableElement, template).outerHTML;
+        } else {
+            // If no table, copy other message paragraphs from the body (excluding summary, already added)
+            const messageParagraphs = Array.from(reportElement.querySelectorAll(':scope > p:not(.enrollment-summary)'));
+            messageParagraphs.forEach(p => {
+                htmlToCopy += p.outerHTML + '\n';
+            });
+        }
+    }
+    if (template.includeOutstandingWork) {
+        htmlToCopy += buildStyledOutstandingWork(reportElement, template);
+    }
+    if (template.closing) {
+        htmlToCopy += `\n<p${fontFamily}>${fillTemplatePlaceholders(template.closing, values)}</p>`;
+    }
+    return htmlToCopy.trim();
+}
+
+/**
+ * Handles the click event for the "Copy Report" button.
+ * Gathers report content, laid out by the chosen template, and copies it to the clipboard.
+ * @param {Event} event The click event.
+ */
+export async function handleCopyReportClick(event) {
+    const buttonElement = event.currentTarget;
+    const modal = buttonElement.closest('.k-modal');
+    if (!modal) {
+        console.error('Modal not found for copying.');
+        return;
+    }
+
+    if (!modal.querySelector('.k-modal-title') || !modal.querySelector('.k-modal-body')) {
+        console.error('Modal title or body not found for copying.');
+        return;
+    }
+
+    const htmlToCopy = buildTemplatedReportHtml(modal, getSelectedReportTemplate());
+
+    if (htmlToCopy) {
+        await copyHtmlToClipboard(htmlToCopy, buttonElement);
+    } else {
+        console.warn('No content formatted for copying.');
+        const originalText = buttonElement.innerText;
+        buttonElement.innerText = t('copy.nothing');
+        announce(modal, t('copy.nothing'));
+        buttonElement.disabled = true;
+        setTimeout(() => {
+            buttonElement.innerText = originalText;
+            buttonElement.disabled = false;
+        }, 2000);
+    }
+}
+
+/**
+ * Builds the collapsible editor for copy templates, shown above the modal footer.
+ * @returns {string} The editor HTML.
+ */
+export function buildReportTemplatesHtml() {
+    const columnCheckboxes = REPORT_COLUMNS.map(column => `
+        <label style="display: inline-block; margin-right: 12px;">
+            <input type="checkbox" name="columns" value="${column.key}"> ${getColumnHeader(column)}
+        </label>
+    `).join('');
+    const placeholderList = TEMPLATE_PLACEHOLDERS
+        .map(name => `<code>{${name}}</code> ${t(`templates.placeholder.${name}`)}`)
+        .join(', ');
+    const textField = (name, label, rows) => `
+        <label style="display: block; margin-bottom: 6px;">${label}
+            <textarea name="${name}" rows="${rows}" style="width: 100%; box-sizing: border-box;"></textarea>
+        </label>
+    `;
+    const styleField = (name, label) => `
+        <label style="display: inline-block; margin-right: 12px;">${label}
+            <input type="text" name="${name}" style="width: 120px;">
+        </label>
+    `;
+
+    return `
+        <details class="report-templates" style="margin: 10px 0;">
+            <summary>${t('templates.title')}</summary>
+            <form class="report-templates-form" style="margin-top: 8px;">
+                <label style="display: block; margin-bottom: 6px;">${t('templates.template')}
+                    <select name="templateId"></select>
+                </label>
+                <label style="display: block; margin-bottom: 6px;">${t('templates.name')}
+                    <input type="text" name="name" style="width: 100%; box-sizing: border-box;">
+                </label>
+                ${textField('heading', t('templates.heading'), 1)}
+                ${textField('introduction', t('templates.introduction'), 3)}
+                ${textField('summary', t('templates.summary'), 2)}
+                ${textField('closing', t('templates.closing'), 3)}
+                <p style="font-size: 0.9em; color: #555;">${t('templates.placeholders', { list: placeholderList })}</p>
+                <fieldset>
+                    <legend>${t('templates.sections')}</legend>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeStudentDetails"> ${t('templates.includeStudentDetails')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeSummary"> ${t('templates.includeSummary')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeTable"> ${t('templates.includeTable')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeOutstandingWork"> ${t('templates.includeOutstandingWork')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includeDashboard"> ${t('templates.includeDashboard')}</label>
+                    <label style="display: inline-block; margin-right: 12px;"><input type="checkbox" name="includePrograms"> ${t('templates.includePrograms')}</label>
+                </fieldset>
+                <fieldset>
+                    <legend>${t('templates.columns')}</legend>
+                    ${columnCheckboxes}
+                </fieldset>
+                <fieldset>
+                    <legend>${t('templates.styling')}</legend>
+                    ${styleField('fontFamily', t('templates.fontFamily'))}
+                    ${styleField('fontSize', t('templates.fontSize'))}
+                    ${styleField('headerBackground', t('templates.headerBackground'))}
+                    ${styleField('stripeBackground', t('templates.stripeBackground'))}
+                    ${styleField('borderColor', t('templates.borderColor'))}
+                </fieldset>
+                <button type="submit" class="btn">${t('templates.save')}</button>
+                <button type="button" class="btn delete-report-template" style="margin-left: 8px;">${t('templates.delete')}</button>
+            </form>
+        </details>
+    `;
+}
+
+/**
+ * Fills the template editor with a template, or a copy of the built-in one for a new template.
+ * The built-in template can't be changed, so choosing it starts a new template from it.
+ * @param {HTMLFormElement} form The template editor form.
+ * @param {string} templateId The template to edit, or '' for a new one.
+ */
+function fillReportTemplateForm(form, templateId) {
+    const existing = loadReportTemplates().find(template => template.id === templateId && template.id !== DEFAULT_REPORT_TEMPLATE.id);
+    const template = existing || Object.assign({}, DEFAULT_REPORT_TEMPLATE, { id: '', name: t('templates.new') });
+
+    form.elements.templateId.innerHTML = `<option value="">${t('templates.new')}</option>` +
+        loadReportTemplates().filter(saved => saved.id !== DEFAULT_REPORT_TEMPLATE.id)
+            .map(saved => `<option value="${escapeHtml(saved.id)}" ${saved.id === template.id ? 'selected' : ''}>${escapeHtml(saved.name)}</option>`).join('');
+    ['name', 'heading', 'introduction', 'summary', 'closing'].forEach(name => {
+        form.elements[name].value = template[name];
+    });
+    ['includeStudentDetails', 'includeSummary', 'includeTable', 'includeOutstandingWork', 'includeDashboard', 'includePrograms'].forEach(name => {
+        form.elements[name].checked = template[name];
+    });
+    form.querySelectorAll('input[name="columns"]').forEach(checkbox => {
+        checkbox.checked = template.columns.includes(checkbox.value);
+    });
+    Object.keys(DEFAULT_REPORT_TEMPLATE.styles).forEach(name => {
+        form.elements[name].value = template.styles[name];
+    });
+    form.querySelector('.delete-report-template').disabled = !existing;
+}
+
+/**
+ * Wires up a modal's template picker and template editor.
+ * @param {HTMLElement} modal The report modal.
+ */
+export function bindReportTemplates(modal) {
+    const picker = modal.querySelector('.report-template-select');
+    picker.innerHTML = buildTemplateOptionsHtml(getSelectedReportTemplate().id);
+    picker.addEventListener('change', () => {
+        localStorage.setItem(SELECTED_TEMPLATE_STORAGE_KEY, picker.value);
+        refreshTemplatePickers();
+    });
+
+    const form = modal.querySelector('.report-templates-form');
+    fillReportTemplateForm(form, '');
+    form.elements.templateId.addEventListener('change', () => fillReportTemplateForm(form, form.elements.templateId.value));
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const templates = loadReportTemplates();
+        const template = {
+            id: form.elements.templateId.value || `template-${Date.now()}`,
+            name: form.elements.name.value.trim() || t('templates.untitled'),
+            heading: form.elements.heading.value,
+            introduction: form.elements.introduction.value,
+            summary: form.elements.summary.value,
+            closing: form.elements.closing.value,
+            includeStudentDetails: form.elements.includeStudentDetails.checked,
+            includeSummary: form.elements.includeSummary.checked,
+            includeTable: form.elements.includeTable.checked,
+            includeOutstandingWork: form.elements.includeOutstandingWork.checked,
+            includeDashboard: form.elements.includeDashboard.checked,
+            includePrograms: form.elements.includePrograms.checked,
+            columns: Array.from(form.querySelectorAll('input[name="columns"]:checked')).map(checkbox => checkbox.value),
+            styles: {}
+        };
+        Object.keys(DEFAULT_REPORT_TEMPLATE.styles).forEach(name => {
+            template.styles[name] = form.elements[name].value.trim();
+        });
+
+        const index = templates.findIndex(saved => saved.id === template.id);
+        if (index === -1) {
+            templates.push(template);
+        } else {
+            templates[index] = template;
+        }
+        saveReportTemplates(templates);
+        localStorage.setItem(SELECTED_TEMPLATE_STORAGE_KEY, template.id);
+        fillReportTemplateForm(form, template.id);
+        refreshTemplatePickers();
+        console.log(`Saved copy template "${template.name}".`);
+    });
+
+    form.querySelector('.delete-report-template').addEventListener('click', () => {
+        const templateId = form.elements.templateId.value;
+        if (!templateId || !confirm(t('templates.confirmDelete'))) return;
+        saveReportTemplates(loadReportTemplates().filter(template => template.id !== templateId));
+        fillReportTemplateForm(form, '');
+        refreshTemplatePickers();
+    });
+}
@@ -0,0 +1,123 @@
+import { getModalSignal } from './api.js';
+import { reportData } from './state.js';
+import { announce } from './modal.js';
+import { formatDate, t } from './i18n.js';
+import { escapeHtml, getSafe } from './utils.js';
+import { fetchUserCourses, fetchUserEnrollments } from './courses.js';
+import { getReportTableStyles } from './report.js';
+
+/**
+ * Turns a user's enrollments into dated events, oldest first.
+ * Canvas keeps no state history, so a deactivation or deletion is dated by the enrollment's last update.
+ * @param {Array} enrollments Enrollments from fetchUserEnrollments.
+ * @param {Array} courses Courses from fetchUserCourses, used for course and section names.
+ * @returns {Array<{date: string, courseName: string, sectionName: string, event: string, state: string}>}
+ */
+export function buildEnrollmentTimeline(enrollments, courses) {
+    const coursesById = new Map(courses.map(course => [String(course.id), course]));
+    const events = [];
+
+    enrollments.forEach(enrollment => {
+        const course = coursesById.get(String(enrollment.course_id));
+        const section = course && course.sections ?
+            course.sections.find(sec => String(sec.id) === String(enrollment.course_section_id)) : null;
+        const base = {
+            courseName: course ? course.name : t('timeline.unknownCourse', { id: String(enrollment.course_id) }),
+            sectionName: section ? section.name : t('timeline.unknownSection', { id: String(enrollment.course_section_id) }),
+            state: enrollment.enrollment_state
+        };
+        const role = enrollment.role || enrollment.type;
+        const addEvent = (date, event) => {
+            if (date) events.push(Object.assign({ date, event }, base));
+        };
+
+        addEvent(enrollment.created_at, t('timeline.enrolledAs', { role }));
+        addEvent(enrollment.start_at, t('timeline.startDate'));
+        addEvent(enrollment.end_at, t('timeline.endDate'));
+        addEvent(enrollment.completed_at, t('timeline.concluded'));
+        if (enrollment.enrollment_state === 'inactive') {
+            addEvent(enrollment.updated_at, t('timeline.deactivated'));
+        } else if (enrollment.enrollment_state === 'deleted') {
+            addEvent(enrollment.updated_at, t('timeline.deleted'));
+        }
+    });
+
+    courses.forEach(course => {
+        const completedAt = getSafe(() => course.course_progress.completed_at, null);
+        if (completedAt) {
+            events.push({
+                date: completedAt,
+                courseName: course.name,
+                sectionName: '',
+                event: t('timeline.completedRequirements'),
+                state: ''
+            });
+        }
+    });
+
+    return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Builds the HTML for the enrollment timeline.
+ * @param {Array} events Output of buildEnrollmentTimeline.
+ * @returns {string} The timeline table, or a message if there are no events.
+ */
+function renderEnrollmentTimeline(events) {
+    if (events.length === 0) {
+        return `<p>${t('timeline.none')}</p>`;
+    }
+    const rows = events.map(event => `
+        <tr>
+            <td>${formatDate(event.date)}</td>
+            <td>${escapeHtml(event.courseName)}</td>
+            <td>${escapeHtml(getSafe(() => event.sectionName))}</td>
+            <td>${escapeHtml(event.event)}</td>
+            <td>${escapeHtml(getSafe(() => event.state))}</td>
+        </tr>
+    `).join('');
+    return `
+        <table class="enrollment-timeline">
+            <thead>
+                <tr>
+                    <th>${t('timeline.date')}</th>
+                    <th>${t('timeline.course')}</th>
+                    <th>${t('timeline.section')}</th>
+                    <th>${t('timeline.event')}</th>
+                    <th>${t('timeline.currentState')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Loads and shows the enrollment timeline in the student report modal's Timeline tab.
+ * Reuses the courses already loaded for the report where possible.
+ * @param {string} userId The Canvas user ID.
+ */
+export async function loadEnrollmentTimeline(userId) {
+    const timelinePanel = document.querySelector('#student-report-modal .k-modal-timeline');
+    if (!timelinePanel) return;
+
+    timelinePanel.dataset.loaded = 'true';
+    timelinePanel.innerHTML = `<p>${t('timeline.loading')}</p>`;
+    try {
+        const report = reportData['student-report-modal'];
+        const signal = getModalSignal('student-report-modal');
+        const [enrollments, courses] = await Promise.all([
+            fetchUserEnrollments(userId, { signal }),
+            report ? Promise.resolve(report.allEnrollments) : fetchUserCourses(userId, { signal })
+        ]);
+        timelinePanel.innerHTML = getReportTableStyles('student-report-modal') +
+            renderEnrollmentTimeline(buildEnrollmentTimeline(enrollments, courses));
+        announce(timelinePanel.closest('.k-modal'), t('a11y.timelineLoaded'));
+    } catch (error) {
+        delete timelinePanel.dataset.loaded; // Try again next time the tab is opened
+        if (error.name === 'AbortError') return;
+        console.error('Error fetching enrollment history:', error);
+        timelinePanel.innerHTML = `<p>${escapeHtml(t('timeline.loadError', { message: error.message }))}</p>`;
+        announce(timelinePanel.closest('.k-modal'), t('timeline.loadError', { message: error.message }));
+    }
+}
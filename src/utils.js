@@ -0,0 +1,143 @@
+import { domain } from './constants.js';
+import { announce } from './modal.js';
+import { t } from './i18n.js';
+
+/**
+ * Escapes text for use in HTML, as element content or a quoted attribute value.
+ * Everything from Canvas or typed into a settings form goes through this before it reaches innerHTML.
+ * @param {*} value The text; other values are converted to strings.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks a URL from Canvas before it is used in a link or image, so a `javascript:` (or other) URL can't run.
+ * @param {string} url The URL, absolute or relative to the Canvas domain.
+ * @returns {string} The absolute URL if it is http or https, otherwise "#".
+ */
+export function safeUrl(url) {
+    try {
+        const parsed = new URL(url, domain);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : '#';
+    } catch (e) {
+        return '#';
+    }
+}
+
+/**
+ * Converts an HTML string to its plain text representation.
+ * @param {string} htmlString The HTML string to convert.
+ * @returns {string} The plain text representation.
+ */
+function getPlainTextFromHtml(htmlString) {
+    try {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(htmlString, 'text/html');
+        return doc.body.textContent || "";
+    } catch (e) {
+        // Fallback for environments where DOMParser might not be ideal
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = htmlString;
+        return tempDiv.textContent || tempDiv.innerText || "";
+    }
+}
+
+/**
+ * Copies HTML content to the clipboard, with a plain text fallback.
+ * @param {string} htmlContent The HTML content to copy.
+ * @param {HTMLElement} [buttonElement] Optional button element for feedback.
+ * @returns {Promise<boolean>} True if successful, false otherwise.
+ */
+export async function copyHtmlToClipboard(htmlContent, buttonElement) {
+    const originalButtonText = buttonElement ? buttonElement.innerText : '';
+    const setButtonFeedback = (text, duration = 2000) => {
+        if (buttonElement) {
+            announce(buttonElement.closest('.k-modal'), text);
+            buttonElement.disabled = true;
+            buttonElement.innerText = text;
+            setTimeout(() => {
+                buttonElement.innerText = originalButtonText;
+                buttonElement.disabled = false;
+            }, duration);
+        }
+    };
+
+    if (!navigator.clipboard) {
+        console.warn('Clipboard API not available.');
+        setButtonFeedback(t('copy.failed'));
+        alert(t('copy.unavailable'));
+        return false;
+    }
+
+    try {
+        const blobHtml = new Blob([htmlContent], { type: 'text/html' });
+        const plainText = getPlainTextFromHtml(htmlContent);
+        const blobText = new Blob([plainText], { type: 'text/plain' });
+
+        const item = new ClipboardItem({
+            'text/html': blobHtml,
+            'text/plain': blobText
+        });
+        await navigator.clipboard.write([item]);
+        console.log('Report copied to clipboard (HTML & plain text).');
+        setButtonFeedback(t('copy.copied'));
+        return true;
+    } catch (err) {
+        console.error('Failed to copy report using ClipboardItem: ', err);
+        setButtonFeedback(t('copy.failed'));
+        alert(t('copy.error', { message: err.message }));
+        return false;
+    }
+}
+
+/**
+ * Safely reads a possibly missing value, substituting a default for null, undefined or empty strings.
+ * @param {Function} fn A function returning the value to read.
+ * @param {*} [defaultValue='N/A'] The value to use when the read fails or is empty.
+ * @returns {*} The value or the default.
+ */
+export function getSafe(fn, defaultValue = t('common.notAvailable')) {
+    try {
+        const value = fn();
+        return (value === null || typeof value === 'undefined' || value === '') ? defaultValue : value;
+    } catch (e) {
+        return defaultValue;
+    }
+}
+
+/**
+ * Runs an async worker over a list of items with at most `limit` running at once.
+ * @param {Array} items The items to process.
+ * @param {number} limit The maximum number of workers running at the same time.
+ * @param {Function} worker An async function called with each item and its index.
+ * @param {Function} [onProgress] Called with the number of finished items after each one completes.
+ * @returns {Promise<Array>} A promise that resolves to the worker results, in item order.
+ */
+export async function runWithConcurrency(items, limit, worker, onProgress) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let finished = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+            finished++;
+            if (onProgress) onProgress(finished);
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+    return results;
+}
@@ -0,0 +1,204 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fetchAllPages, fetchJson, getRetryDelay, parseLinkHeader, postJson } from '../src/api.js';
+import { ORIGIN, installFakeCanvas, jsonResponse, paged, requestsTo } from './fake-canvas.js';
+import { notFoundError, rateLimitExceeded, serverError, unauthorizedError } from './fixtures/canvas.js';
+
+const headers = { 'Content-Type': 'application/json' };
+
+describe('parseLinkHeader', () => {
+    it('reads every rel Canvas sends', () => {
+        const links = parseLinkHeader(
+            `<${ORIGIN}/api/v1/x?page=2&per_page=10>; rel="current",<${ORIGIN}/api/v1/x?page=3&per_page=10>; rel="next",` +
+            `<${ORIGIN}/api/v1/x?page=1&per_page=10>; rel="prev",<${ORIGIN}/api/v1/x?page=1&per_page=10>; rel="first",` +
+            `<${ORIGIN}/api/v1/x?page=5&per_page=10>; rel="last"`);
+        expect(links).toEqual({
+            current: `${ORIGIN}/api/v1/x?page=2&per_page=10`,
+            next: `${ORIGIN}/api/v1/x?page=3&per_page=10`,
+            prev: `${ORIGIN}/api/v1/x?page=1&per_page=10`,
+            first: `${ORIGIN}/api/v1/x?page=1&per_page=10`,
+            last: `${ORIGIN}/api/v1/x?page=5&per_page=10`
+        });
+    });
+
+    it('matches rel case insensitively and skips malformed links', () => {
+        expect(parseLinkHeader('<https://a/1>; REL="Next", not-a-link; rel="last", <https://a/2>')).toEqual({ next: 'https://a/1' });
+    });
+
+    it('returns nothing for a missing header', () => {
+        expect(parseLinkHeader(null)).toEqual({});
+        expect(parseLinkHeader('')).toEqual({});
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('waits as long as Retry-After asks', () => {
+        expect(getRetryDelay(1, new Response('', { status: 429, headers: { 'Retry-After': '3' } }))).toBe(3000);
+    });
+
+    it('backs off exponentially, with up to the same again in jitter', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        expect([1, 2, 3].map(attempt => getRetryDelay(attempt))).toEqual([500, 1000, 2000]);
+        Math.random.mockReturnValue(0.999);
+        expect(getRetryDelay(3)).toBeCloseTo(3998);
+    });
+});
+
+describe('fetchAllPages', () => {
+    it('follows the Link header through every page', async () => {
+        const items = [1, 2, 3, 4, 5].map(id => ({ id }));
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/paging\/all$/, paged(items, 2)]]);
+
+        const results = await fetchAllPages(`${ORIGIN}/api/v1/paging/all?per_page=2`, headers);
+
+        expect(results).toEqual(items);
+        expect(requestsTo(fetchMock, /paging/).map(url => url.searchParams.get('page'))).toEqual([null, '2', '3']);
+    });
+
+    it('reports progress after each page', async () => {
+        installFakeCanvas([[/^\/api\/v1\/paging\/progress$/, paged([{ id: 1 }, { id: 2 }, { id: 3 }], 2)]]);
+        const onProgress = vi.fn();
+
+        await fetchAllPages(`${ORIGIN}/api/v1/paging/progress`, headers, { onProgress });
+
+        expect(onProgress.mock.calls.map(([message]) => message)).toEqual([
+            '2 records loaded (1 page)',
+            '3 records loaded (2 pages)'
+        ]);
+    });
+
+    it('stops after one page when there is no Link header', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/paging\/single$/, [{ id: 1 }]]]);
+
+        expect(await fetchAllPages(`${ORIGIN}/api/v1/paging/single`, headers)).toEqual([{ id: 1 }]);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails if any page fails', async () => {
+        const items = [1, 2, 3].map(id => ({ id }));
+        const pages = paged(items, 2);
+        installFakeCanvas([[/^\/api\/v1\/paging\/broken$/, url =>
+            (url.searchParams.get('page') === '2' ? jsonResponse(unauthorizedError, { status: 401 }) : pages(url))]]);
+
+        await expect(fetchAllPages(`${ORIGIN}/api/v1/paging/broken`, headers)).rejects.toThrow('status: 401');
+    });
+
+    it('reuses a recent response for the same URL', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/paging\/cached$/, paged([{ id: 1 }])]]);
+
+        await fetchAllPages(`${ORIGIN}/api/v1/paging/cached`, headers);
+        expect(await fetchAllPages(`${ORIGIN}/api/v1/paging/cached`, headers)).toEqual([{ id: 1 }]);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('fetches again once the cached response is five minutes old', async () => {
+        vi.useFakeTimers();
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/paging\/expiring$/, paged([{ id: 1 }])]]);
+
+        await fetchAllPages(`${ORIGIN}/api/v1/paging/expiring`, headers);
+        vi.advanceTimersByTime(5 * 60 * 1000);
+        await fetchAllPages(`${ORIGIN}/api/v1/paging/expiring`, headers);
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('only keeps the 200 most recent responses', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/cache\/\d+$/, url => ({ path: url.pathname })]]);
+        for (let i = 0; i <= 200; i++) {
+            await fetchJson(`${ORIGIN}/api/v1/cache/${i}`, headers);
+        }
+        fetchMock.mockClear();
+
+        await fetchJson(`${ORIGIN}/api/v1/cache/1`, headers);
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(await fetchJson(`${ORIGIN}/api/v1/cache/0`, headers)).toEqual({ path: '/api/v1/cache/0' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('fetchJson errors', () => {
+    it('fails straight away on a 404', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/errors\/missing$/, () => jsonResponse(notFoundError, { status: 404 })]]);
+
+        await expect(fetchJson(`${ORIGIN}/api/v1/errors/missing`, headers))
+            .rejects.toThrow(/status: 404, message: .*The specified resource does not exist/);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails straight away on a 403 that is not throttling', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/errors\/forbidden$/, () => jsonResponse(unauthorizedError, { status: 403 })]]);
+
+        await expect(fetchJson(`${ORIGIN}/api/v1/errors/forbidden`, headers)).rejects.toThrow('status: 403');
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a throttled request after Retry-After', async () => {
+        vi.useFakeTimers();
+        let calls = 0;
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/errors\/throttled$/, () => (++calls === 1 ?
+            new Response(rateLimitExceeded, { status: 403, headers: { 'Retry-After': '2' } }) :
+            jsonResponse({ id: 1 }))]]);
+        const onProgress = vi.fn();
+
+        const request = fetchJson(`${ORIGIN}/api/v1/errors/throttled`, headers, { onProgress });
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+
+        expect(await request).toEqual({ id: 1 });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(onProgress).toHaveBeenCalledWith('Canvas is busy, retrying in 2s...');
+    });
+
+    it('retries server errors and network failures, then gives up', async () => {
+        vi.useFakeTimers();
+        let calls = 0;
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/errors\/down$/, () => {
+            calls++;
+            if (calls === 2) throw new TypeError('Failed to fetch');
+            return jsonResponse(serverError, { status: 500 });
+        }]]);
+
+        const request = fetchJson(`${ORIGIN}/api/v1/errors/down`, headers);
+        const failed = expect(request).rejects.toThrow('status: 500');
+        await vi.runAllTimersAsync();
+        await failed;
+        expect(fetchMock).toHaveBeenCalledTimes(5);
+    });
+
+    it('recovers when a retry succeeds', async () => {
+        vi.useFakeTimers();
+        let calls = 0;
+        installFakeCanvas([[/^\/api\/v1\/errors\/flaky$/, () => (++calls < 3 ?
+            jsonResponse(serverError, { status: 502 }) : jsonResponse({ ok: true }))]]);
+
+        const request = fetchJson(`${ORIGIN}/api/v1/errors/flaky`, headers);
+        await vi.runAllTimersAsync();
+        expect(await request).toEqual({ ok: true });
+    });
+
+    it('stops waiting to retry once cancelled', async () => {
+        vi.useFakeTimers();
+        installFakeCanvas([[/^\/api\/v1\/errors\/cancelled$/, () => jsonResponse(serverError, { status: 503 })]]);
+        const controller = new AbortController();
+
+        const request = fetchJson(`${ORIGIN}/api/v1/errors/cancelled`, headers, { signal: controller.signal });
+        const cancelled = expect(request).rejects.toMatchObject({ name: 'AbortError' });
+        await vi.advanceTimersByTimeAsync(0);
+        controller.abort();
+        await cancelled;
+    });
+});
+
+describe('postJson', () => {
+    it('sends the CSRF token and does not retry a server error', async () => {
+        document.cookie = '_csrf_token=abc%2B123';
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/conversations$/, () => jsonResponse(serverError, { status: 500 })]]);
+
+        await expect(postJson(`${ORIGIN}/api/v1/conversations`, { body: 'Hi' })).rejects.toThrow('status: 500');
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        const [, init] = fetchMock.mock.calls[0];
+        expect(init.method).toBe('POST');
+        expect(init.headers['X-CSRF-Token']).toBe('abc+123');
+        expect(JSON.parse(init.body)).toEqual({ body: 'Hi' });
+    });
+});
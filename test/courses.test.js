@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { attachCourseActivity, fetchUserCourses, filterCourses, isCourseCompleted, sortCourses, summariseCourses } from '../src/courses.js';
+import { loadReportSettings } from '../src/settings.js';
+import { installFakeCanvas, jsonResponse, paged, requestsTo } from './fake-canvas.js';
+import { activity, courses, enrollments, unauthorizedError } from './fixtures/canvas.js';
+
+const ids = list => list.map(course => course.id);
+// Each test gets its own copy, as the report adds to the courses it's given
+const freshCourses = () => JSON.parse(JSON.stringify(courses));
+
+describe('fetchUserCourses', () => {
+    it('asks for courses in every state, deleted ones included, and reads every page', async () => {
+        const fetchMock = installFakeCanvas([[/^\/api\/v1\/users\/5\/courses$/, paged(courses, 3)]]);
+
+        expect(ids(await fetchUserCourses('5'))).toEqual([101, 102, 103, 104]);
+        const [firstRequest] = requestsTo(fetchMock, /courses$/);
+        expect(firstRequest.searchParams.getAll('state[]')).toEqual(['available', 'completed', 'deleted']);
+        expect(firstRequest.searchParams.getAll('include[]')).toContain('course_progress');
+        expect(requestsTo(fetchMock, /courses$/)).toHaveLength(2);
+    });
+});
+
+describe('summariseCourses', () => {
+    it('leaves out courses without completion requirements by default', () => {
+        const summary = summariseCourses(freshCourses(), loadReportSettings());
+
+        expect(ids(summary.filteredEnrollments)).toEqual([101, 102, 104]);
+        expect(summary.completedCourses).toBe(1);
+        expect(summary.totalCourses).toBe(3);
+    });
+
+    it('lists courses with null course_progress when asked, without counting them', () => {
+        const settings = Object.assign(loadReportSettings(), { includeWithoutRequirements: true });
+        const summary = summariseCourses(freshCourses(), settings);
+
+        expect(ids(summary.filteredEnrollments)).toContain(103);
+        expect(summary.totalCourses).toBe(3);
+    });
+
+    it('copes with no courses at all', () => {
+        expect(summariseCourses(null, loadReportSettings())).toEqual({ filteredEnrollments: [], completedCourses: 0, totalCourses: 0 });
+    });
+});
+
+describe('filterCourses', () => {
+    const settings = overrides => Object.assign(loadReportSettings(), { includeWithoutRequirements: true }, overrides);
+
+    it('drops deleted and concluded courses when those are turned off', () => {
+        expect(ids(filterCourses(freshCourses(), settings({ includeDeleted: false })))).toEqual([101, 102, 103]);
+        expect(ids(filterCourses(freshCourses(), settings({ includeConcluded: false })))).toEqual([102, 103, 104]);
+    });
+
+    it('keeps courses running during the date range', () => {
+        expect(ids(filterCourses(freshCourses(), settings({ dateFrom: '2025-01-01' })))).toEqual([102, 103]);
+        expect(ids(filterCourses(freshCourses(), settings({ dateTo: '2024-12-31' })))).toEqual([101, 104]);
+    });
+
+    it('filters by term', () => {
+        expect(ids(filterCourses(freshCourses(), settings({ termId: '1' })))).toEqual([101, 104]);
+    });
+});
+
+describe('sortCourses', () => {
+    it('puts courses without a value last whichever way it sorts', () => {
+        expect(ids(sortCourses(freshCourses(), 'progress', 'desc'))).toEqual([101, 102, 104, 103]);
+        expect(ids(sortCourses(freshCourses(), 'progress', 'asc'))).toEqual([104, 102, 101, 103]);
+    });
+
+    it('sorts names case insensitively', () => {
+        const named = ['banana', 'Apple', 'cherry'].map((name, id) => ({ id, name }));
+        expect(sortCourses(named, 'name', 'asc').map(course => course.name)).toEqual(['Apple', 'banana', 'cherry']);
+    });
+
+    it('falls back to the completion date for an unknown column', () => {
+        expect(ids(sortCourses(freshCourses(), 'no-such-column', 'asc'))).toEqual([101, 102, 103, 104]);
+    });
+});
+
+describe('isCourseCompleted', () => {
+    it('only counts courses whose requirements are all met', () => {
+        expect(freshCourses().map(isCourseCompleted)).toEqual([true, false, false, false]);
+        expect(isCourseCompleted({ course_progress: { requirement_count: 2, requirement_completed_count: null } })).toBe(false);
+    });
+});
+
+describe('attachCourseActivity', () => {
+    // Responses are cached by URL, so tests that count requests use a user of their own
+    const enrollmentsRoute = [/^\/api\/v1\/users\/\d+\/enrollments$/, paged(enrollments, 2)];
+    const analyticsRoute = [/^\/api\/v1\/courses\/\d+\/analytics\/users\/\d+\/activity$/, url => {
+        const courseId = url.pathname.split('/')[4];
+        return activity[courseId] || jsonResponse({ errors: [{ message: 'analytics disabled' }] }, { status: 404 });
+    }];
+
+    it('adds up activity across enrollments, including deleted ones', async () => {
+        installFakeCanvas([enrollmentsRoute, analyticsRoute]);
+        const userCourses = freshCourses();
+
+        await attachCourseActivity('5', userCourses);
+
+        const activityById = Object.fromEntries(userCourses.map(course => [course.id, course.activity]));
+        expect(activityById[101]).toEqual({ lastActivityAt: '2024-05-20T03:00:00Z', totalActivityTime: 36000, pageViews: 42 });
+        expect(activityById[102]).toEqual({ lastActivityAt: '2025-03-02T23:15:00Z', totalActivityTime: 5400, pageViews: 7 });
+        // Analytics are off for this course, so its page views are unknown
+        expect(activityById[103]).toEqual({ lastActivityAt: null, totalActivityTime: 0, pageViews: null });
+        expect(activityById[104]).toEqual({ lastActivityAt: '2024-02-14T01:00:00Z', totalActivityTime: 1200, pageViews: null });
+    });
+
+    it('does not ask for page views of deleted courses, or any in bulk reports', async () => {
+        const fetchMock = installFakeCanvas([enrollmentsRoute, analyticsRoute]);
+
+        await attachCourseActivity('7', freshCourses());
+        const analyticsCourseIds = requestsTo(fetchMock, /analytics/).map(url => url.pathname.split('/')[4]);
+        expect(analyticsCourseIds.sort()).toEqual(['101', '102', '103']);
+
+        fetchMock.mockClear();
+        await attachCourseActivity('8', freshCourses(), { includePageViews: false });
+        expect(requestsTo(fetchMock, /analytics/)).toHaveLength(0);
+    });
+
+    it('leaves activity out when enrollments cannot be read', async () => {
+        installFakeCanvas([[/^\/api\/v1\/users\/6\/enrollments$/, () => jsonResponse(unauthorizedError, { status: 401 })]]);
+        const userCourses = freshCourses();
+
+        await attachCourseActivity('6', userCourses);
+
+        expect(userCourses.every(course => !('activity' in course))).toBe(true);
+    });
+});
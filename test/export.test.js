@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { buildExportTable, toCsv, toXlsx } from '../src/export.js';
+import { REPORT_SETTINGS_STORAGE_KEY, SHOW_GRADES_STORAGE_KEY } from '../src/constants.js';
+import { courses } from './fixtures/canvas.js';
+
+const freshCourses = () => JSON.parse(JSON.stringify(courses));
+const column = (table, header) => table.rows.map(row => row[table.headers.indexOf(header)]);
+
+describe('buildExportTable', () => {
+    const singleReport = () => ({
+        bulk: false,
+        details: { name: 'Jane Citizen', sisUserId: 'S1234', loginId: 'jcitizen', email: 'jane@example.edu' },
+        entries: [{ student: { id: '5' }, allEnrollments: freshCourses(), error: null }]
+    });
+
+    it('leads a single-student export with the chosen details and lists the reported courses', () => {
+        const table = buildExportTable(singleReport());
+
+        expect(table.headers.slice(0, 5)).toEqual(['Student', 'SIS User ID', 'Login ID', 'Course Name', 'Course Code']);
+        expect(table.headers).not.toContain('Email');
+        expect(column(table, 'Student')).toEqual(['Jane Citizen', 'Jane Citizen', 'Jane Citizen']);
+        expect(column(table, 'Login ID')).toEqual(['jcitizen', 'jcitizen', 'jcitizen']);
+        expect(column(table, 'Course Name')).toEqual(['Biology 101', 'Chemistry 101', 'Physics 101']);
+        expect(column(table, 'Completed At (ISO)')).toEqual(['2024-05-20T04:00:00Z', '', '']);
+        expect(column(table, 'Final Grade')).toEqual(['B+', '', '']);
+        expect(column(table, 'Enrollment State')).toEqual(['completed', 'active', 'deleted']);
+    });
+
+    it('leaves cells blank where a course has no course_progress or activity', () => {
+        localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify({ includeWithoutRequirements: true }));
+        const table = buildExportTable(singleReport());
+
+        const library = table.rows[column(table, 'Course Name').indexOf('Library Orientation')];
+        expect(library[table.headers.indexOf('Requirement Count')]).toBe('');
+        expect(library[table.headers.indexOf('Page Views')]).toBe('');
+        expect(library[table.headers.indexOf('Missing Submissions')]).toBe('');
+    });
+
+    it('drops the grade columns while grades are hidden', () => {
+        localStorage.setItem(SHOW_GRADES_STORAGE_KEY, 'false');
+        const { headers } = buildExportTable(singleReport());
+
+        expect(headers).not.toContain('Current Score');
+        expect(headers).not.toContain('Final Grade');
+    });
+
+    it('keeps students a bulk report could not load, with the reason', () => {
+        const table = buildExportTable({
+            bulk: true,
+            entries: [
+                { student: { id: '5', name: 'Jane Citizen', sisUserId: 'S1234' }, allEnrollments: freshCourses(), error: null },
+                { student: { id: '6', name: 'Sam Lee', sisUserId: 'S5678' }, allEnrollments: null, error: 'HTTP error! status: 401' },
+                { student: { id: '7', name: 'Ana Ruiz', sisUserId: null }, allEnrollments: [], error: null }
+            ]
+        });
+
+        expect(column(table, 'Student')).toEqual(['Jane Citizen', 'Jane Citizen', 'Jane Citizen', 'Sam Lee', 'Ana Ruiz']);
+        expect(column(table, 'Course Name').slice(3)).toEqual(['Error: HTTP error! status: 401', 'No enrollments matching the criteria']);
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes cells with commas, quotes and line breaks', () => {
+        expect(toCsv({ headers: ['A', 'B'], rows: [['x, y', 'say "hi"'], ['line\nbreak', 3]] }))
+            .toBe('A,B\r\n"x, y","say ""hi"""\r\n"line\nbreak",3');
+    });
+
+    it('stops text cells being read as formulas', () => {
+        expect(toCsv({ headers: ['Name'], rows: [['=HYPERLINK("http://evil")'], ['+1'], ['@SUM(A1)'], ['-x'], [-5]] }))
+            .toBe('Name\r\n"\'=HYPERLINK(""http://evil"")"\r\n\'+1\r\n\'@SUM(A1)\r\n\'-x\r\n-5');
+    });
+});
+
+describe('toXlsx', () => {
+    const text = bytes => new TextDecoder().decode(bytes);
+
+    it('writes a ZIP holding the worksheet, with numbers as numbers and text escaped', () => {
+        const bytes = toXlsx({ headers: ['Course', 'Score'], rows: [['R&D <intro>', 91.5], ['', null]] });
+
+        expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+        const content = text(bytes);
+        expect(content).toContain('xl/worksheets/sheet1.xml');
+        expect(content).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Course</t></is></c>');
+        expect(content).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">R&amp;D &lt;intro&gt;</t></is></c><c r="B2"><v>91.5</v></c>');
+        expect(content).toContain('<row r="3"></row>');
+    });
+});
@@ -0,0 +1,89 @@
+import { vi } from 'vitest';
+
+// The origin vitest.config.js gives the test page
+export const ORIGIN = 'https://canvas.test.instructure.com';
+
+/**
+ * Builds a JSON response the way Canvas sends one.
+ * @param {*} body The response body.
+ * @param {object} [init]
+ * @param {number} [init.status=200] The HTTP status.
+ * @param {object} [init.headers] Extra response headers.
+ * @returns {Response}
+ */
+export function jsonResponse(body, { status = 200, headers = {} } = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers)
+    });
+}
+
+/**
+ * Builds a Link header for one page of a list, with the rels Canvas sends.
+ * @param {URL} url The requested URL.
+ * @param {number} page The page being served, from 1.
+ * @param {number} pageCount How many pages the list has.
+ * @returns {string}
+ */
+function buildLinkHeader(url, page, pageCount) {
+    const pageUrl = number => {
+        const link = new URL(url);
+        link.searchParams.set('page', String(number));
+        return link.href;
+    };
+    const links = [`<${pageUrl(page)}>; rel="current"`];
+    if (page < pageCount) links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+    if (page > 1) links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+    links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(pageCount)}>; rel="last"`);
+    return links.join(',');
+}
+
+/**
+ * Serves a list a page at a time, following the `page` query parameter and linking each page to the next.
+ * @param {Array} items The whole list.
+ * @param {number} [perPage=2] Items per page; small, so tests cross page boundaries.
+ * @returns {function(URL): Response} A route handler.
+ */
+export function paged(items, perPage = 2) {
+    return url => {
+        const pageCount = Math.max(1, Math.ceil(items.length / perPage));
+        const page = Number(url.searchParams.get('page')) || 1;
+        return jsonResponse(items.slice((page - 1) * perPage, page * perPage), {
+            headers: { Link: buildLinkHeader(url, page, pageCount) }
+        });
+    };
+}
+
+/**
+ * Replaces `fetch` with a fake Canvas API for the rest of the test.
+ * Routes are tried in order and match on the path; anything unmatched gets Canvas's 404.
+ * @param {Array<[RegExp, (function(URL, object): (Response|*))|*]>} routes Path patterns, each with a
+ *        handler called with the URL and fetch options, or a body to send as JSON. Handlers may return
+ *        a Response or a body.
+ * @returns {import('vitest').Mock} The fake fetch, to inspect the requests made.
+ */
+export function installFakeCanvas(routes) {
+    const fetchMock = vi.fn(async (input, init = {}) => {
+        const url = new URL(input, ORIGIN);
+        const route = routes.find(([pattern]) => pattern.test(url.pathname));
+        if (!route) {
+            return jsonResponse({ errors: [{ message: 'The specified resource does not exist.' }] }, { status: 404 });
+        }
+        const result = typeof route[1] === 'function' ? route[1](url, init) : route[1];
+        return result instanceof Response ? result : jsonResponse(result);
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    return fetchMock;
+}
+
+/**
+ * Lists the URLs the fake Canvas was asked for that match a pattern.
+ * @param {import('vitest').Mock} fetchMock As returned by installFakeCanvas.
+ * @param {RegExp} pattern Matched against each URL's path.
+ * @returns {Array<URL>}
+ */
+export function requestsTo(fetchMock, pattern) {
+    return fetchMock.mock.calls
+        .map(([input]) => new URL(input, ORIGIN))
+        .filter(url => pattern.test(url.pathname));
+}
@@ -0,0 +1,151 @@
+import { jsonResponse, paged } from '../fake-canvas.js';
+
+// Canvas API responses for student 5, shaped like the real ones (trimmed to the fields the script reads)
+
+export const student = {
+    id: 5,
+    name: 'Jane Citizen',
+    sortable_name: 'Citizen, Jane',
+    short_name: 'Jane',
+    sis_user_id: 'S1234',
+    login_id: 'jcitizen',
+    last_login: '2024-10-01T02:30:00Z'
+};
+
+export const profile = {
+    id: 5,
+    name: 'Jane Citizen',
+    primary_email: 'jane@example.edu',
+    login_id: 'jcitizen',
+    time_zone: 'Australia/Sydney'
+};
+
+export const logins = [
+    { id: 51, user_id: 5, account_id: 1, unique_id: 'jcitizen', sis_user_id: 'S1234' }
+];
+
+export const account = { id: 1, name: 'Example University' };
+
+const term2024 = { id: 1, name: 'Semester 1 2024', start_at: '2024-02-01T00:00:00Z', end_at: '2024-06-30T00:00:00Z' };
+const term2025 = { id: 2, name: 'Semester 1 2025', start_at: '2025-02-01T00:00:00Z', end_at: '2025-06-30T00:00:00Z' };
+
+const studentEnrollment = overrides => Object.assign({
+    type: 'student',
+    role: 'StudentEnrollment',
+    user_id: 5,
+    enrollment_state: 'active',
+    computed_current_score: null,
+    computed_current_grade: null,
+    computed_final_score: null,
+    computed_final_grade: null
+}, overrides);
+
+/**
+ * GET /api/v1/users/5/courses with every include the script asks for. Covers a finished course, one in
+ * progress, one without completion requirements (Canvas sends `course_progress: null` for those) and one
+ * that has been deleted.
+ */
+export const courses = [
+    {
+        id: 101,
+        name: 'Biology 101',
+        course_code: 'BIO101',
+        sis_course_id: 'BIO101-2024S1',
+        workflow_state: 'completed',
+        concluded: true,
+        term: term2024,
+        course_progress: { requirement_count: 4, requirement_completed_count: 4, next_requirement_url: null, completed_at: '2024-05-20T04:00:00Z' },
+        enrollments: [studentEnrollment({
+            enrollment_state: 'completed',
+            computed_current_score: 91.5,
+            computed_current_grade: 'A',
+            computed_final_score: 88.25,
+            computed_final_grade: 'B+'
+        })]
+    },
+    {
+        id: 102,
+        name: 'Chemistry 101',
+        course_code: 'CHEM101',
+        sis_course_id: 'CHEM101-2025S1',
+        workflow_state: 'available',
+        concluded: false,
+        term: term2025,
+        course_progress: { requirement_count: 10, requirement_completed_count: 3, next_requirement_url: 'https://canvas.test.instructure.com/courses/102/modules/items/7', completed_at: null },
+        enrollments: [studentEnrollment({ computed_current_score: 64, computed_current_grade: 'C' })]
+    },
+    {
+        id: 103,
+        name: 'Library Orientation',
+        course_code: 'LIB',
+        sis_course_id: null,
+        workflow_state: 'available',
+        concluded: false,
+        term: term2025,
+        course_progress: null,
+        enrollments: [studentEnrollment()]
+    },
+    {
+        id: 104,
+        name: 'Physics 101',
+        course_code: 'PHYS101',
+        sis_course_id: 'PHYS101-2024S1',
+        workflow_state: 'deleted',
+        concluded: false,
+        term: term2024,
+        course_progress: { requirement_count: 6, requirement_completed_count: 1, next_requirement_url: null, completed_at: null },
+        enrollments: [studentEnrollment({ enrollment_state: 'deleted' })]
+    }
+];
+
+/**
+ * GET /api/v1/users/5/enrollments in every state. Physics was dropped (its enrollment deleted) and the
+ * student re-enrolled in Chemistry after an earlier enrollment was deleted.
+ */
+export const enrollments = [
+    { id: 901, course_id: 101, type: 'StudentEnrollment', enrollment_state: 'completed', created_at: '2024-01-20T00:00:00Z', updated_at: '2024-06-30T00:00:00Z', last_activity_at: '2024-05-20T03:00:00Z', total_activity_time: 36000 },
+    { id: 902, course_id: 102, type: 'StudentEnrollment', enrollment_state: 'deleted', created_at: '2024-12-01T00:00:00Z', updated_at: '2024-12-15T00:00:00Z', last_activity_at: null, total_activity_time: 0 },
+    { id: 903, course_id: 102, type: 'StudentEnrollment', enrollment_state: 'active', created_at: '2025-01-28T00:00:00Z', updated_at: '2025-01-28T00:00:00Z', last_activity_at: '2025-03-02T23:15:00Z', total_activity_time: 5400 },
+    { id: 904, course_id: 103, type: 'StudentEnrollment', enrollment_state: 'active', created_at: '2025-01-28T00:00:00Z', updated_at: '2025-01-28T00:00:00Z', last_activity_at: null, total_activity_time: 0 },
+    { id: 905, course_id: 104, type: 'StudentEnrollment', enrollment_state: 'deleted', created_at: '2024-01-20T00:00:00Z', updated_at: '2024-03-01T00:00:00Z', last_activity_at: '2024-02-14T01:00:00Z', total_activity_time: 1200 }
+];
+
+/** GET /api/v1/courses/:id/analytics/users/5/activity, keyed by course ID. */
+export const activity = {
+    101: { page_views: { '2024-05-19T00:00:00Z': 12, '2024-05-20T00:00:00Z': 30 }, participations: [] },
+    102: { page_views: { '2025-03-02T00:00:00Z': 7 }, participations: [] }
+};
+
+/** GET /api/v1/courses/102/students/submissions for student 5: one missing and one late assignment. */
+export const chemistrySubmissions = [
+    { id: 1, assignment_id: 71, user_id: 5, missing: true, late: false, excused: false, assignment: { id: 71, name: 'Lab report 1', due_at: '2025-03-01T12:59:00Z', html_url: 'https://canvas.test.instructure.com/courses/102/assignments/71' } },
+    { id: 2, assignment_id: 72, user_id: 5, missing: false, late: true, seconds_late: 90000, excused: false, assignment: { id: 72, name: 'Quiz 1', due_at: '2025-02-20T12:59:00Z', html_url: 'https://canvas.test.instructure.com/courses/102/assignments/72' } },
+    { id: 3, assignment_id: 73, user_id: 5, missing: true, late: false, excused: true, assignment: { id: 73, name: 'Excused essay', due_at: '2025-02-10T12:59:00Z' } }
+];
+
+// Error bodies Canvas sends
+export const notFoundError = { errors: [{ message: 'The specified resource does not exist.' }] };
+export const unauthorizedError = { status: 'unauthorized', errors: [{ message: 'user not authorized to perform that action' }] };
+export const rateLimitExceeded = '403 Forbidden (Rate Limit Exceeded)\n';
+export const serverError = { errors: [{ message: 'An error occurred.', error_code: 'internal_server_error' }] };
+
+/**
+ * Routes for installFakeCanvas serving everything a single-student report on student 5 loads. Lists are
+ * paged, two items at a time. Courses without analytics or submissions get Canvas's 404, as they do
+ * when those are turned off.
+ * @param {Array} [courseList=courses] The student's courses.
+ * @returns {Array} Routes.
+ */
+export function studentReportRoutes(courseList = courses) {
+    const byCourse = (data, url) => data[url.pathname.split('/')[4]] || jsonResponse(notFoundError, { status: 404 });
+    return [
+        [/^\/api\/v1\/users\/5$/, student],
+        [/^\/api\/v1\/users\/5\/profile$/, profile],
+        [/^\/api\/v1\/users\/5\/logins$/, paged(logins)],
+        [/^\/api\/v1\/accounts\/1$/, account],
+        [/^\/api\/v1\/users\/5\/courses$/, paged(courseList)],
+        [/^\/api\/v1\/users\/5\/enrollments$/, paged(enrollments)],
+        [/^\/api\/v1\/courses\/\d+\/analytics\/users\/5\/activity$/, url => byCourse(activity, url)],
+        [/^\/api\/v1\/courses\/\d+\/students\/submissions$/, url => byCourse({ 102: chemistrySubmissions }, url)]
+    ];
+}
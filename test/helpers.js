@@ -0,0 +1,29 @@
+import { vi } from 'vitest';
+
+/**
+ * Puts the single-student report on an admin's view of student 5, as Canvas renders it, using fresh
+ * copies of the modules so no responses are cached from earlier tests. Import other modules afterwards
+ * to get the copies the report uses.
+ * @returns {Promise<void>}
+ */
+export async function injectStudentReport() {
+    vi.resetModules();
+    document.body.innerHTML = '<div id="right-side"><div><a class="btn button-sidebar-wide" href="#">Merge with another user</a></div></div>';
+    const { injectReportButtonAndModal } = await import('../src/student-report.js');
+    injectReportButtonAndModal('user');
+}
+
+/**
+ * Opens the report and waits for it to finish loading.
+ * @returns {Promise<HTMLElement>} The report modal.
+ */
+export async function openReport() {
+    document.getElementById('student-report-button').click();
+    const modal = document.getElementById('student-report-modal');
+    await vi.waitFor(() => {
+        if (modal.querySelector('.k-modal-body').getAttribute('aria-busy') !== null || modal.querySelector('.loading-indicator')) {
+            throw new Error('Report still loading');
+        }
+    });
+    return modal;
+}
@@ -0,0 +1,130 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { REPORT_SETTINGS_STORAGE_KEY } from '../src/constants.js';
+import { installFakeCanvas } from './fake-canvas.js';
+import { chemistrySubmissions, courses, enrollments, profile, studentReportRoutes } from './fixtures/canvas.js';
+import { injectStudentReport, openReport } from './helpers.js';
+
+// Names anyone who can create a course (or edit their own profile) could choose
+const IMG_ONERROR = '<img src=x onerror=alert(1)>';
+const SCRIPT_BREAKOUT = '"><script>alert(1)</script>';
+const ATTRIBUTE_BREAKOUT = '\' onmouseover=\'alert(1)';
+
+// Student 5's courses and enrollments with those names in every field the report shows
+const hostileCourses = JSON.parse(JSON.stringify(courses)).map((course, index) => Object.assign(course, {
+    name: [IMG_ONERROR, SCRIPT_BREAKOUT, ATTRIBUTE_BREAKOUT, `Physics ${IMG_ONERROR}`][index],
+    course_code: SCRIPT_BREAKOUT,
+    sis_course_id: ATTRIBUTE_BREAKOUT,
+    term: Object.assign({}, course.term, { name: IMG_ONERROR }),
+    sections: [{ id: 1000 + course.id, name: SCRIPT_BREAKOUT }]
+}));
+const hostileEnrollments = enrollments.map(enrollment => Object.assign({}, enrollment, {
+    course_section_id: 1000 + enrollment.course_id,
+    role: IMG_ONERROR
+}));
+const hostileSubmissions = chemistrySubmissions.map(submission => Object.assign({}, submission, {
+    assignment: Object.assign({}, submission.assignment, { name: SCRIPT_BREAKOUT, html_url: 'javascript:alert(1)' })
+}));
+
+/**
+ * Checks that no markup from Canvas data became elements or attributes: no script-capable elements,
+ * no event handler attributes and no script URLs.
+ * @param {ParentNode} root The HTML to check, parsed.
+ */
+function expectNothingInjected(root) {
+    expect(root.querySelectorAll('script, img, iframe, object, embed')).toHaveLength(0);
+    const elements = Array.from(root.querySelectorAll('*'));
+    const handlers = elements.flatMap(element => Array.from(element.attributes)
+        .filter(attribute => /^on/i.test(attribute.name))
+        .map(attribute => `<${element.tagName.toLowerCase()} ${attribute.name}>`));
+    expect(handlers).toEqual([]);
+    const scriptUrls = elements.flatMap(element => ['href', 'src', 'action']
+        .map(name => element.getAttribute(name))
+        .filter(value => value && /^\s*javascript:/i.test(value)));
+    expect(scriptUrls).toEqual([]);
+}
+
+const parseHtml = html => new DOMParser().parseFromString(html, 'text/html');
+
+describe('hostile course and student names', () => {
+    let modal;
+
+    beforeEach(async () => {
+        // Show the course without requirements too, so all four names are in the table
+        localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify({ includeWithoutRequirements: true }));
+        await injectStudentReport();
+        installFakeCanvas([
+            [/^\/api\/v1\/users\/5\/profile$/, Object.assign({}, profile, { name: SCRIPT_BREAKOUT })],
+            [/^\/api\/v1\/users\/5\/enrollments$/, hostileEnrollments],
+            [/^\/api\/v1\/courses\/102\/students\/submissions$/, hostileSubmissions]
+        ].concat(studentReportRoutes(hostileCourses)));
+        vi.spyOn(window, 'alert').mockImplementation(() => {});
+        modal = await openReport();
+    });
+
+    it('shows them as text in the report modal', () => {
+        expectNothingInjected(modal);
+        expect(modal.querySelector('.k-modal-title').textContent).toBe(`Student Report: ${SCRIPT_BREAKOUT}`);
+        const courseNames = Array.from(modal.querySelectorAll('tr.course-row td:first-child'))
+            .map(cell => cell.textContent.replace('▸', '').trim());
+        expect(courseNames.sort()).toEqual([IMG_ONERROR, SCRIPT_BREAKOUT, ATTRIBUTE_BREAKOUT, `Physics ${IMG_ONERROR}`].sort());
+        expect(modal.querySelector('.outstanding-work').textContent).toContain(SCRIPT_BREAKOUT);
+        expect(window.alert).not.toHaveBeenCalled();
+    });
+
+    it('keeps them as text in the copied report', async () => {
+        const { buildTemplatedReportHtml, fillTemplatePlaceholders, getSelectedReportTemplate } = await import('../src/templates.js');
+
+        const copied = parseHtml(buildTemplatedReportHtml(modal, getSelectedReportTemplate()));
+
+        expectNothingInjected(copied);
+        expect(copied.querySelector('h2').textContent).toBe(`Student Report: ${SCRIPT_BREAKOUT}`);
+        expect(copied.body.textContent).toContain(IMG_ONERROR);
+        expect(copied.body.textContent).toContain(ATTRIBUTE_BREAKOUT);
+
+        // A template's own text is plain text too
+        const filled = parseHtml(fillTemplatePlaceholders(`<b>Dear</b> {studentName}\n${IMG_ONERROR}`, { studentName: SCRIPT_BREAKOUT }));
+        expectNothingInjected(filled);
+        expect(filled.querySelector('b')).toBeNull();
+        expect(filled.body.textContent).toBe(`<b>Dear</b> ${SCRIPT_BREAKOUT}${IMG_ONERROR}`);
+    });
+
+    it('keeps them as text in the printed report', () => {
+        let printed = '';
+        const printWindow = {
+            document: {
+                open() {},
+                write(html) { printed += html; },
+                close() {},
+                querySelector: () => null
+            },
+            focus() {},
+            print: vi.fn()
+        };
+        vi.spyOn(window, 'open').mockReturnValue(printWindow);
+
+        document.getElementById('print-report-button').click();
+
+        expect(printWindow.print).toHaveBeenCalled();
+        const printDocument = parseHtml(printed);
+        expectNothingInjected(printDocument);
+        expect(printDocument.title).toBe(`Student Report: ${SCRIPT_BREAKOUT}`);
+        expect(printDocument.querySelector('table.report-table').textContent).toContain(`Physics ${IMG_ONERROR}`);
+        expect(printDocument.body.textContent).toContain(ATTRIBUTE_BREAKOUT);
+    });
+
+    it('keeps them as text in the enrollment timeline', async () => {
+        modal.querySelector('#student-report-tab-timeline').click();
+        const timeline = modal.querySelector('.k-modal-timeline');
+        await vi.waitFor(() => {
+            if (!timeline.querySelector('.enrollment-timeline')) throw new Error('Timeline still loading');
+        });
+
+        expectNothingInjected(timeline);
+        const cells = column => Array.from(timeline.querySelectorAll(`tbody td:nth-child(${column})`)).map(cell => cell.textContent);
+        expect(cells(2)).toContain(IMG_ONERROR);
+        expect(cells(2)).toContain(ATTRIBUTE_BREAKOUT);
+        expect(cells(3)).toContain(SCRIPT_BREAKOUT);
+        expect(cells(4)).toContain(`Enrolled as ${IMG_ONERROR}`);
+        expect(window.alert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,30 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+let init;
+
+beforeEach(async () => {
+    vi.resetModules();
+    document.documentElement.removeAttribute('data-student-report');
+    document.body.innerHTML = '<div id="right-side"><div></div></div>';
+    ({ init } = await import('../src/inject.js'));
+});
+
+describe('init', () => {
+    it('does nothing on pages that are not Canvas', () => {
+        delete globalThis.ENV;
+
+        init();
+
+        expect(document.getElementById('student-report-button')).toBeNull();
+        expect(document.documentElement.hasAttribute('data-student-report')).toBe(false);
+    });
+
+    it('adds the report to a user page, once however often it runs', () => {
+        init();
+        init();
+
+        expect(document.querySelectorAll('#student-report-button')).toHaveLength(1);
+        expect(document.querySelectorAll('#student-report-modal')).toHaveLength(1);
+        expect(console.warn).toHaveBeenCalledWith('The student report script is already running on this page.');
+    });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { REPORT_SETTINGS_STORAGE_KEY } from '../src/constants.js';
+import { installFakeCanvas, jsonResponse, requestsTo } from './fake-canvas.js';
+import { courses, studentReportRoutes, unauthorizedError } from './fixtures/canvas.js';
+import { injectStudentReport, openReport } from './helpers.js';
+
+const cellText = (row, column) => row.querySelector(`td:nth-child(${column})`).textContent.trim();
+
+describe('single-student report', () => {
+    beforeEach(injectStudentReport);
+
+    it('adds a report button to the sidebar', () => {
+        const button = document.getElementById('student-report-button');
+        expect(button.closest('#right-side')).not.toBeNull();
+        expect(button.textContent.trim()).toBe('Student Report');
+    });
+
+    it('shows the student and each course they have progress in, from every page of results', async () => {
+        const fetchMock = installFakeCanvas(studentReportRoutes());
+
+        const modal = await openReport();
+
+        expect(requestsTo(fetchMock, /\/users\/5\/courses$/)).toHaveLength(2);
+        expect(modal.querySelector('.k-modal-title').textContent).toBe('Student Report: Jane Citizen');
+        expect(modal.querySelector('.student-details').textContent).toMatch(/Full name\s+Jane Citizen\s+SIS user ID\s+S1234\s+Login ID\s+jcitizen/);
+        expect(modal.querySelector('.student-details').textContent).not.toContain('jane@example.edu');
+        expect(modal.querySelector('.enrollment-summary').textContent).toMatch(/^1 of 3 courses completed/);
+
+        const rows = Array.from(modal.querySelectorAll('tr.course-row'));
+        expect(rows.map(row => row.dataset.courseId)).toEqual(['101', '102', '104']);
+        expect(cellText(rows[0], 3)).toBe('4 / 4');
+        expect(cellText(rows[1], 10)).toBe('1 / 1'); // One missing and one late; the excused one doesn't count
+        expect(cellText(rows[2], 11)).toBe('deleted');
+    });
+
+    it('prints the student\'s name, SIS ID and login', async () => {
+        installFakeCanvas(studentReportRoutes());
+        const modal = await openReport();
+        let printed = '';
+        vi.spyOn(window, 'open').mockReturnValue({
+            document: { open() {}, write(html) { printed += html; }, close() {}, querySelector: () => null },
+            focus() {},
+            print() {}
+        });
+
+        modal.querySelector('#print-report-button').click();
+
+        const details = new DOMParser().parseFromString(printed, 'text/html').querySelector('table.student-details');
+        const rows = Array.from(details.rows).map(row => Array.from(row.cells).map(cell => cell.textContent));
+        expect(rows.slice(0, 3)).toEqual([['Full name', 'Jane Citizen'], ['SIS user ID', 'S1234'], ['Login ID', 'jcitizen']]);
+    });
+
+    it('lists courses with null course_progress when asked to', async () => {
+        localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify({ includeWithoutRequirements: true }));
+        installFakeCanvas(studentReportRoutes());
+
+        const modal = await openReport();
+
+        const row = modal.querySelector('tr.course-row[data-course-id="103"]');
+        expect(cellText(row, 1)).toContain('Library Orientation');
+        expect(cellText(row, 3)).toBe('N/A / N/A');
+        expect(modal.querySelector('.enrollment-summary').textContent).toMatch(/^1 of 3 courses completed/);
+    });
+
+    it('leaves out deleted courses when those are turned off', async () => {
+        localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify({ includeDeleted: false }));
+        installFakeCanvas(studentReportRoutes());
+
+        const modal = await openReport();
+
+        expect(Array.from(modal.querySelectorAll('tr.course-row')).map(row => row.dataset.courseId)).toEqual(['101', '102']);
+    });
+
+    it('still reports when the student details cannot be read', async () => {
+        // Without permission to see the user, profile or logins, Canvas answers those with a 404
+        installFakeCanvas(studentReportRoutes().filter(([pattern]) => /courses|enrollments/.test(pattern.source)));
+
+        const modal = await openReport();
+
+        expect(modal.querySelector('.student-details').textContent).toMatch(/Full name\s+N\/A/);
+        expect(modal.querySelectorAll('tr.course-row')).toHaveLength(3);
+    });
+
+    it('says why when the courses cannot be loaded', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        installFakeCanvas([[/^\/api\/v1\/users\/5\/courses$/, () => jsonResponse(unauthorizedError, { status: 401 })]]
+            .concat(studentReportRoutes()));
+
+        const modal = await openReport();
+
+        expect(modal.querySelector('.k-modal-body').textContent).toMatch(/^Error loading enrolments: HTTP error! status: 401/);
+        expect(modal.querySelector('tr.course-row')).toBeNull();
+    });
+
+    it('says so when the student has no courses to report on', async () => {
+        installFakeCanvas(studentReportRoutes(courses.filter(course => course.id === 103)));
+
+        const modal = await openReport();
+
+        expect(modal.querySelector('.k-modal-body').textContent).toContain('No enrollments found matching the criteria');
+    });
+});
@@ -0,0 +1,92 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { installFakeCanvas, jsonResponse, requestsTo } from './fake-canvas.js';
+import { studentReportRoutes, unauthorizedError } from './fixtures/canvas.js';
+import { injectStudentReport, openReport } from './helpers.js';
+
+const observer = { id: 8, name: 'Pat Citizen' };
+
+describe('sending the report to the student', () => {
+    let modal;
+    let form;
+    let fetchMock;
+    let observerResponses;
+    const sentMessages = [];
+
+    /**
+     * Opens the send panel and waits for the observer list to load or fail.
+     */
+    async function openSendPanel() {
+        document.getElementById('send-report-button').click();
+        const observersElement = form.querySelector('.send-report-observers');
+        await vi.waitFor(() => {
+            if (observersElement.textContent.includes('Loading observers')) throw new Error('Observers still loading');
+        });
+    }
+
+    /**
+     * Sends the message and waits for the panel to say how it went.
+     * @returns {Promise<string>} The panel's status message.
+     */
+    async function send() {
+        form.requestSubmit();
+        const status = form.querySelector('.send-report-status');
+        await vi.waitFor(() => {
+            if (status.textContent === '' || status.textContent === 'Sending...') throw new Error('Still sending');
+        });
+        return status.textContent;
+    }
+
+    beforeEach(async () => {
+        await injectStudentReport();
+        sentMessages.length = 0;
+        // Each observer lookup takes the next response, then the last one again
+        observerResponses = [() => jsonResponse(unauthorizedError, { status: 401 }), () => [observer]];
+        fetchMock = installFakeCanvas([
+            [/^\/api\/v1\/users\/5\/observers$/, () => (observerResponses.length > 1 ? observerResponses.shift() : observerResponses[0])()],
+            [/^\/api\/v1\/conversations$/, (url, init) => {
+                sentMessages.push(JSON.parse(init.body));
+                return [{ id: 1 }];
+            }]
+        ].concat(studentReportRoutes()));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+        modal = await openReport();
+        form = modal.querySelector('.send-report-form');
+    });
+
+    it('still sends to the student when their observers could not be loaded', async () => {
+        await openSendPanel();
+        expect(form.querySelector('.send-report-observers').textContent).toMatch(/^Could not load observers: HTTP error! status: 401/);
+        form.elements.otherRecipients.value = '77';
+
+        expect(await send()).toBe('Message sent.');
+
+        expect(sentMessages).toHaveLength(1);
+        expect(sentMessages[0].recipients).toEqual(['5', '77']);
+    });
+
+    it('keeps the draft when reopening the panel retries the observers', async () => {
+        await openSendPanel();
+        form.elements.subject.value = 'Your term report';
+        form.elements.intro.value = 'Hi Jane, see below.';
+        form.querySelector('.send-report-cancel').click();
+
+        await openSendPanel();
+
+        expect(requestsTo(fetchMock, /observers$/)).toHaveLength(2);
+        expect(form.elements.subject.value).toBe('Your term report');
+        expect(form.elements.intro.value).toBe('Hi Jane, see below.');
+        form.querySelector('input[name="observer"]').checked = true;
+        expect(await send()).toBe('Message sent.');
+        expect(sentMessages[0].recipients).toEqual(['5', '8']);
+    });
+
+    it('refuses to send while there is no report for a student', async () => {
+        await openSendPanel();
+        const { reportData } = await import('../src/state.js');
+        delete reportData['student-report-modal']; // As while the report reloads
+
+        expect(await send()).toBe('The report has not loaded yet.');
+        expect(sentMessages).toHaveLength(0);
+    });
+});
@@ -0,0 +1,34 @@
+import { afterEach, beforeEach, vi } from 'vitest';
+
+// jsdom has no innerText; for the plain text the script reads (titles, summaries), textContent is the same
+if (!('innerText' in HTMLElement.prototype)) {
+    Object.defineProperty(HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; },
+        set(value) { this.textContent = value; },
+        configurable: true
+    });
+}
+
+beforeEach(() => {
+    // The globals Canvas defines on every page, as seen by an account admin
+    globalThis.ENV = {
+        LOCALE: 'en-AU',
+        TIMEZONE: 'Australia/Sydney',
+        DOMAIN_ROOT_ACCOUNT_ID: '1',
+        current_user_id: '9',
+        current_user_roles: ['user', 'admin']
+    };
+    // The script logs every request; keep the test output readable
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+});
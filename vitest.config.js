@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        environmentOptions: {
+            // An admin's view of a student, on a site the script runs on without being enabled first
+            jsdom: { url: 'https://canvas.test.instructure.com/accounts/1/users/5' }
+        },
+        setupFiles: ['test/setup.js']
+    }
+});